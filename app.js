@@ -6,373 +6,80 @@ const MONTHS = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov
 
 const els = {
   search: document.getElementById("search"),
+  searchError: document.getElementById("searchError"),
   year: document.getElementById("yearFilter"),
   month: document.getElementById("monthFilter"),
   state: document.getElementById("stateFilter"),
   event: document.getElementById("eventFilter"),
   phase: document.getElementById("phaseFilter"),
+  injury: document.getElementById("injuryFilter"),
+  damage: document.getElementById("damageFilter"),
+  multi: document.getElementById("multiFilter"),
+  ntsb: document.getElementById("ntsbFilter"),
+  photo: document.getElementById("photoFilter"),
   sort: document.getElementById("sortOrder"),
   status: document.getElementById("statusMessage"),
   rowCount: document.getElementById("rowCount"),
+  ntsbSummary: document.getElementById("ntsbSummary"),
+  shardStatus: document.getElementById("shardStatus"),
+  loadProgress: document.getElementById("loadProgress"),
   results: document.getElementById("results"),
+  dashboardPanel: document.getElementById("dashboardPanel"),
+  dashboard: document.getElementById("dashboard"),
+  mapPanel: document.getElementById("mapPanel"),
+  map: document.getElementById("map"),
+  mapLegend: document.getElementById("mapLegend"),
+  mapColorBy: document.getElementById("mapColorBy"),
+  mapSelectBtn: document.getElementById("mapSelectBtn"),
+  mapZoomIn: document.getElementById("mapZoomIn"),
+  mapZoomOut: document.getElementById("mapZoomOut"),
+  mapResetBtn: document.getElementById("mapResetBtn"),
+  geoFilterChip: document.getElementById("geoFilterChip"),
+  historyPanel: document.getElementById("historyPanel"),
+  historyTitle: document.getElementById("historyTitle"),
+  history: document.getElementById("history"),
+  review: document.getElementById("reviewFilter"),
+  tag: document.getElementById("tagFilter"),
+  annotationSummary: document.getElementById("annotationSummary"),
+  annotationExportBtn: document.getElementById("annotationExportBtn"),
+  annotationImport: document.getElementById("annotationImport"),
+  annotationNote: document.getElementById("annotationNote"),
+  annotationStats: document.getElementById("annotationStats"),
+  comparePanel: document.getElementById("comparePanel"),
+  compareTitle: document.getElementById("compareTitle"),
+  compare: document.getElementById("compare"),
+  qualityPanel: document.getElementById("qualityPanel"),
+  quality: document.getElementById("quality"),
+  exportPanel: document.getElementById("exportPanel"),
+  exportFormat: document.getElementById("exportFormat"),
+  exportRunBtn: document.getElementById("exportRunBtn"),
+  exportNote: document.getElementById("exportNote"),
+  exportColumns: document.getElementById("exportColumns"),
+  printReport: document.getElementById("printReport"),
+  dataFreshness: document.getElementById("dataFreshness"),
+  newOnly: document.getElementById("newFilter"),
+  dateBasis: document.getElementById("dateBasis"),
+  dateFrom: document.getElementById("dateFrom"),
+  dateTo: document.getElementById("dateTo"),
+  timeFrom: document.getElementById("timeFrom"),
+  timeTo: document.getElementById("timeTo"),
+  light: document.getElementById("lightFilter"),
+  late: document.getElementById("lateFilter"),
+  category: document.getElementById("categoryFilter"),
+  engine: document.getElementById("engineFilter"),
+  fleet: document.getElementById("fleetFilter"),
+  newChip: document.getElementById("newChip"),
+  watchSummary: document.getElementById("watchSummary"),
+  watchName: document.getElementById("watchName"),
+  watchSaveBtn: document.getElementById("watchSaveBtn"),
+  watchNote: document.getElementById("watchNote"),
+  watchlists: document.getElementById("watchlists"),
   downloadBtn: document.getElementById("downloadBtn"),
 };
 
 let INCIDENTS = [];
 let FILTERED = [];
 
-// -------------------- CSV parsing (handles quotes/newlines) --------------------
-
-function parseCsv(text) {
-  const rows = [];
-  let row = [];
-  let cur = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const c = text[i];
-    const n = text[i + 1];
-
-    if (c === '"' && inQuotes && n === '"') { cur += '"'; i++; continue; }
-    if (c === '"') { inQuotes = !inQuotes; continue; }
-
-    if (c === "," && !inQuotes) { row.push(cur); cur = ""; continue; }
-
-    if ((c === "\n" || c === "\r") && !inQuotes) {
-      if (c === "\r" && n === "\n") i++;
-      row.push(cur); cur = "";
-      if (row.length > 1 || (row.length === 1 && row[0].trim() !== "")) rows.push(row);
-      row = [];
-      continue;
-    }
-    cur += c;
-  }
-
-  if (cur.length || row.length) { row.push(cur); rows.push(row); }
-  return rows;
-}
-
-function norm(s) { return (s ?? "").toString().trim(); }
-
-function getAny(obj, keys) {
-  for (const k of keys) {
-    const v = obj[k];
-    if (v !== undefined && v !== null && norm(v) !== "") return norm(v);
-  }
-  return "";
-}
-
-// -------------------- Validation helpers --------------------
-// These prevent schema pollution (NO/NOT/R33/RWY11/JBU2233/SKW3905) from becoming authoritative.
-
-function isValidCallsign(value) {
-  const t = norm(value).toUpperCase();
-  if (!t) return false;
-  if (!/\d/.test(t)) return false;   // must include a digit
-  if (t.startsWith("RWY") || t.startsWith("GATE")) return false;
-
-  // allow airline + military + ops callsigns:
-  // UAL1871, JBU2233, WSN2, TBIRD05, JOUST97, BLACKJACK01
-  if (!/^[A-Z]{2,10}\d{1,4}[A-Z]?$/.test(t)) return false;
-
-  const bad = new Set([
-    "FAA","FSS","IFR","VFR","CTAF","ALNOT","RNAV","SCT","ZDV","ZAN","ZSE","ZLA","ZMA","ZNY"
-  ]);
-  if (bad.has(t)) return false;
-
-  return true;
-}
-
-function isValidNNumber(value) {
-  const t = norm(value).toUpperCase();
-  if (!t) return false;
-  // Conservative US N-number: N + 1-5 alphanumerics, must not start with 0 after N
-  // (You can tighten further later; this blocks NOT and similar junk.)
-  return /^N[1-9][0-9A-Z]{0,4}$/.test(t);
-}
-
-function isAirportIdTokenInParens(token, fullText) {
-  const t = token.toUpperCase();
-  if (!/^[A-Z]\d{2,3}$/.test(t)) return false;
-  return new RegExp(`\\(\\s*${t}\\s*\\)`).test(fullText);
-}
-
-function isValidTypeDesignator(value, narrative = "", callsign = "") {
-  const t = norm(value).toUpperCase();
-  const cs = norm(callsign).toUpperCase();
-  const n = norm(narrative).toUpperCase();
-
-  if (!t) return false;
-  if (t === "EXPERIMENTAL") return true;
-  if (cs && t === cs) return false;
-  if (t.startsWith("RWY")) return false;
-  if (isAirportIdTokenInParens(t, n)) return false;
-
-  // ICAO-style: 2–4 chars, begins with a letter (A21N, E75L, B738, TBM7, B350)
-  if (!/^[A-Z][A-Z0-9]{1,3}$/.test(t)) return false;
-
-  // Avoid obvious non-type system tokens (short but common in narratives)
-  const bad = new Set(["FAA","FSS","IFR","VFR","CTAF","ALNOT","RNAV","SCT","ZDV","ZAN","ZSE","ZLA","ZMA","ZNY"]);
-  if (bad.has(t)) return false;
-
-  // Avoid tails as types
-  if (t.startsWith("N")) return false;
-
-  return true;
-}
-
-// -------------------- Extraction helpers --------------------
-
-function looksLikeNNumber(s) {
-  return isValidNNumber(s);
-}
-
-function pickPrimaryTail(field) {
-  const raw = norm(field);
-  if (!raw) return "";
-
-  const parts = raw.split(/[;,\s]+/)
-    .map(p => norm(p).toUpperCase())
-    .filter(Boolean);
-
-  const valid = parts.find(p => isValidNNumber(p));
-  return valid || "";
-}
-
-function extractNNumber(text) {
-  const T = norm(text).toUpperCase();
-  if (!T) return "";
-  const m = T.match(/\bN[1-9][0-9A-Z]{0,4}\b/);
-  return m ? m[0] : "";
-}
-
-function extractCallsign(text) {
-  const t = norm(text).toUpperCase();
-  if (!t) return "";
-
-  const patterns = [
-    /,\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\s*,/,      // ", TBIRD05,"
-    /\)\s*,\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\b/,   // "), TBIRD05"
-    /\(\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\s*\)/,    // "(TBIRD05)"
-    /^\(?([A-Z]{2,10}\d{1,4}[A-Z]?)\b/,        // leading token
-  ];
-
-  for (const re of patterns) {
-    const m = t.match(re);
-    if (m && isValidCallsign(m[1])) return m[1];
-  }
-
-  return "";
-}
-
-function extractAircraftDesignator(text, callsign = "") {
-  const U = norm(text).toUpperCase();
-  if (!U) return "";
-
-  // ----- Explicit manufacturer patterns -----
-
-  // CHAMPION 7GCBC
-  let m = U.match(/\bCHAMPION\s+([A-Z0-9-]{2,8})\b/);
-  if (m) return m[1];
-
-  // AMERICAN CHAMPION 8KCAB
-  m = U.match(/\bAMERICAN\s+CHAMPION\s+([A-Z0-9-]{2,8})\b/);
-  if (m) return m[1];
-
-  // BEECH N35
-  m = U.match(/\bBEECH\s+([A-Z0-9-]{2,8})\b/);
-  if (m) return m[1];
-
-  // EXTRA 300
-  m = U.match(/\bEXTRA\s+([A-Z0-9-]{2,8})\b/);
-  if (m) return m[1];
-
-  // Generic ICAO style (C172, PA31, B738, TBM7)
-  m = U.match(/\b([A-Z]{1,3}\d{2,4}[A-Z]?)\b/);
-  if (m) {
-    const candidate = m[1];
-
-    // Reject if looks like airport (1 letter + 2 digits like F70, A11)
-    if (/^[A-Z]\d{2}$/.test(candidate)) return "";
-
-    // Reject runway
-    if (/^RWY\d+/.test(candidate)) return "";
-
-    // Reject callsign duplication
-    if (candidate === callsign) return "";
-
-    return candidate;
-  }
-
-  // Experimental fallback
-  if (U.includes("EXPERIMENTAL")) return "EXPERIMENTAL";
-
-  return "";
-}
-
-function extractFieldFromNarrative(narr, label) {
-  const t = norm(narr);
-  if (!t) return "";
-  const re = new RegExp(`\\b${label}\\s*:\\s*([^\\.,\\n\\r]+)`, "i");
-  const m = t.match(re);
-  return m ? norm(m[1]) : "";
-}
-
-function extract80209FromNarrative(narr) {
-  const t = norm(narr).toLowerCase();
-  if (!t) return "";
-  if (t.includes("faa form 8020-9 was received")) return "Yes";
-  if (t.includes("faa form 8020-9 was not received")) return "No";
-  if (t.includes("form 8020-9 was received")) return "Yes";
-  if (t.includes("form 8020-9 was not received")) return "No";
-  return "";
-}
-
-function extractReportDateFromNarrative(narr) {
-  const t = norm(narr);
-  if (!t) return "";
-  const matches = [...t.matchAll(/\b(\d{1,2}\/\d{1,2}\/\d{4})\s+(\d{3,4})Z\b/g)];
-  if (!matches.length) return "";
-  const last = matches[matches.length - 1];
-  return last ? last[1] : "";
-}
-
-function inferPhaseFromNarrative(narr) {
-  const t = norm(narr).toLowerCase();
-  if (!t) return "";
-  const rules = [
-    ["Ground/Taxi", ["taxi", "tug", "ramp", "parked", "pushback"]],
-    ["Takeoff/Departure", ["takeoff", "depart", "departure", "rotation", "initial climb"]],
-    ["Climb", ["climb"]],
-    ["Cruise", ["cruise", "en route"]],
-    ["Descent", ["descent"]],
-    ["Landing/Approach", ["approach", "landing", "final", "touchdown", "go around", "go-around", "flare"]],
-  ];
-  for (const [phase, keys] of rules) {
-    if (keys.some(k => t.includes(k))) return phase;
-  }
-  return "";
-}
-
-function inferEventTypeFromNarrative(narr) {
-  const t = norm(narr).toLowerCase();
-  if (!t) return "";
-  const rules = [
-    ["Windshield crack", ["windshield", "crack in the windshield", "cracked windshield"]],
-    ["Gear-up landing", ["gear-up", "gear up"]],
-    ["Engine fire", ["engine fire", "fire warning", "smoke", "fire"]],
-    ["Hard landing", ["hard landing", "bounced", "bounce", "firm landing"]],
-    ["Tail strike", ["tail strike", "tailstrike"]],
-    ["Runway excursion", ["excursion", "ran off", "departed the runway", "veer off"]],
-    ["Bird strike", ["bird strike"]],
-    ["Accident/Crash", ["crashed", "impact", "wreckage", "downed aircraft"]],
-    ["Emergency return", ["declared an emergency", "requested it to return", "returned to"]],
-  ];
-  for (const [type, keys] of rules) {
-    if (keys.some(k => t.includes(k))) return type;
-  }
-  return "";
-}
-
-// -------------------- Time helpers --------------------
-// Important change: if state is unknown, return "" (hide local time) instead of viewer TZ.
-
-function tzForState(state) {
-  const s = (state || "").toUpperCase();
-
-  const map = {
-    AK: "America/Anchorage",
-    HI: "Pacific/Honolulu",
-    CA: "America/Los_Angeles",
-    OR: "America/Los_Angeles",
-    WA: "America/Los_Angeles",
-    NV: "America/Los_Angeles",
-    ID: "America/Denver",
-    UT: "America/Denver",
-    WY: "America/Denver",
-    CO: "America/Denver",
-    MT: "America/Denver",
-    AZ: "America/Phoenix",
-    NM: "America/Denver",
-    ND: "America/Chicago",
-    SD: "America/Chicago",
-    NE: "America/Chicago",
-    KS: "America/Chicago",
-    OK: "America/Chicago",
-    TX: "America/Chicago",
-    MN: "America/Chicago",
-    IA: "America/Chicago",
-    MO: "America/Chicago",
-    AR: "America/Chicago",
-    LA: "America/Chicago",
-    WI: "America/Chicago",
-    IL: "America/Chicago",
-    MS: "America/Chicago",
-    AL: "America/Chicago",
-    TN: "America/Chicago",
-    KY: "America/New_York",
-    IN: "America/Indiana/Indianapolis",
-    MI: "America/Detroit",
-    OH: "America/New_York",
-    GA: "America/New_York",
-    FL: "America/New_York",
-    SC: "America/New_York",
-    NC: "America/New_York",
-    VA: "America/New_York",
-    WV: "America/New_York",
-    PA: "America/New_York",
-    NY: "America/New_York",
-    NJ: "America/New_York",
-    DE: "America/New_York",
-    MD: "America/New_York",
-    DC: "America/New_York",
-    CT: "America/New_York",
-    RI: "America/New_York",
-    MA: "America/New_York",
-    VT: "America/New_York",
-    NH: "America/New_York",
-    ME: "America/New_York",
-  };
-
-  return map[s] || "";
-}
-
-function formatLocalFromISO(iso, state) {
-  const z = norm(iso);
-  if (!z) return "";
-  const d = new Date(z);
-  if (Number.isNaN(d.getTime())) return "";
-
-  const timeZone = tzForState(state);
-  if (!timeZone) return "";
-
-  const parts = new Intl.DateTimeFormat("en-US", {
-    timeZone,
-    hour: "numeric",
-    minute: "2-digit",
-    hour12: false,
-    timeZoneName: "short",
-  }).formatToParts(d);
-
-  const hh = parts.find(p => p.type === "hour")?.value ?? "";
-  const mm = parts.find(p => p.type === "minute")?.value ?? "";
-  const tz = parts.find(p => p.type === "timeZoneName")?.value ?? "";
-  return hh && mm ? `${hh}:${mm} ${tz}` : "";
-}
-
-// -------------------- JSON helpers --------------------
-
-function safeParseJsonArray(s) {
-  const raw = norm(s);
-  if (!raw) return [];
-  try {
-    const v = JSON.parse(raw);
-    return Array.isArray(v) ? v : [];
-  } catch {
-    return [];
-  }
-}
-
 // -------------------- UI blocks --------------------
 
 function buildLinksBlock(items) {
@@ -462,20 +169,77 @@ function getEventDate(it) {
   return null;
 }
 
+const DAYLIGHT_LABELS = { day: "Day", twilight: "Civil twilight", night: "Night" };
+
+// "YYYY-MM-DD" a row is filtered by: the event's UTC day (as the `date:` search term) or its
+// report_date, comparable with <input type="date"> values
+function basisDayKey(it, basis) {
+  return basis === "report" ? usDateToDayKey(it._reportDate) : eventDayKey(it);
+}
+
+function clockMinutes(value) {
+  const m = norm(value).match(/^(\d{1,2}):(\d{2})/);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+// Local time of the event; a range such as 22:00–05:00 wraps past midnight
+function matchesTimeOfDay(it, from, to) {
+  const t = it._localMinutes;
+  if (t === null || t === undefined) return false;
+  const a = clockMinutes(from) ?? 0;
+  const b = clockMinutes(to) ?? 24 * 60 - 1;
+  return a <= b ? t >= a && t <= b : t >= a || t <= b;
+}
+
+// "prompt": reported the same or the next day; a number: at least that many days late
+function matchesLateFilter(it, value) {
+  const lag = it._reportLagDays;
+  if (lag === null || lag === undefined) return false;
+  if (value === "prompt") return lag >= 0 && lag <= 1;
+  return lag >= Number(value);
+}
+
+const CATEGORY_LABELS = {
+  airplane: "Airplane", helicopter: "Helicopter", gyroplane: "Gyroplane", glider: "Glider",
+  balloon: "Balloon", ultralight: "Ultralight", paraglider: "Powered paraglider", unmanned: "Unmanned",
+};
+const WAKE_LABELS = { L: "light", M: "medium", H: "heavy", J: "super" };
+const TURBINE_ENGINES = ["jet", "turboprop", "turboshaft"];
+
+// "turbine" covers jets, turboprops and turboshafts; "turboprop" includes turboshafts
+function matchesEngineFilter(it, value) {
+  if (value === "turbine") return TURBINE_ENGINES.includes(it._engineType);
+  if (value === "turboprop") return it._engineType === "turboprop" || it._engineType === "turboshaft";
+  return it._engineType === value;
+}
+
+// "C172: Airplane, 1 × piston, light wake"
+function describeAircraftType(it) {
+  if (!it._typeCode) return "";
+  const engines = it._engineType ? `${it._engineCount ? `${it._engineCount} × ` : ""}${it._engineType}` : "";
+  const parts = [CATEGORY_LABELS[it._category], engines, it._wakeClass ? `${WAKE_LABELS[it._wakeClass]} wake` : ""];
+  return `${it._typeCode}: ${parts.filter(Boolean).join(", ")}`;
+}
+
 function populateYearMonthFilters(rows) {
   if (!els.year || !els.month) return;
 
+  // Keep the current selection when options are rebuilt (progressive loading)
+  const prevYear = els.year.value;
+  const prevMonth = els.month.value;
   els.year.length = 1;
   els.month.length = 1;
 
   const years = new Set();
   const months = new Set();
 
+  // Both bases, so the options stay valid whichever one "Dates by" selects
   for (const r of rows) {
-    const d = getEventDate(r);
-    if (!d) continue;
-    years.add(d.getFullYear());
-    months.add(d.getMonth());
+    for (const day of [basisDayKey(r, "event"), basisDayKey(r, "report")]) {
+      if (!day) continue;
+      years.add(Number(day.slice(0, 4)));
+      months.add(Number(day.slice(5, 7)) - 1);
+    }
   }
 
   [...years].sort((a,b) => b-a).forEach(y => {
@@ -491,134 +255,18 @@ function populateYearMonthFilters(rows) {
     opt.textContent = MONTHS[m];
     els.month.appendChild(opt);
   });
-}
-
-// -------------------- Normalize incident objects --------------------
-
-function toIncident(row) {
-  const state = getAny(row, ["state", "State"]);
-
-  const rawNarr = getAny(row, ["raw_narrative"]);
-  const narrFallback = getAny(row, ["narrative", "Narrative", "context_parens", "raw_text"]);
-  const narrative = rawNarr || narrFallback || "No narrative provided.";
-
-  // Schema fields (sanitized before use)
-  let callsign = getAny(row, ["callsign_primary", "aircraft_primary", "callsign"]);
-  callsign = isValidCallsign(callsign) ? callsign.toUpperCase() : "";
-  if (!callsign) callsign = extractCallsign(narrative);
-
-  let typeDesignator = getAny(row, ["aircraft_type_designator", "aircraft_type_desi", "aircraft_primary_model"]);
-  typeDesignator = isValidTypeDesignator(typeDesignator, narrative, callsign) ? typeDesignator.toUpperCase() : "";
-  if (!typeDesignator) typeDesignator = extractAircraftDesignator(narrative, callsign);
-
-  // Tail
-  let tailField = getAny(row, ["n_numbers", "tail_number", "tail", "n_number", "registration"]);
-  let tail = pickPrimaryTail(tailField);
-  if (!tail) tail = extractNNumber(narrative);
-
-  // if "n_numbers" actually contains a callsign-only value, don't lose it
-  if (!callsign && isValidCallsign(tailField)) {
-  callsign = norm(tailField).toUpperCase();
-}
-
-  // Display ID formatting
-  let displayId = "NONE";
-  if (callsign && tail) displayId = `${callsign} (${tail})`;
-  else if (callsign) displayId = callsign;
-  else if (tail) displayId = tail;
-
-  // Model/type for header
-  let model =
-  getAny(row, ["aircraft_primary_model", "aircraft_model", "model", "aircraft_type"]) ||
-  typeDesignator;
-
-  if (!model) model = extractAircraftDesignator(narrative, callsign);
-  if (model === "EPIC") model = "EPIC (E1000)";
-
-  // Other fields
-  let eventType = getAny(row, ["event_type", "Event type", "type"]);
-  let phase = getAny(row, ["phase", "Phase"]);
-  let reportDate = getAny(row, ["report_date", "Report"]);
-  let pob = getAny(row, ["pob", "POB"]);
-  let injuries = getAny(row, ["injuries", "Injuries"]);
-  let damage = getAny(row, ["damage", "Damage"]);
-  let form8020 = getAny(row, ["form_8020_9", "8020_9", "8020-9", "faa_form_8020_9"]);
-
-  if (!reportDate) reportDate = extractReportDateFromNarrative(narrative);
-  if (!pob) pob = extractFieldFromNarrative(narrative, "POB");
-  if (!injuries) injuries = extractFieldFromNarrative(narrative, "Injuries");
-  if (!damage) damage = extractFieldFromNarrative(narrative, "Damage");
-
-  const f8020 = extract80209FromNarrative(narrative);
-  if (!form8020 && f8020) form8020 = f8020;
-
-  if (!phase) phase = inferPhaseFromNarrative(narrative);
-  if (!eventType) eventType = inferEventTypeFromNarrative(narrative);
-
-  const city = getAny(row, ["city", "location", "loc_city"]);
-  const airport = getAny(row, ["airport_code", "airport"]);
-
-  const eventDate = getAny(row, ["event_date", "date", "Event date"]);
-  const eventTimeZ = getAny(row, ["event_time_z", "time_z", "Event time z"]);
-  const eventISO = getAny(row, ["event_datetime_z", "datetime_z", "event_datetime", "Event datetime z"]);
-
-  const sourcesJson = getAny(row, ["sources_json"]);
-  const mediaJson = getAny(row, ["media_json", "media_jason"]);
-
-  const aircraftImageUrl = getAny(row, ["aircraft_image_url"]);
-  const aircraftImageType = getAny(row, ["aircraft_image_type"]);
-
-  const localTime = formatLocalFromISO(eventISO, state);
-
-  const line2Left = [city || airport || "", state].filter(Boolean).join(", ");
-  const line2Right = [eventDate || "", eventTimeZ || "", localTime || ""].filter(Boolean);
-
-  const line2 = line2Right.length
-    ? `${line2Left} • ${line2Right[0]} (${line2Right.slice(1).join(" / ")})`
-    : (line2Left || "Unknown location • Unknown date");
-
-  const haystack = [
-    displayId, tail, callsign, model, typeDesignator,
-    city, state, airport, eventType, phase,
-    reportDate, pob, injuries, damage, form8020,
-    eventDate, eventTimeZ, narrative
-  ].join(" ").toLowerCase();
 
-  return {
-    ...row,
-    _state: state,
-    _tail: displayId,
-    _model: model || "Unknown type",
-    _callsign: callsign || "",
-    _typeDesignator: typeDesignator || "",
-    _city: city,
-    _airport: airport,
-    _eventType: eventType || "—",
-    _phase: phase || "—",
-    _reportDate: reportDate || "—",
-    _pob: pob || "Unknown",
-    _injuries: injuries || "Unknown",
-    _damage: damage || "Unknown",
-    _form8020: form8020 || "Unknown",
-    _eventDate: eventDate || "",
-    _eventTimeZ: eventTimeZ || "",
-    _eventISO: eventISO || "",
-    _localTime: localTime || "",
-    _line2: line2,
-    _narrative: narrative,
-    _haystack: haystack,
-    _sources: safeParseJsonArray(sourcesJson),
-    _media: safeParseJsonArray(mediaJson),
-    _aircraftImageUrl: aircraftImageUrl || "",
-    _aircraftImageType: (aircraftImageType || "").toLowerCase(),
-  };
+  els.year.value = prevYear;
+  els.month.value = prevMonth;
 }
 
 // -------------------- Dropdown helpers (MISSING in your pasted file) --------------------
 
+// values are strings, or [value, text] pairs when the option text differs
 function fillSelect(selectEl, values, allLabel) {
   if (!selectEl) return;
 
+  const prev = selectEl.value;
   selectEl.innerHTML = "";
   const optAll = document.createElement("option");
   optAll.value = "";
@@ -626,11 +274,48 @@ function fillSelect(selectEl, values, allLabel) {
   selectEl.appendChild(optAll);
 
   (values || []).forEach(v => {
+    const [value, text] = Array.isArray(v) ? v : [v, v];
     const opt = document.createElement("option");
-    opt.value = v;
-    opt.textContent = v;
+    opt.value = value;
+    opt.textContent = text;
     selectEl.appendChild(opt);
   });
+
+  // Keep the current selection when options are rebuilt (progressive loading)
+  if (prev && [...selectEl.options].some(o => o.value === prev)) selectEl.value = prev;
+}
+
+// Taxonomy options: each parent, then its children indented under it; only labels some
+// incident carries are listed
+function taxonomyOptions(field, labelLists) {
+  const present = new Set(labelLists.flat());
+  const options = [];
+  for (const parent of TAXONOMY[field]) {
+    const children = parent.children.filter(c => present.has(c));
+    if (!children.length && !present.has(parent.label)) continue;
+    options.push(parent.label);
+    for (const c of children) options.push([c, `\u00a0\u00a0${c}`]);
+  }
+  return options;
+}
+
+// A picked parent matches its own label and every child
+function matchesTaxonomy(labels, field, value) {
+  return labels.some(l => l === value || taxonomyParent(field, l) === value);
+}
+
+// "Fire › Engine fire"; a parent label on its own stays as is
+function taxonomyPath(field, label) {
+  const parent = taxonomyParent(field, label);
+  return parent && parent !== label ? `${parent} › ${label}` : label;
+}
+
+// Chart bucket: the parent of the first label, or the child label once that parent is picked
+function taxonomyBucket(labels, field, picked = "") {
+  if (picked && TAXONOMY[field].some(p => p.label === picked)) {
+    return labels.find(l => l !== picked && taxonomyParent(field, l) === picked) || picked;
+  }
+  return labels.length ? taxonomyParent(field, labels[0]) : "";
 }
 
 function uniqueSorted(arr) {
@@ -639,7 +324,8 @@ function uniqueSorted(arr) {
 
 // -------------------- Aircraft image helpers --------------------
 
-  function buildImageSearchLinks(idValue, model) {
+// idUrl/modelUrl: search links already in the CSV, used instead of building our own
+function buildImageSearchLinks(idValue, model, { idUrl = "", modelUrl = "" } = {}) {
   const links = [];
   const idv = norm(idValue);
   const m = norm(model);
@@ -647,37 +333,178 @@ function uniqueSorted(arr) {
   if (idv && !idv.toLowerCase().includes("unknown")) {
     links.push({
       label: `Search photos for ${idv} (actual)`,
-      url: `https://duckduckgo.com/?q=${encodeURIComponent(idv + " aircraft photo")}&iax=images&ia=images`,
+      url: idUrl || `https://duckduckgo.com/?q=${encodeURIComponent(idv + " aircraft photo")}&iax=images&ia=images`,
     });
   }
   if (m && !m.toLowerCase().includes("unknown") && m !== "—") {
     links.push({
       label: `Search photos for ${m} (generic type)`,
-      url: `https://duckduckgo.com/?q=${encodeURIComponent(m + " aircraft")}&iax=images&ia=images`,
+      url: modelUrl || `https://duckduckgo.com/?q=${encodeURIComponent(m + " aircraft")}&iax=images&ia=images`,
     });
   }
   return links;
 }
 
+// EXPERIMENTAL rule: hide images completely (even if CSV provides a link)
+function isExperimentalAircraft(it) {
+  const typeDes = (it._typeDesignator || "").toUpperCase();
+  const modelUp = (it._model || "").toUpperCase();
+  const narrUp = (it._narrative || "").toUpperCase();
+  return typeDes === "EXPERIMENTAL" || modelUp === "EXPERIMENTAL" || narrUp.includes("EXPERIMENTAL");
+}
+
+function matchesPhotoFilter(it, value) {
+  const verified = eventMembers(it).some(m => m._imageVerified && !isExperimentalAircraft(m));
+  return value === "verified" ? verified : !verified;
+}
+
+function imageSearchLinks(it) {
+  const reg = (it._aircraft && it._aircraft[0].tail) || it._callsign;
+  // Older exports only have aircraft_image_url, typed actual_search / generic_search
+  const legacy = isHttpUrl(it._aircraftImageUrl) ? it._aircraftImageUrl : "";
+  return buildImageSearchLinks(reg, it._typeDesignator || it._model, {
+    idUrl: it._imageVerified ? "" : (it._imageActualUrl || (it._aircraftImageType === "actual_search" ? legacy : "")),
+    modelUrl: it._imageGenericUrl || (it._aircraftImageType === "generic_search" ? legacy : ""),
+  });
+}
+
+function mkExternalLink(url, text) {
+  const a = document.createElement("a");
+  a.href = url;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  a.textContent = text;
+  return a;
+}
+
+function buildSearchLinkList(links) {
+  const ul = document.createElement("ul");
+  ul.className = "linkList";
+  for (const l of links) {
+    const li = document.createElement("li");
+    li.appendChild(mkExternalLink(l.url, l.label));
+    ul.appendChild(li);
+  }
+  return ul;
+}
+
+// Verified photo as a lazy thumbnail (or a link when the source is a photo page);
+// otherwise separate tail and type searches
+function buildImageBlock(it) {
+  const wrap = document.createElement("div");
+  const links = isExperimentalAircraft(it) ? [] : imageSearchLinks(it);
+
+  if (isExperimentalAircraft(it) || (!it._imageVerified && !links.length)) {
+    const none = document.createElement("div");
+    none.className = "noneText";
+    none.textContent = "None";
+    wrap.appendChild(none);
+    return wrap;
+  }
+
+  if (it._thumbnailUrl) {
+    const a = mkExternalLink(it._imageActualUrl, "");
+    a.className = "thumbLink";
+    const img = document.createElement("img");
+    img.className = "aircraftThumb";
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.alt = `Photo of ${it._tail}`;
+    img.referrerPolicy = "no-referrer";
+    img.src = it._thumbnailUrl;
+    // A dead image link falls back to the searches below
+    img.addEventListener("error", () => {
+      a.remove();
+      measureRenderedCards();
+    });
+    img.addEventListener("load", measureRenderedCards);
+    a.appendChild(img);
+    wrap.appendChild(a);
+  } else if (it._imageVerified) {
+    let host = "";
+    try { host = new URL(it._imageActualUrl).hostname.replace(/^www\./, ""); } catch {}
+    const p = document.createElement("div");
+    p.appendChild(mkExternalLink(it._imageActualUrl, `Verified photo${host ? ` on ${host}` : ""}`));
+    wrap.appendChild(p);
+  }
+
+  if (links.length) wrap.appendChild(buildSearchLinkList(links));
+  return wrap;
+}
+
 // -------------------- Render cards --------------------
 
-function render() {
-  if (!els.results) return;
+function buildAircraftList(aircraft) {
+  const ul = document.createElement("ul");
+  ul.className = "aircraftList";
+  for (const a of aircraft) {
+    const li = document.createElement("li");
+    const strong = document.createElement("strong");
+    strong.textContent = a.tail || a.callsign || "Unknown";
+    li.appendChild(strong);
+    const extra = [a.tail && a.callsign ? a.callsign : "", a.type].filter(Boolean).join(" • ");
+    if (extra) li.appendChild(document.createTextNode(` ${extra}`));
+    ul.appendChild(li);
+  }
+  return ul;
+}
 
-  els.results.innerHTML = "";
-  if (els.rowCount) els.rowCount.textContent = `Rows detected: ${FILTERED.length}`;
+// Sources/media lists of several rows, without repeating a URL
+function mergeLinks(lists) {
+  const seen = new Set();
+  return lists.flat().filter(l => {
+    const url = norm(l && l.url);
+    if (!url || seen.has(url)) return false;
+    seen.add(url);
+    return true;
+  });
+}
 
-  for (const it of FILTERED) {
+function buildCard(it) {
     const card = document.createElement("article");
     card.className = "card";
+    card.dataset.seq = String(it._seq);
+    if (EXPANDED.has(it._seq)) card.classList.add("expanded");
+    if (LINKED_SEQ === it._seq) card.classList.add("linked");
+
+    const members = eventMembers(it);
+    const aircraft = eventAircraft(it);
+    const worst = worstMember(it);
 
     const l1 = document.createElement("div");
     l1.className = "l1";
-    l1.textContent = `${it._tail} • ${it._model}`;
+    l1.appendChild(buildIdentityButtons(aircraft));
+    l1.appendChild(document.createTextNode(aircraft.length > 1 ? ` • ${aircraft.length} aircraft` : ` • ${it._typeName || it._model}`));
+
+    const badge = document.createElement("span");
+    badge.className = `sevBadge sev${worst._severity}`;
+    badge.textContent = worst._severityLabel;
+    badge.title = severityTitle(worst);
+    l1.appendChild(badge);
+
+    if (isNewEvent(it)) {
+      const fresh = document.createElement("span");
+      fresh.className = "newBadge";
+      fresh.textContent = "New";
+      fresh.title = "Not seen on your last visit";
+      l1.appendChild(fresh);
+    }
+
+    let reviewMarks = buildReviewMarks(it);
+    l1.appendChild(reviewMarks);
+
+    const permalink = document.createElement("a");
+    permalink.className = "permalink";
+    permalink.href = incidentLink(it);
+    permalink.title = "Link to this incident";
+    permalink.textContent = "Link";
+    l1.appendChild(permalink);
+    l1.appendChild(buildCompareButton(it));
 
     const l2 = document.createElement("div");
     l2.className = "l2";
     l2.textContent = it._line2;
+    if (it._localTimeEstimated) l2.title = `Local time estimated (${it._timeZone}): the airport's time zone is unknown and the state spans several zones`;
 
     const narrSection = document.createElement("div");
     narrSection.className = "narrSection";
@@ -692,72 +519,79 @@ function render() {
 
     const narrTextEl = document.createElement("div");
     narrTextEl.className = "narrTextBlock";
-    narrTextEl.textContent = it._narrative;
+    setHighlightedText(narrTextEl, it._narrative);
     narrText.appendChild(narrTextEl);
 
-    const sourcesBlock = buildLinksBlock(it._sources);
+    if (aircraft.length > 1) {
+      narrText.insertBefore(mkLabeledSection("Aircraft involved", buildAircraftList(aircraft)), narrLabel);
+
+      // The other members' narratives tell the same event from the other aircraft's side
+      const seen = new Set([norm(it._narrative).toLowerCase()]);
+      for (const m of members.slice(1)) {
+        const key = norm(m._narrative).toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const other = document.createElement("div");
+        other.className = "narrTextBlock";
+        setHighlightedText(other, m._narrative);
+        const section = mkLabeledSection(`Report for ${m._tail}`, other);
+        section.classList.add("onlyExpanded");
+        narrText.appendChild(section);
+      }
+    }
+
+    const sourcesBlock = buildLinksBlock(mergeLinks(members.map(m => m._sources)));
     const sourcesSection = mkLabeledSection("Sources", sourcesBlock);
     sourcesSection.classList.add("onlyExpanded");
     narrText.appendChild(sourcesSection);
 
-    const mediaBlock = buildLinksBlock(it._media);
+    const mediaBlock = buildLinksBlock(mergeLinks(members.map(m => m._media)));
     const mediaSection = mkLabeledSection("Media", mediaBlock);
     mediaSection.classList.add("onlyExpanded");
     narrText.appendChild(mediaSection);
 
-    // Aircraft Image (single link, labeled by type; hide for EXPERIMENTAL)
-// Aircraft Image (single link, labeled by type; hide for EXPERIMENTAL)
-const imgWrap = document.createElement("div");
-imgWrap.className = "onlyExpanded";
-
-const imgUrl = norm(it._aircraftImageUrl);
-const imgType = (it._aircraftImageType || "").toLowerCase();
-
-const typeDes = (it._typeDesignator || "").toUpperCase();
-const modelUp = (it._model || "").toUpperCase();
-const narrUp  = (it._narrative || "").toUpperCase();
-
-// EXPERIMENTAL rule: hide images completely (even if CSV provides a link)
-const isExperimental =
-  typeDes === "EXPERIMENTAL" ||
-  modelUp === "EXPERIMENTAL" ||
-  narrUp.includes("EXPERIMENTAL");
-
-if (isExperimental) {
-  const none = document.createElement("div");
-  none.className = "noneText";
-  none.textContent = "None";
-  imgWrap.appendChild(none);
-} else if (imgUrl) {
-  const a = document.createElement("a");
-  a.href = imgUrl;
-  a.target = "_blank";
-  a.rel = "noopener noreferrer";
-
-  let label = "Search photos";
-  if (imgType === "actual_search") label = "Search photos (tail)";
-  if (imgType === "generic_search") label = "Search photos (type)";
+    const investigationSection = mkLabeledSection("Investigation", buildInvestigationBlock(eventCases(it)));
+    investigationSection.classList.add("onlyExpanded");
+    narrText.appendChild(investigationSection);
 
-  a.textContent = label;
-  imgWrap.appendChild(a);
-} else {
-  const none = document.createElement("div");
-  none.className = "noneText";
-  none.textContent = "None";
-  imgWrap.appendChild(none);
-}
+    // Aircraft Image: the first member with a verified photo, else search links
+    const imgSection = mkLabeledSection("Aircraft Image", buildImageBlock(members.find(m => m._imageVerified) || it));
+    imgSection.classList.add("onlyExpanded");
+    narrText.appendChild(imgSection);
 
-const imgSection = mkLabeledSection("Aircraft Image", imgWrap);
-imgSection.classList.add("onlyExpanded");
-narrText.appendChild(imgSection);
+    // Ranking every other event is only worth it once the card is opened
+    const similarBlock = document.createElement("div");
+    const fillSimilar = () => {
+      if (!similarBlock.childElementCount) similarBlock.appendChild(buildSimilarBlock(it));
+    };
+    const similarSection = mkLabeledSection("Similar incidents", similarBlock);
+    similarSection.classList.add("onlyExpanded");
+    narrText.appendChild(similarSection);
+    if (card.classList.contains("expanded")) fillSimilar();
+
+    const reviewSection = mkLabeledSection("Review", buildAnnotationEditor(it, () => {
+      const next = buildReviewMarks(it);
+      reviewMarks.replaceWith(next);
+      reviewMarks = next;
+      measureRenderedCards();
+    }));
+    reviewSection.classList.add("onlyExpanded");
+    narrText.appendChild(reviewSection);
 
     const btn = document.createElement("button");
     btn.className = "expandBtn";
     btn.type = "button";
-    btn.textContent = "Expand";
+    btn.textContent = card.classList.contains("expanded") ? "Collapse" : "Expand";
     btn.addEventListener("click", () => {
       const expanded = card.classList.toggle("expanded");
       btn.textContent = expanded ? "Collapse" : "Expand";
+      if (expanded) {
+        EXPANDED.add(it._seq);
+        fillSimilar();
+      } else {
+        EXPANDED.delete(it._seq);
+      }
+      measureRenderedCards();
     });
 
     narrSection.appendChild(narrText);
@@ -769,9 +603,14 @@ narrText.appendChild(imgSection);
     const chips = document.createElement("div");
     chips.className = "chips";
 
-    const mkChip = (label, value) => {
+    const mkChip = (label, value, field) => {
       const span = document.createElement("span");
       span.className = "chip";
+      const src = field ? it._provenance[field] : "column";
+      if (src === "narrative" || src === "inferred") {
+        span.classList.add(src === "narrative" ? "fromNarrative" : "inferred");
+        span.title = src === "narrative" ? "Read from the narrative" : "Inferred from narrative keywords";
+      }
       const strong = document.createElement("strong");
       strong.textContent = `${label}:`;
       span.appendChild(strong);
@@ -779,140 +618,3450 @@ narrText.appendChild(imgSection);
       return span;
     };
 
-    chips.appendChild(mkChip("Report", it._reportDate));
-    chips.appendChild(mkChip("Phase", it._phase));
-    chips.appendChild(mkChip("Type", it._eventType));
-    chips.appendChild(mkChip("POB", it._pob));
-    chips.appendChild(mkChip("Injuries", it._injuries));
-    chips.appendChild(mkChip("Damage", it._damage));
-    chips.appendChild(mkChip("8020-9", it._form8020));
+    const lag = it._reportLagDays;
+    chips.appendChild(mkChip("Report", lag > 1 ? `${it._reportDate} (${lag} days after)` : it._reportDate, "reportDate"));
+    if (it._daylight) chips.appendChild(mkChip("Light", DAYLIGHT_LABELS[it._daylight]));
+    if (it._typeCode) chips.appendChild(mkChip("Aircraft", describeAircraftType(it)));
+    chips.appendChild(mkChip("Phase", it._phase, "phase"));
+    chips.appendChild(mkChip("Type", it._eventType, "eventType"));
+    chips.appendChild(mkChip("POB", it._pob, "pob"));
+    chips.appendChild(mkChip("Injuries", it._injuries, "injuries"));
+    chips.appendChild(mkChip("Damage", it._damage, "damage"));
+    chips.appendChild(mkChip("8020-9", it._form8020, "form8020"));
 
     metaLine.appendChild(chips);
 
+    const note = provenanceNote(it);
+    if (note) {
+      const sourceNote = document.createElement("div");
+      sourceNote.className = "sourceNote";
+      sourceNote.textContent = note;
+      metaLine.appendChild(sourceNote);
+    }
+
     card.appendChild(l1);
     card.appendChild(l2);
     card.appendChild(narrSection);
     card.appendChild(metaLine);
 
-    els.results.appendChild(card);
-  }
+    return card;
 }
 
-// -------------------- Filters --------------------
-
-function applyFilters() {
-  const q = els.search ? norm(els.search.value).toLowerCase() : "";
-  const st = els.state ? norm(els.state.value) : "";
-  const ev = els.event ? norm(els.event.value) : "";
-  const ph = els.phase ? norm(els.phase.value) : "";
-  const sort = els.sort ? norm(els.sort.value) : "newest";
+// -------------------- Virtualized result list --------------------
+// Only cards near the viewport are in the DOM. Heights are measured once a card
+// has been rendered and estimated before that; padding on #results stands in
+// for everything above and below the window.
 
-  const y = els.year ? norm(els.year.value) : "";
-  const m = els.month ? norm(els.month.value) : "";
+const CARD_GAP = 16;           // matches .results gap
+const CARD_ESTIMATE = 150;     // collapsed card height before measurement
+const OVERSCAN_PX = 800;
 
-  FILTERED = INCIDENTS.filter(it => {
-    if (st && it._state !== st) return false;
-    if (ev && it._eventType !== ev) return false;
-    if (ph && it._phase !== ph) return false;
-    if (q && !it._haystack.includes(q)) return false;
+const EXPANDED = new Set();    // _seq of expanded cards, survives scrolling and re-filtering
+let LINKED_SEQ = -1;           // card opened through #incident=<id>
+const CARD_HEIGHTS = new Map(); // `${_seq}:${expanded}` -> measured height
 
-    if (y || m) {
-      const d = getEventDate(it);
-      if (!d) return false;
-      if (y && d.getFullYear() !== Number(y)) return false;
-      if (m && d.getMonth() !== Number(m)) return false;
-    }
-    return true;
-  });
+let OFFSETS = [0];             // OFFSETS[i] = top of FILTERED[i]; last entry = total height
+let RENDERED = new Map();      // _seq -> card element currently in the DOM
+let windowRange = [0, 0];
+let windowFrame = 0;
 
-  const toDate = (it) => {
-    const d = getEventDate(it);
-    return d ? d.getTime() : 0;
-  };
+const heightKey = (it) => `${it._seq}:${EXPANDED.has(it._seq)}`;
 
-  FILTERED.sort((a,b) => {
-    const da = toDate(a);
-    const db = toDate(b);
-    return sort === "oldest" ? (da - db) : (db - da);
-  });
+function recomputeOffsets() {
+  OFFSETS = new Array(FILTERED.length + 1);
+  OFFSETS[0] = 0;
+  for (let i = 0; i < FILTERED.length; i++) {
+    const h = CARD_HEIGHTS.get(heightKey(FILTERED[i])) ?? CARD_ESTIMATE;
+    OFFSETS[i + 1] = OFFSETS[i] + h + CARD_GAP;
+  }
+}
 
-  render();
+// Index of the card covering pixel y (relative to the top of the list)
+function indexAtOffset(y) {
+  let lo = 0;
+  let hi = FILTERED.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (OFFSETS[mid + 1] <= y) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
 }
 
-// -------------------- Init --------------------
+function listTop() {
+  return els.results.getBoundingClientRect().top + window.scrollY;
+}
 
-async function init() {
-  try {
-    const csvUrl = new URL("./data/incidents.csv", window.location.href).toString();
-    const res = await fetch(csvUrl, { cache: "no-store" });
+function renderWindow() {
+  if (!els.results) return;
 
-    if (!res.ok) {
-      throw new Error(`Unable to load CSV (${res.status} ${res.statusText}) at ${csvUrl}`);
-    }
+  const top = window.scrollY - listTop();
+  const start = Math.max(0, indexAtOffset(top - OVERSCAN_PX));
+  const end = Math.min(FILTERED.length, indexAtOffset(top + window.innerHeight + OVERSCAN_PX) + 1);
+
+  const next = new Map();
+  const frag = document.createDocumentFragment();
+  for (let i = start; i < end; i++) {
+    const it = FILTERED[i];
+    const card = RENDERED.get(it._seq) || buildCard(it);
+    next.set(it._seq, card);
+    frag.appendChild(card);
+  }
 
-    const csvText = await res.text();
-    const rows = parseCsv(csvText).filter(r => r.length > 1);
+  els.results.replaceChildren(frag);
+  const total = OFFSETS[FILTERED.length];
+  els.results.style.paddingTop = `${OFFSETS[start]}px`;
+  els.results.style.paddingBottom = `${Math.max(0, total - OFFSETS[end]) + 40}px`;
 
-    if (!rows.length) throw new Error("CSV is empty");
+  RENDERED = next;
+  windowRange = [start, end];
+  measureRenderedCards();
+}
 
-    const headers = rows[0].map(h => norm(h));
-    const dataRows = rows.slice(1);
+// Record real heights; re-layout if any estimate was off.
+function measureRenderedCards() {
+  let changed = false;
+  for (let i = windowRange[0]; i < windowRange[1]; i++) {
+    const it = FILTERED[i];
+    const card = RENDERED.get(it._seq);
+    const h = card ? card.offsetHeight : 0;
+    if (!h) continue;
+    const key = heightKey(it);
+    if (CARD_HEIGHTS.get(key) !== h) {
+      CARD_HEIGHTS.set(key, h);
+      changed = true;
+    }
+  }
+  if (!changed) return;
 
-    const objects = dataRows.map(r => {
-      const obj = {};
-      headers.forEach((h, i) => (obj[h] = r[i] ?? ""));
-      return obj;
-    });
+  recomputeOffsets();
+  const [start, end] = windowRange;
+  els.results.style.paddingTop = `${OFFSETS[start]}px`;
+  els.results.style.paddingBottom = `${Math.max(0, OFFSETS[FILTERED.length] - OFFSETS[end]) + 40}px`;
+  scheduleWindow();
+}
 
-    INCIDENTS = objects
-  .map(toIncident)
-  .filter(it => {
-    // keep only real rows
-    const hasNarr = norm(it._narrative) && it._narrative !== "No narrative provided.";
-    const hasId = norm(it._callsign) || norm(it._tail) && it._tail !== "NONE";
-    const hasDate = norm(it._eventISO) || norm(it._eventDate);
-    return hasNarr || hasId || hasDate;
+function scheduleWindow() {
+  if (windowFrame) return;
+  windowFrame = requestAnimationFrame(() => {
+    windowFrame = 0;
+    renderWindow();
   });
+}
 
-    populateYearMonthFilters(INCIDENTS);
-    fillSelect(els.state, uniqueSorted(INCIDENTS.map(x => x._state)), "All states");
-    fillSelect(els.event, uniqueSorted(INCIDENTS.map(x => x._eventType)), "All event types");
-    fillSelect(els.phase, uniqueSorted(INCIDENTS.map(x => x._phase)), "All phases");
-
-    if (els.search) els.search.addEventListener("input", applyFilters);
-    [els.state, els.event, els.phase, els.sort, els.year, els.month]
-      .filter(Boolean)
-      .forEach(el => el.addEventListener("change", applyFilters));
+function render() {
+  if (!els.results) return;
 
-    if (els.status) els.status.textContent = "Loaded OK (narrative column: raw_narrative)";
-    if (els.rowCount) els.rowCount.textContent = `Rows detected: ${INCIDENTS.length}`;
+  if (els.rowCount) els.rowCount.textContent = `Rows detected: ${FILTERED.length}`;
 
-    FILTERED = [...INCIDENTS];
-    applyFilters();
-  } catch (e) {
-    console.error(e);
-    if (els.status) els.status.textContent = `Load error: ${e.message || e}`;
-  }
+  // Incidents may have been replaced (progressive load), so rebuild cards from scratch
+  RENDERED = new Map();
+  recomputeOffsets();
+  renderWindow();
 }
 
-// -------------------- Download filtered CSV --------------------
+window.addEventListener("scroll", scheduleWindow, { passive: true });
+window.addEventListener("resize", () => {
+  // Width changes reflow every card; drop stale measurements
+  CARD_HEIGHTS.clear();
+  recomputeOffsets();
+  scheduleWindow();
+});
+
+// -------------------- Search query language --------------------
+// Grammar (case-insensitive except the OR keyword):
+//   query  := or
+//   or     := and ("OR" and)*
+//   and    := unary+                      (implicit AND)
+//   unary  := "-" unary | "(" or ")" | term
+//   term   := field ":" value | value     value = word | "quoted phrase"
+// Numeric fields take 5, >5, >=5, <5, <=5 or 5..10; date fields take
+// YYYY, YYYY-MM or YYYY-MM-DD, optionally as a range (2025-01..2025-06) or with >/<.
+
+const QUERY_TEXT_FIELDS = {
+  state: it => [it._state],
+  type: it => [it._typeDesignator, it._model, it._typeCode, it._typeName],
+  phase: it => [it._phase, ...it._phaseLabels.map(l => taxonomyPath("phase", l))],
+  event: it => [it._eventType, ...it._eventLabels.map(l => taxonomyPath("eventType", l))],
+  tag: it => annotationTags(it),
+  note: it => [annotationFor(it) ? annotationFor(it).note : ""],
+  damage: it => [it._damage],
+  injuries: it => [it._injuries],
+  tail: it => [it._tail],
+  callsign: it => [it._callsign],
+  city: it => [it._city],
+  airport: it => [it._airport],
+  form: it => [it._form8020],
+  ntsb: it => [it._ntsbCaseId],
+  narrative: it => [it._narrative],
+};
 
-function csvEscape(value) {
-  const s = (value ?? "").toString();
-  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
+// Exact-match fields (everything else matches on substring)
+const QUERY_EXACT_FIELDS = new Set(["state", "airport"]);
 
-function buildCsvFromObjects(objs) {
-  if (!objs || !objs.length) return "";
-  const cols = Object.keys(objs[0]).filter(k => !k.startsWith("_"));
-  const headerLine = cols.map(csvEscape).join(",");
-  const lines = objs.map(o => cols.map(c => csvEscape(o[c])).join(","));
-  return [headerLine, ...lines].join("\n");
+const QUERY_NUMBER_FIELDS = {
+  pob: it => parseInt(it._pob, 10),
+  fatal: it => it._injuryCounts.fatal,
+  serious: it => it._injuryCounts.serious,
+  minor: it => it._injuryCounts.minor,
+};
+
+const QUERY_DATE_FIELDS = {
+  date: it => eventDayKey(it),
+  report: it => usDateToDayKey(it._reportDate),
+};
+
+class QueryError extends Error {}
+
+function usDateToDayKey(s) {
+  const m = norm(s).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!m) return "";
+  return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+}
+
+// "YYYY-MM-DD" of the event (UTC date from the ISO timestamp, else the CSV date)
+function eventDayKey(it) {
+  if (it._eventISO && /^\d{4}-\d{2}-\d{2}/.test(it._eventISO)) return it._eventISO.slice(0, 10);
+  return usDateToDayKey(it._eventDate);
+}
+
+function isQueryField(name) {
+  return Object.hasOwn(QUERY_TEXT_FIELDS, name) || Object.hasOwn(QUERY_NUMBER_FIELDS, name) ||
+    Object.hasOwn(QUERY_DATE_FIELDS, name);
+}
+
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = () => {
+    const close = input.indexOf('"', i + 1);
+    if (close < 0) throw new QueryError("Unclosed quote");
+    const v = input.slice(i + 1, close);
+    i = close + 1;
+    return v;
+  };
+
+  while (i < input.length) {
+    const c = input[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "(") { tokens.push({ t: "lparen" }); i++; continue; }
+    if (c === ")") { tokens.push({ t: "rparen" }); i++; continue; }
+    if (c === "-" && (i === 0 || /[\s(]/.test(input[i - 1]))) { tokens.push({ t: "not" }); i++; continue; }
+    if (c === '"') { tokens.push({ t: "word", v: readQuoted(), quoted: true }); continue; }
+
+    // Only known field names start a field term; "10:30" or "https://…" are plain words
+    const field = input.slice(i).match(/^([a-z0-9]+):/i);
+    if (field && isQueryField(field[1].toLowerCase())) {
+      i += field[0].length;
+      let v = "";
+      let quoted = false;
+      if (input[i] === '"') { v = readQuoted(); quoted = true; }
+      else {
+        const m = input.slice(i).match(/^[^\s()]*/);
+        v = m[0];
+        i += v.length;
+      }
+      if (!v) throw new QueryError(`Missing value after "${field[1]}:"`);
+      tokens.push({ t: "field", f: field[1].toLowerCase(), v, quoted });
+      continue;
+    }
+
+    const m = input.slice(i).match(/^[^\s()"]+/);
+    i += m[0].length;
+    tokens.push(m[0] === "OR" ? { t: "or" } : { t: "word", v: m[0], quoted: false });
+  }
+  return tokens;
+}
+
+function parseNumberRange(v, field) {
+  let m = v.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (m) {
+    const n = Number(m[2]);
+    const op = m[1] || "=";
+    if (op === ">") return x => x > n;
+    if (op === ">=") return x => x >= n;
+    if (op === "<") return x => x < n;
+    if (op === "<=") return x => x <= n;
+    return x => x === n;
+  }
+  m = v.match(/^(\d+(?:\.\d+)?)?\.\.(\d+(?:\.\d+)?)?$/);
+  if (m && (m[1] || m[2])) {
+    const lo = m[1] ? Number(m[1]) : -Infinity;
+    const hi = m[2] ? Number(m[2]) : Infinity;
+    return x => x >= lo && x <= hi;
+  }
+  throw new QueryError(`${field}: expects a number, >n, <n or a range like 5..10`);
+}
+
+const DATE_PART_RE = /^\d{4}(-\d{1,2}(-\d{1,2})?)?$/;
+
+// Partial dates expand to the first/last day they cover, as sortable "YYYY-MM-DD" keys
+function dateBound(s, upper) {
+  const [y, mo, d] = s.split("-");
+  const mm = mo ? mo.padStart(2, "0") : (upper ? "12" : "01");
+  const dd = d ? d.padStart(2, "0") : (upper ? "31" : "01");
+  return `${y}-${mm}-${dd}`;
+}
+
+function parseDateRange(v, field) {
+  let m = v.match(/^(>=|<=|>|<)?(.+)$/);
+  if (m && DATE_PART_RE.test(m[2])) {
+    const lo = dateBound(m[2], false);
+    const hi = dateBound(m[2], true);
+    if (m[1] === ">") return k => k > hi;
+    if (m[1] === ">=") return k => k >= lo;
+    if (m[1] === "<") return k => k < lo;
+    if (m[1] === "<=") return k => k <= hi;
+    return k => k >= lo && k <= hi;
+  }
+  m = v.match(/^([^.]*)\.\.([^.]*)$/);
+  if (m && (m[1] || m[2]) && (!m[1] || DATE_PART_RE.test(m[1])) && (!m[2] || DATE_PART_RE.test(m[2]))) {
+    const lo = m[1] ? dateBound(m[1], false) : "";
+    const hi = m[2] ? dateBound(m[2], true) : "9999";
+    return k => k >= lo && k <= hi;
+  }
+  throw new QueryError(`${field}: expects a date like 2025, 2025-03, 2025-03-14 or 2025-01..2025-06`);
+}
+
+function compileFieldTerm(tok) {
+  const { f, v } = tok;
+
+  if (QUERY_NUMBER_FIELDS[f]) {
+    const get = QUERY_NUMBER_FIELDS[f];
+    const test = parseNumberRange(v, f);
+    return it => {
+      const n = get(it);
+      return !Number.isNaN(n) && test(n);
+    };
+  }
+
+  if (QUERY_DATE_FIELDS[f]) {
+    const get = QUERY_DATE_FIELDS[f];
+    const test = parseDateRange(v, f);
+    return it => {
+      const k = get(it);
+      return !!k && test(k);
+    };
+  }
+
+  if (QUERY_TEXT_FIELDS[f]) {
+    const get = QUERY_TEXT_FIELDS[f];
+    const needle = v.toLowerCase();
+    const exact = QUERY_EXACT_FIELDS.has(f);
+    return it => get(it).some(x => {
+      const hay = norm(x).toLowerCase();
+      return exact ? hay === needle : hay.includes(needle);
+    });
+  }
+
+  const known = [...Object.keys(QUERY_TEXT_FIELDS), ...Object.keys(QUERY_NUMBER_FIELDS), ...Object.keys(QUERY_DATE_FIELDS)];
+  throw new QueryError(`Unknown field "${f}:" (try ${known.join(", ")})`);
+}
+
+// Returns { fn, terms }: the compiled predicate plus the positive free-text terms (for ranking)
+function parseQueryTokens(tokens) {
+  let pos = 0;
+  const terms = [];
+  const peek = () => tokens[pos];
+
+  const parseOr = (negated = false) => {
+    const items = [parseAnd(negated)];
+    while (peek() && peek().t === "or") {
+      pos++;
+      if (!peek() || peek().t === "or" || peek().t === "rparen") throw new QueryError("OR needs a term on both sides");
+      items.push(parseAnd(negated));
+    }
+    return items.length === 1 ? items[0] : it => items.some(fn => fn(it));
+  };
+
+  const parseAnd = (negated) => {
+    const items = [];
+    while (peek() && peek().t !== "or" && peek().t !== "rparen") items.push(parseUnary(negated));
+    if (!items.length) throw new QueryError(peek() && peek().t === "or" ? "OR needs a term on both sides" : "Empty group");
+    return items.length === 1 ? items[0] : it => items.every(fn => fn(it));
+  };
+
+  const parseUnary = (negated = false) => {
+    const tok = tokens[pos++];
+    if (tok.t === "not") {
+      if (!peek() || peek().t === "or" || peek().t === "rparen") throw new QueryError("\"-\" must be followed by a term");
+      const inner = parseUnary(!negated);
+      return it => !inner(it);
+    }
+    if (tok.t === "lparen") {
+      const inner = parseOr(negated);
+      if (!peek() || peek().t !== "rparen") throw new QueryError("Missing closing parenthesis");
+      pos++;
+      return inner;
+    }
+    if (tok.t === "rparen") throw new QueryError("Unexpected \")\"");
+    if (tok.t === "field") return compileFieldTerm(tok);
+
+    if (!negated) terms.push({ needle: tok.v.toLowerCase(), quoted: tok.quoted });
+    return textTermPredicate(tok.v, tok.quoted);
+  };
+
+  const fn = parseOr();
+  if (pos < tokens.length) throw new QueryError("Unexpected \")\"");
+  return { fn, terms };
+}
+
+let lastQuery = { text: null, match: null, terms: [], error: "", indexVersion: 0 };
+
+/** Parses the search box text into { match(it) => bool | null, terms, error }. Results are memoized. */
+function parseSearchQuery(text) {
+  // Term predicates capture the index they were built against
+  const indexVersion = SEARCH_INDEX ? SEARCH_INDEX.version : 0;
+  if (text === lastQuery.text && indexVersion === lastQuery.indexVersion) return lastQuery;
+
+  let match = null;
+  let terms = [];
+  let error = "";
+  if (text) {
+    try {
+      const tokens = tokenizeQuery(text);
+      if (tokens.length) ({ fn: match, terms } = parseQueryTokens(tokens));
+    } catch (e) {
+      if (!(e instanceof QueryError)) throw e;
+      error = e.message;
+      // Keep the old behaviour while the query is malformed: plain substring match
+      const needle = text.toLowerCase();
+      match = it => it._haystack.includes(needle);
+    }
+  }
+
+  lastQuery = { text, match, terms, error, indexVersion: SEARCH_INDEX ? SEARCH_INDEX.version : 0 };
+  return lastQuery;
+}
+
+function showSearchError(message) {
+  if (!els.searchError) return;
+  els.searchError.textContent = message ? `Query error: ${message}. Showing plain text matches.` : "";
+  els.searchError.hidden = !message;
+}
+
+// -------------------- Search index & ranking --------------------
+// Inverted index over the fields people actually search by, built lazily and
+// thrown away whenever INCIDENTS changes. Free-text query terms match through
+// it (exact, prefix or typo-tolerant) and drive the relevance score.
+
+const INDEX_FIELDS = [
+  [it => it._narrative, 1],
+  [it => it._city, 3],
+  [it => it._airport, 4],
+  [it => it._tail, 4],
+  [it => it._callsign, 4],
+  [it => it._model, 3],
+  [it => it._typeDesignator, 3],
+];
+
+// Expansion weights: how much a prefix/typo match counts relative to an exact one
+const MATCH_WEIGHT = { exact: 1, prefix: 0.7, typo1: 0.6, typo2: 0.4 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+let SEARCH_INDEX = null;
+let searchIndexVersion = 0;
+
+function invalidateSearchIndex() {
+  SEARCH_INDEX = null;
+}
+
+// Accents and the Hawaiian ʻokina are folded away so "Kauai" finds "Kauaʻi"
+function indexTokens(text) {
+  const folded = norm(text).normalize("NFKD").replace(/[\u0300-\u036f\u02BB]/g, "");
+  return folded.toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function ensureSearchIndex() {
+  if (SEARCH_INDEX) return SEARCH_INDEX;
+
+  const postings = new Map(); // term -> Map(_seq -> weighted term frequency)
+  const docLen = new Map();
+  let totalLen = 0;
+
+  for (const it of INCIDENTS) {
+    let len = 0;
+    for (const [get, weight] of INDEX_FIELDS) {
+      for (const tok of indexTokens(get(it))) {
+        let p = postings.get(tok);
+        if (!p) postings.set(tok, (p = new Map()));
+        p.set(it._seq, (p.get(it._seq) || 0) + weight);
+        len++;
+      }
+    }
+    docLen.set(it._seq, len);
+    totalLen += len;
+  }
+
+  SEARCH_INDEX = {
+    postings,
+    docLen,
+    avgLen: INCIDENTS.length ? totalLen / INCIDENTS.length : 1,
+    docCount: INCIDENTS.length,
+    vocab: [...postings.keys()],
+    expansions: new Map(),
+    version: ++searchIndexVersion,
+  };
+  return SEARCH_INDEX;
+}
+
+// Optimal string alignment distance, giving up once it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Index terms a query token can stand for, with their match weight. Memoized per index. */
+function expandTerm(index, tok) {
+  const cached = index.expansions.get(tok);
+  if (cached) return cached;
+
+  const out = new Map();
+  if (index.postings.has(tok)) out.set(tok, MATCH_WEIGHT.exact);
+
+  const maxTypos = tok.length >= 8 ? 2 : tok.length >= 4 ? 1 : 0;
+  for (const v of index.vocab) {
+    if (v === tok) continue;
+    if (tok.length >= 3 && v.startsWith(tok)) { out.set(v, MATCH_WEIGHT.prefix); continue; }
+    if (!maxTypos) continue;
+    const d = editDistance(tok, v, maxTypos);
+    if (d <= maxTypos) out.set(v, d === 1 ? MATCH_WEIGHT.typo1 : MATCH_WEIGHT.typo2);
+  }
+
+  index.expansions.set(tok, out);
+  return out;
+}
+
+function docsForToken(index, tok) {
+  const docs = new Set();
+  for (const term of expandTerm(index, tok).keys()) {
+    for (const seq of index.postings.get(term).keys()) docs.add(seq);
+  }
+  return docs;
+}
+
+/** Predicate for a free-text query term: substring of the haystack or an index match. */
+function textTermPredicate(raw, quoted) {
+  const needle = raw.toLowerCase();
+  const toks = quoted ? [] : indexTokens(needle);
+  if (!toks.length) return it => it._haystack.includes(needle);
+
+  const index = ensureSearchIndex();
+  const sets = toks.map(t => docsForToken(index, t));
+  return it => it._haystack.includes(needle) || sets.every(s => s.has(it._seq));
+}
+
+function relevanceScore(it, terms) {
+  const index = ensureSearchIndex();
+  const len = index.docLen.get(it._seq) || 0;
+  const norm25 = BM25_K1 * (1 - BM25_B + BM25_B * len / index.avgLen);
+  let score = 0;
+
+  for (const term of terms) {
+    if (term.quoted) {
+      if (it._narrative.toLowerCase().includes(term.needle)) score += 2;
+      continue;
+    }
+    for (const tok of indexTokens(term.needle)) {
+      let best = 0;
+      for (const [v, weight] of expandTerm(index, tok)) {
+        const tf = index.postings.get(v).get(it._seq);
+        if (!tf) continue;
+        const df = index.postings.get(v).size;
+        const idf = Math.log(1 + (index.docCount - df + 0.5) / (df + 0.5));
+        best = Math.max(best, weight * idf * (tf * (BM25_K1 + 1)) / (tf + norm25));
+      }
+      score += best;
+    }
+  }
+  return score;
+}
+
+// Whole-word regex for every index term (and quoted phrase) the query matched
+function buildHighlighter(terms) {
+  if (!terms.length) return null;
+  const index = ensureSearchIndex();
+  const alts = new Set();
+  for (const term of terms) {
+    if (term.quoted) { alts.add(term.needle); continue; }
+    for (const tok of indexTokens(term.needle)) {
+      // Two-letter fragments ("up" in gear-up) would light up half the narrative
+      if (tok.length < 3) continue;
+      for (const v of expandTerm(index, tok).keys()) alts.add(v);
+    }
+  }
+  if (!alts.size) return null;
+  const escaped = [...alts]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, 200)
+    .map(s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`\\b(?:${escaped.join("|")})\\b`, "gi");
+}
+
+let HIGHLIGHT_RE = null;
+
+function setHighlightedText(el, text) {
+  if (!HIGHLIGHT_RE) { el.textContent = text; return; }
+  let last = 0;
+  HIGHLIGHT_RE.lastIndex = 0;
+  for (const m of text.matchAll(HIGHLIGHT_RE)) {
+    if (m.index > last) el.appendChild(document.createTextNode(text.slice(last, m.index)));
+    const mark = document.createElement("mark");
+    mark.className = "hit";
+    mark.textContent = m[0];
+    el.appendChild(mark);
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) el.appendChild(document.createTextNode(text.slice(last)));
+}
+
+// -------------------- Severity filters --------------------
+
+function matchesInjuryFilter(it, value) {
+  const c = it._injuryCounts;
+  if (value === "fatal") return c.fatal > 0;
+  if (value === "serious") return c.fatal > 0 || c.serious > 0;
+  if (value === "any") return c.fatal > 0 || c.serious > 0 || c.minor > 0;
+  // Injuries must be reported as none; known damage says nothing about the people on board
+  if (value === "none") return (c.none > 0 || /^none$/i.test(it._injuries)) && !c.fatal && !c.serious && !c.minor && !c.unknown;
+  return true;
+}
+
+// Damage filter values are DAMAGE_SCALE labels meaning "at least", plus "fire" for any fire
+function matchesDamageFilter(it, value) {
+  if (value === "fire") return it._damageFire;
+  const min = DAMAGE_SCALE.indexOf(value);
+  return min < 0 || it._damageRank >= min;
+}
+
+// Worst first when used descending: overall level, then casualties, then damage
+function compareSeverity(a, b) {
+  return (a._severity - b._severity) ||
+    (a._injuryCounts.fatal - b._injuryCounts.fatal) ||
+    (a._injuryCounts.serious - b._injuryCounts.serious) ||
+    (a._damageRank - b._damageRank) ||
+    (a._injuryCounts.minor - b._injuryCounts.minor);
+}
+
+function severityTitle(it) {
+  const c = it._injuryCounts;
+  const inj = ["fatal", "serious", "minor"].filter(k => c[k]).map(k => `${c[k]} ${k}`).join(", ");
+  return `Injuries: ${inj || it._injuries} • Damage: ${it._damageClass}${it._damageFire && it._damageClass !== "Fire" ? " (fire)" : ""}`;
+}
+
+// -------------------- Multi-aircraft events --------------------
+// Rows sharing a _groupKey (see toIncident) describe one event from each aircraft's side.
+// The list shows one card per event, led by the member loaded first; filters keep the
+// event when any member matches.
+
+const GROUPS = new Map(); // _groupKey -> members in load order
+
+function rebuildGroups() {
+  GROUPS.clear();
+  for (const it of INCIDENTS) {
+    if (!it._groupKey) continue;
+    const members = GROUPS.get(it._groupKey);
+    if (members) members.push(it);
+    else GROUPS.set(it._groupKey, [it]);
+  }
+  for (const members of GROUPS.values()) members.sort((a, b) => a._seq - b._seq);
+}
+
+function eventMembers(it) {
+  return (it._groupKey && GROUPS.get(it._groupKey)) || [it];
+}
+
+// Every aircraft in the event, once per registration (or callsign when there is none)
+function eventAircraft(it) {
+  const byKey = new Map();
+  for (const m of eventMembers(it)) {
+    for (const a of m._aircraft) {
+      const k = a.tail || a.callsign || `#${m._seq}`;
+      const prev = byKey.get(k);
+      if (!prev) {
+        byKey.set(k, { ...a });
+      } else {
+        prev.callsign = prev.callsign || a.callsign;
+        prev.type = prev.type || a.type;
+      }
+    }
+  }
+  return [...byKey.values()];
+}
+
+function matchesMultiFilter(it, value) {
+  const multi = eventAircraft(it).length > 1;
+  return value === "yes" ? multi : !multi;
+}
+
+// One entry per event, at the position of its best-placed member
+function collapseGroups(rows) {
+  const seen = new Set();
+  const out = [];
+  for (const it of rows) {
+    if (!it._groupKey) {
+      out.push(it);
+      continue;
+    }
+    if (seen.has(it._groupKey)) continue;
+    seen.add(it._groupKey);
+    out.push(eventMembers(it)[0]);
+  }
+  return out;
+}
+
+function worstMember(it) {
+  return eventMembers(it).reduce((w, m) => compareSeverity(m, w) > 0 ? m : w);
+}
+
+// -------------------- NTSB investigations --------------------
+// ntsb_case_id / ntsb_pdf_url, per event: a multi-aircraft event has a case when any member does.
+
+const NTSB_OFFICES = { ANC: "Alaska", WPR: "Western Pacific", CEN: "Central", ERA: "Eastern", DCA: "Major investigations" };
+const NTSB_SCOPES = { F: "field", L: "limited", M: "major" };
+
+function eventCases(it) {
+  const cases = new Map();
+  for (const m of eventMembers(it)) {
+    if (!m._ntsbCaseId) continue;
+    const prev = cases.get(m._ntsbCaseId);
+    if (!prev) cases.set(m._ntsbCaseId, { id: m._ntsbCaseId, pdf: m._ntsbPdfUrl });
+    else if (!prev.pdf) prev.pdf = m._ntsbPdfUrl;
+  }
+  return [...cases.values()];
+}
+
+function matchesNtsbFilter(it, value) {
+  const has = eventCases(it).length > 0;
+  return value === "yes" ? has : !has;
+}
+
+// "WPR25FA277" -> "Western Pacific office, 2025, field accident investigation"
+function describeNtsbCase(id) {
+  const m = id.match(/^([A-Z]{3})(\d{2})([A-Z])([A-Z])/);
+  if (!m) return "";
+  const office = NTSB_OFFICES[m[1]] ? `${NTSB_OFFICES[m[1]]} office` : `${m[1]} office`;
+  const kind = m[4] === "A" ? "accident" : m[4] === "I" ? "incident" : "";
+  const scope = NTSB_SCOPES[m[3]] || "";
+  return [office, `20${m[2]}`, [scope, kind, "investigation"].filter(Boolean).join(" ")].join(", ");
+}
+
+function ntsbDocketUrl(id) {
+  return `https://data.ntsb.gov/Docket/?NTSBNumber=${encodeURIComponent(id)}`;
+}
+
+function buildInvestigationBlock(cases) {
+  const wrap = document.createElement("div");
+  wrap.className = "linksBlock";
+
+  if (!cases.length) {
+    const none = document.createElement("div");
+    none.className = "noneText";
+    none.textContent = "No NTSB case yet";
+    wrap.appendChild(none);
+    return wrap;
+  }
+
+  const ul = document.createElement("ul");
+  ul.className = "linkList";
+  for (const c of cases) {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.href = ntsbDocketUrl(c.id);
+    a.target = "_blank";
+    a.rel = "noopener noreferrer";
+    a.textContent = c.id;
+    li.appendChild(a);
+
+    const desc = describeNtsbCase(c.id);
+    if (desc) {
+      const meta = document.createElement("span");
+      meta.className = "linkMeta";
+      meta.textContent = ` — ${desc}`;
+      li.appendChild(meta);
+    }
+
+    if (c.pdf) {
+      li.appendChild(document.createTextNode(" • "));
+      const pdf = document.createElement("a");
+      pdf.href = c.pdf;
+      pdf.target = "_blank";
+      pdf.rel = "noopener noreferrer";
+      pdf.textContent = "Report (PDF)";
+      li.appendChild(pdf);
+    }
+    ul.appendChild(li);
+  }
+  wrap.appendChild(ul);
+  return wrap;
+}
+
+function renderNtsbSummary() {
+  if (!els.ntsbSummary) return;
+  const total = FILTERED.length;
+  const withCase = FILTERED.filter(it => eventCases(it).length > 0).length;
+  const pct = total ? Math.round(withCase / total * 1000) / 10 : 0;
+  els.ntsbSummary.textContent = `NTSB cases: ${withCase} of ${total} (${pct}%)`;
+  els.ntsbSummary.title = "Share of the listed events with an NTSB investigation";
+}
+
+// -------------------- Filters --------------------
+
+// Control values keyed by URL parameter (month stays 0-based, as in its <select>)
+function currentFilterValues() {
+  const values = {};
+  for (const f of URL_FILTERS) values[f.param] = els[f.el] ? norm(els[f.el].value) : "";
+  return values;
+}
+
+// Row predicate for a set of filter values; the map area and sort order are applied separately
+function buildRowFilter(values, query = parseSearchQuery(values.q || "")) {
+  const { state: st, event: ev, phase: ph, injury: inj, damage: dmg, multi, ntsb, photo, year: y, month: m } = values;
+  const { basis, tfrom, tto, light, late, category, engine, fleet, review, tag } = values;
+  const fresh = values.new;
+  // A reversed range is read the right way round
+  const [from, to] = values.from && values.to && values.from > values.to
+    ? [values.to, values.from]
+    : [values.from, values.to];
+
+  return (it) => {
+    if (st && it._state !== st) return false;
+    if (ev && !matchesTaxonomy(it._eventLabels, "eventType", ev)) return false;
+    if (ph && !matchesTaxonomy(it._phaseLabels, "phase", ph)) return false;
+    if (inj && !matchesInjuryFilter(it, inj)) return false;
+    if (dmg && !matchesDamageFilter(it, dmg)) return false;
+    if (multi && !matchesMultiFilter(it, multi)) return false;
+    if (ntsb && !matchesNtsbFilter(it, ntsb)) return false;
+    if (photo && !matchesPhotoFilter(it, photo)) return false;
+    if (category && it._category !== category) return false;
+    if (engine && !matchesEngineFilter(it, engine)) return false;
+    if (review && reviewStatus(it) !== review) return false;
+    if (tag && !annotationTags(it).includes(tag)) return false;
+    if (fleet && it._fleet !== fleet) return false;
+    if (fresh && !matchesNewFilter(it, fresh)) return false;
+    if (query.match && !query.match(it)) return false;
+
+    if (y || m || from || to) {
+      const day = basisDayKey(it, basis);
+      if (!day) return false;
+      if (y && Number(day.slice(0, 4)) !== Number(y)) return false;
+      if (m && Number(day.slice(5, 7)) - 1 !== Number(m)) return false;
+      if (from && day < from) return false;
+      if (to && day > to) return false;
+    }
+    if ((tfrom || tto) && !matchesTimeOfDay(it, tfrom, tto)) return false;
+    if (light && it._daylight !== light) return false;
+    if (late && !matchesLateFilter(it, late)) return false;
+    return true;
+  };
+}
+
+function applyFilters() {
+  const values = currentFilterValues();
+  const query = parseSearchQuery(values.q);
+  const sort = values.sort || "newest";
+
+  showSearchError(query.error);
+
+  MAP_ROWS = INCIDENTS.filter(buildRowFilter(values, query));
+  FILTERED = GEO_FILTER ? MAP_ROWS.filter(matchesGeoFilter) : [...MAP_ROWS];
+
+  const toDate = (it) => {
+    const d = getEventDate(it);
+    return d ? d.getTime() : 0;
+  };
+
+  if (sort === "relevance" && query.terms.length) {
+    const scores = new Map(FILTERED.map(it => [it._seq, relevanceScore(it, query.terms)]));
+    FILTERED.sort((a,b) => (scores.get(b._seq) - scores.get(a._seq)) || (toDate(b) - toDate(a)));
+  } else if (sort === "severity") {
+    FILTERED.sort((a,b) => compareSeverity(b, a) || (toDate(b) - toDate(a)));
+  } else {
+    FILTERED.sort((a,b) => {
+      const da = toDate(a);
+      const db = toDate(b);
+      return sort === "oldest" ? (da - db) : (db - da);
+    });
+  }
+
+  FILTERED = collapseGroups(FILTERED);
+  HIGHLIGHT_RE = buildHighlighter(query.terms);
+
+  render();
+  renderNtsbSummary();
+  renderGeoFilterChip();
+  scheduleDashboard();
+  scheduleMap();
+  renderExportSummary();
+}
+
+// -------------------- Statistics dashboard --------------------
+// Aggregates over FILTERED, drawn as inline SVG (no chart library or external service).
+// Only computed while the panel is open.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_COLOR = "#1f6aa5";
+let dashboardTimer = 0;
+
+function svgEl(tag, attrs = {}, text = "") {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, String(v));
+  if (text) el.textContent = text;
+  return el;
+}
+
+function countBy(rows, keyFn) {
+  const counts = new Map();
+  for (const it of rows) {
+    const k = keyFn(it);
+    if (!k || k === "—") continue;
+    counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]));
+}
+
+function mkChartCard(title, bodyEl) {
+  const card = document.createElement("div");
+  card.className = "chartCard";
+  const h = document.createElement("div");
+  h.className = "detailLabel";
+  h.textContent = title;
+  card.appendChild(h);
+  card.appendChild(bodyEl);
+  return card;
+}
+
+function emptyChart() {
+  const none = document.createElement("div");
+  none.className = "noneText";
+  none.textContent = "No data";
+  return none;
+}
+
+// Horizontal bars, one row per [label, count]; clicking a bar can narrow the filters
+function buildBarChart(entries, { limit = 10, onPick } = {}) {
+  const rows = entries.slice(0, limit);
+  if (!rows.length) return emptyChart();
+
+  const rowH = 22;
+  const labelW = 150;
+  const width = 420;
+  const max = rows[0][1];
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${rows.length * rowH}`, class: "chart", role: "img" });
+
+  rows.forEach(([label, count], i) => {
+    const y = i * rowH;
+    const barW = Math.max(2, (width - labelW - 40) * count / max);
+    const g = svgEl("g", { class: onPick ? "bar pickable" : "bar" });
+    g.appendChild(svgEl("title", {}, `${label}: ${count}`));
+    g.appendChild(svgEl("text", { x: labelW - 6, y: y + 15, "text-anchor": "end", class: "chartLabel" },
+      label.length > 22 ? `${label.slice(0, 21)}…` : label));
+    g.appendChild(svgEl("rect", { x: labelW, y: y + 4, width: barW, height: rowH - 8, rx: 3, fill: CHART_COLOR }));
+    g.appendChild(svgEl("text", { x: labelW + barW + 4, y: y + 15, class: "chartValue" }, String(count)));
+    if (onPick) g.addEventListener("click", () => onPick(label));
+    svg.appendChild(g);
+  });
+  return svg;
+}
+
+// Column chart of incidents per calendar month, gaps filled with zero
+function buildMonthChart(rows) {
+  const counts = new Map();
+  for (const it of rows) {
+    const k = eventDayKey(it).slice(0, 7);
+    if (k) counts.set(k, (counts.get(k) || 0) + 1);
+  }
+  if (!counts.size) return emptyChart();
+
+  const keys = [...counts.keys()].sort();
+  const months = [];
+  let [y, m] = keys[0].split("-").map(Number);
+  const [endY, endM] = keys[keys.length - 1].split("-").map(Number);
+  while (y < endY || (y === endY && m <= endM)) {
+    months.push(`${y}-${String(m).padStart(2, "0")}`);
+    if (++m > 12) { m = 1; y++; }
+  }
+
+  const width = 860;
+  const height = 160;
+  const pad = { l: 30, r: 6, t: 8, b: 22 };
+  const max = Math.max(...counts.values());
+  const colW = (width - pad.l - pad.r) / months.length;
+  const svg = svgEl("svg", { viewBox: `0 0 ${width} ${height}`, class: "chart", role: "img" });
+
+  svg.appendChild(svgEl("text", { x: pad.l - 4, y: pad.t + 8, "text-anchor": "end", class: "chartValue" }, String(max)));
+  svg.appendChild(svgEl("line", { x1: pad.l, x2: width - pad.r, y1: height - pad.b, y2: height - pad.b, class: "chartAxis" }));
+
+  const labelEvery = Math.ceil(months.length / 12);
+  months.forEach((key, i) => {
+    const count = counts.get(key) || 0;
+    const h = (height - pad.t - pad.b) * count / max;
+    const x = pad.l + i * colW;
+    const g = svgEl("g", { class: "bar" });
+    g.appendChild(svgEl("title", {}, `${MONTHS[Number(key.slice(5)) - 1]} ${key.slice(0, 4)}: ${count}`));
+    g.appendChild(svgEl("rect", { x: x + 1, y: height - pad.b - h, width: Math.max(1, colW - 2), height: h, fill: CHART_COLOR }));
+    svg.appendChild(g);
+    if (i % labelEvery === 0) {
+      svg.appendChild(svgEl("text", { x: x + colW / 2, y: height - 6, "text-anchor": "middle", class: "chartLabel" },
+        `${MONTHS[Number(key.slice(5)) - 1]} ${key.slice(2, 4)}`));
+    }
+  });
+  return svg;
+}
+
+function buildTotals(rows) {
+  const sum = k => rows.reduce((n, it) => n + it._injuryCounts[k], 0);
+  const tiles = [
+    ["Incidents", rows.length],
+    ["Fatalities", sum("fatal")],
+    ["Fatal events", rows.filter(it => it._injuryCounts.fatal > 0).length],
+    ["Serious injuries", sum("serious")],
+    ["Minor injuries", sum("minor")],
+    ["Destroyed", rows.filter(it => it._damageClass === "Destroyed").length],
+    ["NTSB cases", rows.filter(it => eventCases(it).length > 0).length],
+  ];
+  return buildStatTiles(tiles);
+}
+
+// tiles: [[label, number]]
+function buildStatTiles(tiles) {
+  const wrap = document.createElement("div");
+  wrap.className = "statTiles";
+  for (const [label, value] of tiles) {
+    const tile = document.createElement("div");
+    tile.className = "statTile";
+    const v = document.createElement("div");
+    v.className = "statValue";
+    v.textContent = value.toLocaleString();
+    const l = document.createElement("div");
+    l.className = "statLabel";
+    l.textContent = label;
+    tile.appendChild(v);
+    tile.appendChild(l);
+    wrap.appendChild(tile);
+  }
+  return wrap;
+}
+
+// Picking a bar sets the matching dropdown, as if the user had chosen it
+function pickFilter(el, value) {
+  if (!el || !setControlValue(el, value)) return;
+  el.dispatchEvent(new Event("change"));
+}
+
+function renderDashboard() {
+  if (!els.dashboard || !els.dashboardPanel || !els.dashboardPanel.open) return;
+  const rows = FILTERED;
+
+  const frag = document.createDocumentFragment();
+  frag.appendChild(buildTotals(rows));
+
+  const wide = mkChartCard("Incidents per month", buildMonthChart(rows));
+  wide.classList.add("chartWide");
+  frag.appendChild(wide);
+
+  frag.appendChild(mkChartCard("By event type",
+    buildBarChart(countBy(rows, it => taxonomyBucket(it._eventLabels, "eventType", els.event.value)),
+      { limit: 12, onPick: v => pickFilter(els.event, v) })));
+  frag.appendChild(mkChartCard("By phase",
+    buildBarChart(countBy(rows, it => taxonomyBucket(it._phaseLabels, "phase", els.phase.value)),
+      { onPick: v => pickFilter(els.phase, v) })));
+  frag.appendChild(mkChartCard("By state",
+    buildBarChart(countBy(rows, it => it._state), { limit: 15, onPick: v => pickFilter(els.state, v) })));
+  frag.appendChild(mkChartCard("Top aircraft types",
+    buildBarChart(countBy(rows, it => it._typeDesignator), { limit: 10 })));
+
+  els.dashboard.replaceChildren(frag);
+}
+
+function scheduleDashboard() {
+  if (dashboardTimer) return;
+  dashboardTimer = setTimeout(() => {
+    dashboardTimer = 0;
+    renderDashboard();
+  }, 120);
+}
+
+if (els.dashboardPanel) els.dashboardPanel.addEventListener("toggle", renderDashboard);
+
+// -------------------- Map --------------------
+// Incidents are plotted from _lat/_lon (resolved through geo.js) over simplified outlines,
+// equirectangular with longitudes squeezed by cos(55°). The map shows everything that passes
+// the other filters (MAP_ROWS); clicking a cluster or drawing a rectangle sets GEO_FILTER,
+// which then narrows FILTERED like any other filter.
+
+const SEVERITY_COLORS = ["#98a2b3", "#12b76a", "#fec84b", "#f79009", "#dc6803", "#b42318"];
+const EVENT_PALETTE = ["#1f6aa5", "#b42318", "#12b76a", "#f79009", "#7a5af8", "#0ba5ec", "#ee46bc"];
+const OTHER_COLOR = "#98a2b3";
+const CLUSTER_CELL_PX = 28;
+const MAP_SCALE = 10;
+const MAP_KX = Math.cos(55 * Math.PI / 180);
+
+let MAP_ROWS = [];
+let GEO_FILTER = null;   // null | { kind: "points", keys, label } | { kind: "bbox", west, south, east, north }
+let mapView = null;      // current viewBox
+let mapBase = null;      // fitted extent, restored by "Reset view"
+let mapMode = "pan";
+let mapSvg = null;
+let mapTimer = 0;
+
+// Same shift as MAP_OUTLINES so Guam and the far Aleutians sit west of Alaska
+const mapLon = lon => lon > 100 ? lon - 360 : lon;
+const project = (lat, lon) => [mapLon(lon) * MAP_KX * MAP_SCALE, -lat * MAP_SCALE];
+const locKey = it => `${it._lat},${it._lon}`;
+
+function matchesGeoFilter(it) {
+  if (!GEO_FILTER) return true;
+  if (it._lat === null || it._lat === undefined) return false;
+  if (GEO_FILTER.kind === "points") return GEO_FILTER.keys.has(locKey(it));
+  const lon = mapLon(it._lon);
+  return it._lat >= GEO_FILTER.south && it._lat <= GEO_FILTER.north &&
+    lon >= GEO_FILTER.west && lon <= GEO_FILTER.east;
+}
+
+function setGeoFilter(filter) {
+  GEO_FILTER = filter;
+  applyFilters();
+}
+
+function geoFilterLabel() {
+  if (!GEO_FILTER) return "";
+  return GEO_FILTER.kind === "points"
+    ? GEO_FILTER.label
+    : `${GEO_FILTER.south.toFixed(1)}°–${GEO_FILTER.north.toFixed(1)}°N, ` +
+      `${(-GEO_FILTER.east).toFixed(1)}°–${(-GEO_FILTER.west).toFixed(1)}°W`;
+}
+
+function renderGeoFilterChip() {
+  if (!els.geoFilterChip) return;
+  els.geoFilterChip.hidden = !GEO_FILTER;
+  if (!GEO_FILTER) return;
+
+  els.geoFilterChip.textContent = `Map area: ${geoFilterLabel()} `;
+
+  const clear = document.createElement("button");
+  clear.type = "button";
+  clear.className = "chipClear";
+  clear.title = "Clear map filter";
+  clear.textContent = "×";
+  clear.addEventListener("click", () => setGeoFilter(null));
+  els.geoFilterChip.appendChild(clear);
+}
+
+function fitMapExtent() {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const it of INCIDENTS) {
+    if (it._lat === null || it._lat === undefined) continue;
+    const [x, y] = project(it._lat, it._lon);
+    minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+  }
+  // Nothing located yet: western US and Alaska
+  if (minX === Infinity) [minX, minY, maxX, maxY] = [...project(72, -170), ...project(30, -100)];
+
+  const padX = (maxX - minX) * 0.06 + 10;
+  const padY = (maxY - minY) * 0.06 + 10;
+  return { x: minX - padX, y: minY - padY, w: maxX - minX + 2 * padX, h: maxY - minY + 2 * padY };
+}
+
+function svgPoint(evt) {
+  const ctm = mapSvg.getScreenCTM && mapSvg.getScreenCTM();
+  if (!ctm) return null;
+  const p = new DOMPoint(evt.clientX, evt.clientY).matrixTransform(ctm.inverse());
+  return [p.x, p.y];
+}
+
+function setMapView(view) {
+  mapView = view;
+  mapSvg.setAttribute("viewBox", `${view.x} ${view.y} ${view.w} ${view.h}`);
+  scheduleMap();
+}
+
+function zoomMap(factor, center) {
+  if (!mapView) return;
+  const [cx, cy] = center || [mapView.x + mapView.w / 2, mapView.y + mapView.h / 2];
+  const w = mapView.w * factor;
+  const h = mapView.h * factor;
+  setMapView({ x: cx - (cx - mapView.x) * factor, y: cy - (cy - mapView.y) * factor, w, h });
+}
+
+function buildMapSvg() {
+  mapSvg = svgEl("svg", { class: "mapSvg", role: "img", "aria-label": "Incident map", preserveAspectRatio: "xMidYMid meet" });
+
+  const outlines = svgEl("g", { class: "mapOutlines" });
+  for (const ring of MAP_OUTLINES) {
+    let d = "";
+    for (let i = 0; i < ring.length; i += 2) {
+      const x = ring[i] * MAP_KX * MAP_SCALE;
+      const y = -ring[i + 1] * MAP_SCALE;
+      d += `${i ? "L" : "M"}${x.toFixed(1)} ${y.toFixed(1)}`;
+    }
+    outlines.appendChild(svgEl("path", { d: `${d}Z` }));
+  }
+  mapSvg.appendChild(outlines);
+  mapSvg.appendChild(svgEl("g", { class: "mapMarkers" }));
+  const sel = svgEl("rect", { class: "mapSelection", visibility: "hidden" });
+  mapSvg.appendChild(sel);
+
+  let drag = null;
+  let dragEnded = false; // swallow the click that follows a drag, so it does not hit a marker
+  mapSvg.addEventListener("pointerdown", (e) => {
+    const p = svgPoint(e);
+    if (!p || e.button !== 0) return;
+    drag = { start: p, moved: false, pointerId: e.pointerId };
+    dragEnded = false;
+  });
+  mapSvg.addEventListener("pointermove", (e) => {
+    if (!drag) return;
+    const p = svgPoint(e);
+    if (!p) return;
+    const dx = p[0] - drag.start[0];
+    const dy = p[1] - drag.start[1];
+    if (!drag.moved && Math.abs(dx) + Math.abs(dy) > mapView.w / 200) {
+      // Capture only once it is a drag: a captured press sends its click to the svg, not the marker
+      drag.moved = true;
+      mapSvg.setPointerCapture(drag.pointerId);
+    }
+    if (!drag.moved) return;
+
+    if (mapMode === "select") {
+      sel.setAttribute("x", Math.min(p[0], drag.start[0]));
+      sel.setAttribute("y", Math.min(p[1], drag.start[1]));
+      sel.setAttribute("width", Math.abs(dx));
+      sel.setAttribute("height", Math.abs(dy));
+      sel.setAttribute("visibility", "visible");
+      drag.end = p;
+    } else {
+      // The view moves with the pointer, so the grab point stays under it
+      setMapView({ ...mapView, x: mapView.x - dx, y: mapView.y - dy });
+    }
+  });
+  mapSvg.addEventListener("pointerup", () => {
+    const d = drag;
+    drag = null;
+    sel.setAttribute("visibility", "hidden");
+    if (d && d.moved) dragEnded = true;
+    if (!d || !d.moved || mapMode !== "select" || !d.end) return;
+
+    const [x0, x1] = [d.start[0], d.end[0]].sort((a, b) => a - b);
+    const [y0, y1] = [d.start[1], d.end[1]].sort((a, b) => a - b);
+    setGeoFilter({
+      kind: "bbox",
+      west: x0 / (MAP_KX * MAP_SCALE),
+      east: x1 / (MAP_KX * MAP_SCALE),
+      north: -y0 / MAP_SCALE,
+      south: -y1 / MAP_SCALE,
+    });
+  });
+  mapSvg.addEventListener("click", (e) => {
+    if (!dragEnded) return;
+    dragEnded = false;
+    e.stopPropagation();
+  }, true);
+  mapSvg.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    zoomMap(e.deltaY > 0 ? 1.2 : 1 / 1.2, svgPoint(e));
+  }, { passive: false });
+
+  els.map.appendChild(mapSvg);
+}
+
+function clusterMapRows(rows) {
+  const pxWidth = (mapSvg && mapSvg.clientWidth) || 900;
+  const cell = CLUSTER_CELL_PX * mapView.w / pxWidth;
+  const cells = new Map();
+
+  for (const it of rows) {
+    if (it._lat === null || it._lat === undefined) continue;
+    const [x, y] = project(it._lat, it._lon);
+    const k = `${Math.floor(x / cell)}:${Math.floor(y / cell)}`;
+    let c = cells.get(k);
+    if (!c) cells.set(k, (c = { sx: 0, sy: 0, rows: [], keys: new Set(), places: new Map() }));
+    c.sx += x;
+    c.sy += y;
+    c.rows.push(it);
+    c.keys.add(locKey(it));
+    const place = it._airport || it._city || it._state;
+    c.places.set(place, (c.places.get(place) || 0) + 1);
+  }
+
+  return [...cells.values()].map(c => ({
+    ...c,
+    x: c.sx / c.rows.length,
+    y: c.sy / c.rows.length,
+    label: [...c.places.entries()].sort((a, b) => b[1] - a[1]).map(([p]) => p).filter(Boolean).slice(0, 3).join(", "),
+  }));
+}
+
+// Markers are coloured by event category, or by the child categories of a picked one
+function mapEventBucket(it) {
+  return taxonomyBucket(it._eventLabels, "eventType", els.event ? els.event.value : "");
+}
+
+function mapColorFor(cluster, mode, eventColors) {
+  if (mode === "event") {
+    const top = countBy(cluster.rows, mapEventBucket)[0];
+    return (top && eventColors.get(top[0])) || OTHER_COLOR;
+  }
+  return SEVERITY_COLORS[Math.max(...cluster.rows.map(it => it._severity))];
+}
+
+function renderMapLegend(mode, eventColors) {
+  if (!els.mapLegend) return;
+  const items = mode === "event"
+    ? [...eventColors.entries(), ["Other", OTHER_COLOR]]
+    : SEVERITY_LEVELS.map((label, i) => [label, SEVERITY_COLORS[i]]).reverse();
+
+  const located = MAP_ROWS.filter(it => it._lat !== null && it._lat !== undefined);
+  const approx = located.filter(it => it._geoPrecision !== "airport").length;
+  const frag = document.createDocumentFragment();
+  for (const [label, color] of items) {
+    const span = document.createElement("span");
+    span.className = "legendItem";
+    const dot = document.createElement("i");
+    dot.style.background = color;
+    span.appendChild(dot);
+    span.appendChild(document.createTextNode(label));
+    frag.appendChild(span);
+  }
+  const note = document.createElement("span");
+  note.className = "mapNote";
+  note.textContent = `${located.length} of ${MAP_ROWS.length} located` +
+    (approx ? ` (${approx} at city or state centre)` : "");
+  frag.appendChild(note);
+  els.mapLegend.replaceChildren(frag);
+}
+
+function renderMap() {
+  if (!els.map || !els.mapPanel || !els.mapPanel.open) return;
+
+  if (!mapSvg) buildMapSvg();
+  if (!mapBase) {
+    mapBase = fitMapExtent();
+    setMapView(mapBase);
+  }
+
+  const mode = els.mapColorBy ? els.mapColorBy.value : "severity";
+  const eventColors = new Map(countBy(MAP_ROWS, mapEventBucket)
+    .slice(0, EVENT_PALETTE.length)
+    .map(([label], i) => [label, EVENT_PALETTE[i]]));
+
+  const unit = mapView.w / ((mapSvg.clientWidth) || 900); // svg units per screen pixel
+  const markers = mapSvg.querySelector(".mapMarkers");
+  const frag = document.createDocumentFragment();
+
+  for (const c of clusterMapRows(MAP_ROWS).sort((a, b) => b.rows.length - a.rows.length)) {
+    const n = c.rows.length;
+    const r = (5 + 3 * Math.sqrt(n)) * unit;
+    const selected = GEO_FILTER && c.rows.some(matchesGeoFilter);
+    const g = svgEl("g", { class: selected ? "mapMarker selected" : "mapMarker" });
+    g.appendChild(svgEl("title", {}, `${c.label || "Unknown"}: ${n} incident${n === 1 ? "" : "s"}`));
+    g.appendChild(svgEl("circle", { cx: c.x, cy: c.y, r, fill: mapColorFor(c, mode, eventColors), "stroke-width": 1.5 * unit }));
+    if (n > 1) {
+      g.appendChild(svgEl("text", { x: c.x, y: c.y + 3.5 * unit, "font-size": 10 * unit, "text-anchor": "middle" }, String(n)));
+    }
+    g.addEventListener("click", () => {
+      setGeoFilter({ kind: "points", keys: c.keys, label: `${c.label || "selected marker"} (${n})` });
+    });
+    frag.appendChild(g);
+  }
+
+  markers.replaceChildren(frag);
+  renderMapLegend(mode, eventColors);
+}
+
+function scheduleMap() {
+  if (mapTimer) return;
+  mapTimer = requestAnimationFrame(() => {
+    mapTimer = 0;
+    renderMap();
+  });
+}
+
+function setMapMode(mode) {
+  mapMode = mode;
+  if (els.mapSelectBtn) els.mapSelectBtn.setAttribute("aria-pressed", String(mode === "select"));
+  if (els.map) els.map.classList.toggle("selecting", mode === "select");
+}
+
+if (els.mapPanel) els.mapPanel.addEventListener("toggle", renderMap);
+if (els.mapColorBy) els.mapColorBy.addEventListener("change", renderMap);
+if (els.mapSelectBtn) {
+  els.mapSelectBtn.addEventListener("click", () => setMapMode(mapMode === "select" ? "pan" : "select"));
+}
+if (els.mapZoomIn) els.mapZoomIn.addEventListener("click", () => zoomMap(1 / 1.5));
+if (els.mapZoomOut) els.mapZoomOut.addEventListener("click", () => zoomMap(1.5));
+if (els.mapResetBtn) {
+  els.mapResetBtn.addEventListener("click", () => {
+    mapBase = fitMapExtent();
+    if (mapSvg) setMapView(mapBase);
+  });
+}
+
+// -------------------- Aircraft & operator history --------------------
+// Clicking a registration or callsign on a card opens every loaded incident for that tail,
+// or for the operator behind the callsign's ICAO prefix (SKW3207 -> SKW). Built from
+// INCIDENTS, so the current filters do not hide anything here.
+
+const OPERATOR_NAMES = {
+  AAL: "American Airlines", AAH: "Aloha Air Cargo", AAY: "Allegiant Air", ABX: "ABX Air",
+  ACA: "Air Canada", AMX: "Aeroméxico", ANA: "All Nippon Airways", ASA: "Alaska Airlines",
+  ASH: "Mesa Airlines", CKS: "Kalitta Air", CPA: "Cathay Pacific", DAL: "Delta Air Lines",
+  DLH: "Lufthansa", EDV: "Endeavor Air", ENY: "Envoy Air", FDX: "FedEx", FFT: "Frontier Airlines",
+  GJS: "GoJet Airlines", GTI: "Atlas Air", HAL: "Hawaiian Airlines", JAL: "Japan Airlines",
+  JBU: "JetBlue", JIA: "PSA Airlines", KAL: "Korean Air", NKS: "Spirit Airlines",
+  PAC: "Polar Air Cargo", PAL: "Philippine Airlines", QXE: "Horizon Air", RCH: "US Air Force (Reach)",
+  RPA: "Republic Airways", SCX: "Sun Country Airlines", SIA: "Singapore Airlines", SKW: "SkyWest Airlines",
+  SWA: "Southwest Airlines", UAL: "United Airlines", UPS: "UPS Airlines", VOI: "Volaris", WJA: "WestJet",
+};
+
+let HISTORY = null; // { kind: "tail" | "operator", key }
+
+function operatorPrefix(callsign) {
+  const m = norm(callsign).toUpperCase().match(/^([A-Z]{3})\d/);
+  return m ? m[1] : "";
+}
+
+function historyTitle(h) {
+  if (h.kind === "tail") return h.key;
+  return OPERATOR_NAMES[h.key] ? `${h.key} — ${OPERATOR_NAMES[h.key]}` : h.key;
+}
+
+function historyRows(h) {
+  const match = h.kind === "tail"
+    ? it => it._aircraft.some(a => a.tail === h.key)
+    : it => operatorPrefix(it._callsign) === h.key || it._aircraft.some(a => operatorPrefix(a.callsign) === h.key);
+  return collapseGroups(INCIDENTS.filter(match))
+    .sort((a, b) => eventDayKey(b).localeCompare(eventDayKey(a)));
+}
+
+function openHistory(kind, key) {
+  if (!key || !els.historyPanel) return;
+  HISTORY = { kind, key };
+  els.historyPanel.hidden = false;
+  els.historyPanel.open = true;
+  renderHistory();
+  els.historyPanel.scrollIntoView({ block: "start" });
+}
+
+function closeHistory() {
+  HISTORY = null;
+  if (els.historyPanel) els.historyPanel.hidden = true;
+}
+
+// Tail and callsign of the card header as buttons that open their history
+function buildIdentityButtons(aircraft) {
+  const frag = document.createDocumentFragment();
+  const mkBtn = (text, kind, key, title) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "idLink";
+    b.textContent = text;
+    b.title = title;
+    b.addEventListener("click", () => openHistory(kind, key));
+    return b;
+  };
+
+  aircraft.forEach((a, i) => {
+    if (i) frag.appendChild(document.createTextNode(" / "));
+    const prefix = operatorPrefix(a.callsign);
+    if (a.callsign) {
+      frag.appendChild(prefix
+        ? mkBtn(a.callsign, "operator", prefix, `All ${historyTitle({ kind: "operator", key: prefix })} incidents`)
+        : document.createTextNode(a.callsign));
+    }
+    if (a.tail) {
+      if (a.callsign) frag.appendChild(document.createTextNode(" ("));
+      frag.appendChild(mkBtn(a.tail, "tail", a.tail, `All incidents for ${a.tail}`));
+      if (a.callsign) frag.appendChild(document.createTextNode(")"));
+    }
+    if (!a.callsign && !a.tail) frag.appendChild(document.createTextNode("NONE"));
+  });
+  return frag;
+}
+
+// noteFor(it), when given, adds a muted note after each entry
+function buildHistoryList(rows, showTail, noteFor) {
+  const ul = document.createElement("ul");
+  ul.className = "historyList";
+  for (const it of rows) {
+    const li = document.createElement("li");
+
+    const date = document.createElement("span");
+    date.className = "historyDate";
+    date.textContent = eventDayKey(it) || "Unknown date";
+    li.appendChild(date);
+
+    const badge = document.createElement("span");
+    badge.className = `sevBadge sev${worstMember(it)._severity}`;
+    badge.textContent = worstMember(it)._severityLabel;
+    li.appendChild(badge);
+
+    const what = [
+      showTail ? it._tail : "",
+      it._eventType !== "—" ? it._eventType : "",
+      [it._city || it._airport, it._state].filter(Boolean).join(", "),
+    ].filter(Boolean).join(" • ");
+    const link = document.createElement("a");
+    link.href = incidentLink(it);
+    link.textContent = what || "Incident";
+    li.appendChild(link);
+
+    const note = noteFor ? noteFor(it) : "";
+    if (note) {
+      const span = document.createElement("span");
+      span.className = "historyNote";
+      span.textContent = note;
+      li.appendChild(span);
+    }
+
+    ul.appendChild(li);
+  }
+  return ul;
+}
+
+function renderHistory() {
+  if (!HISTORY || !els.history || !els.historyPanel || els.historyPanel.hidden) return;
+  const rows = historyRows(HISTORY);
+
+  if (els.historyTitle) {
+    els.historyTitle.textContent = `History: ${historyTitle(HISTORY)} (${rows.length} incident${rows.length === 1 ? "" : "s"})`;
+  }
+
+  const frag = document.createDocumentFragment();
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "toolBtn historyClose";
+  close.textContent = "Close";
+  close.addEventListener("click", closeHistory);
+  frag.appendChild(close);
+
+  const grid = document.createElement("div");
+  grid.className = "dashboard";
+  grid.appendChild(buildTotals(rows));
+  const timeline = mkChartCard("Timeline", buildMonthChart(rows));
+  timeline.classList.add("chartWide");
+  grid.appendChild(timeline);
+  grid.appendChild(mkChartCard("By event type",
+    buildBarChart(countBy(rows, it => taxonomyBucket(it._eventLabels, "eventType")), { limit: 12 })));
+  grid.appendChild(mkChartCard(HISTORY.kind === "tail" ? "By phase" : "By aircraft",
+    buildBarChart(countBy(rows, it => HISTORY.kind === "tail" ? taxonomyBucket(it._phaseLabels, "phase") : it._aircraft[0].tail), { limit: 12 })));
+  frag.appendChild(grid);
+
+  frag.appendChild(mkLabeledSection("Incidents", buildHistoryList(rows, HISTORY.kind === "operator")));
+  els.history.replaceChildren(frag);
+}
+
+// -------------------- Similar incidents & compare --------------------
+// Expanded cards list the events most like their own: same aircraft type, event and phase
+// categories, airport or state, plus TF-IDF cosine similarity of the narratives. Compare
+// lines up two to four picked events field by field; the picks last for the visit.
+
+const SIMILAR_WEIGHTS = { type: 3, event: 3, eventGroup: 1, phase: 2, phaseGroup: 1, airport: 2, state: 1, narrative: 6 };
+const SIMILAR_LIMIT = 5;
+const SIMILAR_MIN_SCORE = 4;
+const SIMILAR_TEXT_NOTE = 0.4; // narrative similarity worth naming as a reason
+const COMPARE_MAX = 4;
+
+let NARRATIVE_VECTORS = null; // { version, vectors: Map(_seq -> Map(term -> weight)) }
+let COMPARE = [];             // _id of the picked events, in pick order
+
+// Unit-length TF-IDF vectors of the narratives, rebuilt along with the search index
+function narrativeVectors() {
+  const version = ensureSearchIndex().version;
+  if (NARRATIVE_VECTORS && NARRATIVE_VECTORS.version === version) return NARRATIVE_VECTORS.vectors;
+
+  const counts = new Map();
+  const df = new Map();
+  for (const it of INCIDENTS) {
+    const tf = new Map();
+    for (const tok of indexTokens(it._narrative)) {
+      if (!/^\d+$/.test(tok)) tf.set(tok, (tf.get(tok) || 0) + 1);
+    }
+    for (const tok of tf.keys()) df.set(tok, (df.get(tok) || 0) + 1);
+    counts.set(it._seq, tf);
+  }
+
+  const vectors = new Map();
+  for (const [seq, tf] of counts) {
+    const v = new Map();
+    let sum = 0;
+    for (const [tok, n] of tf) {
+      // Words of one narrative only (tail numbers, places) can never match and would dilute the
+      // rest; boilerplate found in every narrative ("FAA Form 8020-9 was received") weighs nothing
+      if (df.get(tok) < 2) continue;
+      const w = (1 + Math.log(n)) * Math.log(INCIDENTS.length / df.get(tok));
+      if (w <= 0) continue;
+      v.set(tok, w);
+      sum += w * w;
+    }
+    const len = Math.sqrt(sum) || 1;
+    for (const [tok, w] of v) v.set(tok, w / len);
+    vectors.set(seq, v);
+  }
+  NARRATIVE_VECTORS = { version, vectors };
+  return vectors;
+}
+
+function cosine(a, b) {
+  if (a.size > b.size) [a, b] = [b, a];
+  let dot = 0;
+  for (const [tok, w] of a) dot += w * (b.get(tok) || 0);
+  return dot;
+}
+
+// A label both rows carry ({ leaf }), else a taxonomy parent they share ({ group }), else null
+function sharedTaxonomy(a, b, field) {
+  const leaf = a.find(l => b.includes(l));
+  if (leaf) return { leaf };
+  const parents = new Set(b.map(l => taxonomyParent(field, l)));
+  const group = a.map(l => taxonomyParent(field, l)).find(p => p && parents.has(p));
+  return group ? { group } : null;
+}
+
+const similarityType = it => it._typeCode || norm(it._typeDesignator).toUpperCase();
+
+// Other events ranked by likeness to it: [{ it, score, reasons }], best first
+function similarIncidents(it) {
+  const W = SIMILAR_WEIGHTS;
+  const vectors = narrativeVectors();
+  const own = new Set(eventMembers(it).map(m => m._seq));
+  const vec = vectors.get(it._seq) || new Map();
+  const type = similarityType(it);
+  const out = [];
+
+  for (const other of collapseGroups(INCIDENTS)) {
+    if (own.has(other._seq)) continue;
+    let score = 0;
+    const reasons = [];
+
+    if (type && similarityType(other) === type) {
+      score += W.type;
+      reasons.push(`same type (${it._typeCode || it._typeDesignator})`);
+    }
+    const ev = sharedTaxonomy(it._eventLabels, other._eventLabels, "eventType");
+    if (ev) {
+      score += ev.leaf ? W.event : W.eventGroup;
+      reasons.push(ev.leaf || ev.group);
+    }
+    const ph = sharedTaxonomy(it._phaseLabels, other._phaseLabels, "phase");
+    if (ph) {
+      score += ph.leaf ? W.phase : W.phaseGroup;
+      reasons.push(`${ph.leaf || ph.group} phase`);
+    }
+    if (it._airport && other._airport === it._airport) {
+      score += W.airport;
+      reasons.push(`at ${it._airport}`);
+    } else if (it._state && other._state === it._state) {
+      score += W.state;
+      reasons.push(`in ${it._state}`);
+    }
+    const text = cosine(vec, vectors.get(other._seq) || new Map());
+    score += text * W.narrative;
+    if (text >= SIMILAR_TEXT_NOTE) reasons.push(`narrative ${Math.round(text * 100)}% alike`);
+
+    if (score >= SIMILAR_MIN_SCORE) out.push({ it: other, score, reasons });
+  }
+  return out
+    .sort((a, b) => (b.score - a.score) || eventDayKey(b.it).localeCompare(eventDayKey(a.it)))
+    .slice(0, SIMILAR_LIMIT);
+}
+
+function buildSimilarBlock(it) {
+  const similar = similarIncidents(it);
+  if (!similar.length) {
+    const none = document.createElement("div");
+    none.className = "noneText";
+    none.textContent = "No similar incidents loaded.";
+    return none;
+  }
+  const reasons = new Map(similar.map(s => [s.it, s.reasons.join(", ")]));
+  return buildHistoryList(similar.map(s => s.it), true, x => reasons.get(x));
+}
+
+function buildCompareButton(it) {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = "compareBtn";
+  b.dataset.id = it._id;
+  b.textContent = "Compare";
+  b.title = `Line this incident up with up to ${COMPARE_MAX - 1} others in the Compare panel`;
+  b.setAttribute("aria-pressed", String(COMPARE.includes(it._id)));
+  b.addEventListener("click", () => toggleCompare(it));
+  return b;
+}
+
+function toggleCompare(it) {
+  const i = COMPARE.indexOf(it._id);
+  if (i >= 0) {
+    COMPARE.splice(i, 1);
+  } else if (COMPARE.length >= COMPARE_MAX) {
+    if (els.status) els.status.textContent = `Compare holds up to ${COMPARE_MAX} incidents; remove one first.`;
+    return;
+  } else {
+    COMPARE.push(it._id);
+  }
+  syncCompareButtons();
+  renderCompare();
+}
+
+function clearCompare() {
+  COMPARE = [];
+  syncCompareButtons();
+  renderCompare();
+}
+
+// Rendered cards are reused while scrolling, so their buttons are updated in place
+function syncCompareButtons() {
+  for (const card of RENDERED.values()) {
+    const b = card.querySelector(".compareBtn");
+    if (b) b.setAttribute("aria-pressed", String(COMPARE.includes(b.dataset.id)));
+  }
+}
+
+const COMPARE_FIELDS = [
+  ["When", it => [eventDayKey(it), it._localTime].filter(Boolean).join(" ")],
+  ["Aircraft", it => eventAircraft(it).map(a => [a.tail || a.callsign, a.type].filter(Boolean).join(" ")).join(" / ")],
+  ["Where", it => [it._city, it._airport, it._state].filter(Boolean).join(", ")],
+  ["Phase", it => it._phase],
+  ["Event type", it => it._eventType],
+  ["Severity", it => worstMember(it)._severityLabel],
+  ["POB", it => it._pob],
+  ["Injuries", it => it._injuries],
+  ["Damage", it => it._damage],
+  ["8020-9", it => it._form8020],
+  ["Narrative", it => it._narrative],
+];
+
+function buildCompareTable(rows) {
+  const table = document.createElement("table");
+  table.className = "qualityTable compareTable";
+  const head = table.createTHead().insertRow();
+  head.appendChild(document.createElement("th"));
+  for (const it of rows) {
+    const th = document.createElement("th");
+    const link = document.createElement("a");
+    link.href = incidentLink(it);
+    link.textContent = it._tail;
+    th.appendChild(link);
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "compareRemove";
+    remove.textContent = "×";
+    remove.title = `Remove ${it._tail} from the comparison`;
+    remove.addEventListener("click", () => toggleCompare(it));
+    th.appendChild(remove);
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  for (const [label, get] of COMPARE_FIELDS) {
+    const values = rows.map(it => norm(get(it)) || "—");
+    const tr = body.insertRow();
+    // Rows that tell the picks apart stand out
+    if (rows.length > 1 && new Set(values.map(v => v.toLowerCase())).size > 1) tr.classList.add("differs");
+    const th = document.createElement("th");
+    th.scope = "row";
+    th.textContent = label;
+    tr.appendChild(th);
+    for (const v of values) tr.insertCell().textContent = v;
+  }
+  return table;
+}
+
+function renderCompare() {
+  if (!els.comparePanel || !els.compare) return;
+  const rows = COMPARE.map(id => INCIDENTS.find(it => it._id === id)).filter(Boolean);
+  const wasHidden = els.comparePanel.hidden;
+  els.comparePanel.hidden = !rows.length;
+  if (!rows.length) return;
+  if (wasHidden) els.comparePanel.open = true;
+  if (els.compareTitle) els.compareTitle.textContent = `Compare (${rows.length} of ${COMPARE_MAX})`;
+
+  const frag = document.createDocumentFragment();
+  const clear = document.createElement("button");
+  clear.type = "button";
+  clear.className = "toolBtn historyClose";
+  clear.textContent = "Clear";
+  clear.addEventListener("click", clearCompare);
+  frag.appendChild(clear);
+
+  if (rows.length < 2) {
+    const hint = document.createElement("p");
+    hint.className = "noneText";
+    hint.textContent = "Pick another incident with its Compare button to line them up.";
+    frag.appendChild(hint);
+  }
+  frag.appendChild(buildCompareTable(rows));
+  els.compare.replaceChildren(frag);
+}
+
+// -------------------- Data quality --------------------
+// Where each displayed field came from (_provenance) and what toIncident() rejected or found
+// inconsistent (_issues), across every loaded incident. Only computed while the panel is open.
+
+const PROVENANCE_FIELDS = [
+  ["callsign", "Callsign"], ["tail", "Tail"], ["type", "Type designator"], ["model", "Model"],
+  ["eventType", "Event type"], ["phase", "Phase"], ["eventDate", "Event date"], ["reportDate", "Report date"],
+  ["pob", "POB"], ["injuries", "Injuries"], ["damage", "Damage"], ["form8020", "8020-9"],
+];
+const PROVENANCE_LABELS = { column: "CSV column", narrative: "Narrative", inferred: "Inferred", "": "Missing" };
+const ISSUE_KINDS = { rejected: "Rejected value", conflict: "Column vs narrative", "no-date": "No event date" };
+const QUALITY_LIST_LIMIT = 200;
+
+let qualityKind = "";
+let rulesField = ""; // "phase" or "eventType" while the classification rules are being evaluated
+
+const RULE_FIELDS = { eventType: ["Event type", "_eventType"], phase: ["Phase", "_phase"] };
+
+const fieldLabel = f => (PROVENANCE_FIELDS.find(([k]) => k === f) || [f, f])[1];
+
+function provenanceNote(it) {
+  const by = { narrative: [], inferred: [] };
+  for (const [f, label] of PROVENANCE_FIELDS) {
+    const src = it._provenance[f];
+    if (by[src]) by[src].push(label.toLowerCase());
+  }
+  return [
+    by.narrative.length ? `From narrative: ${by.narrative.join(", ")}` : "",
+    by.inferred.length ? `Inferred: ${by.inferred.join(", ")}` : "",
+  ].filter(Boolean).join(" • ");
+}
+
+function qualityIssues() {
+  return INCIDENTS.flatMap(it => it._issues.map(issue => ({ it, ...issue })))
+    .filter(i => !qualityKind || i.kind === qualityKind);
+}
+
+function buildQualityTable(headers, rows) {
+  const table = document.createElement("table");
+  table.className = "qualityTable";
+  const head = table.createTHead().insertRow();
+  for (const h of headers) {
+    const th = document.createElement("th");
+    th.textContent = h;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const cells of rows) {
+    const tr = body.insertRow();
+    for (const c of cells) {
+      const td = tr.insertCell();
+      if (c instanceof Node) td.appendChild(c);
+      else td.textContent = c;
+    }
+  }
+  return table;
+}
+
+function buildProvenanceTable(rows) {
+  const sources = Object.keys(PROVENANCE_LABELS);
+  return buildQualityTable(["Field", ...sources.map(s => PROVENANCE_LABELS[s])],
+    PROVENANCE_FIELDS.map(([f, label]) => [
+      label,
+      ...sources.map(src => String(rows.filter(it => (it._provenance[f] || "") === src).length)),
+    ]));
+}
+
+function buildIssueTable(issues) {
+  return buildQualityTable(["Incident", "Shard", "Issue", "Field", "Column", "Value", "Narrative says"],
+    issues.slice(0, QUALITY_LIST_LIMIT).map(i => {
+      const a = document.createElement("a");
+      a.href = incidentLink(i.it);
+      a.textContent = `${eventDayKey(i.it)} ${i.it._tail}`;
+      return [a, i.it._shard || "", ISSUE_KINDS[i.kind], fieldLabel(i.field), i.column, i.value || "—", i.narrative || ""];
+    }));
+}
+
+function issueExportRows(issues) {
+  return issues.map(i => ({
+    incident_id: i.it._id,
+    shard: i.it._shard || "",
+    event_date: i.it._eventDate || i.it._eventISO,
+    aircraft: i.it._tail,
+    issue: i.kind,
+    field: i.field,
+    column: i.column,
+    value: i.value,
+    narrative_value: i.narrative || "",
+    raw_narrative: i.it._narrative,
+  }));
+}
+
+function exportQualityIssues() {
+  const csv = buildCsvFromObjects(issueExportRows(qualityIssues()));
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadTextFile(`data_quality_${qualityKind || "all"}_${stamp}.csv`, csv);
+}
+
+const formatRate = v => (v === null ? "—" : `${Math.round(v * 100)}%`);
+
+// Scores CLASSIFICATION_RULES against the incidents whose column is filled
+function buildRulesEvaluation(field) {
+  const [label, key] = RULE_FIELDS[field];
+  const rows = INCIDENTS.filter(it => it._provenance[field] === "column")
+    .map(it => ({ it, narrative: it._narrative, value: it[key] }));
+  const result = evaluateClassification(field, rows);
+  const wrap = document.createElement("div");
+
+  const note = document.createElement("p");
+  note.className = "noneText";
+  note.textContent = `${result.scored} incidents scored against their ${label.toLowerCase()} column; ` +
+    `${result.skipped} skipped because the value matches no rule's column pattern.`;
+  wrap.appendChild(note);
+
+  const statRow = s => [s.label, String(s.actual), String(s.predicted), String(s.correct), formatRate(s.precision), formatRate(s.recall)];
+  wrap.appendChild(buildQualityTable(["Label", "In column", "Predicted", "Correct", "Precision", "Recall"],
+    [...result.labels.filter(s => s.actual || s.predicted).map(statRow), statRow(result.overall)]));
+
+  const misses = result.misses.slice(0, QUALITY_LIST_LIMIT).map(({ row, actual, predicted }) => {
+    const a = document.createElement("a");
+    a.href = incidentLink(row.it);
+    a.textContent = `${eventDayKey(row.it)} ${row.it._tail}`;
+    return [a, row.value, actual.join(", "), predicted.join(", ") || "—"];
+  });
+  wrap.appendChild(mkLabeledSection(
+    result.misses.length > QUALITY_LIST_LIMIT ? `Disagreements (first ${QUALITY_LIST_LIMIT} of ${result.misses.length})` : `Disagreements (${result.misses.length})`,
+    buildQualityTable(["Incident", "Column", "Counts as", "Rules say"], misses)));
+  return wrap;
+}
+
+function buildRulesSection() {
+  const wrap = document.createElement("div");
+  const label = document.createElement("label");
+  label.textContent = "Evaluate rules for ";
+  const field = document.createElement("select");
+  field.appendChild(new Option("Off", ""));
+  for (const [k, [text]] of Object.entries(RULE_FIELDS)) field.appendChild(new Option(text, k));
+  field.value = rulesField;
+  field.addEventListener("change", () => {
+    rulesField = field.value;
+    renderQuality();
+  });
+  label.appendChild(field);
+  wrap.appendChild(label);
+  if (rulesField) wrap.appendChild(buildRulesEvaluation(rulesField));
+  return mkLabeledSection("Classification rules", wrap);
+}
+
+function renderQuality() {
+  if (!els.quality || !els.qualityPanel || !els.qualityPanel.open) return;
+  const issues = qualityIssues();
+  const frag = document.createDocumentFragment();
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "panelToolbar";
+  const label = document.createElement("label");
+  label.textContent = "Show ";
+  const kind = document.createElement("select");
+  kind.appendChild(new Option("All issues", ""));
+  for (const [k, text] of Object.entries(ISSUE_KINDS)) kind.appendChild(new Option(text, k));
+  kind.value = qualityKind;
+  kind.addEventListener("change", () => {
+    qualityKind = kind.value;
+    renderQuality();
+  });
+  label.appendChild(kind);
+  toolbar.appendChild(label);
+
+  const exportBtn = document.createElement("button");
+  exportBtn.type = "button";
+  exportBtn.className = "toolBtn";
+  exportBtn.textContent = `Export ${issues.length} as CSV`;
+  exportBtn.disabled = !issues.length;
+  exportBtn.addEventListener("click", exportQualityIssues);
+  toolbar.appendChild(exportBtn);
+  frag.appendChild(toolbar);
+
+  const counts = new Map(Object.keys(ISSUE_KINDS).map(k => [k, 0]));
+  for (const it of INCIDENTS) for (const i of it._issues) counts.set(i.kind, counts.get(i.kind) + 1);
+  frag.appendChild(buildStatTiles([["Incidents checked", INCIDENTS.length],
+    ...[...counts].map(([k, n]) => [ISSUE_KINDS[k], n])]));
+
+  frag.appendChild(mkLabeledSection("Field sources", buildProvenanceTable(INCIDENTS)));
+  frag.appendChild(buildRulesSection());
+
+  const list = mkLabeledSection(
+    issues.length > QUALITY_LIST_LIMIT ? `Issues (first ${QUALITY_LIST_LIMIT} of ${issues.length}; export for all)` : `Issues (${issues.length})`,
+    buildIssueTable(issues));
+  frag.appendChild(list);
+
+  els.quality.replaceChildren(frag);
+}
+
+if (els.qualityPanel) els.qualityPanel.addEventListener("toggle", renderQuality);
+
+// -------------------- Load status --------------------
+
+let SHARD_STATUS = [];
+
+function renderShardStatus() {
+  if (!els.shardStatus) return;
+  els.shardStatus.innerHTML = "";
+
+  const done = SHARD_STATUS.filter(s => s.state !== "pending").length;
+  const failed = SHARD_STATUS.filter(s => s.state === "failed").length;
+  const summary = document.createElement("summary");
+  summary.textContent = done < SHARD_STATUS.length
+    ? `Loading shards ${done}/${SHARD_STATUS.length}…`
+    : failed
+      ? `${SHARD_STATUS.length - failed}/${SHARD_STATUS.length} shards loaded (${failed} failed)`
+      : `${SHARD_STATUS.length} shards loaded`;
+  els.shardStatus.appendChild(summary);
+
+  const ul = document.createElement("ul");
+  ul.className = "shardList";
+  for (const s of SHARD_STATUS) {
+    const li = document.createElement("li");
+    li.className = s.state === "failed" ? "shardFailed" : "";
+    if (s.state === "pending") li.textContent = `${s.name}: loading…`;
+    else if (s.state === "failed") li.textContent = `${s.name}: failed (${s.error})`;
+    else li.textContent = `${s.name}: ${s.rowCount} rows, ${s.unique} new` + (s.repaired ? `, ${s.repaired} text repairs` : "");
+    ul.appendChild(li);
+  }
+  els.shardStatus.appendChild(ul);
+  if (failed) els.shardStatus.open = true;
+}
+
+function setLoadProgress(done, total) {
+  if (!els.loadProgress) return;
+  els.loadProgress.max = Math.max(1, total);
+  els.loadProgress.value = done;
+  els.loadProgress.hidden = total > 0 && done >= total;
+}
+
+// -------------------- Progressive loading --------------------
+
+const INCIDENT_POS = new Map(); // _seq -> index in INCIDENTS
+let refreshTimer = 0;
+
+function upsertIncidents(batch) {
+  for (const it of batch) {
+    const pos = INCIDENT_POS.get(it._seq);
+    if (pos === undefined) {
+      INCIDENT_POS.set(it._seq, INCIDENTS.length);
+      INCIDENTS.push(it);
+    } else {
+      INCIDENTS[pos] = it;
+    }
+  }
+  rebuildGroups();
+  invalidateSearchIndex();
+}
+
+function refreshFromIncidents() {
+  populateYearMonthFilters(INCIDENTS);
+  fillSelect(els.state, uniqueSorted(INCIDENTS.map(x => x._state)), "All states");
+  fillSelect(els.event, taxonomyOptions("eventType", INCIDENTS.map(x => x._eventLabels)), "All event types");
+  fillSelect(els.phase, taxonomyOptions("phase", INCIDENTS.map(x => x._phaseLabels)), "All phases");
+  fillSelect(els.tag, annotationTagList(), "All tags");
+  applyPendingUrlState();
+  computeNewIds();
+  applyFilters();
+  renderNewChip();
+  renderWatchlists();
+  renderHistory();
+  renderCompare();
+  renderQuality();
+  renderExportPanel();
+  tryPendingDeepLink();
+}
+
+// Batches can arrive faster than we want to re-render; coalesce them.
+function scheduleRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = 0;
+    refreshFromIncidents();
+  }, 250);
+}
+
+// Runs the pipeline in worker.js when possible, else on the main thread (e.g. file:// pages).
+function runLoader(handlers) {
+  const inline = () => loadIncidents(window.location.href, handlers);
+  if (typeof Worker === "undefined") return inline();
+
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker("./worker.js");
+    } catch {
+      inline().then(resolve, reject);
+      return;
+    }
+
+    let started = false;
+    worker.addEventListener("error", (e) => {
+      worker.terminate();
+      if (started) reject(new Error(e.message || "Loader worker failed"));
+      else inline().then(resolve, reject);
+    });
+
+    worker.addEventListener("message", (e) => {
+      const msg = e.data || {};
+      started = true;
+      if (msg.type === "manifest") handlers.onManifest(msg.manifest);
+      else if (msg.type === "shard") handlers.onShard(msg.shard);
+      else if (msg.type === "batch") handlers.onBatch(msg.incidents);
+      else if (msg.type === "done") { worker.terminate(); resolve(msg.summary); }
+      else if (msg.type === "failed") { worker.terminate(); reject(new Error(msg.message)); }
+    });
+
+    worker.postMessage({ type: "load", baseUrl: window.location.href });
+  });
+}
+
+// -------------------- URL state & deep links --------------------
+// Filters live in the query string (?q=…&state=AK&phase=…); a single incident is
+// linked as #incident=<_id>. Typing replaces the history entry, other changes push one.
+
+const URL_FILTERS = [
+  { param: "q", el: "search" },
+  { param: "year", el: "year" },
+  // Months are 0-based option values; links use 1-12
+  { param: "month", el: "month", encode: v => String(Number(v) + 1), decode: v => String(Number(v) - 1) },
+  { param: "state", el: "state" },
+  { param: "event", el: "event" },
+  { param: "phase", el: "phase" },
+  { param: "injury", el: "injury" },
+  { param: "damage", el: "damage" },
+  { param: "multi", el: "multi" },
+  { param: "ntsb", el: "ntsb" },
+  { param: "photo", el: "photo" },
+  { param: "category", el: "category" },
+  { param: "engine", el: "engine" },
+  { param: "fleet", el: "fleet" },
+  { param: "new", el: "newOnly" },
+  { param: "review", el: "review" },
+  { param: "tag", el: "tag" },
+  { param: "basis", el: "dateBasis", defaultValue: "event" },
+  { param: "from", el: "dateFrom", label: "From" },
+  { param: "to", el: "dateTo", label: "To" },
+  { param: "tfrom", el: "timeFrom", label: "Local time from" },
+  { param: "tto", el: "timeTo", label: "Local time to" },
+  { param: "light", el: "light" },
+  { param: "late", el: "late" },
+  { param: "sort", el: "sort", defaultValue: "newest" },
+];
+
+let pendingUrlState = null; // values whose <option> has not loaded yet
+let pendingDeepLink = "";
+
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  for (const f of URL_FILTERS) {
+    const v = params.get(f.param);
+    state[f.param] = v === null ? "" : (f.decode ? f.decode(v) : v);
+  }
+  return state;
+}
+
+function setControlValue(el, value) {
+  if (el.tagName !== "SELECT") { el.value = value; return true; }
+  if (value && ![...el.options].some(o => o.value === value)) return false;
+  el.value = value;
+  return true;
+}
+
+function applyUrlState(state) {
+  pendingUrlState = null;
+  for (const f of URL_FILTERS) {
+    const el = els[f.el];
+    if (!el) continue;
+    const value = state[f.param] || f.defaultValue || "";
+    if (!setControlValue(el, value)) {
+      pendingUrlState = pendingUrlState || {};
+      pendingUrlState[f.param] = value;
+    }
+  }
+}
+
+// Called after options are rebuilt so values from the URL stick once their option exists
+function applyPendingUrlState() {
+  if (!pendingUrlState) return;
+  const state = pendingUrlState;
+  pendingUrlState = null;
+  for (const f of URL_FILTERS) {
+    if (!(f.param in state) || !els[f.el]) continue;
+    if (!setControlValue(els[f.el], state[f.param])) {
+      pendingUrlState = pendingUrlState || {};
+      pendingUrlState[f.param] = state[f.param];
+    }
+  }
+}
+
+function buildUrlSearch() {
+  const params = new URLSearchParams();
+  for (const f of URL_FILTERS) {
+    const el = els[f.el];
+    if (!el) continue;
+    const v = norm(el.value);
+    if (!v || v === f.defaultValue) continue;
+    params.set(f.param, f.encode ? f.encode(v) : v);
+  }
+  const s = params.toString();
+  return s ? `?${s}` : "";
+}
+
+function writeUrlState(push) {
+  // A user edit overrides whatever the URL asked for
+  pendingUrlState = null;
+  const search = buildUrlSearch();
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (push) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
+function readDeepLink() {
+  const m = window.location.hash.match(/^#incident=([a-z0-9]+)$/i);
+  return m ? m[1].toLowerCase() : "";
+}
+
+// Fragment-only, so it resolves against whatever filters are in the URL when clicked
+function incidentLink(it) {
+  return `#incident=${it._id}`;
+}
+
+// Expands and scrolls to the linked card; returns false while it has not loaded yet.
+function revealIncident(id) {
+  // Links to any member of a multi-aircraft event open the event's card
+  const idx = FILTERED.findIndex(it => eventMembers(it).some(m => m._id === id));
+  if (idx < 0) {
+    const loaded = INCIDENTS.some(it => it._id === id);
+    if (loaded && els.status) els.status.textContent = "The linked incident is hidden by the current filters.";
+    return loaded;
+  }
+
+  const it = FILTERED[idx];
+  EXPANDED.add(it._seq);
+  LINKED_SEQ = it._seq;
+  RENDERED.delete(it._seq);
+  recomputeOffsets();
+  window.scrollTo(0, listTop() + OFFSETS[idx] - 12);
+  renderWindow();
+  // Measured heights above the card may differ from estimates; settle once more
+  requestAnimationFrame(() => window.scrollTo(0, listTop() + OFFSETS[idx] - 12));
+  return true;
+}
+
+// While shards are still arriving the card can move, so the link stays pending until load completes
+function tryPendingDeepLink(final = false) {
+  if (!pendingDeepLink) return;
+  if (revealIncident(pendingDeepLink) && (final || !loading)) pendingDeepLink = "";
+}
+
+window.addEventListener("popstate", () => {
+  applyUrlState(readUrlState());
+  applyFilters();
+});
+
+window.addEventListener("hashchange", () => {
+  pendingDeepLink = readDeepLink();
+  tryPendingDeepLink();
+});
+
+// -------------------- New since last visit & watchlists --------------------
+// localStorage remembers the incident IDs and the newest report date seen so far. Incidents
+// missing from that record when the page opened are badged "New" for the whole visit.
+// Watchlists are named sets of filter values (keyed like the URL) with live match counts.
+
+const SEEN_KEY = "incidents.seen";             // { newestReport: "YYYY-MM-DD", ids: [_id…], at }
+const WATCHLISTS_KEY = "incidents.watchlists"; // [{ name, filters: { param: value } }]
+const WATCHLIST_SKIP = ["sort", "new"];        // not stored with a watchlist
+
+function readStored(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Private browsing or a full quota; everything else keeps working
+    console.warn(`Could not save ${key}`, err);
+  }
+}
+
+let SEEN_BASELINE = readStored(SEEN_KEY, null); // record as of the previous visit; null on a first visit
+let NEW_IDS = new Set();
+let WATCHLISTS = readStored(WATCHLISTS_KEY, []);
+
+function computeNewIds() {
+  NEW_IDS = new Set();
+  if (!SEEN_BASELINE || !Array.isArray(SEEN_BASELINE.ids)) return;
+
+  const seen = new Set(SEEN_BASELINE.ids);
+  for (const it of INCIDENTS) {
+    if (seen.has(it._id)) continue;
+    // An unseen ID reported before the last visit is a back-filled or re-keyed row, not news
+    const reported = usDateToDayKey(it._reportDate);
+    if (reported && reported < (SEEN_BASELINE.newestReport || "")) continue;
+    NEW_IDS.add(it._id);
+  }
+}
+
+// Adds the loaded incidents to the stored record. Earlier IDs are kept, so incidents from a
+// shard that failed this time do not come back as new on the next visit.
+function recordSeen() {
+  const stored = readStored(SEEN_KEY, null);
+  const ids = new Set(stored && Array.isArray(stored.ids) ? stored.ids : []);
+  let newest = (stored && stored.newestReport) || "";
+  for (const it of INCIDENTS) {
+    ids.add(it._id);
+    const reported = usDateToDayKey(it._reportDate);
+    if (reported > newest) newest = reported;
+  }
+  const record = { newestReport: newest, ids: [...ids], at: Date.now() };
+  writeStored(SEEN_KEY, record);
+  return record;
+}
+
+function markAllSeen() {
+  SEEN_BASELINE = recordSeen();
+  computeNewIds();
+  applyFilters();
+  renderNewChip();
+  renderWatchlists();
+}
+
+function isNewEvent(it) {
+  return NEW_IDS.size > 0 && eventMembers(it).some(m => NEW_IDS.has(m._id));
+}
+
+function matchesNewFilter(it, value) {
+  return value !== "new" || isNewEvent(it);
+}
+
+function renderNewChip() {
+  if (!els.newChip) return;
+  const count = collapseGroups(INCIDENTS.filter(it => NEW_IDS.has(it._id))).length;
+  els.newChip.hidden = !count;
+  if (!count) return;
+
+  els.newChip.textContent = `${count} new since your last visit `;
+
+  const show = document.createElement("button");
+  show.type = "button";
+  show.className = "linkBtn";
+  show.textContent = "Show";
+  show.addEventListener("click", () => {
+    if (!els.newOnly) return;
+    els.newOnly.value = "new";
+    applyFilters();
+    writeUrlState(true);
+  });
+  els.newChip.appendChild(show);
+
+  const clear = document.createElement("button");
+  clear.type = "button";
+  clear.className = "chipClear";
+  clear.title = "Mark all as seen";
+  clear.textContent = "×";
+  clear.addEventListener("click", markAllSeen);
+  els.newChip.appendChild(clear);
+}
+
+function watchlistFilters() {
+  const filters = {};
+  for (const [param, v] of Object.entries(currentFilterValues())) {
+    if (v && !WATCHLIST_SKIP.includes(param)) filters[param] = v;
+  }
+  return filters;
+}
+
+function saveWatchlist() {
+  const name = norm(els.watchName && els.watchName.value);
+  const filters = watchlistFilters();
+  let note = "";
+  if (!name) note = "Name the watchlist first.";
+  else if (!Object.keys(filters).length) note = "Set some filters first; a watchlist saves the current filters.";
+
+  if (!note) {
+    // Saving under an existing name replaces that watchlist
+    WATCHLISTS = WATCHLISTS.filter(w => w.name !== name).concat({ name, filters });
+    writeStored(WATCHLISTS_KEY, WATCHLISTS);
+    els.watchName.value = "";
+    renderWatchlists();
+  }
+  if (els.watchNote) els.watchNote.textContent = note;
+}
+
+function deleteWatchlist(name) {
+  WATCHLISTS = WATCHLISTS.filter(w => w.name !== name);
+  writeStored(WATCHLISTS_KEY, WATCHLISTS);
+  renderWatchlists();
 }
 
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: "text/csv;charset=utf-8" });
+// Replaces every filter with the watchlist's (sort order stays, map area is cleared)
+function applyWatchlist(w) {
+  applyUrlState({ ...w.filters, sort: els.sort ? els.sort.value : "" });
+  GEO_FILTER = null;
+  applyFilters();
+  writeUrlState(true);
+}
+
+function watchlistCounts(w) {
+  const events = collapseGroups(INCIDENTS.filter(buildRowFilter(w.filters)));
+  return { total: events.length, fresh: events.filter(isNewEvent).length };
+}
+
+function renderWatchlists() {
+  if (!els.watchlists) return;
+
+  const rows = WATCHLISTS.map(w => ({ w, ...watchlistCounts(w) }));
+  const fresh = rows.reduce((n, r) => n + r.fresh, 0);
+  if (els.watchSummary) {
+    els.watchSummary.textContent = fresh ? `Watchlists (${fresh} new ${fresh === 1 ? "match" : "matches"})` : "Watchlists";
+  }
+
+  els.watchlists.innerHTML = "";
+  if (!rows.length) {
+    const none = document.createElement("div");
+    none.className = "noneText";
+    none.textContent = "No watchlists yet. Set the filters above, name them and save.";
+    els.watchlists.appendChild(none);
+    return;
+  }
+
+  const ul = document.createElement("ul");
+  ul.className = "watchList";
+  for (const { w, total, fresh: newCount } of rows) {
+    const li = document.createElement("li");
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "linkBtn";
+    open.textContent = w.name;
+    open.title = "Apply these filters";
+    open.addEventListener("click", () => applyWatchlist(w));
+    li.appendChild(open);
+
+    li.appendChild(document.createTextNode(` ${total} ${total === 1 ? "event" : "events"}`));
+    if (newCount) {
+      const badge = document.createElement("span");
+      badge.className = "newBadge";
+      badge.textContent = `${newCount} new`;
+      li.appendChild(badge);
+    }
+
+    const desc = document.createElement("span");
+    desc.className = "watchFilters";
+    desc.textContent = describeFilters(w.filters).join(" · ");
+    li.appendChild(desc);
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "chipClear";
+    del.title = `Delete "${w.name}"`;
+    del.textContent = "×";
+    del.addEventListener("click", () => deleteWatchlist(w.name));
+    li.appendChild(del);
+
+    ul.appendChild(li);
+  }
+  els.watchlists.appendChild(ul);
+}
+
+if (els.watchSaveBtn) els.watchSaveBtn.addEventListener("click", saveWatchlist);
+if (els.watchName) {
+  els.watchName.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") saveWatchlist();
+  });
+}
+
+let loading = true;
+
+// -------------------- Offline cache --------------------
+// The last complete load is kept in IndexedDB as normalized incidents, keyed by data version,
+// so a repeat visit renders before any network request. The manifest is then checked; a newer
+// version is loaded quietly in the background and swapped in once every shard has arrived.
+// sw.js keeps the app shell and the raw shards available when there is no connection.
+
+const DB_NAME = "alaska-incidents";
+const DB_VERSION = 2;
+const SNAPSHOT_STORE = "snapshots"; // keyPath "version"; only the latest load is kept
+const RECHECK_MS = 10 * 60 * 1000;  // check the manifest again when the tab returns after this long
+
+// state: "current" (hidden), "checking", "updating", "offline" or "failed"
+const FRESHNESS = { state: "", pending: "", savedAt: 0, checkedAt: 0 };
+
+let dbPromise = null;
+let syncing = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE, { keyPath: "version" });
+        if (!db.objectStoreNames.contains(ANNOTATION_STORE)) db.createObjectStore(ANNOTATION_STORE, { keyPath: "id" });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with the result of the request fn returns
+async function dbTransaction(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function readSnapshot() {
+  const all = await dbTransaction(SNAPSHOT_STORE, "readonly", store => store.getAll());
+  const latest = (all || []).sort((a, b) => b.savedAt - a.savedAt)[0];
+  return latest && latest.pipeline === PIPELINE_VERSION && latest.incidents.length ? latest : null;
+}
+
+function saveSnapshot(snapshot) {
+  return dbTransaction(SNAPSHOT_STORE, "readwrite", (store) => {
+    store.clear();
+    return store.put(snapshot);
+  });
+}
+
+// A partial load would drop the failed shards' incidents; keep the last complete copy instead
+function saveLoadedData(summary) {
+  if (summary.loadedShards < summary.shardCount) return;
+  const savedAt = Date.now();
+  saveSnapshot({ version: summary.version, pipeline: PIPELINE_VERSION, savedAt, summary, shards: SHARD_STATUS, incidents: INCIDENTS })
+    .then(() => { FRESHNESS.savedAt = savedAt; })
+    .catch(err => console.warn("Could not update the offline cache", err));
+}
+
+function setFreshness(state, pending = "") {
+  FRESHNESS.state = state;
+  FRESHNESS.pending = pending;
+  renderFreshness();
+}
+
+function renderFreshness() {
+  const el = els.dataFreshness;
+  if (!el) return;
+
+  const f = FRESHNESS;
+  const data = DATA_VERSION ? `data ${DATA_VERSION}` : "cached data";
+  const saved = f.savedAt ? ` saved ${new Date(f.savedAt).toLocaleDateString()}` : "";
+  const text = {
+    checking: `Showing ${data}${saved} · checking for updates…`,
+    updating: `Showing ${data} · downloading ${f.pending ? `data ${f.pending}` : "new data"}…`,
+    offline: `Offline: showing ${data}${saved}`,
+    failed: `Could not check for new data; showing ${data}${saved}`,
+  }[f.state] || "";
+
+  el.hidden = !text;
+  el.classList.toggle("stale", f.state === "offline" || f.state === "failed");
+  el.textContent = text ? `${text} ` : "";
+  if (f.state !== "offline" && f.state !== "failed") return;
+
+  const retry = document.createElement("button");
+  retry.type = "button";
+  retry.className = "chipClear";
+  retry.title = "Check for new data";
+  retry.textContent = "↻";
+  retry.addEventListener("click", () => syncData());
+  el.appendChild(retry);
+}
+
+function loadSummaryText(summary) {
+  const failed = summary.shardCount - summary.loadedShards;
+  return `Loaded ${summary.loadedShards}/${summary.shardCount} shards (data ${summary.version || "unversioned"}): ` +
+    `${summary.uniqueRows} unique rows, ${summary.duplicates} duplicates merged` +
+    (summary.repairedCells ? `, ${summary.repairedCells} encoding repairs` : "") +
+    (failed ? `, ${failed} shard(s) failed` : "");
+}
+
+function replaceIncidents(list) {
+  INCIDENTS = [];
+  INCIDENT_POS.clear();
+  upsertIncidents(list);
+}
+
+// Shared tail of every load: render the final list and resolve URL state and deep links
+function finishLoad() {
+  loading = false;
+  refreshFromIncidents();
+  recordSeen();
+  pendingUrlState = null;
+  tryPendingDeepLink(true);
+  if (pendingDeepLink && els.status) els.status.textContent += " (linked incident not found)";
+  pendingDeepLink = "";
+}
+
+function showSnapshot(snapshot) {
+  DATA_VERSION = snapshot.version;
+  SHARD_STATUS = snapshot.shards;
+  FRESHNESS.savedAt = snapshot.savedAt;
+  renderShardStatus();
+  setLoadProgress(1, 1);
+  replaceIncidents(snapshot.incidents);
+  if (els.status) els.status.textContent = `${loadSummaryText(snapshot.summary)} (from offline cache)`;
+  setFreshness("checking");
+  finishLoad();
+}
+
+// First visit (or an empty cache): stream shards into the list as they arrive
+async function loadFromNetwork() {
+  loading = true;
+  try {
+    let shardsDone = 0;
+
+    const summary = await runLoader({
+      onManifest(manifest) {
+        DATA_VERSION = manifest.version;
+        SHARD_STATUS = manifest.shards.map(name => ({ name, state: "pending" }));
+        renderShardStatus();
+        setLoadProgress(0, SHARD_STATUS.length);
+        if (els.status) els.status.textContent = `Loading ${SHARD_STATUS.length} shards…`;
+      },
+      onShard(shard) {
+        const entry = SHARD_STATUS.find(s => s.name === shard.name);
+        if (entry) Object.assign(entry, shard, { state: shard.ok ? "loaded" : "failed" });
+        shardsDone++;
+        renderShardStatus();
+        setLoadProgress(shardsDone, SHARD_STATUS.length);
+        if (els.status) {
+          els.status.textContent = `Loading shards ${shardsDone}/${SHARD_STATUS.length}… (${INCIDENTS.length} incidents so far)`;
+        }
+      },
+      onBatch(batch) {
+        upsertIncidents(batch);
+        scheduleRefresh();
+      },
+    });
+
+    clearTimeout(refreshTimer);
+    refreshTimer = 0;
+    setLoadProgress(SHARD_STATUS.length, SHARD_STATUS.length);
+
+    if (!summary.loadedShards) throw new Error("No data shards could be loaded");
+    if (!INCIDENTS.length) throw new Error("CSV is empty");
+
+    if (els.status) els.status.textContent = loadSummaryText(summary);
+    setFreshness(summary.offline ? "offline" : "current");
+    finishLoad();
+    saveLoadedData(summary);
+  } catch (e) {
+    console.error(e);
+    loading = false;
+    setLoadProgress(0, 0);
+    if (els.status) els.status.textContent = `Load error: ${e.message || e}`;
+  }
+}
+
+// A newer version while cached data is on screen: load it aside and swap it in when complete
+async function loadInBackground(version) {
+  setFreshness("updating", version);
+  const fresh = new Map(); // _seq -> incident; re-sent incidents replace their earlier copy
+  let shards = [];
+
+  try {
+    const summary = await runLoader({
+      onManifest(manifest) {
+        shards = manifest.shards.map(name => ({ name, state: "pending" }));
+      },
+      onShard(shard) {
+        const entry = shards.find(s => s.name === shard.name);
+        if (entry) Object.assign(entry, shard, { state: shard.ok ? "loaded" : "failed" });
+      },
+      onBatch(batch) {
+        for (const it of batch) fresh.set(it._seq, it);
+      },
+    });
+
+    const failed = summary.shardCount - summary.loadedShards;
+    if (failed) throw new Error(`${failed} shard(s) failed`);
+    if (!fresh.size) throw new Error("CSV is empty");
+    swapIncidents([...fresh.values()], shards, summary);
+  } catch (e) {
+    console.warn("Background update failed", e);
+    setFreshness("failed");
+  }
+}
+
+// Expanded and linked cards are tracked by _seq, which a new version may renumber
+function swapIncidents(list, shards, summary) {
+  const expandedIds = new Set(INCIDENTS.filter(it => EXPANDED.has(it._seq)).map(it => it._id));
+  const linked = INCIDENTS.find(it => it._seq === LINKED_SEQ);
+
+  replaceIncidents(list);
+  EXPANDED.clear();
+  CARD_HEIGHTS.clear();
+  LINKED_SEQ = -1;
+  for (const it of INCIDENTS) {
+    if (expandedIds.has(it._id)) EXPANDED.add(it._seq);
+    if (linked && it._id === linked._id) LINKED_SEQ = it._seq;
+  }
+
+  DATA_VERSION = summary.version;
+  SHARD_STATUS = shards;
+  renderShardStatus();
+  refreshFromIncidents();
+  recordSeen();
+  if (els.status) els.status.textContent = `${loadSummaryText(summary)} (updated in the background)`;
+  setFreshness(summary.offline ? "offline" : "current");
+  saveLoadedData(summary);
+}
+
+async function checkForNewData() {
+  FRESHNESS.checkedAt = Date.now();
+  if (!INCIDENTS.length) return loadFromNetwork();
+
+  let manifest;
+  try {
+    manifest = await fetchManifest(window.location.href);
+  } catch (e) {
+    console.warn(e);
+    // fetch() rejects with a TypeError only when the request never reached a server
+    setFreshness(e.name === "TypeError" || navigator.onLine === false ? "offline" : "failed");
+    return;
+  }
+
+  if (manifest.offline) setFreshness("offline");
+  else if (manifest.version && manifest.version === DATA_VERSION) setFreshness("current");
+  else await loadInBackground(manifest.version);
+}
+
+// One check at a time; "online" and tab-focus events can fire while one is running
+function syncData() {
+  if (!syncing) syncing = checkForNewData().finally(() => { syncing = null; });
+  return syncing;
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register("./sw.js").catch(err => console.warn("Service worker registration failed", err));
+}
+
+window.addEventListener("online", () => syncData());
+document.addEventListener("visibilitychange", () => {
+  if (!document.hidden && Date.now() - FRESHNESS.checkedAt > RECHECK_MS) syncData();
+});
+
+// -------------------- Init --------------------
+
+async function init() {
+  applyUrlState(readUrlState());
+  pendingDeepLink = readDeepLink();
+
+  if (els.search) {
+    els.search.addEventListener("input", () => {
+      applyFilters();
+      writeUrlState(false);
+    });
+  }
+  [els.state, els.event, els.phase, els.injury, els.damage, els.multi, els.ntsb, els.photo, els.newOnly, els.sort, els.year, els.month,
+    els.dateBasis, els.dateFrom, els.dateTo, els.timeFrom, els.timeTo, els.light, els.late, els.category, els.engine, els.fleet,
+    els.review, els.tag]
+    .filter(Boolean)
+    .forEach(el => el.addEventListener("change", () => {
+      applyFilters();
+      writeUrlState(true);
+    }));
+
+  // Before the first render, so cards and the review filters start out annotated
+  await loadAnnotations().catch(err => console.warn("Annotations unavailable", err));
+  renderAnnotationPanel();
+
+  const snapshot = await readSnapshot().catch((err) => {
+    console.warn("Offline cache unavailable", err);
+    return null;
+  });
+  if (snapshot) showSnapshot(snapshot);
+
+  await syncData();
+  // Registered after the first load so its precache does not compete with the page's own fetches
+  registerServiceWorker();
+}
+
+// -------------------- Annotations --------------------
+// Analyst notes, free-form tags and a review status per event, kept in IndexedDB under the
+// lead incident's _id, which stays the same across data versions. The JSON export and import
+// let a team merge their work: for each incident the more recently edited status and note
+// win, and tags from both sides are kept.
+
+const ANNOTATION_STORE = "annotations"; // keyPath "id"
+const ANNOTATIONS_FORMAT = "incident-annotations";
+const REVIEW_STATUSES = { unreviewed: "Unreviewed", reviewed: "Reviewed", followup: "Needs follow-up" };
+
+let ANNOTATIONS = new Map(); // _id -> { id, status, tags: [...], note, updatedAt (ISO) }
+
+function annotationFor(it) {
+  return ANNOTATIONS.get(eventMembers(it)[0]._id) || null;
+}
+
+function reviewStatus(it) {
+  const a = annotationFor(it);
+  return a ? a.status : "unreviewed";
+}
+
+function annotationTags(it) {
+  const a = annotationFor(it);
+  return a ? a.tags : [];
+}
+
+// Lower case, no leading "#", each tag once
+function cleanTags(tags) {
+  const out = [];
+  for (const t of tags) {
+    const tag = norm(t).replace(/^#+/, "").toLowerCase();
+    if (tag && !out.includes(tag)) out.push(tag);
+  }
+  return out;
+}
+
+function annotationTagList() {
+  return uniqueSorted([...ANNOTATIONS.values()].flatMap(a => a.tags));
+}
+
+const isEmptyAnnotation = a => a.status === "unreviewed" && !a.tags.length && !a.note;
+
+async function loadAnnotations() {
+  const all = await dbTransaction(ANNOTATION_STORE, "readonly", store => store.getAll());
+  ANNOTATIONS = new Map((all || []).map(a => [a.id, a]));
+}
+
+// Writes records (deleting the empty ones) to IndexedDB; the in-memory copy is already updated
+function storeAnnotations(records) {
+  return dbTransaction(ANNOTATION_STORE, "readwrite", (store) => {
+    for (const a of records) {
+      if (isEmptyAnnotation(a)) store.delete(a.id);
+      else store.put(a);
+    }
+  }).catch((err) => {
+    console.warn("Could not save annotations", err);
+    setAnnotationNote("Annotations could not be saved in this browser; export them before leaving.");
+  });
+}
+
+function saveAnnotation(it, { status, tags, note }) {
+  const id = eventMembers(it)[0]._id;
+  const record = { id, status, tags: cleanTags(tags), note: norm(note) ? note.trim() : "", updatedAt: new Date().toISOString() };
+  if (isEmptyAnnotation(record)) ANNOTATIONS.delete(id);
+  else ANNOTATIONS.set(id, record);
+  storeAnnotations([record]);
+  annotationsChanged();
+  return record;
+}
+
+// Tag options, the panel and (when a review filter is set) the list follow every change
+function annotationsChanged() {
+  fillSelect(els.tag, annotationTagList(), "All tags");
+  renderAnnotationPanel();
+  if ((els.review && els.review.value) || (els.tag && els.tag.value)) applyFilters();
+}
+
+function buildReviewMarks(it) {
+  const wrap = document.createElement("span");
+  wrap.className = "reviewMarks";
+  const status = reviewStatus(it);
+  if (status !== "unreviewed") {
+    const badge = document.createElement("span");
+    badge.className = `reviewBadge review-${status}`;
+    badge.textContent = REVIEW_STATUSES[status];
+    wrap.appendChild(badge);
+  }
+  for (const tag of annotationTags(it)) {
+    const span = document.createElement("span");
+    span.className = "tagChip";
+    span.textContent = `#${tag}`;
+    wrap.appendChild(span);
+  }
+  return wrap;
+}
+
+// Status, tags and note for one event, saved as soon as a field changes
+function buildAnnotationEditor(it, onSaved) {
+  const a = annotationFor(it);
+  const wrap = document.createElement("div");
+  wrap.className = "annotationEditor";
+
+  const status = document.createElement("select");
+  status.setAttribute("aria-label", "Review status");
+  for (const [value, label] of Object.entries(REVIEW_STATUSES)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    status.appendChild(opt);
+  }
+  status.value = a ? a.status : "unreviewed";
+
+  const tags = document.createElement("input");
+  tags.type = "text";
+  tags.placeholder = "Tags, comma separated";
+  tags.setAttribute("aria-label", "Tags");
+  tags.value = a ? a.tags.join(", ") : "";
+
+  const note = document.createElement("textarea");
+  note.rows = 3;
+  note.placeholder = "Notes";
+  note.setAttribute("aria-label", "Notes");
+  note.value = a ? a.note : "";
+
+  const saved = document.createElement("span");
+  saved.className = "annotationSaved";
+  const showSaved = (at) => {
+    saved.textContent = at ? `Saved ${at.slice(0, 16).replace("T", " ")} UTC` : "";
+  };
+  showSaved(a && a.updatedAt);
+
+  const save = () => {
+    const record = saveAnnotation(it, { status: status.value, tags: tags.value.split(","), note: note.value });
+    tags.value = record.tags.join(", ");
+    showSaved(record.updatedAt);
+    onSaved();
+  };
+  for (const el of [status, tags, note]) el.addEventListener("change", save);
+
+  const row = document.createElement("div");
+  row.className = "annotationRow";
+  row.append(status, tags, saved);
+  wrap.append(row, note);
+  return wrap;
+}
+
+function setAnnotationNote(text) {
+  if (els.annotationNote) els.annotationNote.textContent = text;
+}
+
+function renderAnnotationPanel() {
+  if (!els.annotationStats) return;
+  const all = [...ANNOTATIONS.values()];
+  if (els.annotationSummary) {
+    els.annotationSummary.textContent = all.length ? `Annotations (${all.length})` : "Annotations";
+  }
+  if (!all.length) {
+    const none = document.createElement("div");
+    none.className = "noneText";
+    none.textContent = "No annotations yet. Expand a card to set its review status, tags and notes.";
+    els.annotationStats.replaceChildren(none);
+    return;
+  }
+
+  const rows = Object.entries(REVIEW_STATUSES)
+    .filter(([s]) => s !== "unreviewed")
+    .map(([s, label]) => [label, all.filter(a => a.status === s).length]);
+  const tagCounts = new Map();
+  for (const a of all) for (const t of a.tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
+
+  const frag = document.createDocumentFragment();
+  frag.appendChild(buildStatTiles([...rows, ["With notes", all.filter(a => a.note).length]]));
+  if (tagCounts.size) {
+    const tags = document.createElement("div");
+    tags.className = "annotationTags";
+    for (const [tag, n] of [...tagCounts].sort((x, y) => (y[1] - x[1]) || x[0].localeCompare(y[0]))) {
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "linkBtn";
+      b.textContent = `#${tag} (${n})`;
+      b.title = `Show incidents tagged ${tag}`;
+      b.addEventListener("click", () => pickFilter(els.tag, tag));
+      tags.appendChild(b);
+    }
+    frag.appendChild(mkLabeledSection("Tags", tags));
+  }
+  els.annotationStats.replaceChildren(frag);
+}
+
+function exportAnnotations() {
+  const byId = new Map(INCIDENTS.map(it => [it._id, it]));
+  const annotations = [...ANNOTATIONS.values()]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map((a) => {
+      // Where the incident is loaded, a readable label helps whoever merges the file by hand
+      const it = byId.get(a.id);
+      return it ? { ...a, incident: `${eventDayKey(it)} ${it._tail}`.trim() } : a;
+    });
+  const data = { format: ANNOTATIONS_FORMAT, version: 1, exportedAt: new Date().toISOString(), annotations };
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadTextFile(`incident_annotations_${stamp}.json`, JSON.stringify(data, null, 2), "application/json");
+  setAnnotationNote(`Exported ${annotations.length} annotation${annotations.length === 1 ? "" : "s"}.`);
+}
+
+// One imported record in the stored shape, or null when it has no usable incident ID
+function normalizeAnnotation(a) {
+  if (!a || typeof a !== "object") return null;
+  const id = norm(a.id).toLowerCase();
+  if (!/^[a-z0-9]+$/.test(id)) return null;
+  const at = Date.parse(a.updatedAt);
+  return {
+    id,
+    status: REVIEW_STATUSES[a.status] ? a.status : "unreviewed",
+    tags: cleanTags(Array.isArray(a.tags) ? a.tags : String(a.tags || "").split(",")),
+    note: typeof a.note === "string" ? a.note.trim() : "",
+    updatedAt: Number.isFinite(at) ? new Date(at).toISOString() : "",
+  };
+}
+
+function mergeAnnotation(local, incoming) {
+  if (!local) return incoming;
+  const newer = incoming.updatedAt > local.updatedAt ? incoming : local;
+  return { ...newer, tags: cleanTags([...local.tags, ...incoming.tags]) };
+}
+
+async function importAnnotations(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    setAnnotationNote(`${file.name} is not a JSON file.`);
+    return;
+  }
+  const list = Array.isArray(data) ? data : data && data.annotations;
+  if (!Array.isArray(list)) {
+    setAnnotationNote(`${file.name} has no annotations.`);
+    return;
+  }
+
+  const changed = [];
+  let added = 0;
+  let skipped = 0;
+  for (const raw of list) {
+    const incoming = normalizeAnnotation(raw);
+    if (!incoming || isEmptyAnnotation(incoming)) {
+      skipped++;
+      continue;
+    }
+    const local = ANNOTATIONS.get(incoming.id);
+    const merged = mergeAnnotation(local, incoming);
+    if (local && JSON.stringify(local) === JSON.stringify(merged)) continue;
+    if (!local) added++;
+    ANNOTATIONS.set(merged.id, merged);
+    changed.push(merged);
+  }
+  if (changed.length) await storeAnnotations(changed);
+
+  // Open cards show the editor's values from when they were built
+  RENDERED = new Map();
+  renderWindow();
+  annotationsChanged();
+  setAnnotationNote(`Imported ${file.name}: ${added} new, ${changed.length - added} updated, ` +
+    `${list.length - changed.length - skipped} unchanged${skipped ? `, ${skipped} skipped` : ""}.`);
+}
+
+if (els.annotationExportBtn) els.annotationExportBtn.addEventListener("click", exportAnnotations);
+if (els.annotationImport) {
+  els.annotationImport.addEventListener("change", () => {
+    const file = els.annotationImport.files && els.annotationImport.files[0];
+    els.annotationImport.value = "";
+    if (file) importAnnotations(file);
+  });
+}
+
+// -------------------- Export --------------------
+// Exports cover the listed events (FILTERED), with every member row of a multi-aircraft event.
+// Each format keeps its own column choice: raw CSV columns plus normalized "_" fields.
+
+const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", type: "text/csv;charset=utf-8" },
+  json: { label: "JSON", ext: "json", type: "application/json" },
+  geojson: { label: "GeoJSON", ext: "geojson", type: "application/geo+json" },
+  xlsx: { label: "Excel", ext: "xlsx", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  print: { label: "Report" },
+};
+
+// [key, label, getter(row, lead)]; getter defaults to row[key]
+const EXPORT_FIELDS = [
+  ["event_id", "Event ID", (it, lead) => lead._id],
+  ["event_aircraft", "Event aircraft", (it, lead) => eventAircraft(lead).map(a => a.tail || a.callsign).filter(Boolean).join("; ")],
+  ["_id", "Incident ID"],
+  ["_tail", "Aircraft"],
+  ["_callsign", "Callsign"],
+  ["_typeDesignator", "Type designator"],
+  ["_model", "Model"],
+  ["_typeCode", "Type code"],
+  ["_typeName", "Aircraft type"],
+  ["_category", "Category"],
+  ["_engineType", "Engine type"],
+  ["_engineCount", "Engines"],
+  ["_wakeClass", "Wake class"],
+  ["_fleet", "Fleet"],
+  ["_eventISO", "Event time (UTC)"],
+  ["_localTime", "Local time"],
+  ["_timeZone", "Time zone"],
+  ["_localTimeEstimated", "Local time estimated"],
+  ["_daylight", "Light"],
+  ["_reportDate", "Report date"],
+  ["_reportLagDays", "Report delay (days)"],
+  ["_state", "State"],
+  ["_city", "City"],
+  ["_airport", "Airport"],
+  ["_lat", "Latitude"],
+  ["_lon", "Longitude"],
+  ["_geoPrecision", "Location precision"],
+  ["_eventType", "Event type"],
+  ["_phase", "Phase"],
+  ["_eventLabels", "Event categories", it => it._eventLabels.map(l => taxonomyPath("eventType", l)).join("; ")],
+  ["_phaseLabels", "Phase category", it => it._phaseLabels.map(l => taxonomyPath("phase", l)).join("; ")],
+  ["_pob", "POB"],
+  ["_injuries", "Injuries"],
+  ["_fatal", "Fatal", it => it._injuryCounts.fatal],
+  ["_serious", "Serious", it => it._injuryCounts.serious],
+  ["_minor", "Minor", it => it._injuryCounts.minor],
+  ["_damage", "Damage"],
+  ["_damageClass", "Damage class"],
+  ["_severityLabel", "Severity"],
+  ["_form8020", "8020-9"],
+  ["_ntsbCaseId", "NTSB case"],
+  ["_review", "Review status", (it, lead) => REVIEW_STATUSES[reviewStatus(lead)]],
+  ["_tags", "Tags", (it, lead) => annotationTags(lead).join("; ")],
+  ["_note", "Analyst note", (it, lead) => (annotationFor(lead) ? annotationFor(lead).note : "")],
+  ["_shard", "Source shard"],
+  ["_narrative", "Narrative"],
+];
+
+const EXPORT_DEFAULTS = {
+  csv: { raw: true, fields: ["event_id", "event_aircraft"] },
+  xlsx: { raw: true, fields: ["event_id", "event_aircraft"] },
+  json: { raw: true, fields: EXPORT_FIELDS.map(([k]) => k) },
+  geojson: { raw: false, fields: ["_id", "_tail", "_model", "_eventISO", "_eventType", "_phase", "_severityLabel", "_city", "_state", "_airport", "_geoPrecision", "_narrative"] },
+  print: { raw: false, fields: ["_localTime", "_eventType", "_phase", "_pob", "_injuries", "_damage", "_form8020", "_ntsbCaseId"] },
+};
+
+const EXPORT_SELECTION = {}; // format -> Set of selected keys, filled on first use
+let DATA_VERSION = "";
+
+function rawColumns() {
+  const cols = new Set();
+  for (const it of INCIDENTS) for (const k in it) if (!k.startsWith("_")) cols.add(k);
+  return [...cols];
+}
+
+function exportSelection(format) {
+  if (!EXPORT_SELECTION[format]) {
+    const d = EXPORT_DEFAULTS[format];
+    EXPORT_SELECTION[format] = new Set([...(d.raw ? rawColumns() : []), ...d.fields]);
+  }
+  return EXPORT_SELECTION[format];
+}
+
+// Selected columns in display order: raw columns first, then normalized fields
+function exportColumns(format) {
+  const sel = exportSelection(format);
+  const fields = new Map(EXPORT_FIELDS.map(([k, label, get]) => [k, { label, get: get || (it => it[k]) }]));
+  return [
+    ...rawColumns().filter(k => sel.has(k)).map(k => ({ key: k, label: k, get: it => it[k] ?? "" })),
+    ...EXPORT_FIELDS.filter(([k]) => sel.has(k)).map(([k]) => ({ key: k, ...fields.get(k) })),
+  ];
+}
+
+// Exports and the report describe the active filters, so they never fall back to everything
+function exportEvents() {
+  return FILTERED || [];
+}
+
+// [{ it, lead }] for every member row, each event's rows kept together
+function exportRows() {
+  return exportEvents().flatMap(lead => eventMembers(lead).map(it => ({ it, lead })));
+}
+
+// One array of cell values per member row, in column order (CSV and Excel)
+function exportCells(cols) {
+  return exportRows().map(({ it, lead }) => cols.map(c => c.get(it, lead)));
+}
+
+function exportRecords(format) {
+  const cols = exportColumns(format);
+  return exportRows().map(({ it, lead }) => {
+    const out = {};
+    for (const c of cols) out[c.key] = c.get(it, lead);
+    return out;
+  });
+}
+
+// "Label: option text" for each non-default value, labelled like the filter controls
+function describeFilters(values) {
+  const parts = [];
+  for (const f of URL_FILTERS) {
+    const el = els[f.el];
+    const v = values[f.param] || "";
+    if (!el || !v || v === (f.defaultValue || "")) continue;
+    const label = f.label || norm(document.querySelector(`label[for="${el.id}"]`)?.textContent) || f.param;
+    const opt = el.tagName === "SELECT" ? [...el.options].find(o => o.value === v) : null;
+    parts.push(`${label}: ${opt ? opt.textContent : v}`);
+  }
+  return parts;
+}
+
+function describeActiveFilters() {
+  const parts = describeFilters(currentFilterValues());
+  if (GEO_FILTER) parts.push(`Map area: ${geoFilterLabel()}`);
+  return parts;
+}
+
+function exportFilename(format) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `incidents_export_${stamp}.${EXPORT_FORMATS[format].ext}`;
+}
+
+function runExport(format) {
+  const cols = exportColumns(format);
+  if (!exportEvents().length) {
+    renderExportSummary();
+    return;
+  }
+  if (format === "print") {
+    openPrintReport(cols);
+    return;
+  }
+
+  let data = "";
+  let note = "";
+  if (format === "csv") {
+    data = buildCsv(cols.map(c => c.label), exportCells(cols));
+  } else if (format === "json") {
+    data = JSON.stringify({
+      exported: new Date().toISOString(),
+      dataVersion: DATA_VERSION,
+      filters: describeActiveFilters(),
+      incidents: exportRecords(format),
+    }, null, 2);
+  } else if (format === "geojson") {
+    const rows = exportRows();
+    const located = rows.filter(({ it }) => it._lat !== null && it._lat !== undefined);
+    data = JSON.stringify({
+      type: "FeatureCollection",
+      features: located.map(({ it, lead }) => {
+        const properties = {};
+        for (const c of cols) properties[c.key] = c.get(it, lead);
+        return { type: "Feature", geometry: { type: "Point", coordinates: [it._lon, it._lat] }, properties };
+      }),
+    });
+    if (located.length < rows.length) note = `${rows.length - located.length} rows without a location were left out`;
+  } else if (format === "xlsx") {
+    data = buildXlsx(cols.map(c => c.label), exportCells(cols).map(cells => cells.map(spreadsheetSafe)));
+  }
+
+  downloadTextFile(exportFilename(format), data, EXPORT_FORMATS[format].type);
+  if (els.exportNote) els.exportNote.textContent = note;
+}
+
+function buildColumnGroup(title, format, items) {
+  const sel = exportSelection(format);
+  const group = document.createElement("fieldset");
+  group.className = "columnGroup";
+  const legend = document.createElement("legend");
+  legend.textContent = `${title} `;
+  for (const [text, on] of [["All", true], ["None", false]]) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "linkBtn";
+    b.textContent = text;
+    b.addEventListener("click", () => {
+      for (const [k] of items) on ? sel.add(k) : sel.delete(k);
+      renderExportPanel();
+    });
+    legend.appendChild(b);
+  }
+  group.appendChild(legend);
+
+  for (const [key, label] of items) {
+    const l = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = sel.has(key);
+    box.addEventListener("change", () => {
+      box.checked ? sel.add(key) : sel.delete(key);
+      renderExportSummary();
+    });
+    l.appendChild(box);
+    l.appendChild(document.createTextNode(` ${label}`));
+    group.appendChild(l);
+  }
+  return group;
+}
+
+function renderExportSummary() {
+  if (!els.exportRunBtn || !els.exportFormat) return;
+  const format = els.exportFormat.value;
+  const events = exportEvents().length;
+  const rows = exportRows().length;
+  els.exportRunBtn.textContent = format === "print" ? "Open report" : `Download ${EXPORT_FORMATS[format].label}`;
+  els.exportRunBtn.disabled = !events || !exportColumns(format).length;
+  if (els.exportNote) {
+    els.exportNote.textContent = !events
+      ? "No incidents match the current filters"
+      : `${events} events` + (rows !== events ? ` (${rows} rows)` : "") + `, ${exportColumns(format).length} columns`;
+  }
+}
+
+function renderExportPanel() {
+  if (!els.exportColumns || !els.exportPanel || !els.exportPanel.open) return;
+  const format = els.exportFormat ? els.exportFormat.value : "csv";
+  const frag = document.createDocumentFragment();
+  if (format !== "print") frag.appendChild(buildColumnGroup("CSV columns", format, rawColumns().map(k => [k, k])));
+  frag.appendChild(buildColumnGroup("Normalized fields", format, EXPORT_FIELDS.map(([k, label]) => [k, label])));
+  els.exportColumns.replaceChildren(frag);
+  renderExportSummary();
+}
+
+// -------------------- Print report --------------------
+
+function buildReportFields(cols, it, lead) {
+  const dl = document.createElement("dl");
+  for (const c of cols) {
+    const v = c.get(it, lead);
+    if (v === "" || v === null || v === undefined || c.key === "_narrative") continue;
+    const dt = document.createElement("dt");
+    dt.textContent = c.label;
+    const dd = document.createElement("dd");
+    dd.textContent = String(v);
+    dl.appendChild(dt);
+    dl.appendChild(dd);
+  }
+  return dl;
+}
+
+function openPrintReport(cols) {
+  if (!els.printReport) return;
+  const events = exportEvents();
+  const sum = k => events.reduce((n, it) => n + eventMembers(it).reduce((m, r) => m + r._injuryCounts[k], 0), 0);
+  const filters = describeActiveFilters();
+
+  const frag = document.createDocumentFragment();
+  const actions = document.createElement("div");
+  actions.className = "reportActions noPrint";
+  for (const [text, fn] of [["Print", () => window.print()], ["Close", closePrintReport]]) {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "toolBtn";
+    b.textContent = text;
+    b.addEventListener("click", fn);
+    actions.appendChild(b);
+  }
+  frag.appendChild(actions);
+
+  const h = document.createElement("h1");
+  h.textContent = document.title || "Incident report";
+  frag.appendChild(h);
+
+  const meta = document.createElement("div");
+  meta.className = "reportMeta";
+  meta.textContent = `Generated ${new Date().toLocaleString()}` + (DATA_VERSION ? ` • data ${DATA_VERSION}` : "") +
+    ` • ${events.length} events, ${sum("fatal")} fatalities, ${sum("serious")} serious injuries`;
+  frag.appendChild(meta);
+
+  const filterLine = document.createElement("div");
+  filterLine.className = "reportFilters";
+  filterLine.textContent = filters.length ? `Filters: ${filters.join(" • ")}` : "Filters: none (all incidents)";
+  frag.appendChild(filterLine);
+
+  for (const lead of events) {
+    const entry = document.createElement("article");
+    entry.className = "reportEntry";
+
+    const title = document.createElement("h2");
+    const aircraft = eventAircraft(lead).map(a => a.tail || a.callsign).filter(Boolean).join(" / ") || lead._tail;
+    title.textContent = `${eventDayKey(lead) || "Unknown date"} • ${aircraft} • ${worstMember(lead)._severityLabel}`;
+    entry.appendChild(title);
+
+    const where = document.createElement("div");
+    where.className = "reportMeta";
+    where.textContent = lead._line2;
+    entry.appendChild(where);
+
+    // Each aircraft gets its own fields, like its own row in the file exports
+    const members = eventMembers(lead);
+    for (const m of members) {
+      if (members.length > 1) {
+        const sub = document.createElement("h3");
+        sub.textContent = [m._tail || m._callsign, m._model].filter(Boolean).join(" • ");
+        entry.appendChild(sub);
+      }
+      if (cols.length) entry.appendChild(buildReportFields(cols, m, lead));
+      const p = document.createElement("p");
+      p.textContent = m._narrative;
+      entry.appendChild(p);
+    }
+    frag.appendChild(entry);
+  }
+
+  els.printReport.replaceChildren(frag);
+  els.printReport.hidden = false;
+  document.body.classList.add("showReport");
+  window.scrollTo(0, 0);
+}
+
+function closePrintReport() {
+  if (!els.printReport) return;
+  els.printReport.hidden = true;
+  els.printReport.replaceChildren();
+  document.body.classList.remove("showReport");
+}
+
+if (els.downloadBtn) {
+  els.downloadBtn.addEventListener("click", () => {
+    if (!els.exportPanel) return;
+    els.exportPanel.open = true;
+    els.exportPanel.scrollIntoView({ block: "start" });
+  });
+}
+if (els.exportPanel) els.exportPanel.addEventListener("toggle", renderExportPanel);
+if (els.exportFormat) els.exportFormat.addEventListener("change", renderExportPanel);
+if (els.exportRunBtn) els.exportRunBtn.addEventListener("click", () => runExport(els.exportFormat.value));
+
+// -------------------- CSV & file helpers --------------------
+
+// Narratives are untrusted: text a spreadsheet would read as a formula ("=HYPERLINK(…)",
+// "@SUM(…)") gets a leading apostrophe. Numbers such as "-149.9" are left alone.
+function spreadsheetSafe(value) {
+  if (typeof value !== "string" || !/^[=+\-@\t\r]/.test(value)) return value;
+  return /^[+-]?\d[\d.,]*$/.test(value) ? value : `'${value}`;
+}
+
+function csvEscape(value) {
+  const s = (spreadsheetSafe(value) ?? "").toString();
+  if (/[",\n\r]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// headers: column titles; rows: arrays of cell values
+function buildCsv(headers, rows) {
+  return [headers, ...rows].map(cells => cells.map(csvEscape).join(",")).join("\n");
+}
+
+function buildCsvFromObjects(objs, cols = objs && objs.length ? Object.keys(objs[0]).filter(k => !k.startsWith("_")) : []) {
+  if (!objs || !objs.length) return "";
+  return buildCsv(cols, objs.map(o => cols.map(c => o[c])));
+}
+
+function downloadTextFile(filename, data, type = "text/csv;charset=utf-8") {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
@@ -925,20 +4074,4 @@ function downloadTextFile(filename, text) {
   setTimeout(() => URL.revokeObjectURL(url), 500);
 }
 
-if (els.downloadBtn) {
-  els.downloadBtn.addEventListener("click", () => {
-    const rows = (FILTERED && FILTERED.length) ? FILTERED : INCIDENTS;
-
-    const exportRows = rows.map(r => {
-      const out = {};
-      for (const k in r) if (!k.startsWith("_")) out[k] = r[k];
-      return out;
-    });
-
-    const csv = buildCsvFromObjects(exportRows);
-    const stamp = new Date().toISOString().slice(0,10);
-    downloadTextFile(`incidents_export_${stamp}.csv`, csv);
-  });
-}
-
 init();
@@ -0,0 +1,8847 @@
+// geo.js: bundled location tables for the map and airport-based lookups (no network).
+// Generated offline from OurAirports (public domain), OpenFlights (ODbL), GeoNames
+// cities1000 (CC BY 4.0), US Census cartographic boundaries via us-atlas/world-atlas and
+// OpenTravelData time zones (via airport-timezone, CC BY). Airports that first appeared in
+// later exports (2A9, BLG, CKX, CZN, D66, TIF, U02) were added by hand from the FAA records.
+// Coordinates are plain WGS84 except in MAP_OUTLINES, whose longitudes east of 100°E are
+// shifted by -360° so Guam and the far Aleutians draw west of Alaska.
+
+// Airport code (FAA LID, IATA or ICAO; US ICAO "K" codes are stored without the K) -> [lat, lon]
+const AIRPORTS = {
+  "07FA":[25.325,-80.275],
+  "07MT":[48.421,-106.528],
+  "0V4":[37.142,-79.016],
+  "0WI8":[43.139,-88.472],
+  "11R":[30.219,-96.374],
+  "18AZ":[33.818,-111.898],
+  "19S":[37.491,-100.83],
+  "1AZ0":[33.112,-112.269],
+  "1T7":[29.813,-98.425],
+  "20GA":[33.757,-84.885],
+  "23M":[32.085,-88.739],
+  "24SC":[33.936,-81.43],
+  "2A5":[35.912,-79.618],
+  "2A9":[63.031,-163.533],
+  "2F0":[30.906,-101.892],
+  "2H0":[39.41,-88.845],
+  "2I3":[37.61,-86.507],
+  "2K7":[37.435,-95.646],
+  "2XS8":[29.229,-99.824],
+  "3AU":[37.672,-97.078],
+  "3R9":[30.358,-97.994],
+  "4A7":[33.389,-84.332],
+  "4U9":[44.736,-112.72],
+  "52A":[33.612,-83.46],
+  "57C":[42.797,-88.373],
+  "5A8":[59.283,-158.618],
+  "5B2":[43.051,-73.861],
+  "62S":[43.236,-120.666],
+  "66CA":[35.608,-121.11],
+  "67L":[36.833,-114.056],
+  "6D9":[44.313,-83.422],
+  "6J4":[33.927,-81.795],
+  "6S0":[45.806,-109.981],
+  "79J":[31.309,-86.394],
+  "7FA1":[24.649,-81.58],
+  "7FL4":[29.904,-81.685],
+  "7W6":[35.562,-75.955],
+  "87K":[37.857,-93.999],
+  "A39":[32.991,-111.919],
+  "A50":[38.874,-104.41],
+  "AAF":[29.728,-85.027],
+  "AAP":[29.722,-95.588],
+  "ABE":[40.652,-75.443],
+  "ABI":[32.411,-99.682],
+  "ABL":[67.107,-157.854],
+  "ABO":[18.451,-66.676],
+  "ABQ":[35.04,-106.609],
+  "ABR":[45.449,-98.422],
+  "ABY":[31.533,-84.196],
+  "ACJ":[32.111,-84.189],
+  "ACK":[41.253,-70.06],
+  "ACT":[31.611,-97.23],
+  "ACV":[40.978,-124.109],
+  "ACY":[39.458,-74.577],
+  "ACZ":[34.718,-78.004],
+  "ADH":[34.804,-96.671],
+  "ADK":[51.884,-176.643],
+  "ADM":[34.303,-97.02],
+  "ADQ":[57.75,-152.494],
+  "ADS":[32.969,-96.836],
+  "ADW":[38.811,-76.867],
+  "AET":[66.552,-152.622],
+  "AEX":[31.327,-92.55],
+  "AFE":[56.961,-133.91],
+  "AFM":[67.107,-157.854],
+  "AFW":[32.99,-97.319],
+  "AGC":[40.354,-79.93],
+  "AGGH":[-9.428,160.055],
+  "AGN":[57.504,-134.585],
+  "AGS":[33.37,-81.964],
+  "AHN":[33.949,-83.326],
+  "AHQ":[41.241,-96.594],
+  "AIA":[42.053,-102.804],
+  "AIK":[33.649,-81.685],
+  "AIN":[70.638,-159.995],
+  "AIZ":[38.096,-92.549],
+  "AJR":[34.5,-83.557],
+  "AK59":[61.796,-148.355],
+  "AKB":[52.22,-174.206],
+  "AKC":[41.037,-81.467],
+  "AKI":[60.903,-161.231],
+  "AKK":[56.939,-154.183],
+  "AKN":[58.678,-156.652],
+  "AKO":[40.176,-103.222],
+  "AKP":[68.134,-151.743],
+  "AKR":[41.037,-81.467],
+  "AKW":[55.579,-133.076],
+  "ALB":[42.748,-73.802],
+  "ALI":[27.741,-98.027],
+  "ALM":[32.841,-105.988],
+  "ALN":[38.89,-90.046],
+  "ALO":[42.557,-92.4],
+  "ALS":[37.435,-105.867],
+  "ALW":[46.095,-118.288],
+  "ALX":[32.915,-85.963],
+  "AMA":[35.219,-101.706],
+  "ANB":[33.588,-85.858],
+  "ANC":[61.174,-149.996],
+  "AND":[34.495,-82.709],
+  "ANE":[45.145,-93.211],
+  "ANI":[61.582,-159.543],
+  "ANN":[55.037,-131.573],
+  "ANP":[38.943,-76.568],
+  "ANQ":[41.64,-85.084],
+  "ANV":[62.647,-160.191],
+  "AOH":[40.707,-84.027],
+  "AOO":[40.296,-78.32],
+  "APA":[39.57,-104.849],
+  "APC":[38.213,-122.281],
+  "APF":[26.153,-81.775],
+  "APG":[39.466,-76.169],
+  "APN":[45.078,-83.56],
+  "AQC":[55.555,-133.102],
+  "AQT":[70.21,-151.006],
+  "ARA":[30.038,-91.884],
+  "ARB":[42.223,-83.746],
+  "ARC":[68.115,-145.579],
+  "ARE":[18.451,-66.676],
+  "ART":[43.992,-76.022],
+  "ARV":[45.928,-89.731],
+  "ARW":[32.412,-80.634],
+  "ASE":[39.223,-106.869],
+  "ASH":[42.782,-71.515],
+  "ASN":[33.57,-86.051],
+  "AST":[46.158,-123.879],
+  "ASW":[41.275,-85.84],
+  "ATK":[70.467,-157.436],
+  "ATL":[33.637,-84.428],
+  "ATW":[44.258,-88.519],
+  "ATY":[44.914,-97.155],
+  "AUG":[44.321,-69.797],
+  "AUK":[62.68,-164.66],
+  "AUO":[32.615,-85.434],
+  "AUS":[30.198,-97.662],
+  "AUW":[44.926,-89.627],
+  "AVL":[35.436,-82.542],
+  "AVO":[27.591,-81.528],
+  "AVP":[41.339,-75.723],
+  "AVQ":[32.41,-111.218],
+  "AVW":[32.41,-111.218],
+  "AVX":[33.405,-118.416],
+  "AWI":[70.638,-159.995],
+  "AWO":[48.161,-122.159],
+  "AXN":[45.866,-95.395],
+  "AYPY":[-9.443,147.22],
+  "AZA":[33.308,-111.655],
+  "AZO":[42.235,-85.552],
+  "BAB":[39.136,-121.437],
+  "BAD":[32.502,-93.663],
+  "BAF":[42.158,-72.716],
+  "BAK":[39.262,-85.896],
+  "BAZ":[29.705,-98.042],
+  "BBD":[31.179,-99.324],
+  "BBX":[40.138,-75.265],
+  "BCE":[37.706,-112.145],
+  "BCT":[26.378,-80.108],
+  "BCV":[61.417,-149.507],
+  "BDE":[48.728,-94.612],
+  "BDL":[41.939,-72.688],
+  "BDN":[44.095,-121.201],
+  "BDR":[41.164,-73.126],
+  "BDU":[40.039,-105.226],
+  "BEC":[37.694,-97.215],
+  "BED":[42.47,-71.289],
+  "BET":[60.78,-161.838],
+  "BFD":[41.803,-78.64],
+  "BFF":[41.874,-103.596],
+  "BFI":[47.53,-122.302],
+  "BFK":[39.702,-104.752],
+  "BFL":[35.434,-119.057],
+  "BFM":[30.627,-88.068],
+  "BFP":[40.772,-80.391],
+  "BFT":[32.412,-80.634],
+  "BGE":[30.972,-84.637],
+  "BGM":[42.209,-75.98],
+  "BGR":[44.807,-68.828],
+  "BHB":[44.45,-68.362],
+  "BHM":[33.563,-86.754],
+  "BID":[41.168,-71.578],
+  "BIF":[31.85,-106.38],
+  "BIG":[63.994,-145.722],
+  "BIH":[37.373,-118.364],
+  "BIKF":[63.985,-22.606],
+  "BIL":[45.808,-108.543],
+  "BIS":[46.773,-100.746],
+  "BIV":[42.743,-86.107],
+  "BIX":[30.41,-88.924],
+  "BJC":[39.909,-105.117],
+  "BJI":[47.509,-94.934],
+  "BKC":[65.982,-161.149],
+  "BKD":[32.719,-98.891],
+  "BKE":[44.837,-117.809],
+  "BKF":[39.702,-104.752],
+  "BKH":[22.023,-159.785],
+  "BKL":[41.518,-81.683],
+  "BKW":[37.787,-81.124],
+  "BLD":[35.947,-114.861],
+  "BLF":[37.296,-81.208],
+  "BLG":[61.174,-151.044],
+  "BLH":[33.619,-114.717],
+  "BLI":[48.793,-122.538],
+  "BLV":[38.545,-89.835],
+  "BMC":[41.552,-112.062],
+  "BMG":[39.146,-86.617],
+  "BMI":[40.477,-88.916],
+  "BMT":[30.071,-94.216],
+  "BMX":[59.361,-155.259],
+  "BNA":[36.125,-86.678],
+  "BNG":[33.923,-116.851],
+  "BNO":[43.59,-118.955],
+  "BOI":[43.564,-116.223],
+  "BOS":[42.364,-71.005],
+  "BOW":[27.943,-81.783],
+  "BPI":[42.585,-110.111],
+  "BPK":[36.369,-92.47],
+  "BPT":[29.951,-94.021],
+  "BQK":[31.259,-81.466],
+  "BQN":[18.495,-67.129],
+  "BRD":[46.403,-94.13],
+  "BRL":[40.783,-91.126],
+  "BRO":[25.907,-97.426],
+  "BRW":[71.285,-156.766],
+  "BSF":[19.76,-155.554],
+  "BTI":[70.134,-143.582],
+  "BTL":[42.307,-85.252],
+  "BTM":[45.955,-112.497],
+  "BTR":[30.533,-91.15],
+  "BTT":[66.914,-151.529],
+  "BTV":[44.472,-73.153],
+  "BUF":[42.94,-78.732],
+  "BUR":[34.198,-118.356],
+  "BUU":[42.691,-88.305],
+  "BUY":[36.049,-79.475],
+  "BVI":[40.772,-80.391],
+  "BVK":[65.982,-161.149],
+  "BVU":[35.947,-114.861],
+  "BVY":[42.584,-70.916],
+  "BWG":[36.965,-86.42],
+  "BWI":[39.175,-76.668],
+  "BXK":[33.42,-112.686],
+  "BXM":[43.892,-69.939],
+  "BYH":[35.964,-89.944],
+  "BYI":[42.543,-113.772],
+  "BYS":[35.28,-116.63],
+  "BYY":[28.973,-95.864],
+  "BZN":[45.778,-111.153],
+  "C03":[41.446,-85.935],
+  "CA-0582":[48.821,-125.119],
+  "CAE":[33.939,-81.119],
+  "CAJ4":[52.452,-125.304],
+  "CAK":[40.916,-81.442],
+  "CAR":[46.871,-68.018],
+  "CAZ5":[50.775,-121.321],
+  "CBBC":[52.185,-128.157],
+  "CBE":[39.615,-78.761],
+  "CBF":[41.259,-95.761],
+  "CBM":[33.644,-88.444],
+  "CCB":[34.112,-117.688],
+  "CCO":[33.312,-84.77],
+  "CCR":[37.99,-122.057],
+  "CCY":[43.073,-92.611],
+  "CDB":[55.206,-162.725],
+  "CDC":[37.701,-113.099],
+  "CDN":[34.284,-80.565],
+  "CDR":[42.838,-103.095],
+  "CDS":[34.434,-100.288],
+  "CDV":[60.492,-145.478],
+  "CDW":[40.875,-74.281],
+  "CEC":[41.78,-124.237],
+  "CEF":[42.194,-72.535],
+  "CEM":[65.574,-144.783],
+  "CEU":[34.672,-82.886],
+  "CEW":[30.779,-86.522],
+  "CEZ":[37.303,-108.628],
+  "CFD":[30.716,-96.331],
+  "CFV":[37.094,-95.572],
+  "CGC":[28.867,-82.571],
+  "CGF":[41.565,-81.486],
+  "CGI":[37.225,-89.571],
+  "CGX":[41.859,-87.608],
+  "CGZ":[32.955,-111.767],
+  "CHA":[35.035,-85.204],
+  "CHD":[33.269,-111.811],
+  "CHN":[27.515,-81.881],
+  "CHO":[38.139,-78.453],
+  "CHS":[32.899,-80.04],
+  "CIC":[39.795,-121.858],
+  "CID":[41.885,-91.711],
+  "CIK":[66.645,-143.74],
+  "CIU":[46.251,-84.472],
+  "CKB":[39.297,-80.228],
+  "CKC":[47.838,-90.383],
+  "CKF":[31.989,-83.774],
+  "CKV":[36.622,-87.415],
+  "CKX":[64.071,-141.952],
+  "CLD":[33.128,-117.28],
+  "CLE":[41.412,-81.85],
+  "CLL":[30.589,-96.364],
+  "CLM":[48.12,-123.5],
+  "CLS":[46.677,-122.983],
+  "CLT":[35.214,-80.943],
+  "CLU":[39.262,-85.896],
+  "CLW":[27.977,-82.759],
+  "CMA":[34.214,-119.094],
+  "CMH":[39.998,-82.892],
+  "CMI":[40.04,-88.276],
+  "CMX":[47.168,-88.489],
+  "CNC3":[43.76,-79.875],
+  "CNM":[32.338,-104.263],
+  "CNO":[33.975,-117.637],
+  "CNU":[37.668,-95.487],
+  "CNW":[31.638,-97.074],
+  "CNY":[38.755,-109.755],
+  "CO00":[39.28,-103.067],
+  "COD":[44.52,-109.024],
+  "COE":[47.774,-116.82],
+  "COF":[28.235,-80.61],
+  "CON":[43.203,-71.502],
+  "COS":[38.806,-104.701],
+  "COT":[28.457,-99.22],
+  "COU":[38.818,-92.22],
+  "CPF":[37.387,-83.262],
+  "CPR":[42.908,-106.464],
+  "CQW":[34.713,-79.957],
+  "CRE":[33.812,-78.724],
+  "CRG":[30.336,-81.514],
+  "CRP":[27.77,-97.501],
+  "CRQ":[33.128,-117.28],
+  "CRW":[38.373,-81.593],
+  "CSG":[32.516,-84.939],
+  "CSM":[35.34,-99.201],
+  "CSV":[35.951,-85.085],
+  "CTB":[48.609,-112.378],
+  "CTH":[39.979,-75.866],
+  "CTJ":[33.631,-85.152],
+  "CTY":[29.635,-83.105],
+  "CUB":[33.971,-80.995],
+  "CUH":[35.95,-96.773],
+  "CVG":[39.049,-84.668],
+  "CVN":[34.425,-103.079],
+  "CVO":[44.497,-123.29],
+  "CVS":[34.383,-103.322],
+  "CVX":[45.305,-85.275],
+  "CWA":[44.778,-89.667],
+  "CWI":[41.831,-90.329],
+  "CWT":[-33.845,148.649],
+  "CXL":[32.669,-115.513],
+  "CXO":[30.352,-95.414],
+  "CXY":[40.217,-76.852],
+  "CYAC":[51.727,-91.824],
+  "CYAG":[48.656,-93.443],
+  "CYAH":[53.755,-73.675],
+  "CYAL":[50.582,-126.916],
+  "CYAM":[46.485,-84.509],
+  "CYAQ":[53.525,-88.643],
+  "CYAS":[60.027,-69.999],
+  "CYAT":[52.928,-82.432],
+  "CYAV":[50.056,-97.033],
+  "CYAX":[50.294,-96.01],
+  "CYAY":[51.392,-56.083],
+  "CYAZ":[49.08,-125.776],
+  "CYBB":[68.534,-89.808],
+  "CYBC":[49.133,-68.204],
+  "CYBD":[52.388,-126.596],
+  "CYBE":[59.561,-108.481],
+  "CYBF":[54.304,-110.744],
+  "CYBG":[48.331,-70.996],
+  "CYBK":[64.299,-96.078],
+  "CYBL":[49.951,-125.271],
+  "CYBQ":[58.706,-98.512],
+  "CYBR":[49.91,-99.952],
+  "CYBT":[57.889,-101.679],
+  "CYBU":[53.333,-104.008],
+  "CYBV":[52.359,-97.018],
+  "CYBW":[51.103,-114.374],
+  "CYBX":[51.444,-57.185],
+  "CYCA":[53.683,-57.042],
+  "CYCB":[69.108,-105.138],
+  "CYCC":[45.093,-74.568],
+  "CYCD":[49.055,-123.87],
+  "CYCE":[43.286,-81.508],
+  "CYCG":[49.296,-117.632],
+  "CYCH":[47.008,-65.449],
+  "CYCL":[47.991,-66.33],
+  "CYCN":[49.106,-81.014],
+  "CYCO":[67.817,-115.144],
+  "CYCP":[52.117,-119.283],
+  "CYCQ":[55.687,-121.627],
+  "CYCR":[54.611,-97.761],
+  "CYCS":[63.347,-90.731],
+  "CYCY":[70.486,-68.517],
+  "CYDA":[64.043,-139.128],
+  "CYDB":[61.371,-139.041],
+  "CYDC":[49.468,-120.511],
+  "CYDF":[49.211,-57.391],
+  "CYDM":[61.971,-132.423],
+  "CYDN":[51.101,-100.052],
+  "CYDO":[48.778,-72.375],
+  "CYDP":[56.551,-61.682],
+  "CYDQ":[55.742,-120.183],
+  "CYEE":[44.683,-79.928],
+  "CYEG":[53.31,-113.58],
+  "CYEK":[61.094,-94.071],
+  "CYEL":[46.351,-82.561],
+  "CYEM":[45.842,-81.858],
+  "CYEN":[49.21,-102.966],
+  "CYER":[56.019,-87.676],
+  "CYET":[53.579,-116.465],
+  "CYEV":[68.304,-133.483],
+  "CYEY":[48.564,-78.25],
+  "CYF":[60.149,-164.286],
+  "CYFA":[52.201,-81.697],
+  "CYFB":[63.756,-68.556],
+  "CYFC":[45.869,-66.537],
+  "CYFE":[48.746,-69.097],
+  "CYFH":[51.562,-87.908],
+  "CYFJ":[46.409,-74.78],
+  "CYFO":[54.678,-101.682],
+  "CYFR":[61.181,-113.69],
+  "CYFS":[61.76,-121.237],
+  "CYFT":[55.077,-59.188],
+  "CYGB":[49.694,-124.518],
+  "CYGD":[43.767,-81.711],
+  "CYGE":[51.299,-116.982],
+  "CYGH":[66.241,-128.651],
+  "CYGK":[44.225,-76.597],
+  "CYGL":[53.625,-77.704],
+  "CYGM":[50.628,-97.043],
+  "CYGO":[54.559,-94.491],
+  "CYGP":[48.775,-64.479],
+  "CYGQ":[49.778,-86.939],
+  "CYGR":[47.425,-61.779],
+  "CYGT":[69.365,-81.816],
+  "CYGV":[50.282,-63.611],
+  "CYGW":[55.282,-77.765],
+  "CYGX":[56.357,-94.711],
+  "CYGZ":[76.426,-82.909],
+  "CYHA":[61.046,-69.618],
+  "CYHD":[49.832,-92.744],
+  "CYHE":[49.369,-121.495],
+  "CYHF":[49.714,-83.686],
+  "CYHH":[51.691,-76.136],
+  "CYHI":[70.763,-117.806],
+  "CYHK":[68.636,-95.85],
+  "CYHM":[43.174,-79.935],
+  "CYHN":[49.193,-84.759],
+  "CYHO":[55.449,-60.228],
+  "CYHR":[50.469,-59.637],
+  "CYHT":[60.789,-137.546],
+  "CYHU":[45.518,-73.417],
+  "CYHY":[60.84,-115.783],
+  "CYHZ":[44.881,-63.509],
+  "CYIB":[48.774,-91.639],
+  "CYID":[44.546,-65.785],
+  "CYIF":[51.212,-58.658],
+  "CYIK":[62.417,-77.925],
+  "CYIO":[72.683,-77.967],
+  "CYIV":[53.857,-94.654],
+  "CYJF":[60.236,-123.469],
+  "CYJN":[45.294,-73.281],
+  "CYJT":[48.544,-58.55],
+  "CYKA":[50.702,-120.444],
+  "CYKD":[68.223,-135.006],
+  "CYKF":[43.461,-80.379],
+  "CYKG":[61.589,-71.929],
+  "CYKJ":[57.256,-105.618],
+  "CYKL":[54.805,-66.805],
+  "CYKO":[60.819,-78.149],
+  "CYKQ":[51.473,-78.758],
+  "CYKX":[48.21,-79.981],
+  "CYKY":[51.518,-109.181],
+  "CYKZ":[43.862,-79.37],
+  "CYLA":[59.297,-69.6],
+  "CYLC":[62.848,-69.878],
+  "CYLD":[47.82,-83.347],
+  "CYLH":[52.196,-87.934],
+  "CYLJ":[54.125,-108.523],
+  "CYLK":[62.418,-110.682],
+  "CYLL":[53.309,-110.073],
+  "CYLR":[56.513,-99.985],
+  "CYLT":[82.518,-62.281],
+  "CYLU":[58.711,-65.993],
+  "CYLW":[49.956,-119.378],
+  "CYMA":[63.616,-135.868],
+  "CYME":[48.857,-67.453],
+  "CYMG":[49.084,-85.861],
+  "CYMH":[52.303,-55.848],
+  "CYMJ":[50.33,-105.559],
+  "CYML":[47.597,-70.224],
+  "CYMM":[56.653,-111.222],
+  "CYMO":[51.291,-80.608],
+  "CYMT":[49.772,-74.528],
+  "CYMU":[56.536,-76.518],
+  "CYMX":[45.68,-74.039],
+  "CYNA":[50.19,-61.789],
+  "CYNC":[53.011,-78.831],
+  "CYND":[45.522,-75.564],
+  "CYNE":[53.958,-97.844],
+  "CYNL":[58.277,-104.082],
+  "CYNM":[49.762,-77.803],
+  "CYNN":[59.487,-97.78],
+  "CYOA":[64.699,-110.615],
+  "CYOC":[67.571,-139.839],
+  "CYOD":[54.405,-110.279],
+  "CYOH":[54.933,-95.279],
+  "CYOJ":[58.621,-117.165],
+  "CYOO":[43.923,-78.895],
+  "CYOP":[58.491,-119.408],
+  "CYOS":[44.59,-80.838],
+  "CYOW":[45.322,-75.669],
+  "CYPA":[53.214,-105.673],
+  "CYPC":[69.361,-124.075],
+  "CYPD":[45.657,-61.368],
+  "CYPE":[56.227,-117.447],
+  "CYPG":[49.903,-98.274],
+  "CYPH":[58.472,-78.077],
+  "CYPL":[51.446,-90.214],
+  "CYPM":[51.82,-93.973],
+  "CYPN":[49.836,-64.289],
+  "CYPO":[54.988,-85.443],
+  "CYPQ":[44.23,-78.363],
+  "CYPR":[54.286,-130.445],
+  "CYPW":[49.834,-124.5],
+  "CYPX":[60.051,-77.287],
+  "CYPY":[58.767,-111.117],
+  "CYPZ":[54.376,-125.951],
+  "CYQA":[44.975,-79.303],
+  "CYQB":[46.791,-71.393],
+  "CYQD":[53.971,-101.091],
+  "CYQF":[52.182,-113.894],
+  "CYQG":[42.276,-82.956],
+  "CYQH":[60.116,-128.822],
+  "CYQI":[43.827,-66.088],
+  "CYQK":[49.788,-94.363],
+  "CYQL":[49.63,-112.8],
+  "CYQM":[46.112,-64.679],
+  "CYQN":[50.183,-86.696],
+  "CYQQ":[49.711,-124.887],
+  "CYQR":[50.432,-104.666],
+  "CYQS":[42.77,-81.111],
+  "CYQT":[48.372,-89.324],
+  "CYQU":[55.18,-118.885],
+  "CYQV":[51.265,-102.462],
+  "CYQW":[52.769,-108.244],
+  "CYQX":[48.936,-54.568],
+  "CYQY":[46.161,-60.048],
+  "CYQZ":[53.026,-122.51],
+  "CYRA":[64.116,-117.31],
+  "CYRB":[74.717,-94.969],
+  "CYRI":[47.764,-69.585],
+  "CYRJ":[48.52,-72.266],
+  "CYRL":[51.067,-93.793],
+  "CYRO":[45.46,-75.646],
+  "CYRP":[45.319,-76.022],
+  "CYRQ":[46.353,-72.679],
+  "CYRS":[54.167,-93.557],
+  "CYRT":[62.811,-92.116],
+  "CYRV":[50.962,-118.184],
+  "CYS":[41.156,-104.812],
+  "CYSB":[46.625,-80.799],
+  "CYSC":[45.439,-71.691],
+  "CYSF":[59.25,-105.841],
+  "CYSG":[46.096,-70.715],
+  "CYSH":[44.946,-75.941],
+  "CYSJ":[45.316,-65.89],
+  "CYSK":[56.538,-79.247],
+  "CYSL":[47.157,-67.836],
+  "CYSM":[60.02,-111.962],
+  "CYSN":[43.192,-79.172],
+  "CYSP":[48.755,-86.344],
+  "CYSQ":[59.577,-133.669],
+  "CYST":[53.846,-94.852],
+  "CYSU":[46.441,-63.834],
+  "CYSY":[71.994,-125.243],
+  "CYT":[60.082,-142.493],
+  "CYTA":[45.864,-77.252],
+  "CYTE":[64.23,-76.527],
+  "CYTF":[48.509,-71.642],
+  "CYTH":[55.801,-97.864],
+  "CYTL":[53.818,-89.897],
+  "CYTQ":[58.668,-69.956],
+  "CYTR":[44.119,-77.528],
+  "CYTS":[48.57,-81.377],
+  "CYTZ":[43.627,-79.396],
+  "CYUB":[69.433,-133.026],
+  "CYUL":[45.471,-73.741],
+  "CYUT":[66.521,-86.225],
+  "CYUX":[68.776,-81.242],
+  "CYUY":[48.206,-78.836],
+  "CYVB":[48.071,-65.46],
+  "CYVC":[55.151,-105.262],
+  "CYVD":[49.878,-100.918],
+  "CYVK":[50.248,-119.331],
+  "CYVM":[67.546,-64.032],
+  "CYVO":[48.053,-77.783],
+  "CYVP":[58.096,-68.427],
+  "CYVQ":[65.282,-126.798],
+  "CYVR":[49.194,-123.184],
+  "CYVV":[44.746,-81.107],
+  "CYVZ":[52.656,-94.061],
+  "CYWA":[45.952,-77.319],
+  "CYWG":[49.91,-97.24],
+  "CYWJ":[65.211,-123.436],
+  "CYWK":[52.922,-66.864],
+  "CYWL":[52.183,-122.054],
+  "CYWP":[52.959,-87.375],
+  "CYWY":[63.209,-123.437],
+  "CYXC":[49.611,-115.782],
+  "CYXE":[52.171,-106.7],
+  "CYXH":[50.019,-110.721],
+  "CYXJ":[56.238,-120.74],
+  "CYXK":[48.478,-68.497],
+  "CYXL":[50.114,-91.905],
+  "CYXN":[62.24,-92.598],
+  "CYXP":[66.145,-65.714],
+  "CYXQ":[62.41,-140.867],
+  "CYXR":[47.697,-79.847],
+  "CYXS":[53.884,-122.667],
+  "CYXT":[54.468,-128.576],
+  "CYXU":[43.036,-81.154],
+  "CYXX":[49.025,-122.361],
+  "CYXY":[60.71,-135.067],
+  "CYXZ":[47.967,-84.787],
+  "CYYB":[46.364,-79.423],
+  "CYYC":[51.114,-114.02],
+  "CYYD":[54.825,-127.183],
+  "CYYE":[58.836,-122.597],
+  "CYYF":[49.463,-119.602],
+  "CYYG":[46.29,-63.121],
+  "CYYH":[69.547,-93.577],
+  "CYYJ":[48.647,-123.426],
+  "CYYL":[56.864,-101.076],
+  "CYYN":[50.292,-107.691],
+  "CYYQ":[58.739,-94.065],
+  "CYYR":[53.319,-60.426],
+  "CYYT":[47.619,-52.752],
+  "CYYU":[49.414,-82.467],
+  "CYYW":[50.29,-88.91],
+  "CYYY":[48.609,-68.208],
+  "CYYZ":[43.677,-79.631],
+  "CYZD":[43.743,-79.466],
+  "CYZE":[45.885,-82.568],
+  "CYZF":[62.463,-114.44],
+  "CYZG":[62.179,-75.667],
+  "CYZH":[55.293,-114.777],
+  "CYZP":[53.254,-131.814],
+  "CYZR":[42.999,-82.309],
+  "CYZS":[64.193,-83.359],
+  "CYZT":[50.681,-127.367],
+  "CYZU":[54.144,-115.787],
+  "CYZV":[50.223,-66.266],
+  "CYZW":[60.173,-132.743],
+  "CYZX":[44.984,-64.917],
+  "CYZY":[55.304,-123.132],
+  "CZAC":[56.089,-96.089],
+  "CZAM":[50.683,-119.229],
+  "CZBB":[49.074,-123.012],
+  "CZBD":[56.052,-95.621],
+  "CZBF":[47.63,-65.739],
+  "CZBM":[45.291,-72.741],
+  "CZEE":[56.037,-96.51],
+  "CZEM":[52.226,-78.522],
+  "CZF":[61.78,-166.039],
+  "CZFA":[62.208,-133.376],
+  "CZFD":[59.334,-107.182],
+  "CZFG":[55.749,-101.266],
+  "CZFM":[67.408,-134.861],
+  "CZFN":[64.91,-125.573],
+  "CZG":[42.078,-76.096],
+  "CZGF":[49.016,-118.431],
+  "CZGI":[54.84,-94.079],
+  "CZGR":[52.046,-95.466],
+  "CZJG":[54.519,-98.046],
+  "CZJN":[52.121,-101.236],
+  "CZKE":[52.283,-81.678],
+  "CZL":[34.455,-84.939],
+  "CZLQ":[55.319,-97.708],
+  "CZMD":[53.441,-91.763],
+  "CZMN":[55.589,-97.164],
+  "CZMT":[54.028,-132.125],
+  "CZN":[62.071,-142.048],
+  "CZNG":[52.997,-97.274],
+  "CZPB":[53.891,-92.196],
+  "CZPC":[49.521,-113.997],
+  "CZRJ":[52.944,-91.313],
+  "CZSJ":[53.064,-93.344],
+  "CZSN":[56.793,-98.907],
+  "CZST":[55.935,-129.982],
+  "CZTM":[55.866,-92.081],
+  "CZUC":[49.428,-91.72],
+  "CZWH":[58.618,-101.469],
+  "CZWL":[58.107,-103.172],
+  "D66":[64.05,-145.717],
+  "DAA":[38.715,-77.181],
+  "DAAG":[36.694,3.215],
+  "DAB":[29.18,-81.058],
+  "DAG":[34.854,-116.787],
+  "DAL":[32.847,-96.852],
+  "DAN":[36.573,-79.336],
+  "DAW":[43.284,-70.929],
+  "DAY":[39.902,-84.219],
+  "DBN":[32.564,-82.985],
+  "DBQ":[42.402,-90.71],
+  "DCA":[38.852,-77.038],
+  "DDC":[37.763,-99.966],
+  "DEC":[39.835,-88.866],
+  "DED":[29.067,-81.284],
+  "DEE":[66.07,-162.766],
+  "DEN":[39.862,-104.673],
+  "DET":[42.409,-83.01],
+  "DFW":[32.897,-97.038],
+  "DGAA":[5.605,-0.167],
+  "DGL":[31.343,-109.506],
+  "DHN":[31.321,-85.45],
+  "DHT":[36.023,-102.547],
+  "DIK":[46.797,-102.802],
+  "DKK":[42.493,-79.272],
+  "DKX":[35.964,-83.874],
+  "DLF":[29.36,-100.778],
+  "DLG":[59.045,-158.505],
+  "DLH":[46.842,-92.194],
+  "DLL":[43.523,-89.77],
+  "DLS":[45.621,-121.171],
+  "DMA":[32.167,-110.883],
+  "DMN":[32.262,-107.721],
+  "DNAA":[9.007,7.263],
+  "DNL":[33.466,-82.039],
+  "DNMM":[6.577,3.321],
+  "DNN":[34.723,-84.87],
+  "DNV":[40.199,-87.596],
+  "DOV":[39.13,-75.466],
+  "DPA":[41.908,-88.249],
+  "DQH":[31.477,-82.86],
+  "DRA":[36.619,-116.033],
+  "DRG":[66.07,-162.766],
+  "DRI":[30.832,-93.34],
+  "DRM":[46.009,-83.744],
+  "DRO":[37.152,-107.754],
+  "DRRN":[13.482,2.184],
+  "DRT":[29.374,-100.927],
+  "DSM":[41.534,-93.663],
+  "DTA":[39.381,-112.508],
+  "DTN":[32.54,-93.745],
+  "DTO":[33.201,-97.198],
+  "DTS":[30.4,-86.471],
+  "DTTA":[36.851,10.227],
+  "DTW":[42.212,-83.353],
+  "DUC":[34.471,-97.96],
+  "DUG":[31.469,-109.604],
+  "DUJ":[41.178,-78.899],
+  "DUT":[53.899,-166.545],
+  "DVL":[48.114,-98.909],
+  "DVO":[38.144,-122.556],
+  "DVT":[33.688,-112.083],
+  "DWA":[38.579,-121.857],
+  "DWH":[30.062,-95.553],
+  "DXR":[41.371,-73.482],
+  "DYL":[40.333,-75.122],
+  "DYS":[32.421,-99.855],
+  "E25":[33.969,-112.799],
+  "E38":[30.384,-103.684],
+  "E63":[32.958,-112.678],
+  "EAA":[64.776,-141.151],
+  "EAR":[40.727,-99.007],
+  "EAT":[47.399,-120.207],
+  "EAU":[44.866,-91.484],
+  "EBBR":[50.901,4.484],
+  "ECA":[44.313,-83.422],
+  "ECG":[36.261,-76.175],
+  "ECP":[30.357,-85.795],
+  "EDC":[30.397,-97.566],
+  "EDDB":[52.362,13.501],
+  "EDDF":[50.037,8.561],
+  "EDDH":[53.63,9.988],
+  "EDDK":[50.866,7.143],
+  "EDDL":[51.29,6.767],
+  "EDDM":[48.354,11.786],
+  "EDDN":[49.499,11.078],
+  "EDDP":[51.424,12.236],
+  "EDDS":[48.69,9.222],
+  "EDDV":[52.461,9.685],
+  "EDF":[61.252,-149.807],
+  "EDN":[31.3,-85.9],
+  "EDW":[34.905,-117.884],
+  "EED":[34.766,-114.623],
+  "EEK":[60.214,-162.044],
+  "EEN":[42.898,-72.271],
+  "EET":[33.177,-86.783],
+  "EETN":[59.413,24.833],
+  "EFD":[29.607,-95.159],
+  "EFHK":[60.317,24.963],
+  "EFT":[42.615,-89.59],
+  "EGAA":[54.658,-6.216],
+  "EGBB":[52.454,-1.748],
+  "EGCC":[53.349,-2.28],
+  "EGE":[39.643,-106.918],
+  "EGGW":[51.875,-0.368],
+  "EGI":[30.65,-86.523],
+  "EGKK":[51.148,-0.19],
+  "EGLL":[51.471,-0.462],
+  "EGPF":[55.872,-4.433],
+  "EGPH":[55.95,-3.372],
+  "EGSS":[51.885,0.235],
+  "EGT":[37.324,-97.388],
+  "EGV":[45.932,-89.268],
+  "EGX":[58.184,-157.375],
+  "EHA":[37.001,-101.88],
+  "EHAM":[52.309,4.764],
+  "EHEH":[51.45,5.375],
+  "EHM":[58.646,-162.063],
+  "EIDW":[53.429,-6.262],
+  "EII":[58.184,-157.375],
+  "EIL":[64.666,-147.102],
+  "EINN":[52.702,-8.925],
+  "EKA":[40.803,-124.113],
+  "EKBI":[55.74,9.152],
+  "EKCH":[55.618,12.656],
+  "EKI":[41.719,-86.003],
+  "EKM":[41.719,-86.003],
+  "EKN":[38.89,-79.858],
+  "EKO":[40.825,-115.792],
+  "EKY":[33.313,-86.926],
+  "ELD":[33.221,-92.813],
+  "ELI":[64.615,-162.272],
+  "ELLX":[49.623,6.204],
+  "ELM":[42.16,-76.892],
+  "ELO":[47.825,-91.831],
+  "ELP":[31.807,-106.378],
+  "ELV":[58.195,-136.347],
+  "ELY":[39.3,-114.842],
+  "EMK":[62.786,-164.491],
+  "EMT":[34.086,-118.035],
+  "EMV":[36.687,-77.483],
+  "ENA":[60.573,-151.245],
+  "ENBR":[60.293,5.218],
+  "END":[36.339,-97.916],
+  "ENGM":[60.194,11.1],
+  "ENM":[62.786,-164.491],
+  "ENN":[64.549,-149.075],
+  "ENTC":[69.683,18.919],
+  "ENV":[40.719,-114.031],
+  "ENVA":[63.458,10.924],
+  "ENW":[42.596,-87.928],
+  "ENZV":[58.877,5.638],
+  "EOK":[40.46,-91.428],
+  "EPGD":[54.378,18.466],
+  "EPKK":[50.078,19.785],
+  "EPM":[44.91,-67.013],
+  "EPWA":[52.166,20.967],
+  "ERI":[42.083,-80.174],
+  "ERV":[29.977,-99.086],
+  "ERY":[46.311,-85.457],
+  "ESC":[45.723,-87.094],
+  "ESD":[48.708,-122.91],
+  "ESF":[31.394,-92.294],
+  "ESGG":[57.663,12.28],
+  "ESN":[38.804,-76.069],
+  "ESSA":[59.652,17.919],
+  "EUF":[31.951,-85.129],
+  "EUG":[44.125,-123.212],
+  "EVRA":[56.924,23.971],
+  "EVV":[38.037,-87.532],
+  "EVW":[41.275,-111.035],
+  "EWB":[41.676,-70.957],
+  "EWK":[38.058,-97.274],
+  "EWN":[35.073,-77.043],
+  "EWR":[40.693,-74.169],
+  "EYVI":[54.634,25.286],
+  "EYW":[24.556,-81.76],
+  "F22":[36.386,-97.277],
+  "F70":[33.574,-117.128],
+  "FA54":[26.854,-82.251],
+  "FACT":[-33.965,18.602],
+  "FAF":[37.133,-76.609],
+  "FAI":[64.815,-147.856],
+  "FALE":[-29.614,31.12],
+  "FAOR":[-26.139,28.246],
+  "FAQ":[-14.216,-169.424],
+  "FAR":[46.921,-96.816],
+  "FAT":[36.776,-119.718],
+  "FAY":[34.991,-78.88],
+  "FBG":[35.132,-78.937],
+  "FBK":[64.838,-147.614],
+  "FBR":[41.392,-110.407],
+  "FBSK":[-24.555,25.918],
+  "FCA":[48.311,-114.256],
+  "FCI":[37.407,-77.525],
+  "FCM":[44.827,-93.457],
+  "FCS":[38.678,-104.757],
+  "FDSK":[-26.359,31.717],
+  "FDW":[34.315,-81.109],
+  "FDY":[41.014,-83.669],
+  "FET":[41.449,-96.52],
+  "FFA":[36.018,-75.671],
+  "FFC":[33.357,-84.572],
+  "FFO":[39.826,-84.048],
+  "FFT":[38.182,-84.905],
+  "FFZ":[33.461,-111.728],
+  "FHR":[48.522,-123.024],
+  "FHU":[31.587,-110.348],
+  "FIMP":[-20.43,57.684],
+  "FIT":[42.554,-71.759],
+  "FKL":[41.378,-79.86],
+  "FLD":[43.771,-88.488],
+  "FLG":[35.139,-111.671],
+  "FLKK":[-15.331,28.453],
+  "FLL":[26.073,-80.153],
+  "FLO":[34.185,-79.724],
+  "FLV":[39.368,-94.915],
+  "FME":[39.085,-76.759],
+  "FMEE":[-20.89,55.519],
+  "FMMI":[-18.797,47.479],
+  "FMN":[36.741,-108.23],
+  "FMY":[26.587,-81.863],
+  "FNL":[40.452,-105.011],
+  "FNLU":[-8.858,13.231],
+  "FNR":[58.254,-134.898],
+  "FNT":[42.965,-83.744],
+  "FOD":[42.551,-94.193],
+  "FOE":[38.951,-95.664],
+  "FOK":[40.844,-72.632],
+  "FPR":[27.495,-80.368],
+  "FQMA":[-25.921,32.573],
+  "FRD":[48.522,-123.024],
+  "FRG":[40.729,-73.413],
+  "FRI":[39.053,-96.764],
+  "FRN":[61.266,-149.653],
+  "FRP":[27.495,-80.368],
+  "FSD":[43.585,-96.741],
+  "FSI":[34.65,-98.402],
+  "FSIA":[-4.674,55.522],
+  "FSM":[35.337,-94.367],
+  "FST":[30.916,-102.916],
+  "FTG":[39.785,-104.543],
+  "FTI":[-14.216,-169.424],
+  "FTK":[37.907,-85.972],
+  "FTTJ":[12.134,15.034],
+  "FTW":[32.82,-97.362],
+  "FTY":[33.779,-84.521],
+  "FUL":[33.872,-117.98],
+  "FVE":[47.285,-68.313],
+  "FVRG":[-17.932,31.093],
+  "FWA":[40.979,-85.195],
+  "FWH":[32.769,-97.441],
+  "FXE":[26.197,-80.171],
+  "FYU":[66.572,-145.25],
+  "FYV":[36.005,-94.17],
+  "FYWH":[-22.48,17.471],
+  "FZAA":[-4.386,15.445],
+  "FZG":[31.684,-83.271],
+  "FZI":[41.191,-83.395],
+  "GA04":[33.366,-84.165],
+  "GABS":[12.534,-7.95],
+  "GAD":[33.973,-86.089],
+  "GAI":[39.168,-77.166],
+  "GAL":[64.736,-156.937],
+  "GAM":[63.767,-171.733],
+  "GBD":[38.344,-98.859],
+  "GBG":[40.938,-90.431],
+  "GBN":[38.344,-98.859],
+  "GBYD":[13.338,-16.652],
+  "GCC":[44.349,-105.539],
+  "GCFV":[28.453,-13.864],
+  "GCK":[37.928,-100.724],
+  "GCLP":[27.932,-15.387],
+  "GCN":[35.952,-112.147],
+  "GCRR":[28.945,-13.605],
+  "GCTS":[28.045,-16.572],
+  "GDV":[47.139,-104.807],
+  "GDW":[43.971,-84.475],
+  "GED":[38.689,-75.359],
+  "GEG":[47.62,-117.534],
+  "GEO":[38.882,-83.883],
+  "GEU":[33.527,-112.295],
+  "GFK":[47.949,-97.176],
+  "GFL":[43.341,-73.61],
+  "GFLL":[8.616,-13.195],
+  "GGE":[33.312,-79.32],
+  "GGG":[32.384,-94.712],
+  "GGW":[48.213,-106.615],
+  "GHG":[42.098,-70.672],
+  "GIF":[28.063,-81.753],
+  "GJT":[39.127,-108.529],
+  "GKN":[62.156,-145.455],
+  "GKY":[32.664,-97.094],
+  "GLD":[39.371,-101.7],
+  "GLH":[33.483,-90.986],
+  "GLRB":[6.234,-10.362],
+  "GLS":[29.265,-94.86],
+  "GLV":[64.55,-163.007],
+  "GMJ":[36.607,-94.739],
+  "GMMN":[33.368,-7.59],
+  "GMU":[34.848,-82.35],
+  "GNT":[35.167,-107.902],
+  "GNV":[29.69,-82.272],
+  "GOBD":[14.67,-17.073],
+  "GON":[41.33,-72.045],
+  "GPI":[48.311,-114.256],
+  "GPT":[30.407,-89.07],
+  "GPZ":[47.211,-93.51],
+  "GQNO":[18.31,-15.97],
+  "GQQ":[40.753,-82.724],
+  "GRB":[44.483,-88.131],
+  "GRF":[47.079,-122.581],
+  "GRI":[40.967,-98.31],
+  "GRK":[31.067,-97.829],
+  "GRM":[47.838,-90.383],
+  "GRO":[14.174,145.243],
+  "GRR":[42.881,-85.523],
+  "GSB":[35.339,-77.961],
+  "GSN":[15.119,145.729],
+  "GSO":[36.098,-79.937],
+  "GSP":[34.896,-82.219],
+  "GST":[58.425,-135.707],
+  "GTB":[44.056,-75.719],
+  "GTF":[47.482,-111.371],
+  "GTR":[33.45,-88.591],
+  "GTU":[30.679,-97.679],
+  "GUC":[38.534,-106.933],
+  "GUM":[13.483,144.796],
+  "GUP":[35.511,-108.789],
+  "GUS":[40.648,-86.152],
+  "GUY":[36.685,-101.508],
+  "GVAC":[16.741,-22.949],
+  "GVL":[34.273,-83.83],
+  "GVQ":[43.032,-78.168],
+  "GVT":[33.068,-96.065],
+  "GWO":[33.494,-90.085],
+  "GXY":[40.437,-104.633],
+  "GYH":[34.758,-82.376],
+  "GYR":[33.423,-112.376],
+  "GYY":[41.616,-87.413],
+  "HAAB":[8.978,38.799],
+  "HAF":[37.513,-122.501],
+  "HAO":[39.364,-84.522],
+  "HBG":[31.265,-89.253],
+  "HBI":[35.654,-79.895],
+  "HBR":[34.991,-99.051],
+  "HCA":[62.188,-159.775],
+  "HCR":[62.188,-159.775],
+  "HDAM":[11.547,43.16],
+  "HDE":[40.452,-99.337],
+  "HDH":[21.58,-158.197],
+  "HDI":[35.22,-84.832],
+  "HDN":[40.481,-107.218],
+  "HDO":[29.36,-99.177],
+  "HECA":[30.112,31.397],
+  "HEF":[38.721,-77.515],
+  "HEGN":[27.177,33.797],
+  "HESH":[27.977,34.395],
+  "HFD":[41.737,-72.649],
+  "HGR":[39.708,-77.729],
+  "HHH":[32.224,-80.698],
+  "HHI":[21.483,-158.04],
+  "HHR":[33.923,-118.335],
+  "HI07":[19.921,-155.861],
+  "HIB":[47.387,-92.839],
+  "HIF":[41.124,-111.973],
+  "HII":[34.571,-114.358],
+  "HIK":[21.335,-157.948],
+  "HIO":[45.54,-122.95],
+  "HJJJ":[4.872,31.601],
+  "HKB":[63.866,-148.969],
+  "HKJK":[-1.319,36.928],
+  "HKMO":[-4.035,39.594],
+  "HKY":[35.741,-81.39],
+  "HLA":[65.698,-156.351],
+  "HLG":[40.175,-80.646],
+  "HLLM":[32.892,13.288],
+  "HLN":[46.607,-111.983],
+  "HLR":[31.139,-97.714],
+  "HMN":[32.853,-106.107],
+  "HMZ":[40.085,-78.512],
+  "HND":[35.973,-115.134],
+  "HNH":[58.096,-135.41],
+  "HNL":[21.321,-157.924],
+  "HNM":[20.796,-156.014],
+  "HNS":[59.244,-135.524],
+  "HNZ":[36.362,-78.529],
+  "HOB":[32.688,-103.217],
+  "HOM":[59.646,-151.477],
+  "HON":[44.385,-98.229],
+  "HOP":[36.674,-87.49],
+  "HOT":[34.479,-93.096],
+  "HOU":[29.645,-95.279],
+  "HPB":[61.524,-166.147],
+  "HPN":[41.067,-73.708],
+  "HQM":[46.971,-123.937],
+  "HQU":[33.53,-82.517],
+  "HQZ":[32.747,-96.53],
+  "HRL":[26.229,-97.654],
+  "HRO":[36.262,-93.155],
+  "HRT":[30.428,-86.689],
+  "HRYR":[-1.969,30.14],
+  "HSH":[35.973,-115.134],
+  "HSL":[65.698,-156.351],
+  "HSSK":[15.59,32.553],
+  "HST":[25.489,-80.384],
+  "HSV":[34.637,-86.775],
+  "HTDA":[-6.878,39.203],
+  "HTL":[44.36,-84.671],
+  "HTS":[38.367,-82.558],
+  "HTV":[30.747,-95.587],
+  "HTZA":[-6.222,39.225],
+  "HUA":[34.679,-86.685],
+  "HUEN":[0.042,32.444],
+  "HUF":[39.452,-87.308],
+  "HUL":[46.123,-67.792],
+  "HUS":[66.041,-154.263],
+  "HUT":[38.065,-97.861],
+  "HVN":[41.264,-72.887],
+  "HVR":[48.543,-109.762],
+  "HVS":[34.403,-80.119],
+  "HWD":[37.659,-122.122],
+  "HWO":[26.001,-80.241],
+  "HXD":[32.224,-80.698],
+  "HYA":[41.669,-70.28],
+  "HYG":[55.206,-132.828],
+  "HYI":[29.893,-97.863],
+  "HYR":[46.025,-91.444],
+  "HYS":[38.842,-99.273],
+  "HYW":[33.828,-79.122],
+  "HZL":[40.987,-75.995],
+  "HZY":[41.778,-80.696],
+  "I16":[37.6,-81.559],
+  "IAB":[37.622,-97.268],
+  "IAD":[38.945,-77.456],
+  "IAG":[43.107,-78.946],
+  "IAH":[29.984,-95.341],
+  "IAN":[66.976,-160.437],
+  "ICT":[37.65,-97.433],
+  "IDA":[43.515,-112.071],
+  "IDL":[33.486,-90.679],
+  "IDP":[37.158,-95.778],
+  "IFP":[35.157,-114.56],
+  "IGG":[59.324,-155.902],
+  "IGM":[35.259,-113.938],
+  "IGQ":[41.535,-87.53],
+  "IGX":[35.935,-79.066],
+  "IJD":[41.744,-72.18],
+  "IKK":[41.071,-87.846],
+  "IKV":[41.691,-93.566],
+  "ILG":[39.679,-75.606],
+  "ILI":[59.754,-154.911],
+  "ILM":[34.271,-77.903],
+  "ILN":[39.428,-83.792],
+  "IMM":[26.433,-81.401],
+  "IMT":[45.818,-88.115],
+  "IND":[39.717,-86.294],
+  "INJ":[32.083,-97.097],
+  "INK":[31.78,-103.201],
+  "INL":[48.566,-93.403],
+  "INS":[36.587,-115.673],
+  "INT":[36.134,-80.222],
+  "INW":[35.022,-110.723],
+  "IOB":[38.058,-83.98],
+  "IOW":[41.639,-91.547],
+  "IPL":[32.834,-115.579],
+  "IPT":[41.242,-76.921],
+  "IRC":[65.83,-144.076],
+  "IRK":[40.093,-92.545],
+  "ISM":[28.29,-81.437],
+  "ISN":[48.178,-103.642],
+  "ISO":[35.331,-77.609],
+  "ISP":[40.795,-73.1],
+  "ISW":[44.36,-89.839],
+  "ITH":[42.491,-76.458],
+  "ITO":[19.721,-155.048],
+  "IWA":[33.308,-111.655],
+  "IWS":[29.818,-95.673],
+  "IXD":[38.831,-94.89],
+  "IYK":[35.659,-117.83],
+  "IYS":[61.572,-149.54],
+  "IZG":[43.991,-70.948],
+  "JAC":[43.607,-110.738],
+  "JAN":[32.311,-90.076],
+  "JAS":[30.886,-94.035],
+  "JAX":[30.494,-81.688],
+  "JBR":[35.832,-90.646],
+  "JCI":[38.831,-94.89],
+  "JCT":[30.511,-99.763],
+  "JEF":[38.591,-92.156],
+  "JES":[31.554,-81.882],
+  "JFK":[40.639,-73.779],
+  "JFN":[41.778,-80.696],
+  "JGG":[37.239,-76.716],
+  "JHM":[20.963,-156.673],
+  "JHW":[42.154,-79.254],
+  "JKA":[30.291,-87.672],
+  "JKL":[37.594,-83.317],
+  "JLN":[37.152,-94.498],
+  "JMS":[46.93,-98.678],
+  "JNU":[58.355,-134.576],
+  "JOT":[41.518,-88.175],
+  "JQF":[35.388,-80.709],
+  "JRF":[21.307,-158.07],
+  "JST":[40.316,-78.834],
+  "JSV":[35.438,-94.803],
+  "JVL":[42.62,-89.042],
+  "JXN":[42.261,-84.463],
+  "JYL":[32.645,-81.597],
+  "JYO":[39.078,-77.558],
+  "JZI":[32.701,-80.003],
+  "JZP":[34.453,-84.457],
+  "K83":[39.904,-95.779],
+  "KAL":[64.319,-158.741],
+  "KFP":[54.847,-163.41],
+  "KGK":[59.727,-157.259],
+  "KKA":[64.939,-161.154],
+  "KKH":[59.961,-162.881],
+  "KLG":[61.536,-160.341],
+  "KLN":[57.535,-153.978],
+  "KLS":[46.118,-122.898],
+  "KLW":[55.579,-133.076],
+  "KMO":[58.99,-159.05],
+  "KNW":[59.45,-157.328],
+  "KOA":[19.739,-156.046],
+  "KOT":[63.031,-163.533],
+  "KPC":[65.254,-166.859],
+  "KPN":[59.933,-164.031],
+  "KPV":[55.906,-159.163],
+  "KQA":[54.134,-165.779],
+  "KSM":[62.061,-163.302],
+  "KTN":[55.356,-131.714],
+  "KTS":[65.331,-166.466],
+  "KUK":[60.874,-162.524],
+  "KVC":[55.116,-162.266],
+  "KVL":[67.736,-164.563],
+  "KWK":[59.876,-163.169],
+  "KWN":[59.755,-161.845],
+  "KWT":[60.79,-161.444],
+  "KYK":[57.567,-154.45],
+  "KYU":[64.876,-157.727],
+  "L45":[35.325,-118.996],
+  "LAA":[38.066,-102.69],
+  "LAF":[40.412,-86.937],
+  "LAL":[27.989,-82.019],
+  "LAM":[35.88,-106.269],
+  "LAN":[42.779,-84.587],
+  "LAR":[41.312,-105.675],
+  "LAS":[36.083,-115.152],
+  "LATI":[41.415,19.721],
+  "LAW":[34.568,-98.417],
+  "LAX":[33.943,-118.408],
+  "LBB":[33.664,-101.823],
+  "LBBG":[42.57,27.515],
+  "LBE":[40.276,-79.405],
+  "LBF":[41.126,-100.684],
+  "LBL":[37.044,-100.96],
+  "LBSF":[42.697,23.411],
+  "LBT":[34.611,-79.059],
+  "LBWN":[43.232,27.825],
+  "LBX":[29.109,-95.462],
+  "LCH":[30.126,-93.223],
+  "LCK":[39.814,-82.928],
+  "LCLK":[34.875,33.625],
+  "LCQ":[30.182,-82.577],
+  "LDJ":[40.617,-74.245],
+  "LDM":[43.963,-86.408],
+  "LDZA":[45.743,16.069],
+  "LEAL":[38.282,-0.558],
+  "LEB":[43.626,-72.304],
+  "LEBL":[41.297,2.078],
+  "LEE":[28.823,-81.809],
+  "LEIB":[38.873,1.373],
+  "LEMD":[40.472,-3.563],
+  "LEMG":[36.675,-4.499],
+  "LEPA":[39.552,2.739],
+  "LEST":[42.896,-8.415],
+  "LEW":[44.049,-70.284],
+  "LEX":[38.036,-84.606],
+  "LFBD":[44.828,-0.716],
+  "LFBO":[43.629,1.364],
+  "LFI":[37.083,-76.36],
+  "LFK":[31.234,-94.75],
+  "LFLL":[45.726,5.081],
+  "LFML":[43.439,5.221],
+  "LFMN":[43.658,7.216],
+  "LFPG":[49.013,2.55],
+  "LFPO":[48.723,2.379],
+  "LFSB":[47.59,7.529],
+  "LFT":[30.205,-91.988],
+  "LGA":[40.777,-73.873],
+  "LGAV":[37.936,23.945],
+  "LGB":[33.817,-118.15],
+  "LGC":[33.009,-85.073],
+  "LGD":[45.29,-118.007],
+  "LGIR":[35.34,25.18],
+  "LGTS":[40.52,22.971],
+  "LGU":[41.791,-111.852],
+  "LHBP":[47.43,19.261],
+  "LHD":[61.18,-149.972],
+  "LHM":[38.909,-121.351],
+  "LHTA":[46.393,17.917],
+  "LHV":[41.136,-77.422],
+  "LHW":[31.889,-81.562],
+  "LHX":[38.05,-103.509],
+  "LIBD":[41.139,16.761],
+  "LIBR":[40.658,17.947],
+  "LICC":[37.467,15.066],
+  "LICJ":[38.176,13.091],
+  "LIEE":[39.251,9.054],
+  "LIH":[21.976,-159.339],
+  "LIMC":[45.631,8.728],
+  "LIME":[45.674,9.704],
+  "LIMF":[45.201,7.65],
+  "LIPE":[44.535,11.289],
+  "LIPX":[45.395,10.887],
+  "LIPZ":[45.505,12.352],
+  "LIRF":[41.805,12.252],
+  "LIRN":[40.886,14.291],
+  "LIRP":[43.684,10.393],
+  "LIT":[34.73,-92.224],
+  "LJLJ":[46.224,14.458],
+  "LJN":[29.109,-95.462],
+  "LKP":[44.264,-73.962],
+  "LKPR":[50.101,14.26],
+  "LKV":[42.161,-120.399],
+  "LLBG":[32.011,34.887],
+  "LLER":[29.727,35.014],
+  "LLQ":[33.639,-91.751],
+  "LMML":[35.857,14.478],
+  "LMT":[42.156,-121.733],
+  "LNA":[26.593,-80.085],
+  "LND":[42.815,-108.73],
+  "LNK":[40.851,-96.759],
+  "LNN":[41.684,-81.39],
+  "LNR":[43.212,-90.182],
+  "LNS":[40.122,-76.296],
+  "LNY":[20.786,-156.951],
+  "LOL":[40.066,-118.565],
+  "LOM":[40.138,-75.265],
+  "LOT":[41.607,-88.096],
+  "LOU":[38.228,-85.664],
+  "LOWW":[48.11,16.57],
+  "LOZ":[37.082,-84.085],
+  "LPC":[34.666,-120.468],
+  "LPFR":[37.014,-7.966],
+  "LPPD":[37.741,-25.698],
+  "LPPR":[41.248,-8.681],
+  "LPPT":[38.781,-9.136],
+  "LPR":[41.344,-82.178],
+  "LPS":[48.484,-122.938],
+  "LQR":[38.209,-99.086],
+  "LRD":[27.544,-99.462],
+  "LRF":[34.917,-92.15],
+  "LRO":[32.898,-79.783],
+  "LROP":[44.571,26.085],
+  "LRU":[32.289,-106.922],
+  "LSE":[43.879,-91.257],
+  "LSF":[32.333,-84.988],
+  "LSGG":[46.238,6.109],
+  "LSV":[36.236,-115.034],
+  "LSZH":[47.458,8.548],
+  "LTAC":[40.128,32.995],
+  "LTAI":[36.899,30.801],
+  "LTBA":[40.972,28.824],
+  "LTBJ":[38.292,27.157],
+  "LTBS":[36.713,28.792],
+  "LTFE":[37.251,27.664],
+  "LTFJ":[40.899,29.309],
+  "LTFM":[41.261,28.742],
+  "LTS":[34.667,-99.267],
+  "LUF":[33.535,-112.383],
+  "LUK":[39.103,-84.419],
+  "LUP":[21.211,-156.974],
+  "LUR":[68.875,-166.11],
+  "LVK":[37.693,-121.82],
+  "LVM":[45.699,-110.448],
+  "LVS":[35.654,-105.142],
+  "LWA":[42.351,-86.256],
+  "LWB":[37.858,-80.399],
+  "LWC":[39.011,-95.217],
+  "LWM":[42.717,-71.123],
+  "LWS":[46.375,-117.015],
+  "LWSK":[41.962,21.621],
+  "LWT":[47.049,-109.467],
+  "LXN":[40.791,-99.777],
+  "LYBE":[44.818,20.309],
+  "LYH":[37.327,-79.2],
+  "LYPG":[42.359,19.252],
+  "LYU":[47.825,-91.831],
+  "LZIB":[48.17,17.213],
+  "LZU":[33.978,-83.962],
+  "LZZ":[31.106,-98.196],
+  "M01":[35.201,-90.054],
+  "M94":[46.687,-119.921],
+  "MAE":[36.989,-120.112],
+  "MAF":[31.942,-102.202],
+  "MAZ":[18.256,-67.148],
+  "MBG":[45.547,-100.408],
+  "MBL":[44.272,-86.247],
+  "MBPV":[21.774,-72.268],
+  "MBS":[43.533,-84.08],
+  "MCB":[31.178,-90.472],
+  "MCC":[38.668,-121.401],
+  "MCE":[37.285,-120.514],
+  "MCF":[27.849,-82.521],
+  "MCG":[62.953,-155.606],
+  "MCI":[39.298,-94.714],
+  "MCK":[40.206,-100.592],
+  "MCL":[63.733,-148.911],
+  "MCN":[32.693,-83.649],
+  "MCO":[28.429,-81.309],
+  "MCW":[43.158,-93.331],
+  "MDH":[37.778,-89.252],
+  "MDM":[61.864,-162.026],
+  "MDPC":[18.567,-68.363],
+  "MDQ":[34.861,-86.558],
+  "MDSD":[18.43,-69.669],
+  "MDT":[40.194,-76.763],
+  "MDW":[41.786,-87.752],
+  "MEI":[32.333,-88.752],
+  "MEJ":[37.277,-100.356],
+  "MEM":[35.042,-89.977],
+  "MEO":[35.919,-75.696],
+  "MER":[37.381,-120.568],
+  "MFD":[40.821,-82.517],
+  "MFE":[26.176,-98.238],
+  "MFH":[36.833,-114.056],
+  "MFI":[44.637,-90.189],
+  "MFR":[42.374,-122.873],
+  "MGC":[41.703,-86.821],
+  "MGE":[33.915,-84.516],
+  "MGGT":[14.583,-90.527],
+  "MGJ":[41.51,-74.265],
+  "MGM":[32.301,-86.394],
+  "MGW":[39.643,-79.918],
+  "MGY":[39.589,-84.225],
+  "MHK":[39.141,-96.671],
+  "MHM":[63.886,-152.302],
+  "MHR":[38.554,-121.298],
+  "MHT":[42.933,-71.436],
+  "MHV":[35.059,-118.152],
+  "MIA":[25.793,-80.291],
+  "MIB":[48.416,-101.358],
+  "MIC":[45.062,-93.354],
+  "MIE":[40.242,-85.396],
+  "MIV":[39.368,-75.072],
+  "MKC":[39.123,-94.593],
+  "MKE":[42.947,-87.897],
+  "MKG":[43.169,-86.238],
+  "MKJP":[17.936,-76.787],
+  "MKK":[21.153,-157.096],
+  "MKL":[35.6,-88.916],
+  "MKO":[35.657,-95.367],
+  "MKT":[44.222,-93.919],
+  "MKY":[25.995,-81.673],
+  "MLB":[28.103,-80.645],
+  "MLC":[34.882,-95.784],
+  "MLD":[42.167,-112.297],
+  "MLI":[41.449,-90.507],
+  "MLJ":[33.154,-83.241],
+  "MLL":[61.864,-162.026],
+  "MLS":[46.428,-105.886],
+  "MLT":[45.648,-68.686],
+  "MLU":[32.511,-92.038],
+  "MLY":[64.998,-150.644],
+  "MMAA":[16.762,-99.755],
+  "MMAN":[25.866,-100.237],
+  "MMAS":[21.7,-102.318],
+  "MMBT":[15.776,-96.261],
+  "MMCB":[18.835,-99.261],
+  "MMCE":[18.654,-91.799],
+  "MMCL":[24.765,-107.475],
+  "MMCM":[18.505,-88.327],
+  "MMCN":[27.393,-109.833],
+  "MMCP":[19.817,-90.5],
+  "MMCS":[31.636,-106.429],
+  "MMCT":[20.641,-88.446],
+  "MMCU":[28.703,-105.965],
+  "MMCV":[23.703,-98.956],
+  "MMCY":[20.546,-100.887],
+  "MMCZ":[20.511,-86.93],
+  "MMDA":[25.054,-111.615],
+  "MMDO":[24.126,-104.534],
+  "MMEP":[21.42,-104.842],
+  "MMGL":[20.525,-103.302],
+  "MMGM":[27.969,-110.925],
+  "MMH":[37.624,-118.838],
+  "MMHO":[29.096,-111.048],
+  "MMI":[35.397,-84.563],
+  "MMIA":[19.277,-103.577],
+  "MMIO":[25.549,-100.929],
+  "MMIT":[16.449,-95.094],
+  "MMJA":[19.475,-96.798],
+  "MMK":[41.509,-72.829],
+  "MMLC":[18.002,-102.221],
+  "MMLM":[25.685,-109.081],
+  "MMLO":[20.986,-101.479],
+  "MMLP":[24.073,-110.362],
+  "MMLT":[25.989,-111.348],
+  "MMMA":[25.77,-97.525],
+  "MMMD":[20.933,-89.663],
+  "MMML":[32.631,-115.242],
+  "MMMM":[19.85,-101.025],
+  "MMMT":[18.103,-94.581],
+  "MMMV":[26.956,-101.47],
+  "MMMX":[19.435,-99.082],
+  "MMMY":[25.779,-100.114],
+  "MMMZ":[23.167,-106.27],
+  "MMNL":[27.444,-99.571],
+  "MMOX":[17,-96.727],
+  "MMPA":[20.603,-97.461],
+  "MMPB":[19.158,-98.371],
+  "MMPG":[28.628,-100.535],
+  "MMPN":[19.397,-102.039],
+  "MMPR":[20.68,-105.247],
+  "MMPS":[15.877,-97.089],
+  "MMQT":[20.617,-100.186],
+  "MMRX":[26.009,-98.228],
+  "MMSD":[23.156,-109.717],
+  "MMSL":[22.948,-109.938],
+  "MMSM":[19.746,-99.014],
+  "MMSP":[22.254,-100.931],
+  "MMT":[33.921,-80.801],
+  "MMTB":[16.74,-93.173],
+  "MMTC":[25.568,-103.411],
+  "MMTG":[16.564,-93.022],
+  "MMTJ":[32.546,-116.976],
+  "MMTM":[22.296,-97.866],
+  "MMTO":[19.338,-99.57],
+  "MMTP":[14.794,-92.37],
+  "MMU":[40.799,-74.415],
+  "MMUN":[21.039,-86.874],
+  "MMV":[45.194,-123.136],
+  "MMVA":[17.997,-92.817],
+  "MMVR":[19.146,-96.187],
+  "MMZC":[22.897,-102.687],
+  "MMZH":[17.602,-101.461],
+  "MMZO":[19.145,-104.559],
+  "MNM":[45.127,-87.638],
+  "MNZ":[38.721,-77.515],
+  "MO00":[36.592,-93.667],
+  "MOB":[30.691,-88.243],
+  "MOD":[37.626,-120.954],
+  "MOT":[48.259,-101.28],
+  "MOU":[62.095,-163.682],
+  "MPI":[37.511,-120.04],
+  "MPO":[41.138,-75.379],
+  "MPR":[38.352,-97.691],
+  "MPTO":[9.071,-79.383],
+  "MPV":[44.203,-72.562],
+  "MQI":[35.919,-75.696],
+  "MQS":[39.979,-75.866],
+  "MQT":[46.354,-87.395],
+  "MQY":[36.009,-86.52],
+  "MRB":[39.402,-77.985],
+  "MRF":[30.371,-104.018],
+  "MRI":[61.214,-149.844],
+  "MRK":[25.995,-81.673],
+  "MRLB":[10.593,-85.544],
+  "MRN":[35.82,-81.611],
+  "MRST":[10.067,-84.883],
+  "MRT":[40.225,-83.352],
+  "MRY":[36.587,-121.843],
+  "MSL":[34.745,-87.61],
+  "MSLP":[13.441,-89.056],
+  "MSN":[43.14,-89.338],
+  "MSO":[46.916,-114.091],
+  "MSP":[44.882,-93.222],
+  "MSS":[44.936,-74.844],
+  "MSY":[29.993,-90.258],
+  "MTC":[42.613,-82.837],
+  "MTH":[24.726,-81.051],
+  "MTJ":[38.51,-107.894],
+  "MTM":[55.131,-131.578],
+  "MTN":[39.326,-76.414],
+  "MTP":[41.076,-71.921],
+  "MTPP":[18.58,-72.293],
+  "MUE":[20.001,-155.668],
+  "MUHA":[22.989,-82.409],
+  "MUI":[40.435,-76.569],
+  "MUO":[43.044,-115.872],
+  "MUVR":[23.034,-81.435],
+  "MVL":[44.535,-72.614],
+  "MVY":[41.393,-70.614],
+  "MWA":[37.755,-89.011],
+  "MWC":[43.11,-88.034],
+  "MWCR":[19.293,-81.358],
+  "MWH":[47.208,-119.32],
+  "MWL":[32.782,-98.06],
+  "MWM":[43.913,-95.109],
+  "MX31":[27.725,-107.652],
+  "MXF":[32.383,-86.366],
+  "MYL":[44.89,-116.101],
+  "MYNN":[25.039,-77.466],
+  "MYR":[33.68,-78.928],
+  "MYU":[60.371,-166.271],
+  "MYV":[39.098,-121.57],
+  "MZBZ":[17.54,-88.304],
+  "MZJ":[32.511,-111.328],
+  "NBC":[32.477,-80.723],
+  "NBG":[29.825,-90.035],
+  "NCA":[34.708,-77.44],
+  "NCN":[60.077,-147.992],
+  "NCO":[41.597,-71.412],
+  "NDZ":[30.704,-87.023],
+  "NEL":[40.033,-74.353],
+  "NEW":[30.042,-90.028],
+  "NFG":[33.301,-117.355],
+  "NFL":[39.417,-118.701],
+  "NFW":[32.769,-97.441],
+  "NGF":[21.451,-157.768],
+  "NGP":[27.693,-97.291],
+  "NGU":[36.938,-76.289],
+  "NHK":[38.286,-76.412],
+  "NHZ":[43.892,-69.939],
+  "NIB":[63.019,-154.358],
+  "NID":[35.685,-117.692],
+  "NIP":[30.236,-81.681],
+  "NJK":[32.829,-115.672],
+  "NK39":[40.713,-74],
+  "NKT":[34.901,-76.881],
+  "NKX":[32.868,-117.143],
+  "NLC":[36.333,-119.952],
+  "NLG":[56.007,-161.16],
+  "NME":[60.471,-164.701],
+  "NMM":[32.553,-88.554],
+  "NNL":[59.98,-154.839],
+  "NOW":[48.141,-123.414],
+  "NPA":[30.353,-87.319],
+  "NQA":[35.357,-89.87],
+  "NQI":[27.507,-97.81],
+  "NQX":[24.576,-81.689],
+  "NRB":[30.391,-81.425],
+  "NSE":[30.724,-87.022],
+  "NSFQ":[-14.216,-169.424],
+  "NSI":[33.24,-119.458],
+  "NSTU":[-14.331,-170.71],
+  "NTAA":[-17.554,-149.607],
+  "NTD":[34.12,-119.121],
+  "NTU":[36.821,-76.034],
+  "NUC":[33.023,-118.588],
+  "NUI":[70.21,-151.006],
+  "NUL":[64.729,-158.074],
+  "NUQ":[37.416,-122.049],
+  "NUW":[48.352,-122.656],
+  "NV65":[36.619,-116.033],
+  "NVVV":[-17.699,168.32],
+  "NWWM":[-22.258,166.473],
+  "NXP":[34.296,-116.162],
+  "NXX":[40.2,-75.148],
+  "NY94":[41.972,-73.863],
+  "NYG":[38.502,-77.305],
+  "NYL":[32.657,-114.606],
+  "NZAA":[-37.012,174.786],
+  "NZCH":[-43.489,172.532],
+  "NZWN":[-41.327,174.805],
+  "NZY":[32.699,-117.215],
+  "OAJ":[34.829,-77.612],
+  "OAK":[37.721,-122.221],
+  "OAR":[36.682,-121.762],
+  "OBBI":[26.267,50.638],
+  "OBE":[27.263,-80.85],
+  "OBU":[66.912,-156.897],
+  "OCA":[25.325,-80.275],
+  "OCF":[29.173,-82.224],
+  "OCW":[35.57,-77.05],
+  "OEB":[41.933,-85.053],
+  "OEDF":[26.471,49.798],
+  "OEDR":[26.265,50.152],
+  "OEJN":[21.68,39.157],
+  "OEL":[52.935,36.002],
+  "OEMA":[24.553,39.705],
+  "OERK":[24.958,46.699],
+  "OFF":[41.118,-95.912],
+  "OFK":[41.986,-97.435],
+  "OG39":[44.662,-119.652],
+  "OGB":[33.457,-80.859],
+  "OGD":[41.196,-112.012],
+  "OGG":[20.899,-156.431],
+  "OGS":[44.682,-75.465],
+  "OIIE":[35.416,51.152],
+  "OIII":[35.689,51.313],
+  "OIMM":[36.235,59.641],
+  "OISS":[29.539,52.59],
+  "OJAI":[31.723,35.993],
+  "OJC":[38.848,-94.738],
+  "OKC":[35.393,-97.601],
+  "OKK":[40.528,-86.059],
+  "OKKK":[29.227,47.969],
+  "OKM":[35.668,-95.949],
+  "OLBA":[33.821,35.488],
+  "OLF":[48.095,-105.575],
+  "OLM":[46.969,-122.903],
+  "OLS":[31.418,-110.848],
+  "OLU":[41.448,-97.343],
+  "OLV":[34.979,-89.787],
+  "OMA":[41.303,-95.894],
+  "OMAA":[24.444,54.652],
+  "OMDB":[25.253,55.364],
+  "OMDW":[24.896,55.161],
+  "OME":[64.512,-165.445],
+  "OMN":[29.301,-81.114],
+  "OMSJ":[25.329,55.517],
+  "ONO":[44.02,-117.013],
+  "ONP":[44.58,-124.058],
+  "ONT":[34.056,-117.601],
+  "OODQ":[19.502,57.634],
+  "OOK":[60.541,-165.087],
+  "OOMS":[23.593,58.284],
+  "OPF":[25.907,-80.278],
+  "OPIS":[33.549,72.826],
+  "OPKC":[24.907,67.161],
+  "OPLA":[31.522,74.404],
+  "OQN":[39.99,-75.582],
+  "OQU":[41.597,-71.412],
+  "ORBI":[33.263,44.235],
+  "ORD":[41.979,-87.905],
+  "ORF":[36.895,-76.201],
+  "ORH":[42.267,-71.876],
+  "ORL":[28.545,-81.333],
+  "ORS":[48.708,-122.91],
+  "ORT":[62.961,-141.929],
+  "ORV":[66.818,-161.019],
+  "OSC":[44.452,-83.394],
+  "OSDI":[33.411,36.516],
+  "OSH":[43.984,-88.557],
+  "OSU":[40.08,-83.073],
+  "OTH":[43.417,-124.246],
+  "OTHH":[25.273,51.608],
+  "OTM":[41.106,-92.45],
+  "OTZ":[66.885,-162.599],
+  "OWB":[37.74,-87.167],
+  "OWD":[42.19,-71.173],
+  "OXC":[41.479,-73.135],
+  "OXR":[34.201,-119.207],
+  "OZA":[30.735,-101.203],
+  "OZR":[31.276,-85.713],
+  "P08":[32.936,-111.427],
+  "P52":[34.73,-112.035],
+  "PAAK":[52.22,-174.206],
+  "PAAL":[56.006,-160.561],
+  "PAAQ":[61.595,-149.089],
+  "PABA":[70.134,-143.582],
+  "PABE":[60.78,-161.838],
+  "PABI":[63.994,-145.722],
+  "PABL":[65.982,-161.149],
+  "PABM":[59.361,-155.259],
+  "PABR":[71.285,-156.766],
+  "PABT":[66.914,-151.529],
+  "PABV":[61.417,-149.507],
+  "PACD":[55.206,-162.725],
+  "PACE":[65.574,-144.783],
+  "PACI":[66.645,-143.74],
+  "PACK":[60.149,-164.286],
+  "PACL":[64.3,-149.117],
+  "PACM":[61.845,-165.571],
+  "PACR":[65.83,-144.076],
+  "PACV":[60.492,-145.478],
+  "PACY":[60.082,-142.493],
+  "PACZ":[61.78,-166.039],
+  "PADE":[66.07,-162.766],
+  "PADK":[51.884,-176.643],
+  "PADL":[59.045,-158.505],
+  "PADM":[61.864,-162.026],
+  "PADQ":[57.75,-152.494],
+  "PADU":[53.899,-166.545],
+  "PADY":[59.961,-162.881],
+  "PAE":[47.906,-122.282],
+  "PAED":[61.252,-149.807],
+  "PAEE":[60.214,-162.044],
+  "PAEG":[64.776,-141.151],
+  "PAEH":[58.646,-162.063],
+  "PAEI":[64.666,-147.102],
+  "PAEL":[58.195,-136.347],
+  "PAEM":[62.786,-164.491],
+  "PAEN":[60.573,-151.245],
+  "PAFA":[64.815,-147.856],
+  "PAFB":[64.838,-147.614],
+  "PAFE":[56.961,-133.91],
+  "PAFM":[67.107,-157.854],
+  "PAFR":[61.266,-149.653],
+  "PAFS":[63.019,-154.358],
+  "PAGA":[64.736,-156.937],
+  "PAGG":[59.876,-163.169],
+  "PAGH":[66.888,-157.162],
+  "PAGK":[62.156,-145.455],
+  "PAGL":[64.55,-163.007],
+  "PAGM":[63.767,-171.733],
+  "PAGN":[57.504,-134.585],
+  "PAGS":[58.425,-135.707],
+  "PAGT":[60.471,-164.701],
+  "PAGY":[59.46,-135.316],
+  "PAH":[37.061,-88.774],
+  "PAHC":[62.188,-159.775],
+  "PAHL":[65.698,-156.351],
+  "PAHN":[59.244,-135.524],
+  "PAHO":[59.646,-151.477],
+  "PAHP":[61.524,-166.147],
+  "PAHU":[66.041,-154.263],
+  "PAHV":[63.866,-148.969],
+  "PAHX":[62.692,-159.569],
+  "PAHY":[55.206,-132.828],
+  "PAIG":[59.324,-155.902],
+  "PAII":[58.184,-157.375],
+  "PAIK":[66.976,-160.437],
+  "PAIL":[59.754,-154.911],
+  "PAIM":[65.993,-153.704],
+  "PAIN":[63.733,-148.911],
+  "PAIW":[65.623,-168.095],
+  "PAJN":[58.355,-134.576],
+  "PAJZ":[59.727,-157.259],
+  "PAKF":[54.847,-163.41],
+  "PAKH":[56.939,-154.183],
+  "PAKI":[59.933,-164.031],
+  "PAKK":[64.939,-161.154],
+  "PAKN":[58.678,-156.652],
+  "PAKP":[68.134,-151.743],
+  "PAKT":[55.356,-131.714],
+  "PAKU":[70.331,-149.598],
+  "PAKV":[64.319,-158.741],
+  "PAKW":[55.579,-133.076],
+  "PAKY":[57.567,-154.45],
+  "PALB":[57.535,-153.978],
+  "PALG":[61.536,-160.341],
+  "PALH":[61.18,-149.972],
+  "PALU":[68.875,-166.11],
+  "PAM":[30.07,-85.575],
+  "PAMB":[58.99,-159.05],
+  "PAMC":[62.953,-155.606],
+  "PAMH":[63.886,-152.302],
+  "PAMK":[63.49,-162.11],
+  "PAML":[64.998,-150.644],
+  "PAMM":[55.131,-131.578],
+  "PAMO":[62.095,-163.682],
+  "PAMR":[61.214,-149.844],
+  "PAMY":[60.371,-166.271],
+  "PANA":[60.69,-161.979],
+  "PANC":[61.174,-149.996],
+  "PANI":[61.582,-159.543],
+  "PANN":[64.549,-149.075],
+  "PANO":[59.98,-154.839],
+  "PANR":[58.254,-134.898],
+  "PANT":[55.037,-131.573],
+  "PANU":[64.729,-158.074],
+  "PANV":[62.647,-160.191],
+  "PANW":[59.45,-157.328],
+  "PAO":[37.461,-122.115],
+  "PAOB":[66.912,-156.897],
+  "PAOH":[58.096,-135.41],
+  "PAOM":[64.512,-165.445],
+  "PAOO":[60.541,-165.087],
+  "PAOR":[62.961,-141.929],
+  "PAOT":[66.885,-162.599],
+  "PAOU":[56.007,-161.16],
+  "PAPB":[56.577,-169.664],
+  "PAPC":[65.254,-166.859],
+  "PAPE":[55.906,-159.163],
+  "PAPG":[56.802,-132.945],
+  "PAPH":[56.959,-158.621],
+  "PAPK":[60.703,-161.778],
+  "PAPM":[59.011,-161.82],
+  "PAPN":[57.58,-157.572],
+  "PAPR":[66.814,-150.644],
+  "PAQ":[61.595,-149.089],
+  "PAQC":[55.555,-133.102],
+  "PAQH":[59.755,-161.845],
+  "PAQT":[70.21,-151.006],
+  "PARC":[68.115,-145.579],
+  "PARS":[61.779,-161.319],
+  "PARY":[64.727,-155.47],
+  "PASA":[63.686,-170.493],
+  "PASC":[70.195,-148.465],
+  "PASD":[55.315,-160.523],
+  "PASH":[66.25,-166.089],
+  "PASI":[57.047,-135.362],
+  "PASK":[66.6,-159.986],
+  "PASL":[61.701,-157.166],
+  "PASM":[62.061,-163.302],
+  "PASN":[57.166,-170.223],
+  "PASV":[61.097,-155.574],
+  "PASX":[60.475,-151.038],
+  "PASY":[52.712,174.114],
+  "PATC":[65.563,-167.922],
+  "PATE":[65.24,-166.339],
+  "PATG":[59.053,-160.397],
+  "PATJ":[63.303,-143.001],
+  "PATK":[62.32,-150.094],
+  "PATL":[62.894,-155.977],
+  "PATQ":[70.467,-157.436],
+  "PAUK":[62.68,-164.66],
+  "PAUN":[63.888,-160.799],
+  "PAVA":[61.541,-165.6],
+  "PAVC":[55.116,-162.266],
+  "PAVD":[61.134,-146.248],
+  "PAVE":[67.009,-146.366],
+  "PAVL":[67.736,-164.563],
+  "PAWB":[66.362,-147.407],
+  "PAWD":[60.13,-149.419],
+  "PAWG":[56.484,-132.37],
+  "PAWI":[70.638,-159.995],
+  "PAWM":[64.689,-163.413],
+  "PAWN":[67.566,-162.975],
+  "PAWR":[60.777,-148.722],
+  "PAWS":[61.572,-149.54],
+  "PAYA":[59.509,-139.66],
+  "PBF":[34.174,-91.936],
+  "PBG":[44.651,-73.468],
+  "PBH":[45.709,-90.402],
+  "PBI":[26.683,-80.096],
+  "PBV":[56.577,-169.664],
+  "PBX":[37.562,-82.566],
+  "PCW":[41.516,-82.869],
+  "PCZ":[44.333,-89.02],
+  "PDK":[33.876,-84.302],
+  "PDT":[45.695,-118.841],
+  "PDX":[45.589,-122.598],
+  "PEQ":[31.382,-103.511],
+  "PFAK":[60.903,-161.231],
+  "PFAL":[66.552,-152.622],
+  "PFCB":[60.077,-147.992],
+  "PFEL":[64.615,-162.272],
+  "PFKA":[60.874,-162.524],
+  "PFKO":[63.031,-163.533],
+  "PFKT":[65.331,-166.466],
+  "PFKU":[64.876,-157.727],
+  "PFKW":[60.79,-161.444],
+  "PFN":[30.212,-85.683],
+  "PFNO":[66.818,-161.019],
+  "PFSH":[64.371,-161.224],
+  "PFTO":[63.329,-142.954],
+  "PFWS":[58.703,-157.008],
+  "PFYU":[66.572,-145.25],
+  "PGA":[36.926,-111.448],
+  "PGD":[26.92,-81.991],
+  "PGRO":[14.174,145.243],
+  "PGSN":[15.119,145.729],
+  "PGUA":[13.584,144.93],
+  "PGUM":[13.483,144.796],
+  "PGV":[35.635,-77.385],
+  "PGWT":[14.999,145.619],
+  "PHBK":[22.023,-159.785],
+  "PHD":[40.471,-81.42],
+  "PHDH":[21.58,-158.197],
+  "PHF":[37.132,-76.493],
+  "PHHI":[21.483,-158.04],
+  "PHHN":[20.796,-156.014],
+  "PHIK":[21.335,-157.948],
+  "PHJH":[20.963,-156.673],
+  "PHJR":[21.307,-158.07],
+  "PHK":[26.785,-80.693],
+  "PHKO":[19.739,-156.046],
+  "PHL":[39.872,-75.241],
+  "PHLI":[21.976,-159.339],
+  "PHLU":[21.211,-156.974],
+  "PHMK":[21.153,-157.096],
+  "PHMU":[20.001,-155.668],
+  "PHN":[42.911,-82.529],
+  "PHNG":[21.451,-157.768],
+  "PHNL":[21.321,-157.924],
+  "PHNY":[20.786,-156.951],
+  "PHOG":[20.899,-156.431],
+  "PHSF":[19.76,-155.554],
+  "PHTO":[19.721,-155.048],
+  "PHUP":[20.265,-155.86],
+  "PHX":[33.435,-112.006],
+  "PIA":[40.664,-89.693],
+  "PIB":[31.467,-89.337],
+  "PIE":[27.91,-82.687],
+  "PIH":[42.91,-112.596],
+  "PIM":[32.841,-84.882],
+  "PIP":[57.58,-157.572],
+  "PIR":[44.383,-100.286],
+  "PIT":[40.492,-80.233],
+  "PIZ":[69.733,-163.005],
+  "PJC":[40.802,-80.161],
+  "PKA":[60.703,-161.778],
+  "PKB":[39.345,-81.439],
+  "PLN":[45.571,-84.797],
+  "PMB":[48.943,-97.241],
+  "PMD":[34.629,-118.085],
+  "PML":[56.006,-160.561],
+  "PMP":[26.247,-80.111],
+  "PNA":[42.796,-109.807],
+  "PNC":[36.732,-97.1],
+  "PNE":[40.082,-75.011],
+  "PNM":[45.56,-93.608],
+  "PNS":[30.473,-87.187],
+  "POB":[35.171,-79.015],
+  "POC":[34.092,-117.782],
+  "POE":[31.045,-93.192],
+  "POF":[36.774,-90.325],
+  "POU":[41.627,-73.884],
+  "PPC":[66.814,-150.644],
+  "PPG":[-14.331,-170.71],
+  "PPIZ":[69.733,-163.005],
+  "PQI":[46.689,-68.045],
+  "PRB":[35.673,-120.627],
+  "PRC":[34.654,-112.42],
+  "PRX":[33.637,-95.451],
+  "PSC":[46.265,-119.119],
+  "PSE":[18.008,-66.563],
+  "PSG":[56.802,-132.945],
+  "PSM":[43.078,-70.823],
+  "PSP":[33.83,-116.507],
+  "PSX":[28.728,-96.251],
+  "PTB":[37.184,-77.507],
+  "PTH":[56.959,-158.621],
+  "PTK":[42.666,-83.42],
+  "PTT":[37.702,-98.747],
+  "PTU":[59.011,-161.82],
+  "PUB":[38.289,-104.497],
+  "PUC":[39.614,-110.751],
+  "PUW":[46.744,-117.11],
+  "PVC":[42.072,-70.221],
+  "PVD":[41.725,-71.426],
+  "PVU":[40.219,-111.723],
+  "PWA":[35.534,-97.647],
+  "PWK":[42.114,-87.901],
+  "PWM":[43.646,-70.309],
+  "PWT":[47.49,-122.765],
+  "PWY":[42.796,-109.807],
+  "PXE":[32.511,-83.767],
+  "PYM":[41.909,-70.729],
+  "PYP":[34.09,-85.61],
+  "RAC":[42.761,-87.815],
+  "RAL":[33.952,-117.445],
+  "RAP":[44.045,-103.057],
+  "RBD":[32.681,-96.868],
+  "RBK":[33.574,-117.128],
+  "RBL":[40.151,-122.252],
+  "RBM":[34.85,-92.3],
+  "RBY":[64.727,-155.47],
+  "RCA":[44.145,-103.104],
+  "RCKH":[22.577,120.35],
+  "RCTP":[25.078,121.233],
+  "RCZ":[34.891,-79.76],
+  "RDD":[40.509,-122.293],
+  "RDG":[40.379,-75.965],
+  "RDM":[44.254,-121.15],
+  "RDR":[47.961,-97.401],
+  "RDU":[35.878,-78.787],
+  "REI":[34.085,-117.146],
+  "RFD":[42.195,-89.097],
+  "RGA":[37.631,-84.332],
+  "RHI":[45.631,-89.467],
+  "RHV":[37.333,-121.819],
+  "RIC":[37.505,-77.32],
+  "RID":[39.757,-84.843],
+  "RIF":[38.736,-112.099],
+  "RIL":[39.526,-107.727],
+  "RIR":[33.99,-117.411],
+  "RIU":[38.487,-121.103],
+  "RIV":[33.881,-117.259],
+  "RIW":[43.064,-108.46],
+  "RJAA":[35.765,140.386],
+  "RJBB":[34.427,135.244],
+  "RJCC":[42.775,141.692],
+  "RJD":[38.97,-75.866],
+  "RJFF":[33.586,130.451],
+  "RJFK":[31.803,130.719],
+  "RJGG":[34.858,136.805],
+  "RJOO":[34.785,135.438],
+  "RJSS":[38.14,140.917],
+  "RJTT":[35.552,139.78],
+  "RJTY":[35.749,139.348],
+  "RKD":[44.06,-69.099],
+  "RKH":[34.988,-81.057],
+  "RKJB":[34.991,126.383],
+  "RKP":[28.087,-97.045],
+  "RKPC":[33.512,126.493],
+  "RKPK":[35.18,128.938],
+  "RKR":[35.022,-94.621],
+  "RKS":[41.594,-109.065],
+  "RKSI":[37.469,126.451],
+  "RKSS":[37.558,126.791],
+  "RME":[43.234,-75.407],
+  "RMG":[34.351,-85.158],
+  "RMY":[37.511,-120.04],
+  "RND":[29.53,-98.279],
+  "RNH":[45.148,-92.538],
+  "RNM":[33.039,-116.915],
+  "RNO":[39.499,-119.768],
+  "RNT":[47.493,-122.216],
+  "ROA":[37.326,-79.975],
+  "ROAH":[26.196,127.646],
+  "ROC":[43.119,-77.672],
+  "RODN":[26.352,127.769],
+  "ROP":[14.174,145.243],
+  "ROW":[33.302,-104.531],
+  "RPLL":[14.509,121.02],
+  "RPMD":[7.126,125.646],
+  "RPVM":[10.309,123.98],
+  "RSH":[61.779,-161.319],
+  "RSL":[38.872,-98.812],
+  "RST":[43.908,-92.5],
+  "RSW":[26.536,-81.755],
+  "RU-0016":[52.635,39.445],
+  "RUI":[33.463,-105.535],
+  "RUT":[43.529,-72.95],
+  "RVS":[36.04,-95.985],
+  "RWF":[44.547,-95.082],
+  "RWI":[35.856,-77.892],
+  "RWL":[41.806,-107.2],
+  "RYN":[32.142,-111.175],
+  "RYW":[30.499,-97.969],
+  "RYY":[34.013,-84.597],
+  "S31":[48.484,-122.938],
+  "S39":[44.287,-120.904],
+  "S40":[46.213,-119.791],
+  "S46":[28.43,-96.444],
+  "SAA":[41.445,-106.824],
+  "SABE":[-34.559,-58.416],
+  "SAC":[38.513,-121.493],
+  "SAD":[32.855,-109.635],
+  "SAEZ":[-34.822,-58.536],
+  "SAF":[35.617,-106.089],
+  "SAN":[32.734,-117.19],
+  "SAT":[29.534,-98.47],
+  "SAV":[32.128,-81.202],
+  "SAW":[46.354,-87.395],
+  "SBA":[34.426,-119.84],
+  "SBBE":[-1.379,-48.476],
+  "SBBR":[-15.869,-47.921],
+  "SBCF":[-19.636,-43.967],
+  "SBD":[34.095,-117.235],
+  "SBEG":[-3.039,-60.05],
+  "SBFL":[-27.67,-48.553],
+  "SBGL":[-22.81,-43.251],
+  "SBGR":[-23.432,-46.468],
+  "SBM":[43.77,-87.851],
+  "SBN":[41.709,-86.317],
+  "SBO":[32.609,-82.37],
+  "SBP":[35.237,-120.642],
+  "SBS":[40.516,-106.866],
+  "SBSV":[-12.909,-38.322],
+  "SBY":[38.34,-75.51],
+  "SCC":[70.195,-148.465],
+  "SCD":[33.172,-86.305],
+  "SCE":[40.849,-77.849],
+  "SCEL":[-33.393,-70.786],
+  "SCH":[42.853,-73.929],
+  "SCK":[37.894,-121.238],
+  "SCM":[61.845,-165.571],
+  "SCRT":[-35.961,-71.793],
+  "SDC":[43.235,-77.121],
+  "SDF":[38.174,-85.736],
+  "SDL":[33.623,-111.911],
+  "SDM":[32.573,-116.98],
+  "SDP":[55.315,-160.523],
+  "SDX":[34.849,-111.788],
+  "SDY":[47.707,-104.193],
+  "SEA":[47.449,-122.311],
+  "SEE":[32.826,-116.972],
+  "SEF":[27.456,-81.342],
+  "SEGU":[-2.157,-79.884],
+  "SEM":[32.344,-86.988],
+  "SEP":[32.215,-98.178],
+  "SEQM":[-0.125,-78.354],
+  "SEZ":[34.849,-111.788],
+  "SFB":[28.778,-81.238],
+  "SFF":[47.683,-117.322],
+  "SFO":[37.619,-122.375],
+  "SFZ":[41.921,-71.491],
+  "SGAS":[-25.242,-57.514],
+  "SGES":[-25.457,-54.84],
+  "SGF":[37.246,-93.389],
+  "SGH":[39.84,-83.84],
+  "SGJ":[29.959,-81.34],
+  "SGME":[-22.032,-60.62],
+  "SGPJ":[-22.641,-55.832],
+  "SGR":[29.622,-95.657],
+  "SGU":[37.036,-113.51],
+  "SGY":[59.46,-135.316],
+  "SHD":[38.264,-78.896],
+  "SHG":[66.888,-157.162],
+  "SHH":[66.25,-166.089],
+  "SHN":[47.234,-123.148],
+  "SHR":[44.769,-106.98],
+  "SHV":[32.447,-93.826],
+  "SHX":[62.692,-159.569],
+  "SIG":[18.457,-66.098],
+  "SIK":[36.899,-89.562],
+  "SIT":[57.047,-135.362],
+  "SJC":[37.362,-121.929],
+  "SJT":[31.358,-100.496],
+  "SJU":[18.439,-66.002],
+  "SKA":[47.615,-117.656],
+  "SKBO":[4.702,-74.147],
+  "SKF":[29.384,-98.581],
+  "SKK":[64.371,-161.224],
+  "SKY":[41.433,-82.652],
+  "SLC":[40.786,-111.98],
+  "SLCR":[-17.914,-64.518],
+  "SLE":[44.91,-123.003],
+  "SLI":[33.79,-118.052],
+  "SLK":[44.387,-74.205],
+  "SLN":[38.791,-97.652],
+  "SLQ":[61.701,-157.166],
+  "SLVR":[-17.645,-63.135],
+  "SMD":[41.143,-85.153],
+  "SME":[37.053,-84.616],
+  "SMF":[38.695,-121.591],
+  "SMJP":[5.453,-55.188],
+  "SMK":[63.49,-162.11],
+  "SMN":[45.124,-113.881],
+  "SMO":[34.016,-118.451],
+  "SMQ":[40.626,-74.67],
+  "SMX":[34.899,-120.457],
+  "SNA":[33.676,-117.868],
+  "SNP":[57.166,-170.223],
+  "SNS":[36.663,-121.606],
+  "SNY":[41.101,-102.985],
+  "SOA":[30.586,-100.649],
+  "SOCA":[4.82,-52.361],
+  "SOP":[35.237,-79.391],
+  "SOW":[34.265,-110.006],
+  "SPB":[45.771,-122.862],
+  "SPF":[44.48,-103.783],
+  "SPG":[27.765,-82.627],
+  "SPI":[39.844,-89.678],
+  "SPJC":[-12.022,-77.114],
+  "SPN":[15.119,145.729],
+  "SPS":[33.989,-98.492],
+  "SPW":[43.166,-95.203],
+  "SPZ":[39.403,-119.251],
+  "SPZO":[-13.536,-71.939],
+  "SQL":[37.512,-122.25],
+  "SRQ":[27.395,-82.554],
+  "SRR":[33.463,-105.535],
+  "SSC":[33.973,-80.471],
+  "SSF":[29.337,-98.471],
+  "SSI":[31.152,-81.391],
+  "STC":[45.547,-94.06],
+  "STE":[44.545,-89.53],
+  "STG":[56.577,-169.664],
+  "STJ":[39.772,-94.91],
+  "STK":[40.615,-103.265],
+  "STL":[38.749,-90.37],
+  "STP":[44.935,-93.06],
+  "STS":[38.509,-122.813],
+  "STT":[18.337,-64.977],
+  "STX":[17.702,-64.799],
+  "SUA":[27.182,-80.221],
+  "SUMU":[-34.836,-56.026],
+  "SUN":[43.504,-114.296],
+  "SUS":[38.662,-90.652],
+  "SUT":[33.929,-78.075],
+  "SUU":[38.263,-121.927],
+  "SUX":[42.398,-96.382],
+  "SUZ":[34.591,-92.479],
+  "SVA":[63.686,-170.493],
+  "SVBC":[10.111,-64.692],
+  "SVH":[35.765,-80.954],
+  "SVMI":[10.601,-66.991],
+  "SVN":[32.01,-81.146],
+  "SVW":[61.097,-155.574],
+  "SWD":[60.13,-149.419],
+  "SWF":[41.504,-74.105],
+  "SWO":[36.161,-97.086],
+  "SXQ":[60.475,-151.038],
+  "SYA":[52.712,174.114],
+  "SYR":[43.111,-76.106],
+  "SZL":[38.73,-93.548],
+  "TAN":[41.874,-71.017],
+  "TBN":[37.742,-92.141],
+  "TCC":[35.183,-103.603],
+  "TCL":[33.221,-87.611],
+  "TCM":[47.138,-122.476],
+  "TCS":[33.237,-107.272],
+  "TDF":[36.285,-78.984],
+  "TEB":[40.85,-74.061],
+  "TEX":[37.954,-107.908],
+  "TFFF":[14.591,-61.003],
+  "TFFR":[16.265,-61.532],
+  "TIF":[41.962,-100.569],
+  "TIK":[35.415,-97.387],
+  "TIQ":[14.999,145.619],
+  "TIST":[18.337,-64.977],
+  "TISX":[17.702,-64.799],
+  "TIW":[47.268,-122.578],
+  "TIX":[28.515,-80.799],
+  "TJAB":[18.451,-66.676],
+  "TJBQ":[18.495,-67.129],
+  "TJIG":[18.457,-66.098],
+  "TJMZ":[18.256,-67.148],
+  "TJPS":[18.008,-66.563],
+  "TJSJ":[18.439,-66.002],
+  "TKA":[62.32,-150.094],
+  "TKF":[39.32,-120.14],
+  "TKI":[33.178,-96.59],
+  "TKJ":[63.329,-142.954],
+  "TLA":[65.24,-166.339],
+  "TLH":[30.397,-84.35],
+  "TLJ":[62.894,-155.977],
+  "TLPL":[13.733,-60.953],
+  "TMA":[31.429,-83.489],
+  "TMB":[25.648,-80.433],
+  "TMK":[45.418,-123.814],
+  "TNC":[65.563,-167.922],
+  "TNCA":[12.501,-70.015],
+  "TNCB":[12.131,-68.269],
+  "TNCC":[12.189,-68.96],
+  "TNCM":[18.041,-63.109],
+  "TNI":[14.999,145.619],
+  "TNT":[25.862,-80.897],
+  "TNX":[37.799,-116.781],
+  "TOA":[33.803,-118.34],
+  "TOC":[34.594,-83.296],
+  "TOG":[59.053,-160.397],
+  "TOI":[31.86,-86.012],
+  "TOL":[41.587,-83.808],
+  "TOP":[39.07,-95.623],
+  "TPA":[27.976,-82.533],
+  "TPF":[27.916,-82.449],
+  "TPH":[38.06,-117.087],
+  "TPL":[31.153,-97.408],
+  "TQK":[38.474,-100.885],
+  "TRI":[36.475,-82.407],
+  "TRK":[39.32,-120.14],
+  "TRM":[33.627,-116.16],
+  "TTD":[45.549,-122.401],
+  "TTN":[40.277,-74.813],
+  "TTS":[28.615,-80.695],
+  "TUL":[36.198,-95.888],
+  "TUP":[34.268,-88.77],
+  "TUS":[32.115,-110.938],
+  "TVC":[44.741,-85.582],
+  "TVF":[48.066,-96.185],
+  "TVI":[30.902,-83.881],
+  "TVL":[38.894,-119.995],
+  "TWF":[42.482,-114.488],
+  "TXK":[33.454,-93.991],
+  "TYR":[32.354,-95.402],
+  "TYS":[35.811,-83.994],
+  "TZR":[46.393,17.917],
+  "U02":[43.209,-112.35],
+  "U42":[40.619,-111.993],
+  "UAAA":[43.354,77.043],
+  "UACC":[51.022,71.467],
+  "UAIT":[43.313,68.55],
+  "UAM":[13.584,144.93],
+  "UAO":[45.247,-122.77],
+  "UBBB":[40.467,50.047],
+  "UCFM":[43.061,74.478],
+  "UDD":[33.748,-116.275],
+  "UDG":[34.449,-79.89],
+  "UDYZ":[40.147,44.396],
+  "UGN":[42.422,-87.868],
+  "UGTB":[41.669,44.955],
+  "UHWW":[43.396,132.148],
+  "UIN":[39.943,-91.195],
+  "UKBB":[50.345,30.895],
+  "UKF":[36.223,-81.098],
+  "UKI":[39.126,-123.201],
+  "UKLL":[49.813,23.956],
+  "UKT":[40.435,-75.382],
+  "ULLI":[59.8,30.263],
+  "ULS":[37.604,-101.374],
+  "UMMS":[53.888,28.04],
+  "UMP":[39.935,-86.045],
+  "UNI":[39.211,-82.231],
+  "UNK":[63.888,-160.799],
+  "UNKL":[56.173,92.492],
+  "UNNT":[55.02,82.619],
+  "UNV":[40.849,-77.849],
+  "UOS":[35.205,-85.898],
+  "UOX":[34.384,-89.537],
+  "UPP":[20.265,-155.86],
+  "URRP":[47.494,39.925],
+  "URSS":[43.45,39.957],
+  "USA":[35.388,-80.709],
+  "USSS":[56.743,60.803],
+  "UST":[29.959,-81.34],
+  "UT25":[37.017,-110.201],
+  "UTA":[34.681,-90.347],
+  "UTAA":[37.987,58.361],
+  "UTM":[34.681,-90.347],
+  "UTO":[65.993,-153.704],
+  "UTS":[30.747,-95.587],
+  "UTTT":[41.258,69.281],
+  "UUBW":[55.553,38.15],
+  "UUDD":[55.409,37.906],
+  "UUEE":[55.973,37.415],
+  "UUK":[70.331,-149.598],
+  "UUOR":[52.935,36.002],
+  "UUWW":[55.591,37.262],
+  "UVA":[29.211,-99.744],
+  "UWKD":[55.606,49.279],
+  "UWL":[39.876,-85.326],
+  "UWSG":[51.713,46.171],
+  "UWUU":[54.557,55.874],
+  "UWWW":[53.505,50.164],
+  "UYF":[39.933,-83.462],
+  "UZA":[34.988,-81.057],
+  "VABB":[19.089,72.868],
+  "VAD":[30.968,-83.193],
+  "VAK":[61.541,-165.6],
+  "VAY":[39.943,-74.846],
+  "VBG":[34.737,-120.584],
+  "VCBI":[7.181,79.884],
+  "VCRI":[6.284,81.124],
+  "VCT":[28.853,-96.919],
+  "VCV":[34.597,-117.383],
+  "VDPP":[11.547,104.844],
+  "VDSR":[13.412,103.813],
+  "VDZ":[61.134,-146.248],
+  "VECC":[22.655,88.447],
+  "VEE":[67.009,-146.366],
+  "VEL":[40.441,-109.51],
+  "VGHS":[23.843,90.398],
+  "VGT":[36.211,-115.194],
+  "VHHH":[22.309,113.915],
+  "VIDP":[28.556,77.095],
+  "VIS":[36.319,-119.393],
+  "VLD":[30.782,-83.277],
+  "VMMC":[22.15,113.592],
+  "VNC":[27.072,-82.44],
+  "VNKT":[27.697,85.359],
+  "VNW":[40.865,-84.609],
+  "VNY":[34.21,-118.49],
+  "VOBL":[13.198,77.706],
+  "VOCI":[10.152,76.402],
+  "VOGO":[15.381,73.831],
+  "VOHS":[17.231,78.43],
+  "VOK":[43.939,-90.253],
+  "VOMM":[12.99,80.169],
+  "VOTV":[8.482,76.92],
+  "VPC":[34.123,-84.849],
+  "VPS":[30.483,-86.525],
+  "VPZ":[41.454,-87.007],
+  "VQQ":[30.219,-81.877],
+  "VRB":[27.656,-80.418],
+  "VRMM":[4.192,73.529],
+  "VTBD":[13.913,100.607],
+  "VTBS":[13.681,100.747],
+  "VTCC":[18.767,98.963],
+  "VTN":[42.856,-100.549],
+  "VTSP":[8.113,98.317],
+  "VVNB":[21.221,105.807],
+  "VVS":[39.959,-79.657],
+  "VVTS":[10.819,106.652],
+  "VYMD":[21.702,95.978],
+  "VYS":[41.352,-89.153],
+  "VYYY":[16.907,96.133],
+  "W63":[36.596,-78.56],
+  "WA77":[47.196,-122.022],
+  "WAA":[65.623,-168.095],
+  "WAAA":[-5.062,119.554],
+  "WADD":[-8.748,115.167],
+  "WAJJ":[-2.58,140.52],
+  "WAL":[37.94,-75.466],
+  "WALL":[-1.268,116.895],
+  "WARR":[-7.38,112.787],
+  "WBQ":[66.362,-147.407],
+  "WBSB":[4.944,114.928],
+  "WBU":[40.039,-105.226],
+  "WBW":[41.297,-75.851],
+  "WDR":[33.983,-83.667],
+  "WFK":[47.285,-68.313],
+  "WHP":[34.259,-118.413],
+  "WIII":[-6.126,106.656],
+  "WIMM":[3.638,98.871],
+  "WJF":[34.741,-118.219],
+  "WKK":[59.283,-158.618],
+  "WKL":[19.921,-155.861],
+  "WLD":[37.169,-97.038],
+  "WLK":[66.6,-159.986],
+  "WMC":[40.897,-117.806],
+  "WMH":[36.369,-92.47],
+  "WMKK":[2.746,101.71],
+  "WMO":[64.689,-163.413],
+  "WNA":[60.69,-161.979],
+  "WRB":[32.64,-83.592],
+  "WRG":[56.484,-132.37],
+  "WRI":[40.016,-74.592],
+  "WRL":[43.966,-107.951],
+  "WSD":[32.341,-106.403],
+  "WSN":[58.703,-157.008],
+  "WSSS":[1.35,103.994],
+  "WST":[41.35,-71.803],
+  "WTK":[67.566,-162.975],
+  "WVI":[36.936,-121.79],
+  "WWA":[61.572,-149.54],
+  "WWD":[39.008,-74.908],
+  "WWR":[36.438,-99.523],
+  "WYS":[44.688,-111.118],
+  "XFL":[29.467,-81.206],
+  "XMR":[28.468,-80.567],
+  "XNA":[36.282,-94.307],
+  "XS46":[28.43,-96.444],
+  "XTA":[37.235,-115.811],
+  "XWA":[48.258,-103.749],
+  "Y72":[43.975,-90.483],
+  "YAK":[59.509,-139.66],
+  "YBBN":[-27.384,153.117],
+  "YCWR":[-33.845,148.649],
+  "YIP":[42.238,-83.53],
+  "YKM":[46.568,-120.544],
+  "YKN":[42.917,-97.386],
+  "YMML":[-37.673,144.843],
+  "YNG":[41.261,-80.679],
+  "YPAD":[-34.948,138.533],
+  "YPDN":[-12.415,130.882],
+  "YPPH":[-31.94,115.967],
+  "YSSY":[-33.946,151.177],
+  "YUM":[32.657,-114.606],
+  "Z84":[64.3,-149.117],
+  "ZBAA":[40.08,116.585],
+  "ZBAD":[39.51,116.411],
+  "ZBHH":[40.85,111.825],
+  "ZBTJ":[39.124,117.346],
+  "ZBYN":[37.747,112.628],
+  "ZGGG":[23.392,113.299],
+  "ZGHA":[28.189,113.22],
+  "ZGKL":[25.22,110.04],
+  "ZGNN":[22.608,108.172],
+  "ZGSZ":[22.639,113.811],
+  "ZHCC":[34.526,113.849],
+  "ZHEC":[30.341,115.039],
+  "ZHHH":[30.775,114.214],
+  "ZHZH":[69.548,-139.092],
+  "ZJHK":[19.935,110.459],
+  "ZJSY":[18.303,109.412],
+  "ZLLL":[36.515,103.62],
+  "ZLXY":[34.447,108.752],
+  "ZMCK":[47.647,106.82],
+  "ZPH":[28.228,-82.156],
+  "ZPPP":[25.11,102.937],
+  "ZSAM":[24.544,118.128],
+  "ZSCN":[28.865,115.903],
+  "ZSFZ":[25.935,119.663],
+  "ZSHC":[30.236,120.429],
+  "ZSJN":[36.857,117.216],
+  "ZSNB":[29.827,121.462],
+  "ZSNJ":[31.735,118.866],
+  "ZSPD":[31.143,121.805],
+  "ZSQD":[36.362,120.088],
+  "ZSSS":[31.198,121.334],
+  "ZSWZ":[27.912,120.852],
+  "ZSY":[33.623,-111.911],
+  "ZSYT":[37.66,120.978],
+  "ZUCK":[29.712,106.652],
+  "ZUGY":[26.541,106.803],
+  "ZUN":[35.083,-108.792],
+  "ZUTF":[30.313,104.441],
+  "ZUUU":[30.558,103.946],
+  "ZWWW":[43.907,87.474],
+  "ZYCC":[43.996,125.685],
+  "ZYHB":[45.623,126.25],
+  "ZYTL":[38.966,121.539],
+  "ZYTX":[41.64,123.483],
+  "ZZV":[39.944,-81.892],
+};
+
+
+
+
+
+
+
+
+// IANA time zones referenced by AIRPORT_ZONES
+const TIME_ZONES = ["Africa/Accra","Africa/Addis_Ababa","Africa/Algiers","Africa/Bamako","Africa/Banjul","Africa/Cairo","Africa/Casablanca","Africa/Dakar","Africa/Dar_es_Salaam","Africa/Djibouti","Africa/Freetown","Africa/Gaborone","Africa/Harare","Africa/Johannesburg","Africa/Juba","Africa/Kampala","Africa/Khartoum","Africa/Kigali","Africa/Kinshasa","Africa/Lagos","Africa/Luanda","Africa/Lusaka","Africa/Maputo","Africa/Mbabane","Africa/Monrovia","Africa/Nairobi","Africa/Ndjamena","Africa/Niamey","Africa/Nouakchott","Africa/Tripoli","Africa/Tunis","Africa/Windhoek","America/Adak","America/Anchorage","America/Argentina/Buenos_Aires","America/Aruba","America/Asuncion","America/Atikokan","America/Bahia","America/Belem","America/Belize","America/Blanc-Sablon","America/Bogota","America/Boise","America/Cambridge_Bay","America/Cancun","America/Caracas","America/Cayenne","America/Cayman","America/Chicago","America/Chihuahua","America/Ciudad_Juarez","America/Costa_Rica","America/Curacao","America/Dawson","America/Dawson_Creek","America/Denver","America/Detroit","America/Edmonton","America/El_Salvador","America/Fort_Nelson","America/Glace_Bay","America/Goose_Bay","America/Grand_Turk","America/Guadeloupe","America/Guatemala","America/Guayaquil","America/Halifax","America/Havana","America/Hermosillo","America/Indiana/Indianapolis","America/Inuvik","America/Iqaluit","America/Jamaica","America/Juneau","America/Kentucky/Louisville","America/Kralendijk","America/La_Paz","America/Lima","America/Los_Angeles","America/Lower_Princes","America/Manaus","America/Martinique","America/Matamoros","America/Mazatlan","America/Menominee","America/Merida","America/Metlakatla","America/Mexico_City","America/Moncton","America/Monterrey","America/Montevideo","America/Nassau","America/New_York","America/Nome","America/Panama","America/Paramaribo","America/Phoenix","America/Port-au-Prince","America/Puerto_Rico","America/Rankin_Inlet","America/Regina","America/Resolute","America/Santiago","America/Santo_Domingo","America/Sao_Paulo","America/Sitka","America/St_Johns","America/St_Lucia","America/St_Thomas","America/Swift_Current","America/Tijuana","America/Toronto","America/Vancouver","America/Whitehorse","America/Winnipeg","America/Yakutat","America/Yellowknife","Asia/Almaty","Asia/Amman","Asia/Ashgabat","Asia/Baghdad","Asia/Bahrain","Asia/Baku","Asia/Bangkok","Asia/Beirut","Asia/Bishkek","Asia/Brunei","Asia/Colombo","Asia/Damascus","Asia/Dhaka","Asia/Dubai","Asia/Ho_Chi_Minh","Asia/Hong_Kong","Asia/Jakarta","Asia/Jayapura","Asia/Jerusalem","Asia/Karachi","Asia/Kathmandu","Asia/Kolkata","Asia/Krasnoyarsk","Asia/Kuala_Lumpur","Asia/Kuwait","Asia/Macau","Asia/Makassar","Asia/Manila","Asia/Muscat","Asia/Nicosia","Asia/Novosibirsk","Asia/Phnom_Penh","Asia/Qatar","Asia/Riyadh","Asia/Seoul","Asia/Shanghai","Asia/Singapore","Asia/Taipei","Asia/Tashkent","Asia/Tbilisi","Asia/Tehran","Asia/Tokyo","Asia/Ulaanbaatar","Asia/Urumqi","Asia/Vladivostok","Asia/Yangon","Asia/Yekaterinburg","Asia/Yerevan","Atlantic/Azores","Atlantic/Canary","Atlantic/Cape_Verde","Atlantic/Reykjavik","Australia/Adelaide","Australia/Brisbane","Australia/Darwin","Australia/Melbourne","Australia/Perth","Australia/Sydney","Europe/Amsterdam","Europe/Athens","Europe/Belgrade","Europe/Berlin","Europe/Bratislava","Europe/Brussels","Europe/Bucharest","Europe/Budapest","Europe/Copenhagen","Europe/Dublin","Europe/Helsinki","Europe/Istanbul","Europe/Kyiv","Europe/Lisbon","Europe/Ljubljana","Europe/London","Europe/Luxembourg","Europe/Madrid","Europe/Malta","Europe/Minsk","Europe/Moscow","Europe/Oslo","Europe/Paris","Europe/Podgorica","Europe/Prague","Europe/Riga","Europe/Rome","Europe/Samara","Europe/Saratov","Europe/Skopje","Europe/Sofia","Europe/Stockholm","Europe/Tallinn","Europe/Tirane","Europe/Vienna","Europe/Vilnius","Europe/Warsaw","Europe/Zagreb","Europe/Zurich","Indian/Antananarivo","Indian/Mahe","Indian/Maldives","Indian/Mauritius","Indian/Reunion","Pacific/Auckland","Pacific/Efate","Pacific/Guadalcanal","Pacific/Guam","Pacific/Honolulu","Pacific/Noumea","Pacific/Pago_Pago","Pacific/Port_Moresby","Pacific/Saipan","Pacific/Tahiti"];
+
+// Airport code (same keys as AIRPORTS) -> index into TIME_ZONES
+const AIRPORT_ZONES = {
+  "07FA":93,
+  "07MT":56,
+  "0V4":93,
+  "0WI8":49,
+  "11R":49,
+  "18AZ":97,
+  "19S":49,
+  "1AZ0":97,
+  "1T7":49,
+  "20GA":93,
+  "23M":49,
+  "24SC":93,
+  "2A5":93,
+  "2A9":33,
+  "2F0":49,
+  "2H0":49,
+  "2I3":93,
+  "2K7":49,
+  "2XS8":49,
+  "3AU":49,
+  "3R9":49,
+  "4A7":93,
+  "4U9":43,
+  "52A":93,
+  "57C":49,
+  "5A8":33,
+  "5B2":93,
+  "62S":79,
+  "66CA":79,
+  "67L":79,
+  "6D9":57,
+  "6J4":93,
+  "6S0":56,
+  "79J":49,
+  "7FA1":93,
+  "7FL4":93,
+  "7W6":93,
+  "87K":49,
+  "A39":97,
+  "A50":56,
+  "AAF":93,
+  "AAP":49,
+  "ABE":93,
+  "ABI":49,
+  "ABL":33,
+  "ABO":99,
+  "ABQ":56,
+  "ABR":49,
+  "ABY":93,
+  "ACJ":93,
+  "ACK":93,
+  "ACT":49,
+  "ACV":79,
+  "ACY":93,
+  "ACZ":93,
+  "ADH":49,
+  "ADK":32,
+  "ADM":49,
+  "ADQ":33,
+  "ADS":49,
+  "ADW":93,
+  "AET":33,
+  "AEX":49,
+  "AFE":106,
+  "AFM":33,
+  "AFW":49,
+  "AGC":93,
+  "AGGH":222,
+  "AGN":74,
+  "AGS":93,
+  "AHN":93,
+  "AHQ":49,
+  "AIA":56,
+  "AIK":93,
+  "AIN":33,
+  "AIZ":49,
+  "AJR":93,
+  "AK59":33,
+  "AKB":32,
+  "AKC":93,
+  "AKI":33,
+  "AKK":33,
+  "AKN":33,
+  "AKO":56,
+  "AKP":33,
+  "AKR":93,
+  "AKW":74,
+  "ALB":93,
+  "ALI":49,
+  "ALM":56,
+  "ALN":49,
+  "ALO":49,
+  "ALS":56,
+  "ALW":79,
+  "ALX":49,
+  "AMA":49,
+  "ANB":49,
+  "ANC":33,
+  "AND":93,
+  "ANE":49,
+  "ANI":33,
+  "ANN":87,
+  "ANP":93,
+  "ANQ":70,
+  "ANV":33,
+  "AOH":93,
+  "AOO":93,
+  "APA":56,
+  "APC":79,
+  "APF":93,
+  "APG":93,
+  "APN":57,
+  "AQC":74,
+  "AQT":33,
+  "ARA":49,
+  "ARB":57,
+  "ARC":33,
+  "ARE":99,
+  "ART":93,
+  "ARV":49,
+  "ARW":93,
+  "ASE":56,
+  "ASH":93,
+  "ASN":49,
+  "AST":79,
+  "ASW":70,
+  "ATK":33,
+  "ATL":93,
+  "ATW":49,
+  "ATY":49,
+  "AUG":93,
+  "AUK":94,
+  "AUO":49,
+  "AUS":49,
+  "AUW":49,
+  "AVL":93,
+  "AVO":93,
+  "AVP":93,
+  "AVQ":97,
+  "AVW":97,
+  "AVX":79,
+  "AWI":33,
+  "AWO":79,
+  "AXN":49,
+  "AYPY":227,
+  "AZA":97,
+  "AZO":57,
+  "BAB":79,
+  "BAD":49,
+  "BAF":93,
+  "BAK":70,
+  "BAZ":49,
+  "BBD":49,
+  "BBX":93,
+  "BCE":56,
+  "BCT":93,
+  "BCV":33,
+  "BDE":49,
+  "BDL":93,
+  "BDN":79,
+  "BDR":93,
+  "BDU":56,
+  "BEC":49,
+  "BED":93,
+  "BET":33,
+  "BFD":93,
+  "BFF":56,
+  "BFI":79,
+  "BFK":56,
+  "BFL":79,
+  "BFM":49,
+  "BFP":93,
+  "BFT":93,
+  "BGE":93,
+  "BGM":93,
+  "BGR":93,
+  "BHB":93,
+  "BHM":49,
+  "BID":93,
+  "BIF":56,
+  "BIG":33,
+  "BIH":79,
+  "BIKF":169,
+  "BIL":56,
+  "BIS":49,
+  "BIV":57,
+  "BIX":49,
+  "BJC":56,
+  "BJI":49,
+  "BKC":33,
+  "BKD":49,
+  "BKE":79,
+  "BKF":56,
+  "BKH":224,
+  "BKL":93,
+  "BKW":93,
+  "BLD":79,
+  "BLF":93,
+  "BLG":33,
+  "BLH":79,
+  "BLI":79,
+  "BLV":49,
+  "BMC":56,
+  "BMG":70,
+  "BMI":49,
+  "BMT":49,
+  "BMX":33,
+  "BNA":49,
+  "BNG":79,
+  "BNO":79,
+  "BOI":43,
+  "BOS":93,
+  "BOW":93,
+  "BPI":56,
+  "BPK":49,
+  "BPT":49,
+  "BQK":93,
+  "BQN":99,
+  "BRD":49,
+  "BRL":49,
+  "BRO":49,
+  "BRW":33,
+  "BSF":224,
+  "BTI":33,
+  "BTL":57,
+  "BTM":56,
+  "BTR":49,
+  "BTT":33,
+  "BTV":93,
+  "BUF":93,
+  "BUR":79,
+  "BUU":49,
+  "BUY":93,
+  "BVI":93,
+  "BVK":33,
+  "BVU":79,
+  "BVY":93,
+  "BWG":49,
+  "BWI":93,
+  "BXK":97,
+  "BXM":93,
+  "BYH":49,
+  "BYI":43,
+  "BYS":79,
+  "BYY":49,
+  "BZN":56,
+  "C03":70,
+  "CA-0582":113,
+  "CAE":93,
+  "CAJ4":113,
+  "CAK":93,
+  "CAR":93,
+  "CAZ5":113,
+  "CBBC":113,
+  "CBE":93,
+  "CBF":49,
+  "CBM":49,
+  "CCB":79,
+  "CCO":93,
+  "CCR":79,
+  "CCY":49,
+  "CDB":33,
+  "CDC":56,
+  "CDN":93,
+  "CDR":56,
+  "CDS":49,
+  "CDV":33,
+  "CDW":93,
+  "CEC":79,
+  "CEF":93,
+  "CEM":33,
+  "CEU":93,
+  "CEW":49,
+  "CEZ":56,
+  "CFD":49,
+  "CFV":49,
+  "CGC":93,
+  "CGF":93,
+  "CGI":49,
+  "CGX":49,
+  "CGZ":97,
+  "CHA":93,
+  "CHD":97,
+  "CHN":93,
+  "CHO":93,
+  "CHS":93,
+  "CIC":79,
+  "CID":49,
+  "CIK":33,
+  "CIU":57,
+  "CKB":93,
+  "CKC":49,
+  "CKF":93,
+  "CKV":49,
+  "CKX":33,
+  "CLD":79,
+  "CLE":93,
+  "CLL":49,
+  "CLM":79,
+  "CLS":79,
+  "CLT":93,
+  "CLU":70,
+  "CLW":93,
+  "CMA":79,
+  "CMH":93,
+  "CMI":49,
+  "CMX":57,
+  "CNC3":112,
+  "CNM":56,
+  "CNO":79,
+  "CNU":49,
+  "CNW":49,
+  "CNY":56,
+  "CO00":56,
+  "COD":56,
+  "COE":79,
+  "COF":93,
+  "CON":93,
+  "COS":56,
+  "COT":49,
+  "COU":49,
+  "CPF":93,
+  "CPR":56,
+  "CQW":93,
+  "CRE":93,
+  "CRG":93,
+  "CRP":49,
+  "CRQ":79,
+  "CRW":93,
+  "CSG":93,
+  "CSM":49,
+  "CSV":49,
+  "CTB":56,
+  "CTH":93,
+  "CTJ":93,
+  "CTY":93,
+  "CUB":93,
+  "CUH":49,
+  "CVG":93,
+  "CVN":56,
+  "CVO":79,
+  "CVS":56,
+  "CVX":57,
+  "CWA":49,
+  "CWI":49,
+  "CWT":175,
+  "CXL":79,
+  "CXO":49,
+  "CXY":93,
+  "CYAC":115,
+  "CYAG":115,
+  "CYAH":112,
+  "CYAL":113,
+  "CYAM":112,
+  "CYAQ":115,
+  "CYAS":112,
+  "CYAT":112,
+  "CYAV":115,
+  "CYAX":115,
+  "CYAY":107,
+  "CYAZ":113,
+  "CYBB":44,
+  "CYBC":112,
+  "CYBD":113,
+  "CYBE":101,
+  "CYBF":58,
+  "CYBG":112,
+  "CYBK":100,
+  "CYBL":113,
+  "CYBQ":115,
+  "CYBR":115,
+  "CYBT":115,
+  "CYBU":101,
+  "CYBV":115,
+  "CYBW":58,
+  "CYBX":41,
+  "CYCA":62,
+  "CYCB":44,
+  "CYCC":112,
+  "CYCD":113,
+  "CYCE":112,
+  "CYCG":113,
+  "CYCH":89,
+  "CYCL":89,
+  "CYCN":112,
+  "CYCO":44,
+  "CYCP":113,
+  "CYCQ":55,
+  "CYCR":115,
+  "CYCS":100,
+  "CYCY":72,
+  "CYDA":54,
+  "CYDB":114,
+  "CYDC":113,
+  "CYDF":107,
+  "CYDM":114,
+  "CYDN":115,
+  "CYDO":112,
+  "CYDP":62,
+  "CYDQ":55,
+  "CYEE":112,
+  "CYEG":58,
+  "CYEK":100,
+  "CYEL":112,
+  "CYEM":112,
+  "CYEN":101,
+  "CYER":112,
+  "CYET":58,
+  "CYEV":71,
+  "CYEY":112,
+  "CYF":94,
+  "CYFA":112,
+  "CYFB":72,
+  "CYFC":89,
+  "CYFE":112,
+  "CYFH":112,
+  "CYFJ":112,
+  "CYFO":115,
+  "CYFR":117,
+  "CYFS":117,
+  "CYFT":62,
+  "CYGB":113,
+  "CYGD":112,
+  "CYGE":113,
+  "CYGH":117,
+  "CYGK":112,
+  "CYGL":112,
+  "CYGM":115,
+  "CYGO":115,
+  "CYGP":112,
+  "CYGQ":112,
+  "CYGR":67,
+  "CYGT":72,
+  "CYGV":112,
+  "CYGW":112,
+  "CYGX":115,
+  "CYGZ":72,
+  "CYHA":112,
+  "CYHD":115,
+  "CYHE":113,
+  "CYHF":112,
+  "CYHH":112,
+  "CYHI":117,
+  "CYHK":44,
+  "CYHM":112,
+  "CYHN":112,
+  "CYHO":62,
+  "CYHR":41,
+  "CYHT":114,
+  "CYHU":112,
+  "CYHY":117,
+  "CYHZ":67,
+  "CYIB":37,
+  "CYID":67,
+  "CYIF":41,
+  "CYIK":112,
+  "CYIO":72,
+  "CYIV":115,
+  "CYJF":117,
+  "CYJN":112,
+  "CYJT":107,
+  "CYKA":113,
+  "CYKD":117,
+  "CYKF":112,
+  "CYKG":112,
+  "CYKJ":101,
+  "CYKL":112,
+  "CYKO":112,
+  "CYKQ":112,
+  "CYKX":112,
+  "CYKY":101,
+  "CYKZ":112,
+  "CYLA":112,
+  "CYLC":72,
+  "CYLD":112,
+  "CYLH":112,
+  "CYLJ":101,
+  "CYLK":117,
+  "CYLL":58,
+  "CYLR":115,
+  "CYLT":72,
+  "CYLU":112,
+  "CYLW":113,
+  "CYMA":114,
+  "CYME":112,
+  "CYMG":112,
+  "CYMH":107,
+  "CYMJ":101,
+  "CYML":112,
+  "CYMM":58,
+  "CYMO":112,
+  "CYMT":112,
+  "CYMU":112,
+  "CYMX":112,
+  "CYNA":112,
+  "CYNC":112,
+  "CYND":112,
+  "CYNE":115,
+  "CYNL":101,
+  "CYNM":112,
+  "CYNN":115,
+  "CYOA":117,
+  "CYOC":114,
+  "CYOD":58,
+  "CYOH":115,
+  "CYOJ":58,
+  "CYOO":112,
+  "CYOP":58,
+  "CYOS":112,
+  "CYOW":112,
+  "CYPA":101,
+  "CYPC":117,
+  "CYPD":67,
+  "CYPE":58,
+  "CYPG":115,
+  "CYPH":112,
+  "CYPL":112,
+  "CYPM":115,
+  "CYPN":112,
+  "CYPO":112,
+  "CYPQ":112,
+  "CYPR":113,
+  "CYPW":113,
+  "CYPX":112,
+  "CYPY":58,
+  "CYPZ":113,
+  "CYQA":112,
+  "CYQB":112,
+  "CYQD":115,
+  "CYQF":58,
+  "CYQG":112,
+  "CYQH":114,
+  "CYQI":67,
+  "CYQK":115,
+  "CYQL":58,
+  "CYQM":89,
+  "CYQN":112,
+  "CYQQ":113,
+  "CYQR":101,
+  "CYQS":112,
+  "CYQT":112,
+  "CYQU":58,
+  "CYQV":101,
+  "CYQW":101,
+  "CYQX":107,
+  "CYQY":61,
+  "CYQZ":113,
+  "CYRA":117,
+  "CYRB":102,
+  "CYRI":112,
+  "CYRJ":112,
+  "CYRL":115,
+  "CYRO":112,
+  "CYRP":112,
+  "CYRQ":112,
+  "CYRS":115,
+  "CYRT":100,
+  "CYRV":113,
+  "CYS":56,
+  "CYSB":112,
+  "CYSC":112,
+  "CYSF":101,
+  "CYSG":112,
+  "CYSH":112,
+  "CYSJ":89,
+  "CYSK":72,
+  "CYSL":89,
+  "CYSM":117,
+  "CYSN":112,
+  "CYSP":112,
+  "CYSQ":113,
+  "CYST":115,
+  "CYSU":67,
+  "CYSY":117,
+  "CYT":33,
+  "CYTA":112,
+  "CYTE":72,
+  "CYTF":112,
+  "CYTH":115,
+  "CYTL":115,
+  "CYTQ":112,
+  "CYTR":112,
+  "CYTS":112,
+  "CYTZ":112,
+  "CYUB":117,
+  "CYUL":112,
+  "CYUT":100,
+  "CYUX":72,
+  "CYUY":112,
+  "CYVB":112,
+  "CYVC":101,
+  "CYVD":115,
+  "CYVK":113,
+  "CYVM":72,
+  "CYVO":112,
+  "CYVP":112,
+  "CYVQ":117,
+  "CYVR":113,
+  "CYVV":112,
+  "CYVZ":115,
+  "CYWA":112,
+  "CYWG":115,
+  "CYWJ":117,
+  "CYWK":62,
+  "CYWL":113,
+  "CYWP":112,
+  "CYWY":117,
+  "CYXC":58,
+  "CYXE":101,
+  "CYXH":58,
+  "CYXJ":55,
+  "CYXK":112,
+  "CYXL":115,
+  "CYXN":100,
+  "CYXP":72,
+  "CYXQ":114,
+  "CYXR":112,
+  "CYXS":113,
+  "CYXT":113,
+  "CYXU":112,
+  "CYXX":113,
+  "CYXY":114,
+  "CYXZ":112,
+  "CYYB":112,
+  "CYYC":58,
+  "CYYD":113,
+  "CYYE":60,
+  "CYYF":113,
+  "CYYG":67,
+  "CYYH":44,
+  "CYYJ":113,
+  "CYYL":115,
+  "CYYN":110,
+  "CYYQ":115,
+  "CYYR":62,
+  "CYYT":107,
+  "CYYU":112,
+  "CYYW":112,
+  "CYYY":112,
+  "CYYZ":112,
+  "CYZD":112,
+  "CYZE":112,
+  "CYZF":117,
+  "CYZG":112,
+  "CYZH":58,
+  "CYZP":113,
+  "CYZR":112,
+  "CYZS":37,
+  "CYZT":113,
+  "CYZU":58,
+  "CYZV":112,
+  "CYZW":114,
+  "CYZX":67,
+  "CYZY":55,
+  "CZAC":115,
+  "CZAM":113,
+  "CZBB":113,
+  "CZBD":115,
+  "CZBF":89,
+  "CZBM":112,
+  "CZEE":115,
+  "CZEM":112,
+  "CZF":94,
+  "CZFA":114,
+  "CZFD":101,
+  "CZFG":115,
+  "CZFM":117,
+  "CZFN":117,
+  "CZG":93,
+  "CZGF":113,
+  "CZGI":115,
+  "CZGR":115,
+  "CZJG":115,
+  "CZJN":115,
+  "CZKE":112,
+  "CZL":93,
+  "CZLQ":115,
+  "CZMD":115,
+  "CZMN":115,
+  "CZMT":113,
+  "CZN":33,
+  "CZNG":115,
+  "CZPB":115,
+  "CZPC":58,
+  "CZRJ":115,
+  "CZSJ":115,
+  "CZSN":115,
+  "CZST":113,
+  "CZTM":115,
+  "CZUC":115,
+  "CZWH":115,
+  "CZWL":101,
+  "D66":33,
+  "DAA":93,
+  "DAAG":2,
+  "DAB":93,
+  "DAG":79,
+  "DAL":49,
+  "DAN":93,
+  "DAW":93,
+  "DAY":93,
+  "DBN":93,
+  "DBQ":49,
+  "DCA":93,
+  "DDC":49,
+  "DEC":49,
+  "DED":93,
+  "DEE":94,
+  "DEN":56,
+  "DET":57,
+  "DFW":49,
+  "DGAA":0,
+  "DGL":97,
+  "DHN":49,
+  "DHT":49,
+  "DIK":56,
+  "DKK":93,
+  "DKX":93,
+  "DLF":49,
+  "DLG":33,
+  "DLH":49,
+  "DLL":49,
+  "DLS":79,
+  "DMA":97,
+  "DMN":56,
+  "DNAA":19,
+  "DNL":93,
+  "DNMM":19,
+  "DNN":93,
+  "DNV":49,
+  "DOV":93,
+  "DPA":49,
+  "DQH":93,
+  "DRA":79,
+  "DRG":94,
+  "DRI":49,
+  "DRM":57,
+  "DRO":56,
+  "DRRN":27,
+  "DRT":49,
+  "DSM":49,
+  "DTA":56,
+  "DTN":49,
+  "DTO":49,
+  "DTS":49,
+  "DTTA":30,
+  "DTW":57,
+  "DUC":49,
+  "DUG":97,
+  "DUJ":93,
+  "DUT":33,
+  "DVL":49,
+  "DVO":79,
+  "DVT":97,
+  "DWA":79,
+  "DWH":49,
+  "DXR":93,
+  "DYL":93,
+  "DYS":49,
+  "E25":97,
+  "E38":49,
+  "E63":97,
+  "EAA":33,
+  "EAR":49,
+  "EAT":79,
+  "EAU":49,
+  "EBBR":181,
+  "ECA":57,
+  "ECG":93,
+  "ECP":49,
+  "EDC":49,
+  "EDDB":179,
+  "EDDF":179,
+  "EDDH":179,
+  "EDDK":179,
+  "EDDL":179,
+  "EDDM":179,
+  "EDDN":179,
+  "EDDP":179,
+  "EDDS":179,
+  "EDDV":179,
+  "EDF":33,
+  "EDN":49,
+  "EDW":79,
+  "EED":79,
+  "EEK":94,
+  "EEN":93,
+  "EET":49,
+  "EETN":208,
+  "EFD":49,
+  "EFHK":186,
+  "EFT":49,
+  "EGAA":191,
+  "EGBB":191,
+  "EGCC":191,
+  "EGE":56,
+  "EGGW":191,
+  "EGI":49,
+  "EGKK":191,
+  "EGLL":191,
+  "EGPF":191,
+  "EGPH":191,
+  "EGSS":191,
+  "EGT":49,
+  "EGV":49,
+  "EGX":33,
+  "EHA":49,
+  "EHAM":176,
+  "EHEH":176,
+  "EHM":94,
+  "EIDW":185,
+  "EII":33,
+  "EIL":33,
+  "EINN":185,
+  "EKA":79,
+  "EKBI":184,
+  "EKCH":184,
+  "EKI":70,
+  "EKM":70,
+  "EKN":93,
+  "EKO":79,
+  "EKY":49,
+  "ELD":49,
+  "ELI":94,
+  "ELLX":192,
+  "ELM":93,
+  "ELO":49,
+  "ELP":56,
+  "ELV":74,
+  "ELY":79,
+  "EMK":94,
+  "EMT":79,
+  "EMV":93,
+  "ENA":33,
+  "ENBR":197,
+  "END":49,
+  "ENGM":197,
+  "ENM":94,
+  "ENN":33,
+  "ENTC":197,
+  "ENV":56,
+  "ENVA":197,
+  "ENW":49,
+  "ENZV":197,
+  "EOK":49,
+  "EPGD":212,
+  "EPKK":212,
+  "EPM":93,
+  "EPWA":212,
+  "ERI":93,
+  "ERV":49,
+  "ERY":57,
+  "ESC":57,
+  "ESD":79,
+  "ESF":49,
+  "ESGG":207,
+  "ESN":93,
+  "ESSA":207,
+  "EUF":49,
+  "EUG":79,
+  "EVRA":201,
+  "EVV":49,
+  "EVW":56,
+  "EWB":93,
+  "EWK":49,
+  "EWN":93,
+  "EWR":93,
+  "EYVI":211,
+  "EYW":93,
+  "F22":49,
+  "F70":79,
+  "FA54":93,
+  "FACT":13,
+  "FAF":93,
+  "FAI":33,
+  "FALE":13,
+  "FAOR":13,
+  "FAQ":226,
+  "FAR":49,
+  "FAT":79,
+  "FAY":93,
+  "FBG":93,
+  "FBK":33,
+  "FBR":56,
+  "FBSK":11,
+  "FCA":56,
+  "FCI":93,
+  "FCM":49,
+  "FCS":56,
+  "FDSK":23,
+  "FDW":93,
+  "FDY":93,
+  "FET":49,
+  "FFA":93,
+  "FFC":93,
+  "FFO":93,
+  "FFT":93,
+  "FFZ":97,
+  "FHR":79,
+  "FHU":97,
+  "FIMP":218,
+  "FIT":93,
+  "FKL":93,
+  "FLD":49,
+  "FLG":97,
+  "FLKK":21,
+  "FLL":93,
+  "FLO":93,
+  "FLV":49,
+  "FME":93,
+  "FMEE":219,
+  "FMMI":215,
+  "FMN":56,
+  "FMY":93,
+  "FNL":56,
+  "FNLU":20,
+  "FNR":74,
+  "FNT":57,
+  "FOD":49,
+  "FOE":49,
+  "FOK":93,
+  "FPR":93,
+  "FQMA":22,
+  "FRD":79,
+  "FRG":93,
+  "FRI":49,
+  "FRN":33,
+  "FRP":93,
+  "FSD":49,
+  "FSI":49,
+  "FSIA":216,
+  "FSM":49,
+  "FST":49,
+  "FTG":56,
+  "FTI":226,
+  "FTK":93,
+  "FTTJ":26,
+  "FTW":49,
+  "FTY":93,
+  "FUL":79,
+  "FVE":93,
+  "FVRG":12,
+  "FWA":70,
+  "FWH":49,
+  "FXE":93,
+  "FYU":33,
+  "FYV":49,
+  "FYWH":31,
+  "FZAA":18,
+  "FZG":93,
+  "FZI":93,
+  "GA04":93,
+  "GABS":3,
+  "GAD":49,
+  "GAI":93,
+  "GAL":33,
+  "GAM":94,
+  "GBD":49,
+  "GBG":49,
+  "GBN":49,
+  "GBYD":4,
+  "GCC":56,
+  "GCFV":167,
+  "GCK":49,
+  "GCLP":167,
+  "GCN":97,
+  "GCRR":167,
+  "GCTS":167,
+  "GDV":56,
+  "GDW":57,
+  "GED":93,
+  "GEG":79,
+  "GEO":93,
+  "GEU":97,
+  "GFK":49,
+  "GFL":93,
+  "GFLL":10,
+  "GGE":93,
+  "GGG":49,
+  "GGW":56,
+  "GHG":93,
+  "GIF":93,
+  "GJT":56,
+  "GKN":33,
+  "GKY":49,
+  "GLD":56,
+  "GLH":49,
+  "GLRB":24,
+  "GLS":49,
+  "GLV":94,
+  "GMJ":49,
+  "GMMN":6,
+  "GMU":93,
+  "GNT":56,
+  "GNV":93,
+  "GOBD":7,
+  "GON":93,
+  "GPI":56,
+  "GPT":49,
+  "GPZ":49,
+  "GQNO":28,
+  "GQQ":93,
+  "GRB":49,
+  "GRF":79,
+  "GRI":49,
+  "GRK":49,
+  "GRM":49,
+  "GRO":228,
+  "GRR":57,
+  "GSB":93,
+  "GSN":228,
+  "GSO":93,
+  "GSP":93,
+  "GST":74,
+  "GTB":93,
+  "GTF":56,
+  "GTR":49,
+  "GTU":49,
+  "GUC":56,
+  "GUM":223,
+  "GUP":56,
+  "GUS":70,
+  "GUY":49,
+  "GVAC":168,
+  "GVL":93,
+  "GVQ":93,
+  "GVT":49,
+  "GWO":49,
+  "GXY":56,
+  "GYH":93,
+  "GYR":97,
+  "GYY":49,
+  "HAAB":1,
+  "HAF":79,
+  "HAO":93,
+  "HBG":49,
+  "HBI":93,
+  "HBR":49,
+  "HCA":33,
+  "HCR":33,
+  "HDAM":9,
+  "HDE":49,
+  "HDH":224,
+  "HDI":93,
+  "HDN":56,
+  "HDO":49,
+  "HECA":5,
+  "HEF":93,
+  "HEGN":5,
+  "HESH":5,
+  "HFD":93,
+  "HGR":93,
+  "HHH":93,
+  "HHI":224,
+  "HHR":79,
+  "HI07":224,
+  "HIB":49,
+  "HIF":56,
+  "HII":97,
+  "HIK":224,
+  "HIO":79,
+  "HJJJ":14,
+  "HKB":33,
+  "HKJK":25,
+  "HKMO":25,
+  "HKY":93,
+  "HLA":33,
+  "HLG":93,
+  "HLLM":29,
+  "HLN":56,
+  "HLR":49,
+  "HMN":56,
+  "HMZ":93,
+  "HND":79,
+  "HNH":74,
+  "HNL":224,
+  "HNM":224,
+  "HNS":74,
+  "HNZ":93,
+  "HOB":56,
+  "HOM":33,
+  "HON":49,
+  "HOP":49,
+  "HOT":49,
+  "HOU":49,
+  "HPB":94,
+  "HPN":93,
+  "HQM":79,
+  "HQU":93,
+  "HQZ":49,
+  "HRL":49,
+  "HRO":49,
+  "HRT":49,
+  "HRYR":17,
+  "HSH":79,
+  "HSL":33,
+  "HSSK":16,
+  "HST":93,
+  "HSV":49,
+  "HTDA":8,
+  "HTL":57,
+  "HTS":93,
+  "HTV":49,
+  "HTZA":8,
+  "HUA":49,
+  "HUEN":15,
+  "HUF":70,
+  "HUL":93,
+  "HUS":33,
+  "HUT":49,
+  "HVN":93,
+  "HVR":56,
+  "HVS":93,
+  "HWD":79,
+  "HWO":93,
+  "HXD":93,
+  "HYA":93,
+  "HYG":74,
+  "HYI":49,
+  "HYR":49,
+  "HYS":49,
+  "HYW":93,
+  "HZL":93,
+  "HZY":93,
+  "I16":93,
+  "IAB":49,
+  "IAD":93,
+  "IAG":93,
+  "IAH":49,
+  "IAN":33,
+  "ICT":49,
+  "IDA":43,
+  "IDL":49,
+  "IDP":49,
+  "IFP":97,
+  "IGG":33,
+  "IGM":97,
+  "IGQ":49,
+  "IGX":93,
+  "IJD":93,
+  "IKK":49,
+  "IKV":49,
+  "ILG":93,
+  "ILI":33,
+  "ILM":93,
+  "ILN":93,
+  "IMM":93,
+  "IMT":85,
+  "IND":70,
+  "INJ":49,
+  "INK":49,
+  "INL":49,
+  "INS":79,
+  "INT":93,
+  "INW":97,
+  "IOB":93,
+  "IOW":49,
+  "IPL":79,
+  "IPT":93,
+  "IRC":33,
+  "IRK":49,
+  "ISM":93,
+  "ISN":49,
+  "ISO":93,
+  "ISP":93,
+  "ISW":49,
+  "ITH":93,
+  "ITO":224,
+  "IWA":97,
+  "IWS":49,
+  "IXD":49,
+  "IYK":79,
+  "IYS":33,
+  "IZG":93,
+  "JAC":56,
+  "JAN":49,
+  "JAS":49,
+  "JAX":93,
+  "JBR":49,
+  "JCI":49,
+  "JCT":49,
+  "JEF":49,
+  "JES":93,
+  "JFK":93,
+  "JFN":93,
+  "JGG":93,
+  "JHM":224,
+  "JHW":93,
+  "JKA":49,
+  "JKL":93,
+  "JLN":49,
+  "JMS":49,
+  "JNU":74,
+  "JOT":49,
+  "JQF":93,
+  "JRF":224,
+  "JST":93,
+  "JSV":49,
+  "JVL":49,
+  "JXN":57,
+  "JYL":93,
+  "JYO":93,
+  "JZI":93,
+  "JZP":93,
+  "K83":49,
+  "KAL":33,
+  "KFP":33,
+  "KGK":33,
+  "KKA":33,
+  "KKH":94,
+  "KLG":33,
+  "KLN":33,
+  "KLS":79,
+  "KLW":74,
+  "KMO":33,
+  "KNW":33,
+  "KOA":224,
+  "KOT":94,
+  "KPC":94,
+  "KPN":94,
+  "KPV":33,
+  "KQA":33,
+  "KSM":94,
+  "KTN":106,
+  "KTS":94,
+  "KUK":94,
+  "KVC":94,
+  "KVL":94,
+  "KWK":94,
+  "KWN":33,
+  "KWT":33,
+  "KYK":33,
+  "KYU":33,
+  "L45":79,
+  "LAA":56,
+  "LAF":70,
+  "LAL":93,
+  "LAM":56,
+  "LAN":57,
+  "LAR":56,
+  "LAS":79,
+  "LATI":209,
+  "LAW":49,
+  "LAX":79,
+  "LBB":49,
+  "LBBG":206,
+  "LBE":93,
+  "LBF":49,
+  "LBL":49,
+  "LBSF":206,
+  "LBT":93,
+  "LBWN":206,
+  "LBX":49,
+  "LCH":49,
+  "LCK":93,
+  "LCLK":147,
+  "LCQ":93,
+  "LDJ":93,
+  "LDM":57,
+  "LDZA":213,
+  "LEAL":193,
+  "LEB":93,
+  "LEBL":193,
+  "LEE":93,
+  "LEIB":193,
+  "LEMD":193,
+  "LEMG":193,
+  "LEPA":193,
+  "LEST":193,
+  "LEW":93,
+  "LEX":93,
+  "LFBD":198,
+  "LFBO":198,
+  "LFI":93,
+  "LFK":49,
+  "LFLL":198,
+  "LFML":198,
+  "LFMN":198,
+  "LFPG":198,
+  "LFPO":198,
+  "LFSB":198,
+  "LFT":49,
+  "LGA":93,
+  "LGAV":177,
+  "LGB":79,
+  "LGC":93,
+  "LGD":79,
+  "LGIR":177,
+  "LGTS":177,
+  "LGU":56,
+  "LHBP":183,
+  "LHD":33,
+  "LHM":79,
+  "LHTA":183,
+  "LHV":93,
+  "LHW":93,
+  "LHX":56,
+  "LIBD":202,
+  "LIBR":202,
+  "LICC":202,
+  "LICJ":202,
+  "LIEE":202,
+  "LIH":224,
+  "LIMC":202,
+  "LIME":202,
+  "LIMF":202,
+  "LIPE":202,
+  "LIPX":202,
+  "LIPZ":202,
+  "LIRF":202,
+  "LIRN":202,
+  "LIRP":202,
+  "LIT":49,
+  "LJLJ":190,
+  "LJN":49,
+  "LKP":93,
+  "LKPR":200,
+  "LKV":79,
+  "LLBG":136,
+  "LLER":136,
+  "LLQ":49,
+  "LMML":194,
+  "LMT":79,
+  "LNA":93,
+  "LND":56,
+  "LNK":49,
+  "LNN":93,
+  "LNR":49,
+  "LNS":93,
+  "LNY":224,
+  "LOL":79,
+  "LOM":93,
+  "LOT":49,
+  "LOU":75,
+  "LOWW":210,
+  "LOZ":93,
+  "LPC":79,
+  "LPFR":189,
+  "LPPD":166,
+  "LPPR":189,
+  "LPPT":189,
+  "LPR":93,
+  "LPS":79,
+  "LQR":49,
+  "LRD":49,
+  "LRF":49,
+  "LRO":93,
+  "LROP":182,
+  "LRU":56,
+  "LSE":49,
+  "LSF":93,
+  "LSGG":214,
+  "LSV":79,
+  "LSZH":214,
+  "LTAC":187,
+  "LTAI":187,
+  "LTBA":187,
+  "LTBJ":187,
+  "LTBS":187,
+  "LTFE":187,
+  "LTFJ":187,
+  "LTFM":187,
+  "LTS":49,
+  "LUF":97,
+  "LUK":93,
+  "LUP":224,
+  "LUR":94,
+  "LVK":79,
+  "LVM":56,
+  "LVS":56,
+  "LWA":57,
+  "LWB":93,
+  "LWC":49,
+  "LWM":93,
+  "LWS":79,
+  "LWSK":205,
+  "LWT":56,
+  "LXN":49,
+  "LYBE":178,
+  "LYH":93,
+  "LYPG":199,
+  "LYU":49,
+  "LZIB":180,
+  "LZU":93,
+  "LZZ":49,
+  "M01":49,
+  "M94":79,
+  "MAE":79,
+  "MAF":49,
+  "MAZ":99,
+  "MBG":49,
+  "MBL":57,
+  "MBPV":63,
+  "MBS":57,
+  "MCB":49,
+  "MCC":79,
+  "MCE":79,
+  "MCF":93,
+  "MCG":33,
+  "MCI":49,
+  "MCK":49,
+  "MCL":33,
+  "MCN":93,
+  "MCO":93,
+  "MCW":49,
+  "MDH":49,
+  "MDM":94,
+  "MDPC":104,
+  "MDQ":49,
+  "MDSD":104,
+  "MDT":93,
+  "MDW":49,
+  "MEI":49,
+  "MEJ":93,
+  "MEM":49,
+  "MEO":93,
+  "MER":79,
+  "MFD":93,
+  "MFE":49,
+  "MFH":79,
+  "MFI":49,
+  "MFR":79,
+  "MGC":49,
+  "MGE":93,
+  "MGGT":65,
+  "MGJ":93,
+  "MGM":49,
+  "MGW":93,
+  "MGY":93,
+  "MHK":49,
+  "MHM":33,
+  "MHR":79,
+  "MHT":93,
+  "MHV":79,
+  "MIA":93,
+  "MIB":49,
+  "MIC":49,
+  "MIE":70,
+  "MIV":93,
+  "MKC":49,
+  "MKE":49,
+  "MKG":57,
+  "MKJP":73,
+  "MKK":224,
+  "MKL":49,
+  "MKO":49,
+  "MKT":49,
+  "MKY":93,
+  "MLB":93,
+  "MLC":49,
+  "MLD":43,
+  "MLI":49,
+  "MLJ":93,
+  "MLL":94,
+  "MLS":56,
+  "MLT":93,
+  "MLU":49,
+  "MLY":33,
+  "MMAA":88,
+  "MMAN":90,
+  "MMAS":88,
+  "MMBT":88,
+  "MMCB":88,
+  "MMCE":86,
+  "MMCL":84,
+  "MMCM":45,
+  "MMCN":69,
+  "MMCP":86,
+  "MMCS":51,
+  "MMCT":86,
+  "MMCU":50,
+  "MMCV":90,
+  "MMCY":88,
+  "MMCZ":45,
+  "MMDA":84,
+  "MMDO":90,
+  "MMEP":84,
+  "MMGL":88,
+  "MMGM":69,
+  "MMH":79,
+  "MMHO":69,
+  "MMI":93,
+  "MMIA":88,
+  "MMIO":90,
+  "MMIT":88,
+  "MMJA":88,
+  "MMK":93,
+  "MMLC":88,
+  "MMLM":84,
+  "MMLO":88,
+  "MMLP":84,
+  "MMLT":84,
+  "MMMA":83,
+  "MMMD":86,
+  "MMML":111,
+  "MMMM":88,
+  "MMMT":88,
+  "MMMV":90,
+  "MMMX":88,
+  "MMMY":90,
+  "MMMZ":84,
+  "MMNL":83,
+  "MMOX":88,
+  "MMPA":88,
+  "MMPB":88,
+  "MMPG":83,
+  "MMPN":88,
+  "MMPR":88,
+  "MMPS":88,
+  "MMQT":88,
+  "MMRX":83,
+  "MMSD":84,
+  "MMSL":84,
+  "MMSM":88,
+  "MMSP":88,
+  "MMT":93,
+  "MMTB":88,
+  "MMTC":90,
+  "MMTG":88,
+  "MMTJ":111,
+  "MMTM":90,
+  "MMTO":88,
+  "MMTP":88,
+  "MMU":93,
+  "MMUN":45,
+  "MMV":79,
+  "MMVA":88,
+  "MMVR":88,
+  "MMZC":88,
+  "MMZH":88,
+  "MMZO":88,
+  "MNM":85,
+  "MNZ":93,
+  "MO00":49,
+  "MOB":49,
+  "MOD":79,
+  "MOT":49,
+  "MOU":94,
+  "MPI":79,
+  "MPO":93,
+  "MPR":49,
+  "MPTO":95,
+  "MPV":93,
+  "MQI":93,
+  "MQS":93,
+  "MQT":57,
+  "MQY":49,
+  "MRB":93,
+  "MRF":49,
+  "MRI":33,
+  "MRK":93,
+  "MRLB":52,
+  "MRN":93,
+  "MRST":93,
+  "MRT":93,
+  "MRY":79,
+  "MSL":49,
+  "MSLP":59,
+  "MSN":49,
+  "MSO":56,
+  "MSP":49,
+  "MSS":93,
+  "MSY":49,
+  "MTC":57,
+  "MTH":93,
+  "MTJ":56,
+  "MTM":87,
+  "MTN":93,
+  "MTP":93,
+  "MTPP":98,
+  "MUE":224,
+  "MUHA":68,
+  "MUI":93,
+  "MUO":43,
+  "MUVR":68,
+  "MVL":93,
+  "MVY":93,
+  "MWA":49,
+  "MWC":49,
+  "MWCR":48,
+  "MWH":79,
+  "MWL":49,
+  "MWM":49,
+  "MX31":50,
+  "MXF":49,
+  "MYL":43,
+  "MYNN":92,
+  "MYR":93,
+  "MYU":94,
+  "MYV":79,
+  "MZBZ":40,
+  "MZJ":97,
+  "NBC":93,
+  "NBG":49,
+  "NCA":93,
+  "NCN":33,
+  "NCO":93,
+  "NDZ":49,
+  "NEL":93,
+  "NEW":49,
+  "NFG":79,
+  "NFL":79,
+  "NFW":49,
+  "NGF":224,
+  "NGP":49,
+  "NGU":93,
+  "NHK":93,
+  "NHZ":93,
+  "NIB":33,
+  "NID":79,
+  "NIP":93,
+  "NJK":79,
+  "NK39":93,
+  "NKT":93,
+  "NKX":79,
+  "NLC":79,
+  "NLG":33,
+  "NME":94,
+  "NMM":49,
+  "NNL":33,
+  "NOW":79,
+  "NPA":49,
+  "NQA":49,
+  "NQI":49,
+  "NQX":93,
+  "NRB":93,
+  "NSE":49,
+  "NSFQ":226,
+  "NSI":79,
+  "NSTU":226,
+  "NTAA":229,
+  "NTD":79,
+  "NTU":93,
+  "NUC":79,
+  "NUI":33,
+  "NUL":33,
+  "NUQ":79,
+  "NUW":79,
+  "NV65":79,
+  "NVVV":221,
+  "NWWM":225,
+  "NXP":79,
+  "NXX":93,
+  "NY94":93,
+  "NYG":93,
+  "NYL":97,
+  "NZAA":220,
+  "NZCH":220,
+  "NZWN":220,
+  "NZY":79,
+  "OAJ":93,
+  "OAK":79,
+  "OAR":79,
+  "OBBI":122,
+  "OBE":93,
+  "OBU":33,
+  "OCA":93,
+  "OCF":93,
+  "OCW":93,
+  "OEB":57,
+  "OEDF":151,
+  "OEDR":151,
+  "OEJN":151,
+  "OEL":93,
+  "OEMA":151,
+  "OERK":151,
+  "OFF":49,
+  "OFK":49,
+  "OG39":79,
+  "OGB":93,
+  "OGD":56,
+  "OGG":224,
+  "OGS":93,
+  "OIIE":158,
+  "OIII":158,
+  "OIMM":158,
+  "OISS":158,
+  "OJAI":119,
+  "OJC":49,
+  "OKC":49,
+  "OKK":70,
+  "OKKK":142,
+  "OKM":49,
+  "OLBA":125,
+  "OLF":56,
+  "OLM":79,
+  "OLS":97,
+  "OLU":49,
+  "OLV":49,
+  "OMA":49,
+  "OMAA":131,
+  "OMDB":131,
+  "OMDW":131,
+  "OME":94,
+  "OMN":93,
+  "OMSJ":131,
+  "ONO":43,
+  "ONP":79,
+  "ONT":79,
+  "OODQ":146,
+  "OOK":94,
+  "OOMS":146,
+  "OPF":93,
+  "OPIS":137,
+  "OPKC":137,
+  "OPLA":137,
+  "OQN":93,
+  "OQU":93,
+  "ORBI":121,
+  "ORD":49,
+  "ORF":93,
+  "ORH":93,
+  "ORL":93,
+  "ORS":79,
+  "ORT":33,
+  "ORV":33,
+  "OSC":57,
+  "OSDI":129,
+  "OSH":49,
+  "OSU":93,
+  "OTH":79,
+  "OTHH":150,
+  "OTM":49,
+  "OTZ":94,
+  "OWB":49,
+  "OWD":93,
+  "OXC":93,
+  "OXR":79,
+  "OZA":49,
+  "OZR":49,
+  "P08":97,
+  "P52":97,
+  "PAAK":32,
+  "PAAL":33,
+  "PAAQ":33,
+  "PABA":33,
+  "PABE":33,
+  "PABI":33,
+  "PABL":33,
+  "PABM":33,
+  "PABR":33,
+  "PABT":33,
+  "PABV":33,
+  "PACD":33,
+  "PACE":33,
+  "PACI":33,
+  "PACK":94,
+  "PACL":33,
+  "PACM":94,
+  "PACR":33,
+  "PACV":33,
+  "PACY":33,
+  "PACZ":94,
+  "PADE":94,
+  "PADK":32,
+  "PADL":33,
+  "PADM":94,
+  "PADQ":33,
+  "PADU":33,
+  "PADY":33,
+  "PAE":79,
+  "PAED":33,
+  "PAEE":33,
+  "PAEG":33,
+  "PAEH":94,
+  "PAEI":33,
+  "PAEL":74,
+  "PAEM":94,
+  "PAEN":33,
+  "PAFA":33,
+  "PAFB":33,
+  "PAFE":106,
+  "PAFM":33,
+  "PAFR":33,
+  "PAFS":33,
+  "PAGA":33,
+  "PAGG":33,
+  "PAGH":33,
+  "PAGK":33,
+  "PAGL":94,
+  "PAGM":94,
+  "PAGN":106,
+  "PAGS":74,
+  "PAGT":94,
+  "PAGY":74,
+  "PAH":49,
+  "PAHC":33,
+  "PAHL":33,
+  "PAHN":74,
+  "PAHO":33,
+  "PAHP":94,
+  "PAHU":33,
+  "PAHV":33,
+  "PAHX":33,
+  "PAHY":74,
+  "PAIG":33,
+  "PAII":33,
+  "PAIK":33,
+  "PAIL":33,
+  "PAIM":33,
+  "PAIN":33,
+  "PAIW":94,
+  "PAJN":74,
+  "PAJZ":33,
+  "PAKF":33,
+  "PAKH":33,
+  "PAKI":94,
+  "PAKK":33,
+  "PAKN":33,
+  "PAKP":33,
+  "PAKT":106,
+  "PAKU":33,
+  "PAKV":33,
+  "PAKW":74,
+  "PAKY":33,
+  "PALB":33,
+  "PALG":33,
+  "PALH":33,
+  "PALU":94,
+  "PAM":49,
+  "PAMB":33,
+  "PAMC":33,
+  "PAMH":33,
+  "PAMK":33,
+  "PAML":33,
+  "PAMM":87,
+  "PAMO":94,
+  "PAMR":33,
+  "PAMY":94,
+  "PANA":33,
+  "PANC":33,
+  "PANI":33,
+  "PANN":33,
+  "PANO":33,
+  "PANR":74,
+  "PANT":87,
+  "PANU":33,
+  "PANV":33,
+  "PANW":33,
+  "PAO":79,
+  "PAOB":33,
+  "PAOH":74,
+  "PAOM":94,
+  "PAOO":94,
+  "PAOR":33,
+  "PAOT":94,
+  "PAOU":33,
+  "PAPB":32,
+  "PAPC":94,
+  "PAPE":33,
+  "PAPG":106,
+  "PAPH":33,
+  "PAPK":33,
+  "PAPM":33,
+  "PAPN":33,
+  "PAPR":33,
+  "PAQ":33,
+  "PAQC":74,
+  "PAQH":33,
+  "PAQT":33,
+  "PARC":33,
+  "PARS":94,
+  "PARY":33,
+  "PASA":94,
+  "PASC":33,
+  "PASD":33,
+  "PASH":94,
+  "PASI":106,
+  "PASK":33,
+  "PASL":33,
+  "PASM":94,
+  "PASN":32,
+  "PASV":33,
+  "PASX":33,
+  "PASY":32,
+  "PATC":94,
+  "PATE":94,
+  "PATG":33,
+  "PATJ":33,
+  "PATK":33,
+  "PATL":33,
+  "PATQ":33,
+  "PAUK":94,
+  "PAUN":33,
+  "PAVA":94,
+  "PAVC":33,
+  "PAVD":33,
+  "PAVE":33,
+  "PAVL":94,
+  "PAWB":33,
+  "PAWD":33,
+  "PAWG":106,
+  "PAWI":33,
+  "PAWM":94,
+  "PAWN":94,
+  "PAWR":33,
+  "PAWS":33,
+  "PAYA":116,
+  "PBF":49,
+  "PBG":93,
+  "PBH":49,
+  "PBI":93,
+  "PBV":32,
+  "PBX":93,
+  "PCW":93,
+  "PCZ":49,
+  "PDK":93,
+  "PDT":79,
+  "PDX":79,
+  "PEQ":49,
+  "PFAK":33,
+  "PFAL":33,
+  "PFCB":33,
+  "PFEL":94,
+  "PFKA":33,
+  "PFKO":94,
+  "PFKT":94,
+  "PFKU":33,
+  "PFKW":33,
+  "PFN":49,
+  "PFNO":33,
+  "PFSH":33,
+  "PFTO":33,
+  "PFWS":33,
+  "PFYU":33,
+  "PGA":97,
+  "PGD":93,
+  "PGRO":228,
+  "PGSN":228,
+  "PGUA":223,
+  "PGUM":223,
+  "PGV":93,
+  "PGWT":228,
+  "PHBK":224,
+  "PHD":93,
+  "PHDH":224,
+  "PHF":93,
+  "PHHI":224,
+  "PHHN":224,
+  "PHIK":224,
+  "PHJH":224,
+  "PHJR":224,
+  "PHK":93,
+  "PHKO":224,
+  "PHL":93,
+  "PHLI":224,
+  "PHLU":224,
+  "PHMK":224,
+  "PHMU":224,
+  "PHN":57,
+  "PHNG":224,
+  "PHNL":224,
+  "PHNY":224,
+  "PHOG":224,
+  "PHSF":224,
+  "PHTO":224,
+  "PHUP":224,
+  "PHX":97,
+  "PIA":49,
+  "PIB":49,
+  "PIE":93,
+  "PIH":43,
+  "PIM":93,
+  "PIP":33,
+  "PIR":49,
+  "PIT":93,
+  "PIZ":94,
+  "PJC":93,
+  "PKA":33,
+  "PKB":93,
+  "PLN":57,
+  "PMB":49,
+  "PMD":79,
+  "PML":33,
+  "PMP":93,
+  "PNA":56,
+  "PNC":49,
+  "PNE":93,
+  "PNM":49,
+  "PNS":49,
+  "POB":93,
+  "POC":79,
+  "POE":49,
+  "POF":49,
+  "POU":93,
+  "PPC":33,
+  "PPG":226,
+  "PPIZ":94,
+  "PQI":93,
+  "PRB":79,
+  "PRC":97,
+  "PRX":49,
+  "PSC":79,
+  "PSE":99,
+  "PSG":106,
+  "PSM":93,
+  "PSP":79,
+  "PSX":49,
+  "PTB":93,
+  "PTH":33,
+  "PTK":57,
+  "PTT":49,
+  "PTU":33,
+  "PUB":56,
+  "PUC":56,
+  "PUW":79,
+  "PVC":93,
+  "PVD":93,
+  "PVU":56,
+  "PWA":49,
+  "PWK":49,
+  "PWM":93,
+  "PWT":79,
+  "PWY":56,
+  "PXE":93,
+  "PYM":93,
+  "PYP":93,
+  "RAC":49,
+  "RAL":79,
+  "RAP":56,
+  "RBD":49,
+  "RBK":79,
+  "RBL":79,
+  "RBM":49,
+  "RBY":33,
+  "RCA":56,
+  "RCKH":155,
+  "RCTP":155,
+  "RCZ":93,
+  "RDD":79,
+  "RDG":93,
+  "RDM":79,
+  "RDR":49,
+  "RDU":93,
+  "REI":79,
+  "RFD":49,
+  "RGA":93,
+  "RHI":49,
+  "RHV":79,
+  "RIC":93,
+  "RID":70,
+  "RIF":56,
+  "RIL":56,
+  "RIR":79,
+  "RIU":79,
+  "RIV":79,
+  "RIW":56,
+  "RJAA":159,
+  "RJBB":159,
+  "RJCC":159,
+  "RJD":93,
+  "RJFF":159,
+  "RJFK":159,
+  "RJGG":159,
+  "RJOO":159,
+  "RJSS":159,
+  "RJTT":159,
+  "RJTY":159,
+  "RKD":93,
+  "RKH":93,
+  "RKJB":152,
+  "RKP":49,
+  "RKPC":152,
+  "RKPK":152,
+  "RKR":49,
+  "RKS":56,
+  "RKSI":152,
+  "RKSS":152,
+  "RME":93,
+  "RMG":93,
+  "RMY":79,
+  "RND":49,
+  "RNH":49,
+  "RNM":79,
+  "RNO":79,
+  "RNT":79,
+  "ROA":93,
+  "ROAH":159,
+  "ROC":93,
+  "RODN":159,
+  "ROP":228,
+  "ROW":56,
+  "RPLL":145,
+  "RPMD":145,
+  "RPVM":145,
+  "RSH":33,
+  "RSL":49,
+  "RST":49,
+  "RSW":93,
+  "RU-0016":196,
+  "RUI":56,
+  "RUT":93,
+  "RVS":49,
+  "RWF":49,
+  "RWI":93,
+  "RWL":56,
+  "RYN":97,
+  "RYW":49,
+  "RYY":93,
+  "S31":79,
+  "S39":79,
+  "S40":79,
+  "S46":49,
+  "SAA":56,
+  "SABE":34,
+  "SAC":79,
+  "SAD":97,
+  "SAEZ":34,
+  "SAF":56,
+  "SAN":79,
+  "SAT":49,
+  "SAV":93,
+  "SAW":57,
+  "SBA":79,
+  "SBBE":39,
+  "SBBR":105,
+  "SBCF":105,
+  "SBD":79,
+  "SBEG":81,
+  "SBFL":105,
+  "SBGL":105,
+  "SBGR":105,
+  "SBM":49,
+  "SBN":70,
+  "SBO":93,
+  "SBP":79,
+  "SBS":56,
+  "SBSV":38,
+  "SBY":93,
+  "SCC":33,
+  "SCD":49,
+  "SCE":93,
+  "SCEL":103,
+  "SCH":93,
+  "SCK":79,
+  "SCM":94,
+  "SCRT":93,
+  "SDC":93,
+  "SDF":75,
+  "SDL":97,
+  "SDM":79,
+  "SDP":33,
+  "SDX":97,
+  "SDY":56,
+  "SEA":79,
+  "SEE":79,
+  "SEF":93,
+  "SEGU":66,
+  "SEM":49,
+  "SEP":49,
+  "SEQM":66,
+  "SEZ":97,
+  "SFB":93,
+  "SFF":79,
+  "SFO":79,
+  "SFZ":93,
+  "SGAS":36,
+  "SGES":36,
+  "SGF":49,
+  "SGH":93,
+  "SGJ":93,
+  "SGME":36,
+  "SGPJ":36,
+  "SGR":49,
+  "SGU":56,
+  "SGY":74,
+  "SHD":93,
+  "SHG":33,
+  "SHH":94,
+  "SHN":79,
+  "SHR":56,
+  "SHV":49,
+  "SHX":33,
+  "SIG":99,
+  "SIK":49,
+  "SIT":106,
+  "SJC":79,
+  "SJT":49,
+  "SJU":99,
+  "SKA":79,
+  "SKBO":42,
+  "SKF":49,
+  "SKK":33,
+  "SKY":93,
+  "SLC":56,
+  "SLCR":93,
+  "SLE":79,
+  "SLI":79,
+  "SLK":93,
+  "SLN":49,
+  "SLQ":33,
+  "SLVR":77,
+  "SMD":70,
+  "SME":93,
+  "SMF":79,
+  "SMJP":96,
+  "SMK":94,
+  "SMN":43,
+  "SMO":79,
+  "SMQ":93,
+  "SMX":79,
+  "SNA":79,
+  "SNP":32,
+  "SNS":79,
+  "SNY":56,
+  "SOA":49,
+  "SOCA":47,
+  "SOP":93,
+  "SOW":97,
+  "SPB":79,
+  "SPF":56,
+  "SPG":93,
+  "SPI":49,
+  "SPJC":78,
+  "SPN":228,
+  "SPS":49,
+  "SPW":49,
+  "SPZ":79,
+  "SPZO":78,
+  "SQL":79,
+  "SRQ":93,
+  "SRR":56,
+  "SSC":93,
+  "SSF":49,
+  "SSI":93,
+  "STC":49,
+  "STE":49,
+  "STG":32,
+  "STJ":49,
+  "STK":56,
+  "STL":49,
+  "STP":49,
+  "STS":79,
+  "STT":109,
+  "STX":109,
+  "SUA":93,
+  "SUMU":91,
+  "SUN":43,
+  "SUS":49,
+  "SUT":93,
+  "SUU":79,
+  "SUX":49,
+  "SUZ":49,
+  "SVA":94,
+  "SVBC":46,
+  "SVH":93,
+  "SVMI":46,
+  "SVN":93,
+  "SVW":33,
+  "SWD":33,
+  "SWF":93,
+  "SWO":49,
+  "SXQ":33,
+  "SYA":32,
+  "SYR":93,
+  "SZL":49,
+  "TAN":93,
+  "TBN":49,
+  "TCC":56,
+  "TCL":49,
+  "TCM":79,
+  "TCS":56,
+  "TDF":93,
+  "TEB":93,
+  "TEX":56,
+  "TFFF":82,
+  "TFFR":64,
+  "TIF":49,
+  "TIK":49,
+  "TIQ":228,
+  "TIST":109,
+  "TISX":109,
+  "TIW":79,
+  "TIX":93,
+  "TJAB":99,
+  "TJBQ":99,
+  "TJIG":99,
+  "TJMZ":99,
+  "TJPS":99,
+  "TJSJ":99,
+  "TKA":33,
+  "TKF":79,
+  "TKI":49,
+  "TKJ":33,
+  "TLA":94,
+  "TLH":93,
+  "TLJ":33,
+  "TLPL":108,
+  "TMA":93,
+  "TMB":93,
+  "TMK":79,
+  "TNC":94,
+  "TNCA":35,
+  "TNCB":76,
+  "TNCC":53,
+  "TNCM":80,
+  "TNI":228,
+  "TNT":93,
+  "TNX":79,
+  "TOA":79,
+  "TOC":93,
+  "TOG":33,
+  "TOI":49,
+  "TOL":93,
+  "TOP":49,
+  "TPA":93,
+  "TPF":93,
+  "TPH":79,
+  "TPL":49,
+  "TQK":49,
+  "TRI":93,
+  "TRK":79,
+  "TRM":79,
+  "TTD":79,
+  "TTN":93,
+  "TTS":93,
+  "TUL":49,
+  "TUP":49,
+  "TUS":97,
+  "TVC":57,
+  "TVF":49,
+  "TVI":93,
+  "TVL":79,
+  "TWF":43,
+  "TXK":49,
+  "TYR":49,
+  "TYS":93,
+  "TZR":183,
+  "U02":43,
+  "U42":56,
+  "UAAA":118,
+  "UACC":118,
+  "UAIT":118,
+  "UAM":223,
+  "UAO":79,
+  "UBBB":123,
+  "UCFM":126,
+  "UDD":79,
+  "UDG":93,
+  "UDYZ":165,
+  "UGN":49,
+  "UGTB":157,
+  "UHWW":162,
+  "UIN":49,
+  "UKBB":188,
+  "UKF":93,
+  "UKI":79,
+  "UKLL":188,
+  "UKT":93,
+  "ULLI":196,
+  "ULS":49,
+  "UMMS":195,
+  "UMP":70,
+  "UNI":93,
+  "UNK":33,
+  "UNKL":140,
+  "UNNT":148,
+  "UNV":93,
+  "UOS":93,
+  "UOX":49,
+  "UPP":224,
+  "URRP":196,
+  "URSS":196,
+  "USA":93,
+  "USSS":164,
+  "UST":93,
+  "UT25":97,
+  "UTA":49,
+  "UTAA":120,
+  "UTM":49,
+  "UTO":33,
+  "UTS":49,
+  "UTTT":156,
+  "UUBW":196,
+  "UUDD":196,
+  "UUEE":196,
+  "UUK":33,
+  "UUOR":93,
+  "UUWW":196,
+  "UVA":49,
+  "UWKD":196,
+  "UWL":70,
+  "UWSG":204,
+  "UWUU":164,
+  "UWWW":203,
+  "UYF":93,
+  "UZA":93,
+  "VABB":139,
+  "VAD":93,
+  "VAK":94,
+  "VAY":93,
+  "VBG":79,
+  "VCBI":128,
+  "VCRI":128,
+  "VCT":49,
+  "VCV":79,
+  "VDPP":149,
+  "VDSR":149,
+  "VDZ":33,
+  "VECC":139,
+  "VEE":33,
+  "VEL":56,
+  "VGHS":130,
+  "VGT":79,
+  "VHHH":133,
+  "VIDP":139,
+  "VIS":79,
+  "VLD":93,
+  "VMMC":143,
+  "VNC":93,
+  "VNKT":138,
+  "VNW":70,
+  "VNY":79,
+  "VOBL":139,
+  "VOCI":139,
+  "VOGO":139,
+  "VOHS":139,
+  "VOK":49,
+  "VOMM":139,
+  "VOTV":139,
+  "VPC":93,
+  "VPS":49,
+  "VPZ":49,
+  "VQQ":93,
+  "VRB":93,
+  "VRMM":217,
+  "VTBD":124,
+  "VTBS":124,
+  "VTCC":124,
+  "VTN":49,
+  "VTSP":124,
+  "VVNB":124,
+  "VVS":93,
+  "VVTS":132,
+  "VYMD":163,
+  "VYS":49,
+  "VYYY":163,
+  "W63":93,
+  "WA77":79,
+  "WAA":94,
+  "WAAA":144,
+  "WADD":144,
+  "WAJJ":135,
+  "WAL":93,
+  "WALL":144,
+  "WARR":134,
+  "WBQ":33,
+  "WBSB":127,
+  "WBU":56,
+  "WBW":93,
+  "WDR":93,
+  "WFK":93,
+  "WHP":79,
+  "WIII":134,
+  "WIMM":134,
+  "WJF":79,
+  "WKK":33,
+  "WKL":224,
+  "WLD":49,
+  "WLK":33,
+  "WMC":79,
+  "WMH":49,
+  "WMKK":141,
+  "WMO":94,
+  "WNA":33,
+  "WRB":93,
+  "WRG":106,
+  "WRI":93,
+  "WRL":56,
+  "WSD":56,
+  "WSN":33,
+  "WSSS":154,
+  "WST":93,
+  "WTK":94,
+  "WVI":79,
+  "WWA":33,
+  "WWD":93,
+  "WWR":49,
+  "WYS":56,
+  "XFL":93,
+  "XMR":93,
+  "XNA":49,
+  "XS46":49,
+  "XTA":79,
+  "XWA":56,
+  "Y72":49,
+  "YAK":116,
+  "YBBN":171,
+  "YCWR":175,
+  "YIP":57,
+  "YKM":79,
+  "YKN":49,
+  "YMML":173,
+  "YNG":93,
+  "YPAD":170,
+  "YPDN":172,
+  "YPPH":174,
+  "YSSY":175,
+  "YUM":97,
+  "Z84":33,
+  "ZBAA":153,
+  "ZBAD":153,
+  "ZBHH":153,
+  "ZBTJ":153,
+  "ZBYN":153,
+  "ZGGG":153,
+  "ZGHA":153,
+  "ZGKL":153,
+  "ZGNN":153,
+  "ZGSZ":153,
+  "ZHCC":153,
+  "ZHEC":153,
+  "ZHHH":153,
+  "ZHZH":114,
+  "ZJHK":153,
+  "ZJSY":153,
+  "ZLLL":153,
+  "ZLXY":153,
+  "ZMCK":160,
+  "ZPH":93,
+  "ZPPP":153,
+  "ZSAM":153,
+  "ZSCN":153,
+  "ZSFZ":153,
+  "ZSHC":153,
+  "ZSJN":153,
+  "ZSNB":153,
+  "ZSNJ":153,
+  "ZSPD":153,
+  "ZSQD":153,
+  "ZSSS":153,
+  "ZSWZ":153,
+  "ZSY":97,
+  "ZSYT":153,
+  "ZUCK":153,
+  "ZUGY":153,
+  "ZUN":56,
+  "ZUTF":153,
+  "ZUUU":153,
+  "ZWWW":161,
+  "ZYCC":153,
+  "ZYHB":153,
+  "ZYTL":153,
+  "ZYTX":153,
+  "ZZV":93,
+};
+
+// "ST|CITY" -> [lat, lon] for the western states
+const CITY_COORDS = {
+  "AK|ADAK":[51.88,-176.64],
+  "AK|AKUTAN":[54.13,-165.78],
+  "AK|ALEKNAGIK":[59.28,-158.62],
+  "AK|AMBLER":[67.11,-157.85],
+  "AK|ANAKTUVUK PASS":[68.13,-151.74],
+  "AK|ANCHOR POINT":[59.78,-151.83],
+  "AK|ANCHORAGE":[61.22,-149.9],
+  "AK|ANIAK":[61.58,-159.54],
+  "AK|ANVIK":[62.65,-160.19],
+  "AK|ARCTIC VILLAGE":[68.11,-145.58],
+  "AK|ATQASUK":[70.47,-157.44],
+  "AK|BADGER":[64.8,-147.53],
+  "AK|BARTER ISLAND":[70.13,-143.58],
+  "AK|BEAR CREEK":[60.16,-149.4],
+  "AK|BETHEL":[60.79,-161.76],
+  "AK|BETTLES":[66.91,-151.53],
+  "AK|BIG LAKE":[61.52,-149.95],
+  "AK|BIRCHWOOD":[61.42,-149.51],
+  "AK|BUCKLAND":[65.98,-161.15],
+  "AK|BUTTE":[61.54,-149.03],
+  "AK|CAPE LISBURNE":[68.88,-166.11],
+  "AK|CAPE NEWENHAM":[58.65,-162.06],
+  "AK|CAPE ROMANZOF":[61.78,-166.04],
+  "AK|CHEVAK":[61.53,-165.59],
+  "AK|CLEAR":[64.3,-149.12],
+  "AK|COHOE":[60.37,-151.31],
+  "AK|COLD BAY":[55.21,-162.73],
+  "AK|COLLEGE":[64.86,-147.8],
+  "AK|CORDOVA":[60.54,-145.76],
+  "AK|CRAIG":[55.48,-133.15],
+  "AK|DEADHORSE":[70.19,-148.46],
+  "AK|DEERING":[66.07,-162.77],
+  "AK|DELTA JUNCTION FT GREELY":[63.99,-145.72],
+  "AK|DELTANA":[63.87,-145.22],
+  "AK|DIAMOND RIDGE":[59.68,-151.56],
+  "AK|DILLINGHAM":[59.04,-158.46],
+  "AK|DUTCH HARBOR":[53.89,-166.54],
+  "AK|EAGLE RIVER":[61.32,-149.57],
+  "AK|EGEGIK":[58.18,-157.37],
+  "AK|EIELSON AIR FORCE BASE":[64.66,-147.05],
+  "AK|ELMENDORF AIR FORCE BASE":[61.26,-149.63],
+  "AK|EMMONAK":[62.79,-164.49],
+  "AK|ESTER":[64.85,-148.01],
+  "AK|FAIRBANKS":[64.84,-147.72],
+  "AK|FARM LOOP":[61.64,-149.14],
+  "AK|FARMERS LOOP":[64.91,-147.7],
+  "AK|FISHHOOK":[61.74,-149.24],
+  "AK|FORT YUKON":[66.57,-145.25],
+  "AK|FRITZ CREEK":[59.74,-151.3],
+  "AK|FUNNY RIVER":[60.5,-150.76],
+  "AK|GALENA":[64.74,-156.94],
+  "AK|GAMBELL":[63.77,-171.73],
+  "AK|GATEWAY":[61.57,-149.24],
+  "AK|GIRDWOOD":[60.94,-149.17],
+  "AK|GULKANA":[62.16,-145.45],
+  "AK|GUSTAVUS":[58.43,-135.71],
+  "AK|HAINES":[59.24,-135.45],
+  "AK|HEALY":[63.86,-148.97],
+  "AK|HOLY CROSS":[62.19,-159.77],
+  "AK|HOMER":[59.64,-151.55],
+  "AK|HOOPER BAY":[61.53,-166.1],
+  "AK|HOUSTON":[61.63,-149.82],
+  "AK|HUSLIA":[65.7,-156.35],
+  "AK|ILIAMNA":[59.75,-154.91],
+  "AK|JUNEAU":[58.3,-134.42],
+  "AK|KAKE":[56.96,-133.91],
+  "AK|KALIFORNSKY":[60.42,-151.29],
+  "AK|KENAI":[60.55,-151.26],
+  "AK|KETCHIKAN":[55.34,-131.65],
+  "AK|KIANA":[66.98,-160.44],
+  "AK|KING COVE":[55.06,-162.32],
+  "AK|KING SALMON":[58.68,-156.65],
+  "AK|KIVALINA":[67.74,-164.56],
+  "AK|KLAWOCK":[55.58,-133.08],
+  "AK|KNIK-FAIRVIEW":[61.51,-149.6],
+  "AK|KODIAK":[57.79,-152.41],
+  "AK|KODIAK STATION":[57.77,-152.6],
+  "AK|KOTZEBUE":[66.9,-162.6],
+  "AK|LAKES":[61.61,-149.31],
+  "AK|LAZY MOUNTAIN":[61.63,-148.95],
+  "AK|MARSHALL":[61.86,-162.03],
+  "AK|MCGRATH":[62.95,-155.61],
+  "AK|MEADOW LAKES":[61.62,-149.6],
+  "AK|MEKORYUK":[60.37,-166.27],
+  "AK|METLAKATLA":[55.13,-131.58],
+  "AK|NENANA":[64.55,-149.07],
+  "AK|NIKISKI":[60.69,-151.29],
+  "AK|NOATAK":[67.57,-162.98],
+  "AK|NOME":[64.5,-165.41],
+  "AK|NORTH POLE":[64.75,-147.35],
+  "AK|NORTHWAY":[62.96,-141.93],
+  "AK|NUIQSUT":[70.21,-151.01],
+  "AK|PALMER":[61.6,-149.11],
+  "AK|PETERSBURG":[56.81,-132.96],
+  "AK|PLATINUM":[59.01,-161.82],
+  "AK|POINT LAY":[69.73,-163.01],
+  "AK|PORT CLARENCE":[65.25,-166.86],
+  "AK|PORT HEIDEN":[56.96,-158.62],
+  "AK|PRUDHOE BAY":[70.26,-148.34],
+  "AK|RIDGEWAY":[60.53,-151.09],
+  "AK|RUBY":[64.73,-155.47],
+  "AK|SALCHA":[64.52,-146.9],
+  "AK|SAND POINT":[55.34,-160.5],
+  "AK|SAVOONGA":[63.69,-170.49],
+  "AK|SCAMMON BAY":[61.85,-165.57],
+  "AK|SEWARD":[60.1,-149.44],
+  "AK|SHEMYA":[52.71,174.11],
+  "AK|SHISHMAREF":[66.25,-166.09],
+  "AK|SITKA":[57.05,-135.33],
+  "AK|SKAGWAY":[59.46,-135.31],
+  "AK|SOLDOTNA":[60.49,-151.06],
+  "AK|SPARREVOHN":[61.1,-155.57],
+  "AK|ST GEORGE":[56.58,-169.66],
+  "AK|ST MARY'S":[62.06,-163.3],
+  "AK|ST PAUL ISLAND":[57.17,-170.22],
+  "AK|STERLING":[60.54,-150.76],
+  "AK|SUSITNA NORTH":[62.16,-149.85],
+  "AK|SUTTON-ALPINE":[61.71,-148.89],
+  "AK|TAKOTNA":[62.89,-155.98],
+  "AK|TALKEETNA":[62.32,-150.09],
+  "AK|TANAINA":[61.63,-149.43],
+  "AK|TOGIAK VILLAGE":[59.05,-160.4],
+  "AK|TOK":[63.34,-142.99],
+  "AK|UNALASKA":[53.87,-166.53],
+  "AK|UTOPIA CREEK":[65.99,-153.7],
+  "AK|UTQIAGVIK":[71.29,-156.79],
+  "AK|UTQIAĠVIK":[71.29,-156.77],
+  "AK|VALDEZ":[61.13,-146.35],
+  "AK|WAINWRIGHT":[70.64,-159.99],
+  "AK|WASILLA":[61.58,-149.44],
+  "AK|WILLOW":[61.75,-150.04],
+  "AK|WRANGELL":[56.47,-132.38],
+  "AK|YAKUTAT":[59.51,-139.66],
+  "AZ|AHWATUKEE FOOTHILLS":[33.34,-111.98],
+  "AZ|AJO":[32.37,-112.86],
+  "AZ|ALHAMBRA":[33.5,-112.13],
+  "AZ|ANTHEM":[33.87,-112.15],
+  "AZ|APACHE JUNCTION":[33.42,-111.55],
+  "AZ|ARIVACA JUNCTION":[31.73,-111.06],
+  "AZ|ARIZONA CITY":[32.76,-111.67],
+  "AZ|AVENUE B AND C":[32.72,-114.66],
+  "AZ|AVONDALE":[33.44,-112.35],
+  "AZ|AVRA VALLEY":[32.44,-111.32],
+  "AZ|BAGDAD":[34.58,-113.2],
+  "AZ|BEAVER DAM":[36.9,-113.93],
+  "AZ|BENSON":[31.97,-110.29],
+  "AZ|BIG PARK":[34.78,-111.76],
+  "AZ|BISBEE":[31.45,-109.93],
+  "AZ|BLACK CANYON CITY":[34.07,-112.15],
+  "AZ|BLACKWATER":[33.03,-111.58],
+  "AZ|BUCKEYE":[33.37,-112.58],
+  "AZ|BULLHEAD CITY":[35.15,-114.57],
+  "AZ|BYLAS":[33.13,-110.12],
+  "AZ|CACTUS FLAT":[32.76,-109.72],
+  "AZ|CAMP VERDE":[34.56,-111.85],
+  "AZ|CANYON DAY":[33.78,-110.03],
+  "AZ|CAREFREE":[33.82,-111.92],
+  "AZ|CASA BLANCA":[33.12,-111.89],
+  "AZ|CASA GRANDE":[32.88,-111.76],
+  "AZ|CASAS ADOBES":[32.32,-111],
+  "AZ|CATALINA":[32.51,-110.92],
+  "AZ|CATALINA FOOTHILLS":[32.3,-110.92],
+  "AZ|CAVE CREEK":[33.83,-111.95],
+  "AZ|CENTENNIAL PARK":[36.95,-112.98],
+  "AZ|CENTRAL CITY":[33.44,-112.06],
+  "AZ|CENTRAL HEIGHTS-MIDLAND CITY":[33.4,-110.82],
+  "AZ|CHANDLER":[33.31,-111.84],
+  "AZ|CHINLE":[36.15,-109.55],
+  "AZ|CHINO VALLEY":[34.76,-112.45],
+  "AZ|CIBECUE":[34.04,-110.49],
+  "AZ|CIENEGA SPRINGS":[34.19,-114.22],
+  "AZ|CITRUS PARK":[33.55,-112.44],
+  "AZ|CLARKDALE":[34.77,-112.06],
+  "AZ|CLAYPOOL":[33.41,-110.84],
+  "AZ|CLIFTON":[33.05,-109.3],
+  "AZ|COLORADO CITY":[36.99,-112.98],
+  "AZ|CONGRESS":[34.16,-112.85],
+  "AZ|COOLIDGE":[32.98,-111.52],
+  "AZ|CORDES LAKES":[34.31,-112.1],
+  "AZ|CORNVILLE":[34.72,-111.92],
+  "AZ|CORONA DE TUCSON":[31.97,-110.78],
+  "AZ|COTTONWOOD":[34.74,-112.01],
+  "AZ|DEER VALLEY":[33.68,-112.13],
+  "AZ|DESERT HILLS":[34.55,-114.37],
+  "AZ|DEWEY-HUMBOLDT":[34.53,-112.24],
+  "AZ|DILKON":[35.39,-110.32],
+  "AZ|DOLAN SPRINGS":[35.59,-114.27],
+  "AZ|DONOVAN ESTATES":[32.71,-114.68],
+  "AZ|DOUGLAS":[31.34,-109.55],
+  "AZ|DOUGLAS BISBEE":[31.47,-109.6],
+  "AZ|DREXEL HEIGHTS":[32.14,-111.03],
+  "AZ|EAGAR":[34.11,-109.29],
+  "AZ|EAST SAHUARITA":[31.94,-110.93],
+  "AZ|EHRENBERG":[33.6,-114.53],
+  "AZ|EL MIRAGE":[33.61,-112.32],
+  "AZ|ELOY":[32.76,-111.55],
+  "AZ|ENCANTO":[33.48,-112.08],
+  "AZ|FIRST MESA":[35.84,-110.38],
+  "AZ|FLAGSTAFF":[35.2,-111.65],
+  "AZ|FLORENCE":[33.03,-111.39],
+  "AZ|FLOWING WELLS":[32.29,-111.01],
+  "AZ|FORT DEFIANCE":[35.74,-109.08],
+  "AZ|FORT HUACHUCA / SIERRA VISTA":[31.59,-110.35],
+  "AZ|FORTUNA FOOTHILLS":[32.66,-114.41],
+  "AZ|FOUNTAIN HILLS":[33.61,-111.72],
+  "AZ|FREDONIA":[36.95,-112.53],
+  "AZ|GANADO":[35.71,-109.54],
+  "AZ|GILA BEND":[32.95,-112.72],
+  "AZ|GILBERT":[33.35,-111.79],
+  "AZ|GLENDALE":[33.54,-112.19],
+  "AZ|GLOBE":[33.39,-110.79],
+  "AZ|GOLD CAMP":[33.29,-111.3],
+  "AZ|GOLD CANYON":[33.37,-111.44],
+  "AZ|GOLDEN SHORES":[34.78,-114.48],
+  "AZ|GOLDEN VALLEY":[35.22,-114.22],
+  "AZ|GOODYEAR":[33.44,-112.36],
+  "AZ|GRAND CANYON":[36.05,-112.14],
+  "AZ|GRAND CANYON - TUSAYAN":[35.95,-112.15],
+  "AZ|GRAND CANYON VILLAGE":[36.05,-112.15],
+  "AZ|GREEN VALLEY":[31.85,-110.99],
+  "AZ|GUADALUPE":[33.37,-111.96],
+  "AZ|HEBER-OVERGAARD":[34.41,-110.57],
+  "AZ|HOLBROOK":[34.9,-110.16],
+  "AZ|HOUCK":[35.28,-109.21],
+  "AZ|HUACHUCA CITY":[31.63,-110.33],
+  "AZ|JOSEPH CITY":[34.96,-110.33],
+  "AZ|KACHINA VILLAGE":[35.1,-111.69],
+  "AZ|KAIBITO":[36.6,-111.07],
+  "AZ|KAYENTA":[36.73,-110.25],
+  "AZ|KEARNY":[33.06,-110.91],
+  "AZ|KINGMAN":[35.19,-114.05],
+  "AZ|LAKE HAVASU CITY":[34.48,-114.32],
+  "AZ|LAKE MONTEZUMA":[34.63,-111.78],
+  "AZ|LAKE OF THE WOODS":[34.16,-109.99],
+  "AZ|LAVEEN":[33.36,-112.17],
+  "AZ|LECHEE":[35.03,-110.75],
+  "AZ|LINDEN":[34.29,-110.16],
+  "AZ|LITCHFIELD PARK":[33.49,-112.36],
+  "AZ|LUKACHUKAI":[36.42,-109.23],
+  "AZ|MAMMOTH":[32.72,-110.64],
+  "AZ|MANY FARMS":[36.35,-109.62],
+  "AZ|MARANA":[32.44,-111.23],
+  "AZ|MARICOPA":[33.06,-112.05],
+  "AZ|MARYVALE":[33.5,-112.18],
+  "AZ|MAYER":[34.4,-112.24],
+  "AZ|MEADVIEW":[36,-114.07],
+  "AZ|MESA":[33.42,-111.82],
+  "AZ|MESCAL":[31.99,-110.44],
+  "AZ|MIAMI":[33.4,-110.87],
+  "AZ|MOHAVE VALLEY":[34.93,-114.59],
+  "AZ|MORENCI":[33.05,-109.33],
+  "AZ|MOUNTAINAIRE":[35.09,-111.67],
+  "AZ|NACO":[31.34,-109.95],
+  "AZ|NEW KINGMAN-BUTLER":[35.27,-114.03],
+  "AZ|NEW RIVER":[33.92,-112.14],
+  "AZ|NOGALES":[31.34,-110.93],
+  "AZ|NORTH FORK":[34,-109.96],
+  "AZ|ORACLE":[32.61,-110.77],
+  "AZ|ORO VALLEY":[32.39,-110.97],
+  "AZ|PAGE":[36.91,-111.46],
+  "AZ|PARADISE VALLEY":[33.53,-111.94],
+  "AZ|PARKER":[34.15,-114.29],
+  "AZ|PARKS":[35.26,-111.95],
+  "AZ|PAULDEN":[34.89,-112.47],
+  "AZ|PAYSON":[34.23,-111.33],
+  "AZ|PEACH SPRINGS":[35.53,-113.43],
+  "AZ|PEORIA":[33.58,-112.24],
+  "AZ|PERIDOT":[33.31,-110.46],
+  "AZ|PHOENIX":[33.45,-112.07],
+  "AZ|PICTURE ROCKS":[32.35,-111.25],
+  "AZ|PIMA":[32.9,-109.83],
+  "AZ|PINE":[34.38,-111.46],
+  "AZ|PINETOP-LAKESIDE":[34.14,-109.96],
+  "AZ|PIRTLEVILLE":[31.36,-109.56],
+  "AZ|PRESCOTT":[34.54,-112.47],
+  "AZ|PRESCOTT VALLEY":[34.61,-112.32],
+  "AZ|QUARTZSITE":[33.66,-114.23],
+  "AZ|QUEEN CREEK":[33.25,-111.63],
+  "AZ|RIO RICO":[31.47,-110.98],
+  "AZ|RIO VERDE":[33.72,-111.68],
+  "AZ|SACATON":[33.08,-111.74],
+  "AZ|SADDLEBROOKE":[32.54,-110.9],
+  "AZ|SAFFORD":[32.83,-109.71],
+  "AZ|SAHUARITA":[31.96,-110.96],
+  "AZ|SAINT DAVID":[31.9,-110.21],
+  "AZ|SAINT JOHNS":[34.51,-109.36],
+  "AZ|SAINT MICHAELS":[35.64,-109.1],
+  "AZ|SALOME":[33.78,-113.61],
+  "AZ|SAN CARLOS":[33.35,-110.46],
+  "AZ|SAN LUIS":[32.49,-114.78],
+  "AZ|SAN MANUEL":[32.6,-110.63],
+  "AZ|SAN TAN VALLEY":[33.19,-111.53],
+  "AZ|SCENIC":[36.79,-114.01],
+  "AZ|SCOTTSDALE":[33.51,-111.9],
+  "AZ|SEDONA":[34.87,-111.76],
+  "AZ|SELLS":[31.91,-111.88],
+  "AZ|SHOW LOW":[34.25,-110.03],
+  "AZ|SIERRA VISTA":[31.55,-110.3],
+  "AZ|SIERRA VISTA SOUTHEAST":[31.45,-110.22],
+  "AZ|SIX SHOOTER CANYON":[33.37,-110.77],
+  "AZ|SNOWFLAKE":[34.51,-110.08],
+  "AZ|SOMERTON":[32.6,-114.71],
+  "AZ|SOUTH TUCSON":[32.2,-110.97],
+  "AZ|SPRING VALLEY":[34.35,-112.16],
+  "AZ|SPRINGERVILLE":[34.13,-109.29],
+  "AZ|STAR VALLEY":[34.26,-111.26],
+  "AZ|SUMMIT":[32.07,-110.95],
+  "AZ|SUN CITY":[33.6,-112.27],
+  "AZ|SUN CITY WEST":[33.66,-112.34],
+  "AZ|SUN LAKES":[33.21,-111.88],
+  "AZ|SUN VALLEY":[34.25,-111.26],
+  "AZ|SUPERIOR":[33.29,-111.1],
+  "AZ|SURPRISE":[33.63,-112.33],
+  "AZ|SWIFT TRAIL JUNCTION":[32.73,-109.71],
+  "AZ|TANQUE VERDE":[32.25,-110.74],
+  "AZ|TAYLOR":[34.47,-110.09],
+  "AZ|TEMPE":[33.41,-111.91],
+  "AZ|TEMPE JUNCTION":[33.41,-111.94],
+  "AZ|THATCHER":[32.85,-109.76],
+  "AZ|THREE POINTS":[32.08,-111.31],
+  "AZ|TOLLESON":[33.45,-112.26],
+  "AZ|TOMBSTONE":[31.71,-110.07],
+  "AZ|TONTO BASIN":[33.83,-111.29],
+  "AZ|TORTOLITA":[32.41,-111.02],
+  "AZ|TSAILE":[36.3,-109.22],
+  "AZ|TUBA CITY":[36.13,-111.24],
+  "AZ|TUBAC":[31.61,-111.05],
+  "AZ|TUCSON":[32.22,-110.93],
+  "AZ|TUCSON ESTATES":[32.19,-111.09],
+  "AZ|VAIL":[32.05,-110.71],
+  "AZ|VALENCIA WEST":[32.13,-111.11],
+  "AZ|VALLE VISTA":[35.41,-113.86],
+  "AZ|VERDE VILLAGE":[34.71,-112.01],
+  "AZ|VILLAGE OF OAK CREEK (BIG PARK)":[34.78,-111.76],
+  "AZ|WELLTON":[32.67,-114.15],
+  "AZ|WEST SEDONA":[34.87,-111.81],
+  "AZ|WHETSTONE":[31.69,-110.35],
+  "AZ|WHITE MOUNTAIN LAKE":[34.35,-110],
+  "AZ|WHITERIVER":[33.84,-109.96],
+  "AZ|WICKENBURG":[33.97,-112.73],
+  "AZ|WILLCOX":[32.25,-109.83],
+  "AZ|WILLIAMS":[35.25,-112.19],
+  "AZ|WILLIAMSON":[34.69,-112.54],
+  "AZ|WILLOW VALLEY":[34.91,-114.61],
+  "AZ|WINDOW ROCK":[35.68,-109.05],
+  "AZ|WINSLOW":[35.02,-110.7],
+  "AZ|YOUNGTOWN":[33.59,-112.3],
+  "AZ|YUMA":[32.73,-114.62],
+  "CA|ACALANES RIDGE":[37.9,-122.08],
+  "CA|ACTON":[34.47,-118.2],
+  "CA|ADELANTO":[34.58,-117.41],
+  "CA|AGOURA":[34.14,-118.74],
+  "CA|AGOURA HILLS":[34.14,-118.77],
+  "CA|AGUA CALIENTE":[38.32,-122.49],
+  "CA|AGUA DULCE":[34.5,-118.33],
+  "CA|AGUANGA":[33.44,-116.87],
+  "CA|AHWAHNEE":[37.37,-119.73],
+  "CA|ALAMEDA":[37.77,-122.26],
+  "CA|ALAMO":[37.85,-122.03],
+  "CA|ALBANY":[37.89,-122.3],
+  "CA|ALHAMBRA":[34.1,-118.13],
+  "CA|ALISO VIEJO":[33.57,-117.73],
+  "CA|ALLENDALE":[38.44,-121.94],
+  "CA|ALONDRA PARK":[33.89,-118.33],
+  "CA|ALPAUGH":[35.89,-119.49],
+  "CA|ALPINE":[32.84,-116.77],
+  "CA|ALTA SIERRA":[35.73,-118.55],
+  "CA|ALTADENA":[34.19,-118.13],
+  "CA|ALTURAS":[41.49,-120.54],
+  "CA|ALUM ROCK":[37.37,-121.83],
+  "CA|AMERICAN CANYON":[38.17,-122.26],
+  "CA|AMESTI":[36.96,-121.78],
+  "CA|ANAHEIM":[33.84,-117.91],
+  "CA|ANDERSON":[40.45,-122.3],
+  "CA|ANGELS CAMP":[38.07,-120.54],
+  "CA|ANGWIN":[38.58,-122.45],
+  "CA|ANTELOPE":[38.71,-121.33],
+  "CA|ANTIOCH":[38,-121.81],
+  "CA|ANZA":[33.56,-116.67],
+  "CA|APPLE VALLEY":[34.5,-117.19],
+  "CA|APTOS":[36.98,-121.9],
+  "CA|APTOS HILLS-LARKIN VALLEY":[36.96,-121.83],
+  "CA|ARBUCKLE":[39.02,-122.06],
+  "CA|ARCADIA":[34.14,-118.04],
+  "CA|ARCATA":[40.87,-124.08],
+  "CA|ARCATA/EUREKA":[40.98,-124.11],
+  "CA|ARDEN-ARCADE":[38.6,-121.38],
+  "CA|ARMONA":[36.32,-119.71],
+  "CA|ARNOLD":[38.26,-120.35],
+  "CA|AROMAS":[36.89,-121.64],
+  "CA|ARROYO GRANDE":[35.12,-120.59],
+  "CA|ARTESIA":[33.87,-118.08],
+  "CA|ARVIN":[35.21,-118.83],
+  "CA|ASHLAND":[37.69,-122.11],
+  "CA|ATASCADERO":[35.49,-120.67],
+  "CA|ATHERTON":[37.46,-122.2],
+  "CA|ATWATER":[37.35,-120.61],
+  "CA|ATWATER VILLAGE":[34.12,-118.26],
+  "CA|AUBERRY":[37.08,-119.49],
+  "CA|AUBURN":[38.9,-121.08],
+  "CA|AUBURN LAKE TRAILS":[38.91,-120.95],
+  "CA|AUGUST":[37.98,-121.26],
+  "CA|AVALON":[33.34,-118.33],
+  "CA|AVENAL":[36,-120.13],
+  "CA|AVILA BEACH":[35.18,-120.73],
+  "CA|AVOCADO HEIGHTS":[34.04,-117.99],
+  "CA|AZUSA":[34.13,-117.91],
+  "CA|BAKERSFIELD":[35.37,-119.02],
+  "CA|BALDWIN PARK":[34.09,-117.96],
+  "CA|BANNING":[33.93,-116.88],
+  "CA|BARSTOW":[34.9,-117.02],
+  "CA|BARSTOW HEIGHTS":[34.87,-117.06],
+  "CA|BAY POINT":[38.03,-121.96],
+  "CA|BAYSIDE":[40.84,-124.06],
+  "CA|BAYVIEW":[40.77,-124.18],
+  "CA|BAYVIEW-HUNTERS POINT":[37.73,-122.38],
+  "CA|BEALE AIR FORCE BASE":[39.11,-121.35],
+  "CA|BEAR VALLEY SPRINGS":[35.16,-118.63],
+  "CA|BEAUMONT":[33.93,-116.98],
+  "CA|BEL AIR":[34.08,-118.45],
+  "CA|BELL":[33.98,-118.19],
+  "CA|BELL GARDENS":[33.97,-118.15],
+  "CA|BELLA VISTA":[40.64,-122.23],
+  "CA|BELLFLOWER":[33.88,-118.12],
+  "CA|BELMONT":[37.52,-122.28],
+  "CA|BELVEDERE":[34.04,-118.17],
+  "CA|BEN LOMOND":[37.09,-122.09],
+  "CA|BENICIA":[38.05,-122.16],
+  "CA|BERKELEY":[37.87,-122.27],
+  "CA|BERMUDA DUNES":[33.74,-116.29],
+  "CA|BERRY CREEK":[39.65,-121.4],
+  "CA|BERTSCH-OCEANVIEW":[41.75,-124.16],
+  "CA|BETHEL ISLAND":[38.01,-121.64],
+  "CA|BEVERLY HILLS":[34.07,-118.4],
+  "CA|BIG BEAR CITY":[34.26,-116.85],
+  "CA|BIG BEAR LAKE":[34.24,-116.91],
+  "CA|BIG PINE":[37.16,-118.29],
+  "CA|BIG RIVER":[34.14,-114.36],
+  "CA|BIGGS":[39.41,-121.71],
+  "CA|BIOLA":[36.8,-120.02],
+  "CA|BISHOP":[37.36,-118.4],
+  "CA|BLACK POINT-GREEN POINT":[38.12,-122.51],
+  "CA|BLACKHAWK":[37.82,-121.91],
+  "CA|BLOOMINGTON":[34.07,-117.4],
+  "CA|BLUE LAKE":[40.88,-123.98],
+  "CA|BLYTHE":[33.61,-114.6],
+  "CA|BODEGA BAY":[38.33,-123.05],
+  "CA|BODFISH":[35.59,-118.49],
+  "CA|BOLINAS":[37.91,-122.69],
+  "CA|BONADELLE RANCHOS-MADERA RANCHOS":[36.98,-119.87],
+  "CA|BONITA":[32.66,-117.03],
+  "CA|BONNY DOON":[37.04,-122.15],
+  "CA|BONSALL":[33.29,-117.23],
+  "CA|BOONVILLE":[39.01,-123.37],
+  "CA|BORON":[35,-117.65],
+  "CA|BORONDA":[36.7,-121.67],
+  "CA|BORREGO SPRINGS":[33.26,-116.38],
+  "CA|BOSTONIA":[32.81,-116.94],
+  "CA|BOULDER CREEK":[37.13,-122.12],
+  "CA|BOYES HOT SPRINGS":[38.31,-122.48],
+  "CA|BOYLE HEIGHTS":[34.03,-118.21],
+  "CA|BRADBURY":[34.15,-117.97],
+  "CA|BRAWLEY":[32.98,-115.53],
+  "CA|BREA":[33.92,-117.9],
+  "CA|BRENTWOOD":[37.93,-121.7],
+  "CA|BRET HARTE":[37.6,-121.01],
+  "CA|BRIDGEPORT":[38.26,-119.23],
+  "CA|BRISBANE":[37.68,-122.4],
+  "CA|BROADMOOR":[37.69,-122.48],
+  "CA|BROOKDALE":[37.11,-122.11],
+  "CA|BROOKTRAILS":[39.44,-123.39],
+  "CA|BUCKHORN":[38.45,-120.53],
+  "CA|BUELLTON":[34.61,-120.19],
+  "CA|BUENA PARK":[33.87,-118],
+  "CA|BUENA VISTA":[37.32,-121.92],
+  "CA|BURBANK":[34.18,-118.31],
+  "CA|BURLINGAME":[37.58,-122.37],
+  "CA|BURNEY":[40.88,-121.66],
+  "CA|BUTTONWILLOW":[35.4,-119.47],
+  "CA|BYRON":[37.87,-121.64],
+  "CA|BYSTROM":[37.62,-120.99],
+  "CA|CABAZON":[33.92,-116.79],
+  "CA|CALABASAS":[34.16,-118.64],
+  "CA|CALEXICO":[32.68,-115.5],
+  "CA|CALIFORNIA CITY":[35.13,-117.99],
+  "CA|CALIMESA":[34,-117.06],
+  "CA|CALIPATRIA":[33.13,-115.51],
+  "CA|CALISTOGA":[38.58,-122.58],
+  "CA|CALLENDER":[35.05,-120.6],
+  "CA|CAMARILLO":[34.22,-119.04],
+  "CA|CAMBRIA":[35.56,-121.08],
+  "CA|CAMBRIAN PARK":[37.26,-121.93],
+  "CA|CAMERON PARK":[38.67,-120.99],
+  "CA|CAMINO":[38.74,-120.67],
+  "CA|CAMP MEEKER":[38.43,-122.96],
+  "CA|CAMP PENDLETON NORTH":[33.31,-117.32],
+  "CA|CAMP PENDLETON SOUTH":[33.23,-117.38],
+  "CA|CAMPBELL":[37.29,-121.95],
+  "CA|CAMPO":[32.61,-116.47],
+  "CA|CANOGA PARK":[34.2,-118.6],
+  "CA|CANYON COUNTRY":[34.42,-118.47],
+  "CA|CANYON LAKE":[33.69,-117.27],
+  "CA|CAPITOLA":[36.98,-121.95],
+  "CA|CARLSBAD":[33.16,-117.35],
+  "CA|CARMEL VALLEY VILLAGE":[36.51,-121.77],
+  "CA|CARMEL-BY-THE-SEA":[36.56,-121.92],
+  "CA|CARMICHAEL":[38.62,-121.33],
+  "CA|CARPINTERIA":[34.4,-119.52],
+  "CA|CARSON":[33.83,-118.28],
+  "CA|CARUTHERS":[36.54,-119.83],
+  "CA|CASA CONEJO":[34.18,-118.94],
+  "CA|CASA DE ORO-MOUNT HELIX":[32.76,-116.97],
+  "CA|CASTAIC":[34.49,-118.62],
+  "CA|CASTRO VALLEY":[37.69,-122.09],
+  "CA|CASTROVILLE":[36.77,-121.76],
+  "CA|CATHEDRAL CITY":[33.78,-116.47],
+  "CA|CAYUCOS":[35.44,-120.89],
+  "CA|CEDAR RIDGE":[38.07,-120.28],
+  "CA|CENTRAL VALLEY (HISTORICAL)":[40.68,-122.37],
+  "CA|CENTURY CITY":[34.06,-118.42],
+  "CA|CERES":[37.59,-120.96],
+  "CA|CERRITOS":[33.86,-118.06],
+  "CA|CHALLENGE-BROWNSVILLE":[39.46,-121.26],
+  "CA|CHANNEL ISLANDS BEACH":[34.16,-119.22],
+  "CA|CHARTER OAK":[34.1,-117.85],
+  "CA|CHATSWORTH":[34.26,-118.6],
+  "CA|CHERRY VALLEY":[33.97,-116.98],
+  "CA|CHERRYLAND":[37.68,-122.1],
+  "CA|CHESTER":[40.31,-121.23],
+  "CA|CHICO":[39.73,-121.84],
+  "CA|CHINA LAKE":[35.69,-117.69],
+  "CA|CHINA LAKE ACRES":[35.64,-117.76],
+  "CA|CHINATOWN":[37.8,-122.27],
+  "CA|CHINO":[34.01,-117.69],
+  "CA|CHINO HILLS":[33.99,-117.76],
+  "CA|CHOWCHILLA":[37.12,-120.26],
+  "CA|CHUALAR":[36.57,-121.52],
+  "CA|CHULA VISTA":[32.64,-117.08],
+  "CA|CITRUS":[34.12,-117.89],
+  "CA|CITRUS HEIGHTS":[38.71,-121.28],
+  "CA|CLAREMONT":[34.1,-117.72],
+  "CA|CLAY":[38.34,-121.16],
+  "CA|CLAYTON":[37.94,-121.94],
+  "CA|CLEAR LAKE RIVIERA":[38.95,-122.72],
+  "CA|CLEARLAKE":[38.96,-122.63],
+  "CA|CLEARLAKE OAKS":[39.03,-122.67],
+  "CA|CLOVERDALE":[38.81,-123.02],
+  "CA|CLOVIS":[36.83,-119.7],
+  "CA|COACHELLA":[33.68,-116.17],
+  "CA|COALINGA":[36.14,-120.36],
+  "CA|COARSEGOLD":[37.26,-119.7],
+  "CA|COBB":[38.82,-122.72],
+  "CA|COLFAX":[39.1,-120.95],
+  "CA|COLLIERVILLE":[38.21,-121.27],
+  "CA|COLMA":[37.68,-122.46],
+  "CA|COLTON":[34.07,-117.31],
+  "CA|COLUMBIA":[38.04,-120.4],
+  "CA|COLUSA":[39.21,-122.01],
+  "CA|COMMERCE":[34,-118.16],
+  "CA|COMMUNICATIONS HILL":[37.29,-121.86],
+  "CA|COMPTON":[33.9,-118.22],
+  "CA|CONCORD":[37.98,-122.03],
+  "CA|CONTRA COSTA CENTRE":[37.93,-122.06],
+  "CA|COOL":[38.89,-121.01],
+  "CA|COPPEROPOLIS":[37.98,-120.64],
+  "CA|CORCORAN":[36.1,-119.56],
+  "CA|CORNING":[39.93,-122.18],
+  "CA|CORONA":[33.88,-117.57],
+  "CA|CORONADO":[32.69,-117.18],
+  "CA|CORRALITOS":[36.99,-121.81],
+  "CA|CORTE MADERA":[37.93,-122.53],
+  "CA|COSTA MESA":[33.64,-117.92],
+  "CA|COTATI":[38.33,-122.71],
+  "CA|COTO DE CAZA":[33.6,-117.59],
+  "CA|COTTONWOOD":[38.66,-121.97],
+  "CA|COUNTRY CLUB":[37.97,-121.34],
+  "CA|COVELO":[39.79,-123.25],
+  "CA|COVINA":[34.09,-117.89],
+  "CA|CRESCENT CITY":[41.76,-124.2],
+  "CA|CREST":[32.81,-116.87],
+  "CA|CRESTLINE":[34.24,-117.29],
+  "CA|CROCKETT":[38.05,-122.21],
+  "CA|CUDAHY":[33.96,-118.19],
+  "CA|CULVER CITY":[34.02,-118.4],
+  "CA|CUPERTINO":[37.32,-122.03],
+  "CA|CUTLER":[36.52,-119.29],
+  "CA|CUTTEN":[40.77,-124.14],
+  "CA|CYPRESS":[33.82,-118.04],
+  "CA|CYPRESS VILLAGE":[33.69,-117.76],
+  "CA|DAGGETT":[34.85,-116.79],
+  "CA|DALY CITY":[37.71,-122.46],
+  "CA|DANA POINT":[33.47,-117.7],
+  "CA|DANVILLE":[37.82,-122],
+  "CA|DAVIS":[38.54,-121.74],
+  "CA|DAY VALLEY":[37.04,-121.86],
+  "CA|DEATH VALLEY":[36.24,-116.81],
+  "CA|DEER PARK":[38.68,-120.82],
+  "CA|DEL AIRE":[33.92,-118.37],
+  "CA|DEL MAR":[32.96,-117.27],
+  "CA|DEL MONTE FOREST":[36.59,-121.95],
+  "CA|DEL REY":[36.66,-119.59],
+  "CA|DEL REY OAKS":[36.59,-121.83],
+  "CA|DEL RIO":[37.74,-121.01],
+  "CA|DELANO":[35.77,-119.25],
+  "CA|DELHI":[37.43,-120.78],
+  "CA|DENAIR":[37.53,-120.8],
+  "CA|DESCANSO":[32.85,-116.62],
+  "CA|DESERT EDGE":[33.92,-116.44],
+  "CA|DESERT HOT SPRINGS":[33.96,-116.5],
+  "CA|DESERT SHORES":[33.4,-116.04],
+  "CA|DESERT VIEW HIGHLANDS":[34.59,-118.15],
+  "CA|DIABLO":[37.83,-121.96],
+  "CA|DIAMOND BAR":[34.03,-117.81],
+  "CA|DIAMOND SPRINGS":[38.69,-120.81],
+  "CA|DINUBA":[36.54,-119.39],
+  "CA|DISCOVERY BAY":[37.91,-121.6],
+  "CA|DIXON":[38.45,-121.82],
+  "CA|DIXON LANE-MEADOW CREEK":[37.39,-118.42],
+  "CA|DOGTOWN":[38.21,-121.09],
+  "CA|DOLLAR POINT":[39.19,-120.1],
+  "CA|DOS PALOS":[36.99,-120.63],
+  "CA|DOWNEY":[33.94,-118.13],
+  "CA|DOWNIEVILLE":[39.56,-120.83],
+  "CA|DUARTE":[34.14,-117.98],
+  "CA|DUBLIN":[37.7,-121.94],
+  "CA|DUNNIGAN":[38.89,-121.97],
+  "CA|DUNSMUIR":[41.21,-122.27],
+  "CA|DURHAM":[39.65,-121.8],
+  "CA|EARLIMART":[35.88,-119.27],
+  "CA|EAST FOOTHILLS":[37.38,-121.82],
+  "CA|EAST HEMET":[33.74,-116.94],
+  "CA|EAST LA MIRADA":[33.92,-117.99],
+  "CA|EAST LOS ANGELES":[34.02,-118.17],
+  "CA|EAST OAKDALE":[37.79,-120.8],
+  "CA|EAST PALO ALTO":[37.47,-122.14],
+  "CA|EAST PASADENA":[34.14,-118.07],
+  "CA|EAST PORTERVILLE":[36.06,-118.98],
+  "CA|EAST QUINCY":[39.93,-120.9],
+  "CA|EAST RANCHO DOMINGUEZ":[33.9,-118.2],
+  "CA|EAST RICHMOND HEIGHTS":[37.94,-122.31],
+  "CA|EAST SAN GABRIEL":[34.11,-118.08],
+  "CA|EAST SONORA":[37.98,-120.36],
+  "CA|EASTON":[36.65,-119.79],
+  "CA|EASTVALE":[33.96,-117.56],
+  "CA|ECHO PARK":[34.08,-118.26],
+  "CA|EDWARDS":[34.91,-117.88],
+  "CA|EDWARDS AIR FORCE BASE":[34.92,-117.94],
+  "CA|EL CAJON":[32.79,-116.96],
+  "CA|EL CAMINO REAL":[33.7,-117.78],
+  "CA|EL CENTRO":[32.79,-115.56],
+  "CA|EL CERRITO":[37.92,-122.31],
+  "CA|EL CERRITO CORONA":[33.84,-117.52],
+  "CA|EL DORADO HILLS":[38.69,-121.08],
+  "CA|EL GRANADA":[37.5,-122.47],
+  "CA|EL MONTE":[34.07,-118.03],
+  "CA|EL RIO":[34.24,-119.16],
+  "CA|EL SEGUNDO":[33.92,-118.42],
+  "CA|EL SOBRANTE":[37.98,-122.3],
+  "CA|EL VERANO":[38.3,-122.49],
+  "CA|ELDRIDGE":[38.35,-122.51],
+  "CA|ELK GROVE":[38.41,-121.37],
+  "CA|ELKHORN":[36.82,-121.74],
+  "CA|ELVERTA":[38.71,-121.46],
+  "CA|EMERALD LAKE HILLS":[37.46,-122.27],
+  "CA|EMERYVILLE":[37.83,-122.29],
+  "CA|EMPIRE":[37.64,-120.9],
+  "CA|ENCINITAS":[33.04,-117.29],
+  "CA|ENCINO":[34.16,-118.5],
+  "CA|ESCALON":[37.8,-121],
+  "CA|ESCONDIDO":[33.12,-117.09],
+  "CA|ESPARTO":[38.69,-122.02],
+  "CA|EUCALYPTUS HILLS":[32.88,-116.95],
+  "CA|EUREKA":[40.8,-124.16],
+  "CA|EXETER":[36.3,-119.14],
+  "CA|FAIR OAKS":[38.64,-121.27],
+  "CA|FAIRBANKS RANCH":[32.99,-117.19],
+  "CA|FAIRFAX":[37.99,-122.59],
+  "CA|FAIRFIELD":[38.25,-122.04],
+  "CA|FAIRMEAD":[37.08,-120.19],
+  "CA|FAIRVIEW":[37.68,-122.05],
+  "CA|FALLBROOK":[33.38,-117.25],
+  "CA|FARMERSVILLE":[36.3,-119.21],
+  "CA|FELTON":[37.05,-122.07],
+  "CA|FERNDALE":[40.58,-124.26],
+  "CA|FETTERS HOT SPRINGS-AGUA CALIENTE":[38.32,-122.49],
+  "CA|FILLMORE":[34.4,-118.92],
+  "CA|FIREBAUGH":[36.86,-120.46],
+  "CA|FLORENCE-GRAHAM":[33.97,-118.24],
+  "CA|FLORIN":[38.5,-121.41],
+  "CA|FOLSOM":[38.68,-121.18],
+  "CA|FONTANA":[34.09,-117.44],
+  "CA|FOOTHILL FARMS":[38.68,-121.35],
+  "CA|FOOTHILL RANCH":[33.69,-117.66],
+  "CA|FORD CITY":[35.15,-119.46],
+  "CA|FOREST MEADOWS":[38.17,-120.41],
+  "CA|FOREST RANCH":[39.88,-121.67],
+  "CA|FORESTHILL":[39.02,-120.82],
+  "CA|FORESTVILLE":[38.47,-122.89],
+  "CA|FORT BRAGG":[39.45,-123.81],
+  "CA|FORT DICK":[41.87,-124.15],
+  "CA|FORT IRWIN":[35.26,-116.68],
+  "CA|FORT IRWIN/BARSTOW":[35.28,-116.63],
+  "CA|FORTUNA":[40.6,-124.16],
+  "CA|FOSTER CITY":[37.56,-122.27],
+  "CA|FOUNTAIN VALLEY":[33.71,-117.95],
+  "CA|FOWLER":[36.63,-119.68],
+  "CA|FRAZIER PARK":[34.82,-118.94],
+  "CA|FREEDOM":[36.94,-121.77],
+  "CA|FREMONT":[37.55,-121.99],
+  "CA|FRENCH CAMP":[37.88,-121.27],
+  "CA|FRESNO":[36.75,-119.77],
+  "CA|FRUITRIDGE POCKET":[38.53,-121.46],
+  "CA|FULLERTON":[33.87,-117.93],
+  "CA|GALT":[38.25,-121.3],
+  "CA|GARDEN ACRES":[37.96,-121.23],
+  "CA|GARDEN GROVE":[33.77,-117.94],
+  "CA|GARDENA":[33.89,-118.31],
+  "CA|GARNET":[33.93,-116.48],
+  "CA|GEORGETOWN":[38.91,-120.84],
+  "CA|GERBER":[40.06,-122.15],
+  "CA|GILROY":[37.01,-121.57],
+  "CA|GLEN AVON":[34.01,-117.48],
+  "CA|GLENDALE":[34.14,-118.26],
+  "CA|GLENDORA":[34.14,-117.87],
+  "CA|GOLD RIVER":[38.63,-121.25],
+  "CA|GOLDEN HILLS":[35.14,-118.49],
+  "CA|GOLETA":[34.44,-119.83],
+  "CA|GONZALES":[36.51,-121.44],
+  "CA|GOOD HOPE":[33.76,-117.27],
+  "CA|GOSHEN":[36.35,-119.42],
+  "CA|GRAND TERRACE":[34.03,-117.31],
+  "CA|GRANITE BAY":[38.76,-121.16],
+  "CA|GRANITE HILLS":[32.8,-116.9],
+  "CA|GRASS VALLEY":[39.22,-121.06],
+  "CA|GRATON":[38.44,-122.87],
+  "CA|GREEN ACRES":[33.74,-117.08],
+  "CA|GREEN VALLEY":[34.62,-118.41],
+  "CA|GREENACRES":[35.38,-119.11],
+  "CA|GREENFIELD":[35.27,-119],
+  "CA|GREENVILLE":[40.14,-120.95],
+  "CA|GRIDLEY":[39.36,-121.69],
+  "CA|GROVER BEACH":[35.12,-120.62],
+  "CA|GUADALUPE":[34.97,-120.57],
+  "CA|GUERNEVILLE":[38.5,-123],
+  "CA|GUSTINE":[37.26,-121],
+  "CA|HACIENDA HEIGHTS":[33.99,-117.97],
+  "CA|HALF MOON BAY":[37.46,-122.43],
+  "CA|HAMILTON CITY":[39.74,-122.01],
+  "CA|HANFORD":[36.33,-119.65],
+  "CA|HAPPY CAMP":[41.79,-123.38],
+  "CA|HARBISON CANYON":[32.82,-116.83],
+  "CA|HARTLEY":[38.42,-121.95],
+  "CA|HAWAIIAN GARDENS":[33.83,-118.07],
+  "CA|HAWTHORNE":[33.92,-118.35],
+  "CA|HAYFORK":[40.55,-123.18],
+  "CA|HAYWARD":[37.67,-122.08],
+  "CA|HEALDSBURG":[38.61,-122.87],
+  "CA|HEBER":[32.73,-115.53],
+  "CA|HEMET":[33.75,-116.97],
+  "CA|HERALD":[38.3,-121.24],
+  "CA|HERCULES":[38.02,-122.29],
+  "CA|HERMOSA BEACH":[33.86,-118.4],
+  "CA|HESPERIA":[34.43,-117.3],
+  "CA|HIDDEN HILLS":[34.16,-118.65],
+  "CA|HIDDEN MEADOWS":[33.23,-117.11],
+  "CA|HIDDEN VALLEY LAKE":[38.81,-122.56],
+  "CA|HIGHGROVE":[34.02,-117.33],
+  "CA|HIGHLAND":[34.13,-117.21],
+  "CA|HIGHLANDS-BAYWOOD PARK":[37.52,-122.35],
+  "CA|HILLSBOROUGH":[37.57,-122.38],
+  "CA|HILMAR-IRWIN":[37.4,-120.85],
+  "CA|HOLLISTER":[36.85,-121.4],
+  "CA|HOLLYWOOD":[34.1,-118.33],
+  "CA|HOLTVILLE":[32.81,-115.38],
+  "CA|HOME GARDEN":[36.3,-119.64],
+  "CA|HOME GARDENS":[33.88,-117.52],
+  "CA|HOMELAND":[33.74,-117.11],
+  "CA|HUGHSON":[37.6,-120.87],
+  "CA|HUMBOLDT HILL":[40.73,-124.19],
+  "CA|HUNTINGTON BEACH":[33.66,-118],
+  "CA|HUNTINGTON PARK":[33.98,-118.23],
+  "CA|HURON":[36.2,-120.1],
+  "CA|HYDESVILLE":[40.55,-124.1],
+  "CA|IDYLLWILD":[33.74,-116.72],
+  "CA|IDYLLWILD-PINE COVE":[33.74,-116.73],
+  "CA|IMPERIAL":[32.85,-115.57],
+  "CA|IMPERIAL BEACH":[32.58,-117.11],
+  "CA|INDIAN WELLS":[33.72,-116.34],
+  "CA|INDIO":[33.72,-116.22],
+  "CA|INGLEWOOD":[33.96,-118.35],
+  "CA|INTERLAKEN":[36.95,-121.73],
+  "CA|INVERNESS":[38.1,-122.86],
+  "CA|INYOKERN":[35.65,-117.81],
+  "CA|IONE":[38.35,-120.93],
+  "CA|IRVINE":[33.67,-117.82],
+  "CA|IRVINE HEALTH AND SCIENCE COMPLEX":[33.66,-117.77],
+  "CA|IRWINDALE":[34.11,-117.94],
+  "CA|ISLA VISTA":[34.41,-119.86],
+  "CA|IVANHOE":[36.39,-119.22],
+  "CA|JACKSON":[38.35,-120.77],
+  "CA|JAMESTOWN":[37.95,-120.42],
+  "CA|JAMUL":[32.72,-116.88],
+  "CA|JANESVILLE":[40.3,-120.52],
+  "CA|JOHNSTONVILLE":[40.38,-120.59],
+  "CA|JOSHUA TREE":[34.13,-116.31],
+  "CA|JULIAN":[33.08,-116.6],
+  "CA|JURUPA VALLEY":[33.99,-117.52],
+  "CA|KELSEYVILLE":[38.98,-122.84],
+  "CA|KENNEDY":[37.93,-121.25],
+  "CA|KENSINGTON":[37.91,-122.28],
+  "CA|KENTFIELD":[37.95,-122.56],
+  "CA|KENWOOD":[38.41,-122.55],
+  "CA|KERMAN":[36.72,-120.06],
+  "CA|KERNVILLE":[35.75,-118.43],
+  "CA|KETTLEMAN CITY":[36.01,-119.96],
+  "CA|KEYES":[37.56,-120.92],
+  "CA|KING CITY":[36.21,-121.13],
+  "CA|KINGS BEACH":[39.24,-120.03],
+  "CA|KINGSBURG":[36.51,-119.55],
+  "CA|KNIGHTSEN":[37.97,-121.67],
+  "CA|KOREATOWN":[34.06,-118.3],
+  "CA|LA CAÑADA FLINTRIDGE":[34.2,-118.19],
+  "CA|LA CRESCENTA-MONTROSE":[34.23,-118.24],
+  "CA|LA HABRA":[33.93,-117.95],
+  "CA|LA HABRA HEIGHTS":[33.96,-117.95],
+  "CA|LA JOLLA":[32.85,-117.27],
+  "CA|LA MESA":[32.77,-117.02],
+  "CA|LA MIRADA":[33.92,-118.01],
+  "CA|LA PALMA":[33.85,-118.05],
+  "CA|LA PRESA":[32.71,-117],
+  "CA|LA PUENTE":[34.02,-117.95],
+  "CA|LA QUINTA":[33.66,-116.31],
+  "CA|LA RIVIERA":[38.57,-121.36],
+  "CA|LA SELVA BEACH":[36.94,-121.86],
+  "CA|LA VERNE":[34.1,-117.77],
+  "CA|LADERA":[37.4,-122.2],
+  "CA|LADERA HEIGHTS":[33.99,-118.38],
+  "CA|LADERA RANCH":[33.57,-117.64],
+  "CA|LAFAYETTE":[37.89,-122.12],
+  "CA|LAGUNA":[38.42,-121.42],
+  "CA|LAGUNA BEACH":[33.54,-117.78],
+  "CA|LAGUNA HILLS":[33.61,-117.71],
+  "CA|LAGUNA NIGUEL":[33.52,-117.71],
+  "CA|LAGUNA WOODS":[33.61,-117.73],
+  "CA|LAGUNITAS-FOREST KNOLLS":[38.02,-122.69],
+  "CA|LAKE ARROWHEAD":[34.25,-117.19],
+  "CA|LAKE ELSINORE":[33.67,-117.33],
+  "CA|LAKE FOREST":[33.65,-117.69],
+  "CA|LAKE ISABELLA":[35.62,-118.47],
+  "CA|LAKE LOS ANGELES":[34.61,-117.83],
+  "CA|LAKE NACIMIENTO":[35.73,-120.88],
+  "CA|LAKE OF THE PINES":[39.04,-121.06],
+  "CA|LAKE SAN MARCOS":[33.13,-117.21],
+  "CA|LAKE WILDWOOD":[39.23,-121.2],
+  "CA|LAKELAND VILLAGE":[33.64,-117.34],
+  "CA|LAKEPORT":[39.04,-122.92],
+  "CA|LAKESIDE":[32.86,-116.92],
+  "CA|LAKEVIEW":[33.84,-117.12],
+  "CA|LAKEWOOD":[33.85,-118.13],
+  "CA|LAMONT":[35.26,-118.91],
+  "CA|LANCASTER":[34.7,-118.14],
+  "CA|LARCHMONT":[34.08,-118.32],
+  "CA|LARKFIELD-WIKIUP":[38.51,-122.75],
+  "CA|LARKSPUR":[37.93,-122.54],
+  "CA|LAS FLORES":[34.04,-118.64],
+  "CA|LAS LOMAS":[36.87,-121.73],
+  "CA|LATHROP":[37.82,-121.28],
+  "CA|LATON":[36.43,-119.69],
+  "CA|LAWNDALE":[33.89,-118.35],
+  "CA|LAYTONVILLE":[39.69,-123.48],
+  "CA|LE GRAND":[37.23,-120.25],
+  "CA|LEBEC":[34.84,-118.86],
+  "CA|LEMON GROVE":[32.74,-117.03],
+  "CA|LEMOORE":[36.3,-119.78],
+  "CA|LEMOORE STATION":[36.26,-119.9],
+  "CA|LENNOX":[33.94,-118.35],
+  "CA|LENWOOD":[34.88,-117.1],
+  "CA|LEONA VALLEY":[34.62,-118.29],
+  "CA|LEWISTON":[40.71,-122.81],
+  "CA|LEXINGTON HILLS":[37.16,-121.97],
+  "CA|LINCOLN":[38.89,-121.29],
+  "CA|LINCOLN VILLAGE":[38.01,-121.33],
+  "CA|LINDA":[39.13,-121.55],
+  "CA|LINDEN":[38.02,-121.08],
+  "CA|LINDSAY":[36.2,-119.09],
+  "CA|LITTLEROCK":[34.52,-117.98],
+  "CA|LIVE OAK":[36.98,-121.98],
+  "CA|LIVERMORE":[37.68,-121.77],
+  "CA|LIVINGSTON":[37.39,-120.72],
+  "CA|LOCKEFORD":[38.16,-121.15],
+  "CA|LODI":[38.13,-121.27],
+  "CA|LOMA LINDA":[34.05,-117.26],
+  "CA|LOMA RICA":[39.31,-121.42],
+  "CA|LOMITA":[33.79,-118.32],
+  "CA|LOMPICO":[37.11,-122.05],
+  "CA|LOMPOC":[34.64,-120.46],
+  "CA|LONDON":[36.48,-119.44],
+  "CA|LONE PINE":[36.61,-118.06],
+  "CA|LONG BEACH":[33.77,-118.19],
+  "CA|LONGWOOD - WINTON GROVE":[37.66,-122.11],
+  "CA|LOOMIS":[38.82,-121.19],
+  "CA|LOS ALAMITOS":[33.8,-118.07],
+  "CA|LOS ALAMOS":[34.74,-120.28],
+  "CA|LOS ALTOS":[37.39,-122.11],
+  "CA|LOS ALTOS HILLS":[37.38,-122.14],
+  "CA|LOS ANGELES":[34.05,-118.24],
+  "CA|LOS BANOS":[37.06,-120.85],
+  "CA|LOS GATOS":[37.23,-121.97],
+  "CA|LOS MOLINOS":[40.02,-122.1],
+  "CA|LOS OLIVOS":[34.67,-120.11],
+  "CA|LOS OSOS":[35.31,-120.83],
+  "CA|LOS SERRANOS":[33.97,-117.71],
+  "CA|LOST HILLS":[35.62,-119.69],
+  "CA|LOWER LAKE":[38.91,-122.61],
+  "CA|LOYOLA":[37.35,-122.1],
+  "CA|LUCAS VALLEY-MARINWOOD":[38.04,-122.58],
+  "CA|LUCERNE":[36.38,-119.66],
+  "CA|LUCERNE VALLEY":[34.44,-116.97],
+  "CA|LYNWOOD":[33.93,-118.21],
+  "CA|MADERA":[36.96,-120.06],
+  "CA|MADERA ACRES":[37.02,-120.07],
+  "CA|MAGALIA":[39.81,-121.58],
+  "CA|MALIBU":[34.03,-118.78],
+  "CA|MAMMOTH LAKES":[37.65,-118.97],
+  "CA|MANHATTAN BEACH":[33.88,-118.41],
+  "CA|MANTECA":[37.8,-121.22],
+  "CA|MARCH AIR FORCE BASE":[33.89,-117.26],
+  "CA|MARICOPA":[35.06,-119.4],
+  "CA|MARIN CITY":[37.87,-122.51],
+  "CA|MARINA":[36.68,-121.8],
+  "CA|MARINA DEL REY":[33.98,-118.45],
+  "CA|MARIPOSA":[37.48,-119.97],
+  "CA|MARTINEZ":[38.02,-122.13],
+  "CA|MARYSVILLE":[39.15,-121.59],
+  "CA|MATHENY":[36.17,-119.35],
+  "CA|MAXWELL":[39.28,-122.19],
+  "CA|MAYFLOWER VILLAGE":[34.12,-118.01],
+  "CA|MAYWOOD":[33.99,-118.19],
+  "CA|MCCLOUD":[41.26,-122.14],
+  "CA|MCFARLAND":[35.68,-119.23],
+  "CA|MCKINLEYVILLE":[40.95,-124.1],
+  "CA|MEAD VALLEY":[33.83,-117.3],
+  "CA|MEADOW VISTA":[39,-121.02],
+  "CA|MEADOWBROOK":[33.73,-117.29],
+  "CA|MECCA":[33.57,-116.08],
+  "CA|MEINERS OAKS":[34.45,-119.28],
+  "CA|MENDOTA":[36.75,-120.38],
+  "CA|MENIFEE":[33.73,-117.15],
+  "CA|MENLO PARK":[37.45,-122.18],
+  "CA|MENTONE":[34.07,-117.13],
+  "CA|MERCED":[37.3,-120.48],
+  "CA|MESA VERDE":[33.61,-114.73],
+  "CA|MID-CITY":[34.04,-118.36],
+  "CA|MIDDLETOWN":[38.75,-122.61],
+  "CA|MIDPINES":[37.54,-119.92],
+  "CA|MIDWAY CITY":[33.74,-117.99],
+  "CA|MILL VALLEY":[37.91,-122.54],
+  "CA|MILLBRAE":[37.6,-122.39],
+  "CA|MILPITAS":[37.43,-121.91],
+  "CA|MINKLER":[36.72,-119.46],
+  "CA|MIRA MESA":[32.92,-117.14],
+  "CA|MIRA MONTE":[34.43,-119.29],
+  "CA|MISSION CANYON":[34.45,-119.71],
+  "CA|MISSION DISTRICT":[37.76,-122.42],
+  "CA|MISSION HILLS":[34.69,-120.44],
+  "CA|MISSION VIEJO":[33.6,-117.67],
+  "CA|MODESTO":[37.64,-121],
+  "CA|MOJAVE":[35.05,-118.17],
+  "CA|MONO VISTA":[38,-120.27],
+  "CA|MONROVIA":[34.15,-118],
+  "CA|MONTAGUE":[41.73,-122.53],
+  "CA|MONTALVIN":[38,-122.33],
+  "CA|MONTARA":[37.54,-122.52],
+  "CA|MONTCLAIR":[34.08,-117.69],
+  "CA|MONTE RIO":[38.47,-123.01],
+  "CA|MONTE SERENO":[37.24,-121.99],
+  "CA|MONTEBELLO":[34.01,-118.11],
+  "CA|MONTECITO":[34.44,-119.63],
+  "CA|MONTEREY":[36.6,-121.89],
+  "CA|MONTEREY PARK":[34.06,-118.12],
+  "CA|MONUMENT HILLS":[38.66,-121.88],
+  "CA|MOORPARK":[34.29,-118.88],
+  "CA|MORADA":[38.04,-121.25],
+  "CA|MORAGA":[37.83,-122.13],
+  "CA|MORENO VALLEY":[33.94,-117.23],
+  "CA|MORGAN HILL":[37.13,-121.65],
+  "CA|MORONGO VALLEY":[34.05,-116.58],
+  "CA|MORRO BAY":[35.37,-120.85],
+  "CA|MOSS BEACH":[37.53,-122.51],
+  "CA|MOUNT HERMON":[37.05,-122.06],
+  "CA|MOUNT SHASTA":[41.31,-122.31],
+  "CA|MOUNTAIN HOUSE":[37.78,-121.54],
+  "CA|MOUNTAIN RANCH":[38.23,-120.54],
+  "CA|MOUNTAIN VIEW":[38.01,-122.12],
+  "CA|MOUNTAIN VIEW ACRES":[34.5,-117.35],
+  "CA|MURPHYS":[38.14,-120.46],
+  "CA|MURRIETA":[33.55,-117.21],
+  "CA|MURRIETA HOT SPRINGS":[33.56,-117.16],
+  "CA|MUSCOY":[34.15,-117.34],
+  "CA|MYRTLETOWN":[40.79,-124.13],
+  "CA|NAPA":[38.3,-122.29],
+  "CA|NATIONAL CITY":[32.68,-117.1],
+  "CA|NEEDLES":[34.85,-114.61],
+  "CA|NEVADA CITY":[39.26,-121.02],
+  "CA|NEWARK":[37.53,-122.04],
+  "CA|NEWCASTLE":[38.87,-121.13],
+  "CA|NEWMAN":[37.31,-121.02],
+  "CA|NEWPORT BEACH":[33.62,-117.93],
+  "CA|NICE":[39.12,-122.85],
+  "CA|NILAND":[33.24,-115.52],
+  "CA|NIPOMO":[35.04,-120.48],
+  "CA|NOE VALLEY":[37.75,-122.43],
+  "CA|NORCO":[33.93,-117.55],
+  "CA|NORTH AUBURN":[38.93,-121.08],
+  "CA|NORTH EDWARDS":[35.02,-117.83],
+  "CA|NORTH EL MONTE":[34.1,-118.02],
+  "CA|NORTH FAIR OAKS":[37.47,-122.2],
+  "CA|NORTH HIGHLANDS":[38.69,-121.37],
+  "CA|NORTH HILLS":[34.24,-118.48],
+  "CA|NORTH HOLLYWOOD":[34.17,-118.38],
+  "CA|NORTH LAKEPORT":[39.09,-122.91],
+  "CA|NORTH RICHMOND":[37.96,-122.37],
+  "CA|NORTH TUSTIN":[33.76,-117.79],
+  "CA|NORTHRIDGE":[34.23,-118.54],
+  "CA|NORTHWOOD":[33.71,-117.76],
+  "CA|NORWALK":[33.9,-118.08],
+  "CA|NOVATO":[38.11,-122.57],
+  "CA|NUEVO":[33.8,-117.15],
+  "CA|OAK CREEK":[33.67,-117.77],
+  "CA|OAK HILLS":[34.38,-117.38],
+  "CA|OAK PARK":[34.18,-118.76],
+  "CA|OAK VIEW":[34.4,-119.3],
+  "CA|OAKDALE":[37.77,-120.85],
+  "CA|OAKHURST":[37.33,-119.65],
+  "CA|OAKLAND":[37.8,-122.27],
+  "CA|OAKLEY":[38,-121.71],
+  "CA|OASIS":[33.47,-116.1],
+  "CA|OCCIDENTAL":[38.41,-122.95],
+  "CA|OCEANO":[35.1,-120.61],
+  "CA|OCEANSIDE":[33.2,-117.38],
+  "CA|OILDALE":[35.42,-119.02],
+  "CA|OJAI":[34.45,-119.24],
+  "CA|OLD FIG GARDEN":[36.8,-119.81],
+  "CA|OLIVEHURST":[39.1,-121.55],
+  "CA|ONTARIO":[34.06,-117.65],
+  "CA|ORANGE":[33.79,-117.85],
+  "CA|ORANGE COVE":[36.62,-119.31],
+  "CA|ORANGEVALE":[38.68,-121.23],
+  "CA|ORCUTT":[34.87,-120.44],
+  "CA|ORINDA":[37.88,-122.18],
+  "CA|ORLAND":[39.75,-122.2],
+  "CA|OROSI":[36.54,-119.29],
+  "CA|OROVILLE":[39.51,-121.56],
+  "CA|OROVILLE EAST":[39.51,-121.48],
+  "CA|OXNARD":[34.2,-119.18],
+  "CA|PACHECO":[37.98,-122.08],
+  "CA|PACIFIC GROVE":[36.62,-121.92],
+  "CA|PACIFIC PALISADES":[34.05,-118.53],
+  "CA|PACIFICA":[37.61,-122.49],
+  "CA|PAJARO":[36.9,-121.75],
+  "CA|PALERMO":[39.44,-121.54],
+  "CA|PALM DESERT":[33.72,-116.38],
+  "CA|PALM SPRINGS":[33.83,-116.55],
+  "CA|PALMDALE":[34.58,-118.12],
+  "CA|PALO ALTO":[37.44,-122.14],
+  "CA|PALO CEDRO":[40.56,-122.24],
+  "CA|PALOS VERDES ESTATES":[33.8,-118.39],
+  "CA|PARADISE":[39.76,-121.62],
+  "CA|PARAMOUNT":[33.89,-118.16],
+  "CA|PARKSDALE":[36.95,-120.02],
+  "CA|PARKSIDE":[37.74,-122.49],
+  "CA|PARKWAY":[38.5,-121.46],
+  "CA|PARKWOOD":[36.93,-120.04],
+  "CA|PARLIER":[36.61,-119.53],
+  "CA|PASADENA":[34.15,-118.14],
+  "CA|PASATIEMPO":[37,-122.03],
+  "CA|PASO ROBLES":[35.63,-120.69],
+  "CA|PATTERSON":[37.47,-121.13],
+  "CA|PATTERSON TRACT":[36.38,-119.3],
+  "CA|PEDLEY":[33.98,-117.48],
+  "CA|PENN VALLEY":[39.2,-121.19],
+  "CA|PENNGROVE":[38.3,-122.67],
+  "CA|PERRIS":[33.78,-117.23],
+  "CA|PETALUMA":[38.23,-122.64],
+  "CA|PHELAN":[34.43,-117.57],
+  "CA|PHOENIX LAKE":[38.01,-120.31],
+  "CA|PICO RIVERA":[33.98,-118.1],
+  "CA|PIEDMONT":[37.82,-122.23],
+  "CA|PINE GROVE":[38.41,-120.66],
+  "CA|PINE HILLS":[40.73,-124.15],
+  "CA|PINE MOUNTAIN CLUB":[34.85,-119.15],
+  "CA|PINE VALLEY":[32.82,-116.53],
+  "CA|PINOLE":[38,-122.3],
+  "CA|PIONEER":[38.43,-120.57],
+  "CA|PIRU":[34.42,-118.79],
+  "CA|PISMO BEACH":[35.14,-120.64],
+  "CA|PITTSBURG":[38.03,-121.88],
+  "CA|PIXLEY":[35.97,-119.29],
+  "CA|PIÑON HILLS":[34.43,-117.65],
+  "CA|PLACENTIA":[33.87,-117.87],
+  "CA|PLACERVILLE":[38.73,-120.8],
+  "CA|PLANADA":[37.29,-120.32],
+  "CA|PLEASANT HILL":[37.95,-122.06],
+  "CA|PLEASANTON":[37.66,-121.87],
+  "CA|PLUMAS LAKE":[39.02,-121.56],
+  "CA|POINT MUGU":[34.12,-119.12],
+  "CA|POLLOCK PINES":[38.76,-120.59],
+  "CA|POMONA":[34.06,-117.75],
+  "CA|POPLAR-COTTON CENTER":[36.06,-119.15],
+  "CA|PORT HUENEME":[34.15,-119.2],
+  "CA|PORTERVILLE":[36.07,-119.02],
+  "CA|PORTOLA":[39.81,-120.47],
+  "CA|PORTOLA HILLS":[33.68,-117.63],
+  "CA|PORTOLA VALLEY":[37.38,-122.24],
+  "CA|POWAY":[32.96,-117.04],
+  "CA|PRUNEDALE":[36.78,-121.67],
+  "CA|QUAIL HILL":[33.65,-117.78],
+  "CA|QUAIL VALLEY":[33.71,-117.25],
+  "CA|QUARTZ HILL":[34.65,-118.22],
+  "CA|QUINCY":[39.94,-120.95],
+  "CA|RAINBOW":[33.41,-117.15],
+  "CA|RAMONA":[33.04,-116.87],
+  "CA|RANCHO CALAVERAS":[38.13,-120.86],
+  "CA|RANCHO CORDOVA":[38.59,-121.3],
+  "CA|RANCHO CUCAMONGA":[34.11,-117.59],
+  "CA|RANCHO MIRAGE":[33.74,-116.41],
+  "CA|RANCHO MURIETA":[38.5,-121.09],
+  "CA|RANCHO PALOS VERDES":[33.74,-118.39],
+  "CA|RANCHO PENASQUITOS":[32.96,-117.12],
+  "CA|RANCHO SAN DIEGO":[32.75,-116.94],
+  "CA|RANCHO SANTA FE":[33.02,-117.2],
+  "CA|RANCHO SANTA MARGARITA":[33.64,-117.6],
+  "CA|RANCHO TEHAMA RESERVE":[40.02,-122.4],
+  "CA|RED BLUFF":[40.18,-122.24],
+  "CA|RED CORRAL":[38.41,-120.61],
+  "CA|REDDING":[40.59,-122.39],
+  "CA|REDLANDS":[34.06,-117.18],
+  "CA|REDONDO BEACH":[33.85,-118.39],
+  "CA|REDWAY":[40.12,-123.82],
+  "CA|REDWOOD CITY":[37.49,-122.24],
+  "CA|REDWOOD SHORES":[37.53,-122.25],
+  "CA|REDWOOD VALLEY":[39.27,-123.2],
+  "CA|REEDLEY":[36.6,-119.45],
+  "CA|RESEDA":[34.2,-118.54],
+  "CA|RIALTO":[34.11,-117.37],
+  "CA|RICHGROVE":[35.8,-119.11],
+  "CA|RICHMOND":[37.94,-122.35],
+  "CA|RIDGECREST":[35.62,-117.67],
+  "CA|RIDGEMARK":[36.81,-121.37],
+  "CA|RIO DEL MAR":[36.97,-121.9],
+  "CA|RIO DELL":[40.5,-124.11],
+  "CA|RIO LINDA":[38.69,-121.45],
+  "CA|RIO VISTA":[38.16,-121.7],
+  "CA|RIPON":[37.74,-121.12],
+  "CA|RIVERBANK":[37.74,-120.94],
+  "CA|RIVERDALE":[36.43,-119.86],
+  "CA|RIVERDALE PARK":[37.61,-121.05],
+  "CA|RIVERSIDE":[33.95,-117.4],
+  "CA|ROCKLIN":[38.79,-121.24],
+  "CA|RODEO":[38.03,-122.27],
+  "CA|ROHNERT PARK":[38.34,-122.7],
+  "CA|ROLLING HILLS":[33.76,-118.36],
+  "CA|ROLLING HILLS ESTATES":[33.79,-118.36],
+  "CA|ROLLINGWOOD":[37.97,-122.33],
+  "CA|ROMOLAND":[33.75,-117.18],
+  "CA|ROSAMOND":[34.86,-118.16],
+  "CA|ROSEDALE":[35.38,-119.15],
+  "CA|ROSELAND":[38.42,-122.73],
+  "CA|ROSEMEAD":[34.08,-118.07],
+  "CA|ROSEMONT":[38.55,-121.36],
+  "CA|ROSEVILLE":[38.75,-121.29],
+  "CA|ROSS":[37.96,-122.55],
+  "CA|ROSSMOOR":[33.79,-118.09],
+  "CA|ROWLAND HEIGHTS":[33.98,-117.91],
+  "CA|RUBIDOUX":[34,-117.41],
+  "CA|RUNNING SPRINGS":[34.21,-117.11],
+  "CA|SACRAMENTO":[38.58,-121.49],
+  "CA|SAINT HELENA":[38.51,-122.47],
+  "CA|SALIDA":[37.71,-121.08],
+  "CA|SALINAS":[36.68,-121.66],
+  "CA|SALTON CITY":[33.3,-115.96],
+  "CA|SAN ANDREAS":[38.2,-120.68],
+  "CA|SAN ANSELMO":[37.97,-122.56],
+  "CA|SAN ANTONIO HEIGHTS":[34.16,-117.66],
+  "CA|SAN BERNARDINO":[34.11,-117.29],
+  "CA|SAN BRUNO":[37.63,-122.41],
+  "CA|SAN CARLOS":[37.51,-122.26],
+  "CA|SAN CLEMENTE":[33.43,-117.61],
+  "CA|SAN DIEGO":[32.72,-117.16],
+  "CA|SAN DIEGO COUNTRY ESTATES":[33.01,-116.78],
+  "CA|SAN DIMAS":[34.11,-117.81],
+  "CA|SAN FERNANDO":[34.28,-118.44],
+  "CA|SAN FRANCISCO":[37.77,-122.42],
+  "CA|SAN GABRIEL":[34.1,-118.11],
+  "CA|SAN JACINTO":[33.78,-116.96],
+  "CA|SAN JOAQUIN":[36.61,-120.19],
+  "CA|SAN JOAQUIN HILLS":[33.61,-117.84],
+  "CA|SAN JOSE":[37.34,-121.89],
+  "CA|SAN JUAN BAUTISTA":[36.85,-121.54],
+  "CA|SAN JUAN CAPISTRANO":[33.5,-117.66],
+  "CA|SAN LEANDRO":[37.72,-122.16],
+  "CA|SAN LORENZO":[37.67,-122.13],
+  "CA|SAN LUIS OBISPO":[35.28,-120.66],
+  "CA|SAN MARCOS":[33.14,-117.17],
+  "CA|SAN MARINO":[34.12,-118.11],
+  "CA|SAN MARTIN":[37.08,-121.61],
+  "CA|SAN MATEO":[37.56,-122.33],
+  "CA|SAN MIGUEL":[35.75,-120.7],
+  "CA|SAN PABLO":[37.96,-122.35],
+  "CA|SAN PASQUAL":[33.09,-116.95],
+  "CA|SAN PEDRO":[33.74,-118.29],
+  "CA|SAN RAFAEL":[37.97,-122.53],
+  "CA|SAN RAMON":[37.78,-121.98],
+  "CA|SANGER":[36.71,-119.56],
+  "CA|SANTA ANA":[33.75,-117.87],
+  "CA|SANTA BARBARA":[34.42,-119.7],
+  "CA|SANTA CLARA":[37.35,-121.96],
+  "CA|SANTA CLARITA":[34.39,-118.54],
+  "CA|SANTA CRUZ":[36.97,-122.03],
+  "CA|SANTA FE SPRINGS":[33.95,-118.09],
+  "CA|SANTA MARGARITA":[35.39,-120.61],
+  "CA|SANTA MARIA":[34.95,-120.44],
+  "CA|SANTA MONICA":[34.02,-118.49],
+  "CA|SANTA PAULA":[34.35,-119.06],
+  "CA|SANTA ROSA":[38.44,-122.71],
+  "CA|SANTA SUSANA":[34.26,-118.67],
+  "CA|SANTA VENETIA":[38,-122.53],
+  "CA|SANTA YNEZ":[34.61,-120.08],
+  "CA|SANTEE":[32.84,-116.97],
+  "CA|SARANAP":[37.88,-122.08],
+  "CA|SARATOGA":[37.26,-122.02],
+  "CA|SATICOY":[34.28,-119.15],
+  "CA|SAUSALITO":[37.86,-122.49],
+  "CA|SAWTELLE":[34.04,-118.45],
+  "CA|SCOTTS VALLEY":[37.05,-122.01],
+  "CA|SEA RANCH":[38.72,-123.45],
+  "CA|SEACLIFF":[36.97,-121.92],
+  "CA|SEAL BEACH":[33.74,-118.1],
+  "CA|SEARLES VALLEY":[35.77,-117.4],
+  "CA|SEASIDE":[36.61,-121.85],
+  "CA|SEBASTOPOL":[38.4,-122.82],
+  "CA|SEDCO HILLS":[33.64,-117.29],
+  "CA|SEELEY":[32.79,-115.69],
+  "CA|SELMA":[36.57,-119.61],
+  "CA|SEVEN TREES":[37.29,-121.84],
+  "CA|SHACKELFORD":[37.61,-120.99],
+  "CA|SHADOW HILLS":[34.26,-118.35],
+  "CA|SHAFTER":[35.5,-119.27],
+  "CA|SHANDON":[35.66,-120.38],
+  "CA|SHASTA":[40.6,-122.49],
+  "CA|SHASTA LAKE":[40.68,-122.37],
+  "CA|SHERIDAN":[38.98,-121.38],
+  "CA|SHERMAN OAKS":[34.15,-118.45],
+  "CA|SHINGLE SPRINGS":[38.67,-120.93],
+  "CA|SHINGLETOWN":[40.49,-121.89],
+  "CA|SIERRA MADRE":[34.16,-118.05],
+  "CA|SIGNAL HILL":[33.8,-118.17],
+  "CA|SILVER LAKE":[34.09,-118.27],
+  "CA|SILVER LAKES":[34.75,-117.34],
+  "CA|SIMI VALLEY":[34.27,-118.78],
+  "CA|SKY VALLEY":[33.89,-116.35],
+  "CA|SLEEPY HOLLOW":[38.01,-122.58],
+  "CA|SODA BAY":[39,-122.79],
+  "CA|SOLANA BEACH":[32.99,-117.27],
+  "CA|SOLEDAD":[36.42,-121.33],
+  "CA|SOLVANG":[34.6,-120.14],
+  "CA|SOMERSET":[38.65,-120.69],
+  "CA|SONOMA":[38.29,-122.46],
+  "CA|SONORA":[37.98,-120.38],
+  "CA|SOQUEL":[36.99,-121.96],
+  "CA|SORRENTO VALLEY":[32.9,-117.19],
+  "CA|SOULSBYVILLE":[37.98,-120.26],
+  "CA|SOUTH DOS PALOS":[36.96,-120.65],
+  "CA|SOUTH EL MONTE":[34.05,-118.05],
+  "CA|SOUTH GATE":[33.95,-118.21],
+  "CA|SOUTH LAKE TAHOE":[38.93,-119.98],
+  "CA|SOUTH OROVILLE":[39.48,-121.54],
+  "CA|SOUTH PASADENA":[34.12,-118.15],
+  "CA|SOUTH SAN FRANCISCO":[37.65,-122.41],
+  "CA|SOUTH SAN GABRIEL":[34.05,-118.09],
+  "CA|SOUTH SAN JOSE HILLS":[34.01,-117.9],
+  "CA|SOUTH TAFT":[35.13,-119.46],
+  "CA|SOUTH WHITTIER":[33.95,-118.04],
+  "CA|SOUTH YUBA CITY":[39.12,-121.64],
+  "CA|SPRING VALLEY":[32.74,-117],
+  "CA|SPRING VALLEY LAKE":[34.49,-117.27],
+  "CA|STALLION SPRINGS":[35.09,-118.64],
+  "CA|STANFORD":[37.42,-122.17],
+  "CA|STANTON":[33.8,-117.99],
+  "CA|STEVENSON RANCH":[34.39,-118.57],
+  "CA|STOCKTON":[37.96,-121.29],
+  "CA|STONEGATE":[33.71,-117.74],
+  "CA|STRATFORD":[36.19,-119.82],
+  "CA|STRATHMORE":[36.15,-119.06],
+  "CA|STRAWBERRY":[37.9,-122.51],
+  "CA|STUDIO CITY":[34.15,-118.4],
+  "CA|SUISUN":[38.24,-122.04],
+  "CA|SUMMERLAND":[34.42,-119.6],
+  "CA|SUN CITY":[33.71,-117.2],
+  "CA|SUN VILLAGE":[34.56,-117.96],
+  "CA|SUNLAND":[34.27,-118.3],
+  "CA|SUNNYSIDE":[36.73,-119.69],
+  "CA|SUNNYSIDE-TAHOE CITY":[39.15,-120.16],
+  "CA|SUNNYSLOPE":[34.01,-117.43],
+  "CA|SUNNYVALE":[37.37,-122.04],
+  "CA|SUSANVILLE":[40.42,-120.65],
+  "CA|SUTTER":[39.16,-121.75],
+  "CA|SUTTER CREEK":[38.39,-120.8],
+  "CA|SYLMAR":[34.31,-118.45],
+  "CA|TAFT":[35.14,-119.46],
+  "CA|TAFT HEIGHTS":[35.13,-119.47],
+  "CA|TAFT MOSSWOOD":[37.91,-121.28],
+  "CA|TAHOE VISTA":[39.24,-120.05],
+  "CA|TAHOMA":[39.07,-120.13],
+  "CA|TALMAGE":[39.13,-123.17],
+  "CA|TAMALPAIS VALLEY":[37.88,-122.55],
+  "CA|TAMALPAIS-HOMESTEAD VALLEY":[37.88,-122.54],
+  "CA|TARA HILLS":[37.99,-122.32],
+  "CA|TARPEY VILLAGE":[36.79,-119.7],
+  "CA|TEHACHAPI":[35.13,-118.45],
+  "CA|TEMECULA":[33.49,-117.15],
+  "CA|TEMELEC":[38.27,-122.49],
+  "CA|TEMPLE CITY":[34.11,-118.06],
+  "CA|TEMPLETON":[35.55,-120.71],
+  "CA|TERRA BELLA":[35.96,-119.04],
+  "CA|TEVISTON":[35.93,-119.28],
+  "CA|THERMAL":[33.64,-116.14],
+  "CA|THERMALITO":[39.51,-121.59],
+  "CA|THORNTON":[38.23,-121.42],
+  "CA|THOUSAND OAKS":[34.17,-118.84],
+  "CA|THOUSAND PALMS":[33.82,-116.39],
+  "CA|THREE RIVERS":[36.44,-118.9],
+  "CA|TIBURON":[37.87,-122.46],
+  "CA|TIERRA BUENA":[39.15,-121.67],
+  "CA|TIPTON":[36.06,-119.31],
+  "CA|TOPANGA":[34.09,-118.6],
+  "CA|TORO CANYON":[34.42,-119.57],
+  "CA|TORRANCE":[33.84,-118.34],
+  "CA|TRABUCO CANYON":[33.66,-117.59],
+  "CA|TRACY":[37.74,-121.43],
+  "CA|TRUCKEE":[39.33,-120.18],
+  "CA|TUJUNGA":[34.25,-118.29],
+  "CA|TULARE":[36.21,-119.35],
+  "CA|TUOLUMNE CITY":[37.96,-120.24],
+  "CA|TURLOCK":[37.49,-120.85],
+  "CA|TURTLE ROCK":[33.64,-117.81],
+  "CA|TUSTIN":[33.75,-117.83],
+  "CA|TUSTIN LEGACY":[33.7,-117.83],
+  "CA|TWAIN HARTE":[38.04,-120.23],
+  "CA|TWENTYNINE PALMS":[34.14,-116.05],
+  "CA|TWIN LAKES":[36.97,-122],
+  "CA|UC IRVINE":[33.64,-117.84],
+  "CA|UKIAH":[39.15,-123.21],
+  "CA|UNION CITY":[37.6,-122.02],
+  "CA|UNIVERSAL CITY":[34.14,-118.35],
+  "CA|UNIVERSITY PARK":[33.66,-117.81],
+  "CA|UNIVERSITY TOWN CENTER":[33.65,-117.83],
+  "CA|UPLAND":[34.1,-117.65],
+  "CA|UPPER LAKE":[39.16,-122.91],
+  "CA|VACAVILLE":[38.36,-121.99],
+  "CA|VAL VERDE":[34.45,-118.66],
+  "CA|VALENCIA":[34.44,-118.61],
+  "CA|VALINDA":[34.05,-117.94],
+  "CA|VALLE VISTA":[33.75,-116.89],
+  "CA|VALLEJO":[38.1,-122.26],
+  "CA|VALLEY CENTER":[33.22,-117.03],
+  "CA|VALLEY GLEN":[34.19,-118.42],
+  "CA|VALLEY SPRINGS":[38.19,-120.83],
+  "CA|VAN NUYS":[34.19,-118.45],
+  "CA|VANDENBERG SPACE FORCE BASE":[34.75,-120.52],
+  "CA|VANDENBERG VILLAGE":[34.71,-120.47],
+  "CA|VENICE":[33.99,-118.46],
+  "CA|VENTURA":[34.28,-119.29],
+  "CA|VERMONT SQUARE":[34,-118.3],
+  "CA|VICTORVILLE":[34.54,-117.29],
+  "CA|VIEW PARK-WINDSOR HILLS":[34,-118.35],
+  "CA|VILLA PARK":[33.81,-117.81],
+  "CA|VINCENT":[34.5,-118.12],
+  "CA|VINE HILL":[38.01,-122.1],
+  "CA|VINEYARD":[38.46,-121.35],
+  "CA|VISALIA":[36.33,-119.29],
+  "CA|VISITACION VALLEY":[37.72,-122.4],
+  "CA|VISTA":[33.2,-117.24],
+  "CA|VISTA SANTA ROSA":[33.63,-116.22],
+  "CA|WALDON":[37.93,-122.06],
+  "CA|WALNUT":[34.02,-117.87],
+  "CA|WALNUT CREEK":[37.91,-122.06],
+  "CA|WALNUT GROVE":[38.24,-121.51],
+  "CA|WALNUT PARK":[33.97,-118.23],
+  "CA|WALNUT VILLAGE":[33.71,-117.8],
+  "CA|WASCO":[35.59,-119.34],
+  "CA|WATERFORD":[37.64,-120.76],
+  "CA|WATSONVILLE":[36.91,-121.76],
+  "CA|WEAVERVILLE":[40.73,-122.94],
+  "CA|WEED":[41.42,-122.39],
+  "CA|WEEDPATCH":[35.24,-118.92],
+  "CA|WELDON":[35.67,-118.29],
+  "CA|WEST ATHENS":[33.92,-118.3],
+  "CA|WEST BISHOP":[37.36,-118.46],
+  "CA|WEST CARSON":[33.82,-118.29],
+  "CA|WEST COVINA":[34.07,-117.94],
+  "CA|WEST HILLS":[34.2,-118.64],
+  "CA|WEST HOLLYWOOD":[34.09,-118.36],
+  "CA|WEST MENLO PARK":[37.43,-122.2],
+  "CA|WEST MODESTO":[37.62,-121.04],
+  "CA|WEST PARK":[36.71,-119.85],
+  "CA|WEST PUENTE VALLEY":[34.05,-117.97],
+  "CA|WEST RANCHO DOMINGUEZ":[33.89,-118.27],
+  "CA|WEST SACRAMENTO":[38.58,-121.53],
+  "CA|WEST WHITTIER-LOS NIETOS":[33.98,-118.07],
+  "CA|WESTHAVEN-MOONSTONE":[41.04,-124.1],
+  "CA|WESTLAKE VILLAGE":[34.15,-118.81],
+  "CA|WESTMINSTER":[33.76,-118.01],
+  "CA|WESTMONT":[33.94,-118.3],
+  "CA|WESTMORLAND":[33.04,-115.62],
+  "CA|WESTPARK":[33.69,-117.81],
+  "CA|WESTWOOD":[34.06,-118.43],
+  "CA|WHEATLAND":[39.01,-121.42],
+  "CA|WHITTIER":[33.98,-118.03],
+  "CA|WILDOMAR":[33.6,-117.28],
+  "CA|WILLIAMS":[39.15,-122.15],
+  "CA|WILLITS":[39.41,-123.36],
+  "CA|WILLOW CREEK":[40.94,-123.63],
+  "CA|WILLOWBROOK":[33.92,-118.26],
+  "CA|WILLOWS":[39.52,-122.19],
+  "CA|WILMINGTON":[33.78,-118.26],
+  "CA|WILTON":[38.41,-121.27],
+  "CA|WINCHESTER":[33.71,-117.08],
+  "CA|WINDSOR":[38.55,-122.82],
+  "CA|WINNETKA":[34.21,-118.57],
+  "CA|WINTER GARDENS":[32.83,-116.93],
+  "CA|WINTERS":[38.52,-121.97],
+  "CA|WINTON":[37.39,-120.61],
+  "CA|WOFFORD HEIGHTS":[35.71,-118.46],
+  "CA|WOODACRE":[38.01,-122.65],
+  "CA|WOODBRIDGE":[38.15,-121.3],
+  "CA|WOODCREST":[33.88,-117.36],
+  "CA|WOODLAKE":[36.41,-119.1],
+  "CA|WOODLAND":[38.68,-121.77],
+  "CA|WOODLAND HILLS":[34.17,-118.61],
+  "CA|WOODSIDE":[37.43,-122.25],
+  "CA|WOODVILLE":[36.09,-119.2],
+  "CA|WRIGHTWOOD":[34.36,-117.63],
+  "CA|YOKUTS VALLEY":[36.74,-119.25],
+  "CA|YORBA LINDA":[33.89,-117.81],
+  "CA|YOSEMITE LAKES":[37.19,-119.77],
+  "CA|YOSEMITE VALLEY":[37.74,-119.58],
+  "CA|YOUNTVILLE":[38.4,-122.36],
+  "CA|YREKA":[41.74,-122.63],
+  "CA|YUBA CITY":[39.14,-121.62],
+  "CA|YUCAIPA":[34.03,-117.04],
+  "CA|YUCCA VALLEY":[34.11,-116.43],
+  "CO|ACRES GREEN":[39.56,-104.9],
+  "CO|AIR FORCE ACADEMY":[38.99,-104.86],
+  "CO|AKRON":[40.16,-103.21],
+  "CO|ALAMOSA":[37.47,-105.87],
+  "CO|ALAMOSA EAST":[37.48,-105.84],
+  "CO|APPLEWOOD":[39.76,-105.16],
+  "CO|ARISTOCRAT RANCHETTES":[40.11,-104.76],
+  "CO|ARVADA":[39.8,-105.09],
+  "CO|ASPEN":[39.19,-106.82],
+  "CO|AULT":[40.58,-104.73],
+  "CO|AURORA":[39.73,-104.83],
+  "CO|AVON":[39.63,-106.52],
+  "CO|BAILEY":[39.41,-105.47],
+  "CO|BASALT":[39.37,-107.03],
+  "CO|BATTLEMENT MESA":[39.44,-108.03],
+  "CO|BAYFIELD":[37.23,-107.6],
+  "CO|BENNETT":[39.76,-104.43],
+  "CO|BERKLEY":[39.8,-105.03],
+  "CO|BERTHOUD":[40.31,-105.08],
+  "CO|BLACK FOREST":[39.01,-104.7],
+  "CO|BOULDER":[40.01,-105.27],
+  "CO|BRECKENRIDGE":[39.48,-106.04],
+  "CO|BRIGHTON":[39.99,-104.82],
+  "CO|BROOMFIELD":[39.92,-105.09],
+  "CO|BRUSH":[40.26,-103.62],
+  "CO|BUENA VISTA":[38.84,-106.13],
+  "CO|BURLINGTON":[39.31,-102.27],
+  "CO|BYERS":[39.71,-104.23],
+  "CO|CAMPION":[40.35,-105.08],
+  "CO|CARBONDALE":[39.4,-107.21],
+  "CO|CARRIAGE CLUB":[39.53,-104.9],
+  "CO|CASCADE-CHIPITA PARK":[38.94,-105],
+  "CO|CASTLE PINES":[39.46,-104.9],
+  "CO|CASTLE PINES NORTH":[39.47,-104.89],
+  "CO|CASTLE ROCK":[39.37,-104.86],
+  "CO|CASTLEWOOD":[39.58,-104.9],
+  "CO|CAÑON CITY":[38.44,-105.24],
+  "CO|CEDAREDGE":[38.9,-107.93],
+  "CO|CENTENNIAL":[39.58,-104.88],
+  "CO|CENTER":[37.75,-106.11],
+  "CO|CENTRAL CITY":[39.8,-105.51],
+  "CO|CHERRY CREEK":[39.61,-104.86],
+  "CO|CHERRY HILLS VILLAGE":[39.64,-104.96],
+  "CO|CHEYENNE WELLS":[38.82,-102.35],
+  "CO|CIMARRON HILLS":[38.86,-104.7],
+  "CO|CLIFTON":[39.09,-108.45],
+  "CO|COAL CREEK":[39.91,-105.38],
+  "CO|COLORADO CITY":[37.95,-104.84],
+  "CO|COLORADO SPRINGS":[38.83,-104.82],
+  "CO|COLUMBINE":[39.59,-105.07],
+  "CO|COLUMBINE VALLEY":[39.6,-105.03],
+  "CO|COMMERCE CITY":[39.81,-104.93],
+  "CO|CONEJOS":[37.09,-106.02],
+  "CO|CORTEZ":[37.35,-108.59],
+  "CO|CRAIG":[40.52,-107.55],
+  "CO|CREEDE":[37.85,-106.93],
+  "CO|CRESTED BUTTE":[38.87,-106.99],
+  "CO|CRIPPLE CREEK":[38.75,-105.18],
+  "CO|DACONO":[40.08,-104.94],
+  "CO|DAKOTA RIDGE":[39.62,-105.14],
+  "CO|DEL NORTE":[37.68,-106.35],
+  "CO|DELTA":[38.74,-108.07],
+  "CO|DENVER":[39.74,-104.98],
+  "CO|DERBY":[39.84,-104.92],
+  "CO|DOVE CREEK":[37.77,-108.91],
+  "CO|DOVE VALLEY":[39.58,-104.83],
+  "CO|DURANGO":[37.28,-107.88],
+  "CO|EADS":[38.48,-102.78],
+  "CO|EAGLE":[39.66,-106.83],
+  "CO|EATON":[40.53,-104.71],
+  "CO|EDGEWATER":[39.75,-105.06],
+  "CO|EDWARDS":[39.64,-106.59],
+  "CO|EL JEBEL":[39.39,-107.09],
+  "CO|ELIZABETH":[39.36,-104.6],
+  "CO|ELLICOTT":[38.84,-104.39],
+  "CO|ENGLEWOOD":[39.65,-104.99],
+  "CO|ERIE":[40.05,-105.05],
+  "CO|ESTES PARK":[40.38,-105.52],
+  "CO|EVANS":[40.38,-104.69],
+  "CO|EVERGREEN":[39.63,-105.32],
+  "CO|FAIRPLAY":[39.22,-106],
+  "CO|FEDERAL HEIGHTS":[39.85,-105],
+  "CO|FIRESTONE":[40.11,-104.94],
+  "CO|FLORENCE":[38.39,-105.12],
+  "CO|FORT CARSON":[38.74,-104.79],
+  "CO|FORT COLLINS":[40.59,-105.08],
+  "CO|FORT LUPTON":[40.08,-104.81],
+  "CO|FORT MORGAN":[40.25,-103.8],
+  "CO|FOUNTAIN":[38.68,-104.7],
+  "CO|FOWLER":[38.13,-104.02],
+  "CO|FRASER":[39.94,-105.82],
+  "CO|FREDERICK":[40.1,-104.94],
+  "CO|FRISCO":[39.57,-106.1],
+  "CO|FRUITA":[39.16,-108.73],
+  "CO|FRUITVALE":[39.08,-108.5],
+  "CO|GENESEE":[39.69,-105.27],
+  "CO|GEORGETOWN":[39.71,-105.7],
+  "CO|GILCREST":[40.28,-104.78],
+  "CO|GLENDALE":[39.7,-104.93],
+  "CO|GLENEAGLE":[39.05,-104.82],
+  "CO|GLENWOOD SPRINGS":[39.55,-107.32],
+  "CO|GOLDEN":[39.76,-105.22],
+  "CO|GRANBY":[40.09,-105.94],
+  "CO|GRAND JUNCTION":[39.06,-108.55],
+  "CO|GREELEY":[40.42,-104.71],
+  "CO|GREENWOOD VILLAGE":[39.62,-104.95],
+  "CO|GUNBARREL":[40.06,-105.17],
+  "CO|GUNNISON":[38.55,-106.93],
+  "CO|GYPSUM":[39.65,-106.95],
+  "CO|HAYDEN":[40.5,-107.26],
+  "CO|HIGHLANDS RANCH":[39.55,-104.97],
+  "CO|HOLLY HILLS":[39.67,-104.92],
+  "CO|HOLYOKE":[40.58,-102.3],
+  "CO|HOT SULPHUR SPRINGS":[40.07,-106.1],
+  "CO|HUDSON":[40.07,-104.64],
+  "CO|HUGO":[39.14,-103.47],
+  "CO|IDAHO SPRINGS":[39.74,-105.51],
+  "CO|INDIAN HILLS":[39.62,-105.24],
+  "CO|INVERNESS":[39.58,-104.86],
+  "CO|JOHNSTOWN":[40.34,-104.91],
+  "CO|JULESBURG":[40.99,-102.26],
+  "CO|KEENESBURG":[40.11,-104.52],
+  "CO|KEN CARYL":[39.58,-105.11],
+  "CO|KERSEY":[40.39,-104.56],
+  "CO|KEYSTONE":[39.6,-105.99],
+  "CO|KIOWA":[39.35,-104.46],
+  "CO|KITTREDGE":[39.65,-105.3],
+  "CO|KREMMLING":[40.06,-106.39],
+  "CO|LA JUNTA":[37.99,-103.54],
+  "CO|LA SALLE":[40.35,-104.7],
+  "CO|LAFAYETTE":[39.99,-105.09],
+  "CO|LAKE CITY":[38.03,-107.32],
+  "CO|LAKEWOOD":[39.7,-105.08],
+  "CO|LAMAR":[38.09,-102.62],
+  "CO|LAPORTE":[40.63,-105.14],
+  "CO|LAS ANIMAS":[38.07,-103.22],
+  "CO|LEADVILLE":[39.25,-106.29],
+  "CO|LEADVILLE NORTH":[39.26,-106.3],
+  "CO|LIMON":[39.26,-103.69],
+  "CO|LINCOLN PARK":[38.43,-105.22],
+  "CO|LITTLETON":[39.61,-105.02],
+  "CO|LOCHBUIE":[40.01,-104.72],
+  "CO|LOMA":[39.2,-108.81],
+  "CO|LONE TREE":[39.55,-104.89],
+  "CO|LONGMONT":[40.17,-105.1],
+  "CO|LOUISVILLE":[39.98,-105.13],
+  "CO|LOVELAND":[40.4,-105.07],
+  "CO|LYONS":[40.22,-105.27],
+  "CO|MANCOS":[37.35,-108.29],
+  "CO|MANITOU SPRINGS":[38.86,-104.92],
+  "CO|MEAD":[40.23,-105],
+  "CO|MEEKER":[40.04,-107.91],
+  "CO|MERIDIAN":[39.54,-104.85],
+  "CO|MILLIKEN":[40.33,-104.86],
+  "CO|MINTURN":[39.59,-106.43],
+  "CO|MONTE VISTA":[37.58,-106.15],
+  "CO|MONTROSE":[38.48,-107.88],
+  "CO|MONUMENT":[39.09,-104.87],
+  "CO|MOUNTAIN VILLAGE":[37.93,-107.86],
+  "CO|NEDERLAND":[39.96,-105.51],
+  "CO|NEW CASTLE":[39.57,-107.54],
+  "CO|NIWOT":[40.1,-105.17],
+  "CO|NORTHGLENN":[39.89,-104.99],
+  "CO|OLATHE":[38.6,-107.98],
+  "CO|ORCHARD CITY":[38.83,-107.97],
+  "CO|ORCHARD MESA":[39.05,-108.53],
+  "CO|ORDWAY":[38.22,-103.76],
+  "CO|OURAY":[38.02,-107.67],
+  "CO|PAGOSA SPRINGS":[37.27,-107.01],
+  "CO|PALISADE":[39.11,-108.35],
+  "CO|PALMER LAKE":[39.12,-104.92],
+  "CO|PAONIA":[38.87,-107.59],
+  "CO|PARACHUTE":[39.45,-108.05],
+  "CO|PARKER":[39.52,-104.76],
+  "CO|PENROSE":[38.42,-105.02],
+  "CO|PERRY PARK":[39.26,-104.99],
+  "CO|PLATTEVILLE":[40.21,-104.82],
+  "CO|PONDEROSA PARK":[39.41,-104.65],
+  "CO|PUEBLO":[38.25,-104.61],
+  "CO|PUEBLO WEST":[38.35,-104.72],
+  "CO|RANGELY":[40.09,-108.8],
+  "CO|REDLANDS":[39.08,-108.64],
+  "CO|RIFLE":[39.53,-107.78],
+  "CO|ROCKY FORD":[38.05,-103.72],
+  "CO|ROXBOROUGH PARK":[39.47,-105.09],
+  "CO|SAGUACHE":[38.09,-106.14],
+  "CO|SALIDA":[38.53,-106],
+  "CO|SAN LUIS":[37.2,-105.42],
+  "CO|SECURITY-WIDEFIELD":[38.75,-104.71],
+  "CO|SEVERANCE":[40.52,-104.85],
+  "CO|SHAW HEIGHTS":[39.85,-105.04],
+  "CO|SHERIDAN":[39.65,-105.03],
+  "CO|SHERRELWOOD":[39.84,-105],
+  "CO|SILT":[39.55,-107.66],
+  "CO|SILVERTHORNE":[39.63,-106.07],
+  "CO|SILVERTON":[37.81,-107.66],
+  "CO|SNOWMASS VILLAGE":[39.21,-106.94],
+  "CO|SOUTHGLENN":[39.59,-104.95],
+  "CO|SPRINGFIELD":[37.41,-102.61],
+  "CO|STEAMBOAT SPRINGS":[40.48,-106.83],
+  "CO|STERLING":[40.63,-103.21],
+  "CO|STONEGATE":[39.53,-104.8],
+  "CO|STRASBURG":[39.74,-104.32],
+  "CO|STRATMOOR":[38.77,-104.78],
+  "CO|SUPERIOR":[39.95,-105.17],
+  "CO|TELLURIDE":[37.94,-107.81],
+  "CO|THE PINERY":[39.46,-104.73],
+  "CO|THORNTON":[39.87,-104.97],
+  "CO|TODD CREEK":[39.98,-104.87],
+  "CO|TOWAOC":[37.2,-108.73],
+  "CO|TRINIDAD":[37.17,-104.5],
+  "CO|TWIN LAKES":[39.82,-105],
+  "CO|UPPER BEAR CREEK":[39.62,-105.42],
+  "CO|VAIL":[39.64,-106.37],
+  "CO|WALDEN":[40.73,-106.28],
+  "CO|WALSENBURG":[37.62,-104.78],
+  "CO|WELBY":[39.84,-104.96],
+  "CO|WELLINGTON":[40.7,-105.01],
+  "CO|WEST PLEASANT VIEW":[39.73,-105.18],
+  "CO|WESTCLIFFE":[38.13,-105.47],
+  "CO|WESTMINSTER":[39.84,-105.04],
+  "CO|WHEAT RIDGE":[39.77,-105.08],
+  "CO|WINDSOR":[40.48,-104.9],
+  "CO|WOODLAND PARK":[38.99,-105.06],
+  "CO|WOODMOOR":[39.1,-104.85],
+  "CO|WRAY":[40.08,-102.22],
+  "CO|YUMA":[40.12,-102.73],
+  "HI|'A'ALA":[21.32,-157.86],
+  "HI|AINA HAINA":[21.28,-157.75],
+  "HI|AINA HAINA-HAWAII LOA RIDGE":[21.29,-157.76],
+  "HI|AINALOA":[19.53,-154.99],
+  "HI|AIRPORT":[21.34,-157.93],
+  "HI|ALA MOANA":[21.29,-157.84],
+  "HI|ALA MOANA - KAKAʻAKO":[21.3,-157.86],
+  "HI|ALIAMANU / SALT LAKES / FOSTER VILLAGE":[21.36,-157.92],
+  "HI|ALIAMANU MAKAI":[21.36,-157.92],
+  "HI|ALIAMANU MAUKA":[21.36,-157.91],
+  "HI|ANAHOLA":[22.14,-159.31],
+  "HI|BARBERS POINT HOUSING":[21.32,-158.08],
+  "HI|CAMP H.M. SMITH":[21.38,-157.91],
+  "HI|CAPTAIN COOK":[19.5,-155.92],
+  "HI|CHINATOWN":[21.31,-157.86],
+  "HI|DIAMOND HEAD":[21.26,-157.8],
+  "HI|DIAMOND HEAD / KAPAHULU / SAINT LOUIS HEIGHTS":[21.28,-157.81],
+  "HI|DISCOVERY HARBOR":[19.04,-155.63],
+  "HI|DOWNTOWN":[21.3,-157.86],
+  "HI|DOWSETT HIGHLANDS":[21.34,-157.83],
+  "HI|EAST HONOLULU":[21.29,-157.72],
+  "HI|EAST KAPOLEI":[21.36,-158.05],
+  "HI|EAST MANOA":[21.31,-157.81],
+  "HI|EDEN ROC":[19.49,-155.1],
+  "HI|ENCHANTED LAKE":[21.38,-157.74],
+  "HI|FARRINGTON":[21.33,-157.87],
+  "HI|FERN ACRES":[19.51,-155.08],
+  "HI|FERN FOREST":[19.47,-155.14],
+  "HI|FINANCIAL DISTRICT":[21.31,-157.86],
+  "HI|FORD ISLAND":[21.35,-157.96],
+  "HI|FORT SHAFTER":[21.34,-157.89],
+  "HI|HAIKU-PAUWELA":[20.92,-156.31],
+  "HI|HALE‘IWA":[21.59,-158.1],
+  "HI|HALIIMAILE":[20.87,-156.35],
+  "HI|HANA":[20.76,-155.99],
+  "HI|HANAMĀ‘ULU":[21.99,-159.35],
+  "HI|HANAPĒPĒ":[21.91,-159.59],
+  "HI|HANAPĒPĒ HEIGHTS":[21.92,-159.59],
+  "HI|HAUʻULA-PUNALUʻU":[21.6,-157.9],
+  "HI|HAU‘ULA":[21.61,-157.91],
+  "HI|HAWAIIAN ACRES":[19.54,-155.05],
+  "HI|HAWAIIAN BEACHES":[19.54,-154.92],
+  "HI|HAWAIIAN OCEAN VIEW":[19.07,-155.76],
+  "HI|HAWAIIAN PARADISE PARK":[19.59,-154.97],
+  "HI|HAWAI‘I KAI":[21.3,-157.7],
+  "HI|HAʻIKŪ":[20.92,-156.32],
+  "HI|HELEMANO":[21.54,-158.02],
+  "HI|HE‘EIA":[21.43,-157.82],
+  "HI|HICKAM FIELD":[21.34,-157.96],
+  "HI|HILO":[19.73,-155.09],
+  "HI|HONALO":[19.55,-155.93],
+  "HI|HONAUNAU-NAPOOPOO":[19.46,-155.86],
+  "HI|HONOKA‘A":[20.08,-155.47],
+  "HI|HONOLULU":[21.31,-157.86],
+  "HI|HO‘OLEHUA":[21.17,-157.07],
+  "HI|HUELO":[20.9,-156.23],
+  "HI|HĀLAWA":[21.38,-157.92],
+  "HI|HĀLAWA HEIGHTS":[21.38,-157.91],
+  "HI|HĀWĪ":[20.24,-155.83],
+  "HI|HŌLUALOA":[19.62,-155.95],
+  "HI|IROQUOIS POINT":[21.33,-157.98],
+  "HI|IWILEI-ANUENUE":[21.32,-157.87],
+  "HI|JOINT BASE PEARL HARBOR HICKAM":[21.35,-157.95],
+  "HI|KAANAPALI LANDING":[20.93,-156.69],
+  "HI|KAHALUU-KEAUHOU":[19.57,-155.96],
+  "HI|KAHALU‘U":[21.46,-157.84],
+  "HI|KAHUKU":[21.68,-157.95],
+  "HI|KAHUKU-KAWELA":[21.69,-157.97],
+  "HI|KAHULUI":[20.89,-156.47],
+  "HI|KAILUA":[21.4,-157.74],
+  "HI|KAILUA TOWN":[21.39,-157.74],
+  "HI|KAILUA-KONA":[19.64,-156],
+  "HI|KAIMUKĪ":[21.28,-157.8],
+  "HI|KAKAʻAKO":[21.3,-157.86],
+  "HI|KALAELOA-CAMPBELL INDUSTRIAL PARK":[21.31,-158.09],
+  "HI|KALAHEO HILLSIDE":[21.42,-157.75],
+  "HI|KALAMA VALLEY":[21.3,-157.67],
+  "HI|KALANIPUU":[21.29,-157.69],
+  "HI|KALAOA":[19.73,-155.98],
+  "HI|KALIHI VALLEY":[21.36,-157.84],
+  "HI|KALIHI-PALAMA":[21.33,-157.88],
+  "HI|KALĀHEO":[21.92,-159.53],
+  "HI|KAMEHAMEHA HEIGHTS":[21.33,-157.86],
+  "HI|KANEOHE":[21.4,-157.8],
+  "HI|KAPAAU":[20.23,-155.8],
+  "HI|KAPA‘A":[22.08,-159.32],
+  "HI|KAPOLEI":[21.34,-158.06],
+  "HI|KAPOLEI VILLAGES":[21.34,-158.07],
+  "HI|KAUMAKANI-HANAPEPE":[21.92,-159.54],
+  "HI|KAUNAKAKAI":[21.09,-157.02],
+  "HI|KAWAILOA":[21.62,-158.08],
+  "HI|KA‘A‘AWA":[21.55,-157.85],
+  "HI|KEALAKEKUA":[19.52,-155.92],
+  "HI|KEA‘AU":[19.62,-155.04],
+  "HI|KEKAHA":[21.97,-159.71],
+  "HI|KEKAHA-WAIMEA":[21.97,-159.69],
+  "HI|KEOLU HILLS":[21.38,-157.73],
+  "HI|KIHEI MAUKA":[20.74,-156.44],
+  "HI|KO OLINA":[21.34,-158.13],
+  "HI|KO ʻOLINA-HONOKAI HALE":[21.34,-158.12],
+  "HI|KOLOA":[21.9,-159.47],
+  "HI|KOLOA-POIPU":[21.89,-159.46],
+  "HI|KOOLAULOA":[21.61,-157.93],
+  "HI|KUAKINI":[21.32,-157.86],
+  "HI|KUALAPU‘U":[21.15,-157.04],
+  "HI|KULA":[20.79,-156.33],
+  "HI|KULIOUOU - KALANI IKI":[21.3,-157.74],
+  "HI|KULI‘OU‘OU":[21.29,-157.74],
+  "HI|KURTISTOWN":[19.6,-155.06],
+  "HI|KĀ‘ANAPALI":[20.93,-156.69],
+  "HI|KĒŌKEA":[20.71,-156.35],
+  "HI|KĪHEI":[20.76,-156.45],
+  "HI|KĪLAUEA":[22.21,-159.41],
+  "HI|LAHAINA":[20.88,-156.68],
+  "HI|LANAI CITY":[20.83,-156.92],
+  "HI|LANIKAI":[21.39,-157.71],
+  "HI|LAUPĀHOEHOE":[19.99,-155.24],
+  "HI|LAWAI":[21.92,-159.5],
+  "HI|LEILANI ESTATES":[19.47,-154.92],
+  "HI|LIHUE":[21.98,-159.37],
+  "HI|LILIHA - KAPALAMA":[21.34,-157.85],
+  "HI|LOWER AIEA":[21.38,-157.93],
+  "HI|LOWER MCCULLY":[21.29,-157.83],
+  "HI|LOWER PALOLO":[21.29,-157.8],
+  "HI|LOWER PAWAA":[21.3,-157.84],
+  "HI|LOWER PEARL CITY":[21.4,-157.96],
+  "HI|LOWER WAIAU":[21.4,-157.97],
+  "HI|LOWER WILHELMINA":[21.28,-157.79],
+  "HI|LĀ‘IE":[21.65,-157.92],
+  "HI|MAKAKILO":[21.35,-158.09],
+  "HI|MAKAKILO / KAPOLEI / HONOKAI HALE":[21.34,-158.1],
+  "HI|MAKAKILO CITY":[21.35,-158.09],
+  "HI|MAKAKILO-MAKAĪWA HILLS-KUNIA":[21.37,-158.07],
+  "HI|MAKAWAO":[20.86,-156.31],
+  "HI|MAKIKI / LOWER PUNCHBOWL / TANTALUS":[21.32,-157.83],
+  "HI|MAKUA VALLEY":[21.52,-158.22],
+  "HI|MANANA HOUSING":[21.4,-157.98],
+  "HI|MANOA":[21.32,-157.8],
+  "HI|MARINE CORPS BASE HAWAII - MCBH":[21.44,-157.75],
+  "HI|MARINER'S RIDGE":[21.29,-157.7],
+  "HI|MAUNAWILI":[21.37,-157.77],
+  "HI|MAYOR WRIGHT HOUSING":[21.32,-157.86],
+  "HI|MCCULLY - MOILIILI":[21.29,-157.83],
+  "HI|MILILANI MAUKA":[21.48,-157.99],
+  "HI|MILILANI MAUKA / LAUNANI VALLEY":[21.48,-157.99],
+  "HI|MILILANI TOWN":[21.45,-158.02],
+  "HI|MOANALUA":[21.37,-157.89],
+  "HI|MOANALUA VALLEY":[21.35,-157.89],
+  "HI|MOKULĒIA":[21.58,-158.15],
+  "HI|MOUNTAIN VIEW":[19.56,-155.11],
+  "HI|MĀKAHA":[21.47,-158.21],
+  "HI|MĀKAHA VALLEY":[21.48,-158.2],
+  "HI|MĀKAHA-KAʻENA":[21.48,-158.23],
+  "HI|MĀ‘ILI":[21.42,-158.18],
+  "HI|MŌ‘ILI‘ILI":[21.29,-157.83],
+  "HI|NANAWALE ESTATES":[19.51,-154.91],
+  "HI|NAPILI-HONOKOWAI":[20.98,-156.68],
+  "HI|NEWTOWN":[21.4,-157.94],
+  "HI|NIU VALLEY":[21.28,-157.74],
+  "HI|NUUANU - PUNCHBOWL":[21.34,-157.83],
+  "HI|NĀNĀKULI":[21.39,-158.15],
+  "HI|OCEAN POINTE":[21.31,-158.04],
+  "HI|OLINDA, CDP":[20.82,-156.29],
+  "HI|OLOMANA":[21.38,-157.76],
+  "HI|OMAO-KUKUIULA":[21.9,-159.49],
+  "HI|ORCHIDLANDS ESTATES":[19.56,-155.02],
+  "HI|PACIFIC PALISADES":[21.43,-157.95],
+  "HI|PAIA":[20.9,-156.37],
+  "HI|PALAMA":[21.32,-157.86],
+  "HI|PALOLO":[21.31,-157.78],
+  "HI|PAUOA":[21.32,-157.84],
+  "HI|PEARL CITY":[21.4,-157.98],
+  "HI|PEPEEKEO":[19.83,-155.11],
+  "HI|PORTLOCK":[21.27,-157.71],
+  "HI|PO‘IPŪ":[21.87,-159.45],
+  "HI|PRINCEVILLE":[22.22,-159.48],
+  "HI|PUHI":[21.97,-159.4],
+  "HI|PUKALANI":[20.84,-156.34],
+  "HI|PUNAHOU":[21.3,-157.83],
+  "HI|PUNALU‘U":[21.57,-157.88],
+  "HI|PUPUKEA":[21.65,-158.06],
+  "HI|PĀHALA":[19.2,-155.48],
+  "HI|PĀPA‘IKOU":[19.79,-155.09],
+  "HI|PŪ‘ŌHALA VILLAGE":[21.41,-157.8],
+  "HI|ROBINSON HEIGHTS":[21.38,-158.03],
+  "HI|ROYAL KUNIA":[21.39,-158.03],
+  "HI|SCHOFIELD BARRACKS":[21.5,-158.07],
+  "HI|SCHOFIELD-WHEELER":[21.48,-158.05],
+  "HI|SPRECKELSVILLE":[20.9,-156.41],
+  "HI|ST. LOUIS HEIGHTS":[21.3,-157.8],
+  "HI|SUNSET BEACH-PŪPŪKEA":[21.66,-158.05],
+  "HI|TANTALUS":[21.31,-157.83],
+  "HI|UPPER KALIHI VALLEY":[21.35,-157.86],
+  "HI|UPPER MANOA":[21.32,-157.81],
+  "HI|UPPER PALOLO":[21.31,-157.79],
+  "HI|UPPER PAUOA":[21.32,-157.84],
+  "HI|VILLAGE PARK":[21.4,-158.03],
+  "HI|VOLCANO":[19.44,-155.23],
+  "HI|WAHIAWĀ":[21.5,-158.02],
+  "HI|WAHIAWĀ-WHITMORE":[21.51,-158.03],
+  "HI|WAIALAE - KAHALA":[21.27,-157.78],
+  "HI|WAIALAE IKI":[21.28,-157.77],
+  "HI|WAIALAE NUI RIDGE-AINAKOA":[21.28,-157.78],
+  "HI|WAIALUA":[21.58,-158.13],
+  "HI|WAIANAE":[21.44,-158.19],
+  "HI|WAIAU-PACIFIC PALISADES":[21.4,-157.95],
+  "HI|WAIHEE-WAIEHU":[20.93,-156.5],
+  "HI|WAIKAPŪ":[20.86,-156.51],
+  "HI|WAIKOLOA":[19.94,-155.79],
+  "HI|WAIKĪKĪ":[21.29,-157.84],
+  "HI|WAILEA":[20.69,-156.44],
+  "HI|WAILEA-MAKENA":[20.66,-156.43],
+  "HI|WAILUA":[22.05,-159.34],
+  "HI|WAILUA HOMESTEADS":[22.07,-159.38],
+  "HI|WAILUKU":[20.89,-156.51],
+  "HI|WAILUPE":[21.28,-157.76],
+  "HI|WAIMALU":[21.39,-157.94],
+  "HI|WAIMANALO":[21.35,-157.72],
+  "HI|WAIMEA":[21.96,-159.67],
+  "HI|WAIMEA (KAMUELA)":[20,-155.67],
+  "HI|WAIMĀNALO BEACH":[21.33,-157.7],
+  "HI|WAINAKU":[19.74,-155.09],
+  "HI|WAIPAHU":[21.39,-158.01],
+  "HI|WAIPIO":[21.42,-158],
+  "HI|WAIPI‘O ACRES":[21.46,-158.01],
+  "HI|WAIʻALAE NUI-COUNTRY CLUB":[21.27,-157.78],
+  "HI|WARD VILLAGE":[21.29,-157.85],
+  "HI|WEST LOCH ESTATES":[21.37,-158.02],
+  "HI|WHEELER ARMY AIRFIELD":[21.48,-158.03],
+  "HI|WHITMORE VILLAGE":[21.51,-158.02],
+  "HI|ʻEWA BEACH-IROQUOIS POINT":[21.32,-157.99],
+  "HI|ʻEWA GENTRY-WEST LOCH":[21.35,-158.03],
+  "HI|ʻEWA VILLAGES-HONOULIULI":[21.35,-158.05],
+  "HI|‘AIEA":[21.38,-157.93],
+  "HI|‘AIEA HEIGHTS":[21.39,-157.92],
+  "HI|‘ELE‘ELE":[21.91,-159.58],
+  "HI|‘EWA BEACH":[21.32,-158.01],
+  "HI|‘EWA GENTRY":[21.34,-158.03],
+  "HI|‘EWA VILLAGES":[21.34,-158.04],
+  "HI|‘ĀHUIMANU":[21.44,-157.84],
+  "HI|‘ĀLEWA HEIGHTS":[21.34,-157.85],
+  "HI|‘ŌMA‘O":[21.93,-159.49],
+  "ID|ABERDEEN":[42.94,-112.84],
+  "ID|AMERICAN FALLS":[42.79,-112.85],
+  "ID|AMMON":[43.47,-111.97],
+  "ID|ARCO":[43.64,-113.3],
+  "ID|ASHTON":[44.07,-111.45],
+  "ID|BELLEVUE":[43.46,-114.26],
+  "ID|BLACKFOOT":[43.19,-112.34],
+  "ID|BOISE":[43.61,-116.2],
+  "ID|BONNERS FERRY":[48.69,-116.32],
+  "ID|BUHL":[42.6,-114.76],
+  "ID|BURLEY":[42.54,-113.79],
+  "ID|CALDWELL":[43.66,-116.69],
+  "ID|CASCADE":[44.52,-116.04],
+  "ID|CHALLIS":[44.5,-114.23],
+  "ID|CHUBBUCK":[42.92,-112.47],
+  "ID|COEUR D'ALENE":[47.68,-116.78],
+  "ID|CONDA":[42.73,-111.53],
+  "ID|COUNCIL":[44.73,-116.44],
+  "ID|DALTON GARDENS":[47.73,-116.77],
+  "ID|DRIGGS":[43.72,-111.11],
+  "ID|DUBOIS":[44.18,-112.23],
+  "ID|EAGLE":[43.7,-116.35],
+  "ID|EAGLE FOOTHILLS":[43.74,-116.39],
+  "ID|EMMETT":[43.87,-116.5],
+  "ID|FAIRFIELD":[43.35,-114.79],
+  "ID|FILER":[42.57,-114.61],
+  "ID|FORT HALL":[43.03,-112.44],
+  "ID|FRUITLAND":[44.01,-116.92],
+  "ID|GARDEN CITY":[43.62,-116.24],
+  "ID|GLENNS FERRY":[42.95,-115.3],
+  "ID|GOODING":[42.94,-114.71],
+  "ID|GRANGEVILLE":[45.93,-116.12],
+  "ID|HAILEY":[43.52,-114.32],
+  "ID|HANSEN":[42.53,-114.3],
+  "ID|HAYDEN":[47.77,-116.79],
+  "ID|HEYBURN":[42.56,-113.76],
+  "ID|HIDDEN SPRING":[43.72,-116.25],
+  "ID|HOMEDALE":[43.62,-116.93],
+  "ID|IDAHO CITY":[43.83,-115.83],
+  "ID|IDAHO FALLS":[43.47,-112.03],
+  "ID|IONA":[43.53,-111.93],
+  "ID|JEROME":[42.72,-114.52],
+  "ID|KAMIAH":[46.23,-116.03],
+  "ID|KELLOGG":[47.54,-116.12],
+  "ID|KETCHUM":[43.68,-114.36],
+  "ID|KIMBERLY":[42.53,-114.36],
+  "ID|KUNA":[43.49,-116.42],
+  "ID|LAPWAI":[46.4,-116.8],
+  "ID|LEWISTON":[46.42,-117.02],
+  "ID|LEWISTON ORCHARDS":[46.38,-116.98],
+  "ID|LINCOLN":[43.51,-111.96],
+  "ID|MALAD CITY":[42.19,-112.25],
+  "ID|MARSING":[43.55,-116.81],
+  "ID|MCCALL":[44.91,-116.1],
+  "ID|MERIDIAN":[43.61,-116.39],
+  "ID|MIDDLETON":[43.71,-116.62],
+  "ID|MONTPELIER":[42.32,-111.3],
+  "ID|MORELAND":[43.22,-112.44],
+  "ID|MOSCOW":[46.73,-117],
+  "ID|MOUNTAIN HOME":[43.13,-115.69],
+  "ID|MURPHY":[43.22,-116.55],
+  "ID|NAMPA":[43.54,-116.56],
+  "ID|NEW PLYMOUTH":[43.97,-116.82],
+  "ID|NEZPERCE":[46.23,-116.24],
+  "ID|OROFINO":[46.48,-116.26],
+  "ID|OSBURN":[47.51,-116],
+  "ID|PARIS":[42.23,-111.4],
+  "ID|PARMA":[43.79,-116.94],
+  "ID|PAUL":[42.61,-113.78],
+  "ID|PAYETTE":[44.08,-116.93],
+  "ID|PINEHURST":[47.54,-116.24],
+  "ID|PLUMMER":[47.34,-116.89],
+  "ID|POCATELLO":[42.87,-112.45],
+  "ID|PONDERAY":[48.31,-116.53],
+  "ID|POST FALLS":[47.72,-116.95],
+  "ID|PRESTON":[42.1,-111.88],
+  "ID|PRIEST RIVER":[48.18,-116.91],
+  "ID|RATHDRUM":[47.81,-116.9],
+  "ID|REXBURG":[43.83,-111.79],
+  "ID|RIGBY":[43.67,-111.91],
+  "ID|RUPERT":[42.62,-113.68],
+  "ID|SAINT ANTHONY":[43.97,-111.68],
+  "ID|SAINT MARIES":[47.31,-116.56],
+  "ID|SALMON":[45.18,-113.9],
+  "ID|SANDPOINT":[48.28,-116.55],
+  "ID|SHELLEY":[43.38,-112.12],
+  "ID|SHOSHONE":[42.94,-114.41],
+  "ID|SODA SPRINGS":[42.65,-111.6],
+  "ID|SPIRIT LAKE":[47.97,-116.87],
+  "ID|STAR":[43.69,-116.49],
+  "ID|SUGAR CITY":[43.87,-111.75],
+  "ID|SUN VALLEY":[43.7,-114.35],
+  "ID|TWIN FALLS":[42.56,-114.46],
+  "ID|TYHEE":[42.95,-112.47],
+  "ID|UCON":[43.6,-111.96],
+  "ID|VICTOR":[43.6,-111.11],
+  "ID|WALLACE":[47.47,-115.93],
+  "ID|WEISER":[44.25,-116.97],
+  "ID|WENDELL":[42.78,-114.7],
+  "ID|WILDER":[43.68,-116.91],
+  "MT|ABSAROKEE":[45.52,-109.44],
+  "MT|ANACONDA":[46.13,-112.94],
+  "MT|BAKER":[46.37,-104.28],
+  "MT|BELGRADE":[45.78,-111.18],
+  "MT|BIG SKY":[45.28,-111.37],
+  "MT|BIG TIMBER":[45.83,-109.96],
+  "MT|BIGFORK":[48.06,-114.07],
+  "MT|BILLINGS":[45.78,-108.5],
+  "MT|BONNER-WEST RIVERSIDE":[46.88,-113.89],
+  "MT|BOULDER":[46.24,-112.12],
+  "MT|BOZEMAN":[45.68,-111.04],
+  "MT|BROADUS":[45.44,-105.41],
+  "MT|BROWNING":[48.56,-113.01],
+  "MT|BUTTE":[46,-112.53],
+  "MT|CHESTER":[48.51,-110.97],
+  "MT|CHINOOK":[48.59,-109.23],
+  "MT|CHOTEAU":[47.81,-112.18],
+  "MT|CIRCLE":[47.42,-105.59],
+  "MT|CLANCY":[46.47,-111.99],
+  "MT|CLINTON":[46.77,-113.71],
+  "MT|COLSTRIP":[45.88,-106.62],
+  "MT|COLUMBIA FALLS":[48.37,-114.18],
+  "MT|COLUMBUS":[45.64,-109.25],
+  "MT|CONRAD":[48.17,-111.95],
+  "MT|CROW AGENCY":[45.6,-107.46],
+  "MT|CUT BANK":[48.63,-112.33],
+  "MT|DEER LODGE":[46.4,-112.73],
+  "MT|DILLON":[45.22,-112.64],
+  "MT|EAST HELENA":[46.59,-111.92],
+  "MT|EAST MISSOULA":[46.87,-113.94],
+  "MT|EKALAKA":[45.89,-104.55],
+  "MT|EUREKA":[48.88,-115.05],
+  "MT|EVERGREEN":[48.23,-114.28],
+  "MT|FORSYTH":[46.27,-106.68],
+  "MT|FORT BELKNAP AGENCY":[48.48,-108.77],
+  "MT|FORT BENTON":[47.82,-110.67],
+  "MT|FOUR CORNERS":[45.66,-111.18],
+  "MT|FRENCHTOWN":[47.01,-114.23],
+  "MT|GLASGOW":[48.2,-106.64],
+  "MT|GLENDIVE":[47.11,-104.71],
+  "MT|GREAT FALLS":[47.5,-111.3],
+  "MT|HAMILTON":[46.25,-114.16],
+  "MT|HARDIN":[45.73,-107.61],
+  "MT|HARLOWTON":[46.44,-109.83],
+  "MT|HAVRE":[48.55,-109.68],
+  "MT|HELENA":[46.59,-112.04],
+  "MT|HELENA VALLEY NORTHEAST":[46.7,-111.95],
+  "MT|HELENA VALLEY NORTHWEST":[46.73,-112.06],
+  "MT|HELENA VALLEY SOUTHEAST":[46.62,-111.92],
+  "MT|HELENA VALLEY WEST CENTRAL":[46.66,-112.06],
+  "MT|HELENA WEST SIDE":[46.6,-112.11],
+  "MT|HYSHAM":[46.29,-107.23],
+  "MT|JORDAN":[47.32,-106.91],
+  "MT|KALISPELL":[48.2,-114.31],
+  "MT|LAKESIDE":[48.02,-114.22],
+  "MT|LAME DEER":[45.62,-106.67],
+  "MT|LAUREL":[45.67,-108.77],
+  "MT|LEWISTOWN":[47.06,-109.43],
+  "MT|LIBBY":[48.39,-115.56],
+  "MT|LINCOLN":[46.95,-112.68],
+  "MT|LIVINGSTON":[45.66,-110.56],
+  "MT|LOCKWOOD":[45.82,-108.41],
+  "MT|LOLO":[46.76,-114.08],
+  "MT|MALMSTROM AIR FORCE BASE":[47.51,-111.18],
+  "MT|MALTA":[48.36,-107.87],
+  "MT|MANHATTAN":[45.86,-111.33],
+  "MT|MILES CITY":[46.41,-105.84],
+  "MT|MISSOULA":[46.87,-113.99],
+  "MT|MONTANA CITY":[46.54,-111.93],
+  "MT|NORTH BROWNING":[48.57,-113.01],
+  "MT|ORCHARD HOMES":[46.86,-114.05],
+  "MT|PABLO":[47.6,-114.12],
+  "MT|PHILIPSBURG":[46.33,-113.29],
+  "MT|PLAINS":[47.46,-114.88],
+  "MT|PLENTYWOOD":[48.77,-104.56],
+  "MT|POLSON":[47.69,-114.16],
+  "MT|RED LODGE":[45.19,-109.25],
+  "MT|RONAN":[47.53,-114.1],
+  "MT|ROUNDUP":[46.45,-108.54],
+  "MT|RYEGATE":[46.3,-109.26],
+  "MT|SCOBEY":[48.79,-105.42],
+  "MT|SEELEY LAKE":[47.18,-113.48],
+  "MT|SHELBY":[48.51,-111.86],
+  "MT|SIDNEY":[47.72,-104.16],
+  "MT|SOMERS":[48.08,-114.22],
+  "MT|SOUTH BROWNING":[48.55,-113.01],
+  "MT|STANFORD":[47.15,-110.22],
+  "MT|STEVENSVILLE":[46.51,-114.09],
+  "MT|SUN PRAIRIE":[47.54,-111.48],
+  "MT|SUPERIOR":[47.19,-114.89],
+  "MT|TERRY":[46.79,-105.31],
+  "MT|THOMPSON FALLS":[47.59,-115.34],
+  "MT|THREE FORKS":[45.89,-111.55],
+  "MT|TOWNSEND":[46.32,-111.52],
+  "MT|VIRGINIA CITY":[45.29,-111.95],
+  "MT|WARM SPRINGS":[46.18,-112.78],
+  "MT|WEST GLENDIVE":[47.11,-104.75],
+  "MT|WEST YELLOWSTONE":[44.66,-111.1],
+  "MT|WHITE SULPHUR SPRINGS":[46.55,-110.9],
+  "MT|WHITEFISH":[48.41,-114.34],
+  "MT|WHITEHALL":[45.87,-112.1],
+  "MT|WIBAUX":[46.99,-104.19],
+  "MT|WINNETT":[47,-108.35],
+  "MT|WOLF POINT":[48.09,-105.64],
+  "ND|AMIDON":[46.48,-103.32],
+  "ND|ASHLEY":[46.03,-99.37],
+  "ND|BEACH":[46.92,-104],
+  "ND|BELCOURT":[48.84,-99.74],
+  "ND|BELFIELD":[46.89,-103.2],
+  "ND|BEULAH":[47.26,-101.78],
+  "ND|BISMARCK":[46.81,-100.78],
+  "ND|BOTTINEAU":[48.83,-100.45],
+  "ND|BOWBELLS":[48.8,-102.25],
+  "ND|BOWMAN":[46.18,-103.39],
+  "ND|BURLINGTON":[48.28,-101.43],
+  "ND|CANDO":[48.49,-99.21],
+  "ND|CARRINGTON":[47.45,-99.13],
+  "ND|CARSON":[46.42,-101.56],
+  "ND|CASSELTON":[46.9,-97.21],
+  "ND|CAVALIER":[48.79,-97.62],
+  "ND|CENTER":[47.12,-101.3],
+  "ND|COOPERSTOWN":[47.44,-98.12],
+  "ND|CROSBY":[48.91,-103.29],
+  "ND|DEVILS LAKE":[48.11,-98.87],
+  "ND|DICKINSON":[46.88,-102.79],
+  "ND|ELLENDALE":[46,-98.53],
+  "ND|FARGO":[46.88,-96.79],
+  "ND|FESSENDEN":[47.65,-99.63],
+  "ND|FINLEY":[47.51,-97.84],
+  "ND|FORMAN":[46.11,-97.64],
+  "ND|FORT TOTTEN":[47.98,-98.99],
+  "ND|FORT YATES":[46.09,-100.63],
+  "ND|GARRISON":[47.65,-101.42],
+  "ND|GRAFTON":[48.41,-97.41],
+  "ND|GRAND FORKS":[47.93,-97.03],
+  "ND|GRAND FORKS AIR FORCE BASE":[47.95,-97.39],
+  "ND|HARVEY":[47.77,-99.94],
+  "ND|HAZEN":[47.29,-101.62],
+  "ND|HETTINGER":[46,-102.64],
+  "ND|HILLSBORO":[47.4,-97.06],
+  "ND|HORACE":[46.76,-96.9],
+  "ND|JAMESTOWN":[46.91,-98.71],
+  "ND|KENMARE":[48.67,-102.08],
+  "ND|KILLDEER":[47.37,-102.75],
+  "ND|LAKOTA":[48.04,-98.34],
+  "ND|LANGDON":[48.76,-98.37],
+  "ND|LARIMORE":[47.91,-97.63],
+  "ND|LINCOLN":[46.76,-100.7],
+  "ND|LINTON":[46.27,-100.23],
+  "ND|LISBON":[46.44,-97.68],
+  "ND|MANDAN":[46.83,-100.89],
+  "ND|MANNING":[47.23,-102.77],
+  "ND|MAYVILLE":[47.5,-97.32],
+  "ND|MCCLUSKY":[47.49,-100.44],
+  "ND|MEDORA":[46.91,-103.52],
+  "ND|MINNEWAUKAN":[48.07,-99.25],
+  "ND|MINOT":[48.23,-101.3],
+  "ND|MINOT AIR FORCE BASE":[48.42,-101.34],
+  "ND|MOHALL":[48.76,-101.51],
+  "ND|MOTT":[46.37,-102.33],
+  "ND|NAPOLEON":[46.51,-99.77],
+  "ND|NEW ROCKFORD":[47.68,-99.14],
+  "ND|NEW TOWN":[47.98,-102.49],
+  "ND|OAKES":[46.14,-98.09],
+  "ND|PARK RIVER":[48.4,-97.74],
+  "ND|PARSHALL":[47.95,-102.13],
+  "ND|ROLLA":[48.86,-99.62],
+  "ND|RUGBY":[48.37,-100],
+  "ND|SHELDON":[46.59,-97.49],
+  "ND|SHELL VALLEY":[48.8,-99.86],
+  "ND|STANLEY":[48.32,-102.39],
+  "ND|STANTON":[47.32,-101.38],
+  "ND|STEELE":[46.85,-99.92],
+  "ND|SURREY":[48.24,-101.13],
+  "ND|THOMPSON":[47.77,-97.11],
+  "ND|TIOGA":[48.4,-102.94],
+  "ND|TOWNER":[48.35,-100.41],
+  "ND|VALLEY CITY":[46.92,-98],
+  "ND|VELVA":[48.06,-100.93],
+  "ND|WAHPETON":[46.27,-96.61],
+  "ND|WASHBURN":[47.29,-101.03],
+  "ND|WATFORD CITY":[47.8,-103.28],
+  "ND|WEST FARGO":[46.87,-96.9],
+  "ND|WILLISTON":[48.15,-103.62],
+  "NE|AINSWORTH":[42.55,-99.86],
+  "NE|ALBION":[41.69,-98],
+  "NE|ALLIANCE":[42.1,-102.87],
+  "NE|ALMA":[40.1,-99.36],
+  "NE|ARAPAHOE":[40.3,-99.9],
+  "NE|ARLINGTON":[41.45,-96.35],
+  "NE|ARTHUR":[41.57,-101.69],
+  "NE|ASHLAND":[41.04,-96.37],
+  "NE|ATKINSON":[42.53,-98.98],
+  "NE|AUBURN":[40.39,-95.84],
+  "NE|AURORA":[40.87,-98],
+  "NE|BARTLETT":[41.89,-98.55],
+  "NE|BASSETT":[42.59,-99.54],
+  "NE|BATTLE CREEK":[42,-97.6],
+  "NE|BAYARD":[41.75,-103.32],
+  "NE|BEATRICE":[40.27,-96.75],
+  "NE|BEAVER CITY":[40.14,-99.83],
+  "NE|BELLEVUE":[41.14,-95.89],
+  "NE|BENKELMAN":[40.05,-101.53],
+  "NE|BENNINGTON":[41.36,-96.16],
+  "NE|BLAIR":[41.54,-96.13],
+  "NE|BREWSTER":[41.94,-99.86],
+  "NE|BRIDGEPORT":[41.67,-103.1],
+  "NE|BROKEN BOW":[41.4,-99.64],
+  "NE|BURWELL":[41.78,-99.13],
+  "NE|BUTTE":[42.91,-98.85],
+  "NE|CAMBRIDGE":[40.28,-100.17],
+  "NE|CENTER":[42.61,-97.88],
+  "NE|CENTRAL CITY":[41.12,-98],
+  "NE|CHADRON":[42.83,-103],
+  "NE|CHALCO":[41.18,-96.15],
+  "NE|CHAPPELL":[41.09,-102.47],
+  "NE|CLAY CENTER":[40.52,-98.06],
+  "NE|COLUMBUS":[41.43,-97.37],
+  "NE|COZAD":[40.86,-99.99],
+  "NE|CREIGHTON":[42.47,-97.91],
+  "NE|CRETE":[40.63,-96.96],
+  "NE|DAKOTA CITY":[42.42,-96.42],
+  "NE|DAVID CITY":[41.25,-97.13],
+  "NE|EAGLE":[40.82,-96.43],
+  "NE|ELKHORN":[41.35,-96.26],
+  "NE|ELWOOD":[40.59,-99.86],
+  "NE|FAIRBURY":[40.14,-97.18],
+  "NE|FALLS CITY":[40.06,-95.6],
+  "NE|FRANKLIN":[40.1,-98.95],
+  "NE|FREMONT":[41.43,-96.5],
+  "NE|FRIEND":[40.65,-97.29],
+  "NE|FULLERTON":[41.36,-97.97],
+  "NE|GENEVA":[40.53,-97.6],
+  "NE|GERING":[41.83,-103.66],
+  "NE|GIBBON":[40.75,-98.84],
+  "NE|GORDON":[42.8,-102.2],
+  "NE|GOTHENBURG":[40.93,-100.16],
+  "NE|GRAND ISLAND":[40.93,-98.34],
+  "NE|GRANT":[40.84,-101.73],
+  "NE|GREELEY":[41.55,-98.53],
+  "NE|GRETNA":[41.14,-96.24],
+  "NE|HARRISBURG":[41.56,-103.74],
+  "NE|HARRISON":[42.69,-103.88],
+  "NE|HARTINGTON":[42.62,-97.26],
+  "NE|HASTINGS":[40.59,-98.39],
+  "NE|HAYES CENTER":[40.51,-101.02],
+  "NE|HEBRON":[40.17,-97.59],
+  "NE|HICKMAN":[40.62,-96.63],
+  "NE|HILLSBOROUGH":[41.3,-96.13],
+  "NE|HOLDREGE":[40.44,-99.37],
+  "NE|HYANNIS":[42,-101.76],
+  "NE|IMPERIAL":[40.52,-101.64],
+  "NE|KEARNEY":[40.7,-99.08],
+  "NE|KIMBALL":[41.24,-103.66],
+  "NE|LA VISTA":[41.18,-96.03],
+  "NE|LEXINGTON":[40.78,-99.74],
+  "NE|LINCOLN":[40.8,-96.67],
+  "NE|LOUISVILLE":[41,-96.16],
+  "NE|LOUP CITY":[41.28,-98.97],
+  "NE|MACY":[42.11,-96.36],
+  "NE|MADISON":[41.83,-97.46],
+  "NE|MC COOK":[40.21,-100.59],
+  "NE|MCCOOK":[40.2,-100.63],
+  "NE|MILFORD":[40.77,-97.05],
+  "NE|MINDEN":[40.5,-98.95],
+  "NE|MITCHELL":[41.94,-103.81],
+  "NE|MULLEN":[42.04,-101.04],
+  "NE|NEBRASKA CITY":[40.68,-95.86],
+  "NE|NELIGH":[42.13,-98.03],
+  "NE|NELSON":[40.2,-98.07],
+  "NE|NORFOLK":[42.03,-97.42],
+  "NE|NORTH BEND":[41.46,-96.78],
+  "NE|NORTH PLATTE":[41.12,-100.77],
+  "NE|O'NEILL":[42.46,-98.65],
+  "NE|OAKLAND":[41.84,-96.47],
+  "NE|OFFUTT AIR FORCE BASE":[41.12,-95.92],
+  "NE|OGALLALA":[41.13,-101.72],
+  "NE|OMAHA":[41.26,-95.94],
+  "NE|ORD":[41.6,-98.93],
+  "NE|OSCEOLA":[41.18,-97.55],
+  "NE|OSHKOSH":[41.4,-102.34],
+  "NE|PAPILLION":[41.15,-96.04],
+  "NE|PAWNEE CITY":[40.11,-96.15],
+  "NE|PENDER":[42.11,-96.71],
+  "NE|PIERCE":[42.2,-97.53],
+  "NE|PLAINVIEW":[42.35,-97.79],
+  "NE|PLATTSMOUTH":[41.01,-95.88],
+  "NE|PONCA":[42.56,-96.71],
+  "NE|RALSTON":[41.21,-96.04],
+  "NE|RAVENNA":[41.03,-98.91],
+  "NE|RED CLOUD":[40.09,-98.52],
+  "NE|RUSHVILLE":[42.72,-102.46],
+  "NE|SAINT PAUL":[41.21,-98.46],
+  "NE|SCHUYLER":[41.45,-97.06],
+  "NE|SCOTTSBLUFF":[41.87,-103.67],
+  "NE|SEWARD":[40.91,-97.1],
+  "NE|SHELTON":[40.78,-98.73],
+  "NE|SIDNEY":[41.14,-102.98],
+  "NE|SOUTH SIOUX CITY":[42.47,-96.41],
+  "NE|SPRINGFIELD":[41.08,-96.13],
+  "NE|SPRINGVIEW":[42.82,-99.75],
+  "NE|STANTON":[41.95,-97.22],
+  "NE|STAPLETON":[41.48,-100.51],
+  "NE|STOCKVILLE":[40.53,-100.38],
+  "NE|STROMSBURG":[41.11,-97.6],
+  "NE|SUPERIOR":[40.02,-98.07],
+  "NE|SUTHERLAND":[41.16,-101.13],
+  "NE|SUTTON":[40.61,-97.86],
+  "NE|SYRACUSE":[40.66,-96.19],
+  "NE|TAYLOR":[41.77,-99.38],
+  "NE|TECUMSEH":[40.37,-96.2],
+  "NE|TEKAMAH":[41.78,-96.22],
+  "NE|TERRYTOWN":[41.85,-103.66],
+  "NE|THEDFORD":[41.98,-100.58],
+  "NE|TRENTON":[40.18,-101.01],
+  "NE|TRYON":[41.55,-100.96],
+  "NE|VALENTINE":[42.87,-100.55],
+  "NE|VALLEY":[41.31,-96.35],
+  "NE|WAHOO":[41.21,-96.62],
+  "NE|WAKEFIELD":[42.27,-96.87],
+  "NE|WATERLOO":[41.29,-96.29],
+  "NE|WAVERLY":[40.92,-96.53],
+  "NE|WAYNE":[42.23,-97.02],
+  "NE|WEEPING WATER":[40.87,-96.14],
+  "NE|WEST POINT":[41.84,-96.71],
+  "NE|WILBER":[40.48,-96.96],
+  "NE|WISNER":[41.99,-96.91],
+  "NE|WOOD RIVER":[40.82,-98.6],
+  "NE|WYMORE":[40.12,-96.66],
+  "NE|YORK":[40.87,-97.59],
+  "NE|YUTAN":[41.25,-96.4],
+  "NM|AGUA FRIA":[35.65,-106.02],
+  "NM|ALAMO":[34.42,-107.51],
+  "NM|ALAMOGORDO":[32.9,-105.96],
+  "NM|ALBUQUERQUE":[35.08,-106.65],
+  "NM|ALTO":[33.46,-105.54],
+  "NM|ANGEL FIRE":[36.39,-105.29],
+  "NM|ANTHONY":[32,-106.61],
+  "NM|ARENAS VALLEY":[32.79,-108.18],
+  "NM|ARROYO SECO":[36.52,-105.57],
+  "NM|ARTESIA":[32.84,-104.4],
+  "NM|ATOKA":[32.77,-104.39],
+  "NM|AZTEC":[36.82,-107.99],
+  "NM|BAYARD":[32.76,-108.13],
+  "NM|BELEN":[34.66,-106.78],
+  "NM|BERINO":[32.07,-106.62],
+  "NM|BERNALILLO":[35.3,-106.55],
+  "NM|BLACK ROCK":[35.09,-108.79],
+  "NM|BLOOMFIELD":[36.71,-107.98],
+  "NM|BOLES ACRES":[32.81,-105.99],
+  "NM|BOSQUE FARMS":[34.85,-106.71],
+  "NM|CANNON AIR FORCE BASE":[34.4,-103.32],
+  "NM|CAPITAN":[33.55,-105.57],
+  "NM|CARLSBAD":[32.42,-104.23],
+  "NM|CARNUEL":[35.06,-106.46],
+  "NM|CARRIZOZO":[33.64,-105.88],
+  "NM|CHAMA":[36.9,-106.58],
+  "NM|CHAPARRAL":[32.02,-106.39],
+  "NM|CHIMAYO":[36,-105.95],
+  "NM|CHURCH ROCK":[35.53,-108.6],
+  "NM|CLAYTON":[36.45,-103.18],
+  "NM|CLOVIS":[34.4,-103.21],
+  "NM|COLUMBUS":[31.83,-107.64],
+  "NM|CORRALES":[35.24,-106.61],
+  "NM|CROWNPOINT":[35.68,-108.15],
+  "NM|DEMING":[32.27,-107.76],
+  "NM|DEXTER":[33.2,-104.37],
+  "NM|DOÑA ANA":[32.39,-106.81],
+  "NM|DULCE":[36.93,-107],
+  "NM|EDGEWOOD":[35.06,-106.19],
+  "NM|EL CERRO":[34.77,-106.7],
+  "NM|EL CERRO MISSION":[34.76,-106.64],
+  "NM|EL RANCHO":[35.89,-106.08],
+  "NM|EL VALLE DE ARROYO SECO":[35.96,-106.03],
+  "NM|ELDORADO AT SANTA FE":[35.53,-105.93],
+  "NM|ELEPHANT BUTTE":[33.15,-107.18],
+  "NM|ENCHANTED HILLS":[35.34,-106.59],
+  "NM|ESPAÑOLA":[35.99,-106.08],
+  "NM|ESTANCIA":[34.76,-106.06],
+  "NM|EUNICE":[32.44,-103.16],
+  "NM|FARMINGTON":[36.73,-108.22],
+  "NM|FLORA VISTA":[36.79,-108.08],
+  "NM|FORT SUMNER":[34.47,-104.25],
+  "NM|GALLUP":[35.53,-108.74],
+  "NM|GRANTS":[35.15,-107.85],
+  "NM|HAGERMAN":[33.12,-104.33],
+  "NM|HATCH":[32.67,-107.15],
+  "NM|HOBBS":[32.7,-103.14],
+  "NM|HOLLOMAN AIR FORCE BASE":[32.85,-106.1],
+  "NM|HURLEY":[32.7,-108.13],
+  "NM|JAL":[32.11,-103.19],
+  "NM|JARALES":[34.61,-106.76],
+  "NM|JEMEZ PUEBLO":[35.61,-106.73],
+  "NM|KEELER FARM":[32.32,-107.76],
+  "NM|KIRTLAND":[36.73,-108.36],
+  "NM|LA CIENEGA":[35.56,-106.13],
+  "NM|LA HUERTA":[32.44,-104.22],
+  "NM|LA LUZ":[32.98,-105.94],
+  "NM|LA MESILLA":[35.95,-106.07],
+  "NM|LA PUEBLA":[35.99,-106],
+  "NM|LA UNION":[31.95,-106.66],
+  "NM|LAGUNA":[35.04,-107.38],
+  "NM|LAS CRUCES":[32.31,-106.78],
+  "NM|LAS MARAVILLAS":[34.74,-106.67],
+  "NM|LAS VEGAS":[35.59,-105.22],
+  "NM|LEE ACRES":[35.15,-106.65],
+  "NM|LORDSBURG":[32.35,-108.71],
+  "NM|LOS ALAMOS":[35.89,-106.31],
+  "NM|LOS CHAVEZ":[34.73,-106.76],
+  "NM|LOS LUNAS":[34.81,-106.73],
+  "NM|LOS RANCHOS DE ALBUQUERQUE":[35.16,-106.64],
+  "NM|LOVING":[32.29,-104.1],
+  "NM|LOVINGTON":[32.94,-103.35],
+  "NM|MCINTOSH":[34.86,-106.05],
+  "NM|MEADOW LAKE":[34.8,-106.54],
+  "NM|MESCALERO":[33.16,-105.77],
+  "NM|MESILLA":[32.27,-106.8],
+  "NM|MESQUITE":[32.16,-106.7],
+  "NM|MILAN":[35.17,-107.89],
+  "NM|MONTEREY PARK":[34.76,-106.64],
+  "NM|MORA":[35.97,-105.33],
+  "NM|MORIARTY":[34.99,-106.05],
+  "NM|MOSQUERO":[35.78,-103.96],
+  "NM|NAMBE":[35.89,-105.98],
+  "NM|NAVAJO":[35.9,-109.03],
+  "NM|NORTH VALLEY":[35.17,-106.62],
+  "NM|OHKAY OWINGEH":[36.05,-106.07],
+  "NM|PARADISE HILLS":[35.2,-106.7],
+  "NM|PECOS":[35.57,-105.68],
+  "NM|PERALTA":[34.84,-106.69],
+  "NM|PLACITAS":[35.31,-106.42],
+  "NM|POJOAQUE":[35.89,-106.02],
+  "NM|PONDEROSA PINE":[34.98,-106.32],
+  "NM|PORTALES":[34.19,-103.33],
+  "NM|QUESTA":[36.7,-105.6],
+  "NM|RADIUM SPRINGS":[32.5,-106.93],
+  "NM|RANCHOS DE TAOS":[36.36,-105.61],
+  "NM|RATON":[36.9,-104.44],
+  "NM|RESERVE":[33.71,-108.76],
+  "NM|RIO COMMUNITIES":[34.65,-106.73],
+  "NM|RIO RANCHO":[35.23,-106.66],
+  "NM|ROSWELL":[33.39,-104.52],
+  "NM|RUIDOSO":[33.33,-105.67],
+  "NM|RUIDOSO DOWNS":[33.33,-105.6],
+  "NM|SAN FELIPE PUEBLO":[35.43,-106.45],
+  "NM|SAN MIGUEL":[32.16,-106.73],
+  "NM|SAN YSIDRO":[32.35,-106.81],
+  "NM|SANDIA HEIGHTS":[35.18,-106.49],
+  "NM|SANDIA KNOLLS":[35.16,-106.31],
+  "NM|SANTA CLARA":[32.78,-108.15],
+  "NM|SANTA CLARA PUEBLO":[35.97,-106.09],
+  "NM|SANTA FE":[35.69,-105.94],
+  "NM|SANTA ROSA":[34.94,-104.68],
+  "NM|SANTA TERESA":[36.15,-106.68],
+  "NM|SANTO DOMINGO PUEBLO":[35.51,-106.37],
+  "NM|SHIPROCK":[36.79,-108.69],
+  "NM|SILVER CITY":[32.77,-108.28],
+  "NM|SKYLINE-GANIPA":[35.03,-107.61],
+  "NM|SOCORRO":[34.06,-106.89],
+  "NM|SOUTH VALLEY":[35.01,-106.68],
+  "NM|SPENCERVILLE":[36.82,-108.06],
+  "NM|SUNLAND PARK":[31.8,-106.58],
+  "NM|TAOS":[36.41,-105.57],
+  "NM|TAOS PUEBLO":[36.44,-105.54],
+  "NM|TEXICO":[34.39,-103.05],
+  "NM|THOREAU":[35.4,-108.22],
+  "NM|TIERRA AMARILLA":[36.7,-106.55],
+  "NM|TOME":[34.74,-106.73],
+  "NM|TRUTH OR CONSEQUENCES":[33.13,-107.25],
+  "NM|TUCUMCARI":[35.17,-103.73],
+  "NM|TULAROSA":[33.07,-106.02],
+  "NM|TWIN LAKES":[35.71,-108.77],
+  "NM|UNIVERSITY PARK":[32.28,-106.75],
+  "NM|UPPER FRUITLAND":[36.72,-108.31],
+  "NM|VADO":[32.11,-106.66],
+  "NM|VALENCIA":[34.8,-106.7],
+  "NM|WATERFLOW":[36.76,-108.48],
+  "NM|WEST HAMMOND":[36.68,-108.05],
+  "NM|WHITE ROCK":[35.83,-106.2],
+  "NM|WHITE SANDS":[32.38,-106.48],
+  "NM|ZUNI PUEBLO":[35.07,-108.85],
+  "NV|ALAMO":[37.36,-115.16],
+  "NV|BATTLE MOUNTAIN":[40.64,-116.93],
+  "NV|BEATTY":[36.91,-116.76],
+  "NV|BOULDER CITY":[35.98,-114.83],
+  "NV|BUNKERVILLE":[36.77,-114.13],
+  "NV|CALIENTE":[37.61,-114.51],
+  "NV|CARLIN":[40.71,-116.1],
+  "NV|CARSON CITY":[39.16,-119.77],
+  "NV|COLD SPRINGS":[39.68,-119.98],
+  "NV|DAYTON":[39.24,-119.59],
+  "NV|EAST VALLEY":[38.94,-119.7],
+  "NV|ELKO":[40.83,-115.76],
+  "NV|ELY":[39.25,-114.89],
+  "NV|ENTERPRISE":[36.03,-115.24],
+  "NV|EUREKA":[39.51,-115.96],
+  "NV|FALLON":[39.47,-118.78],
+  "NV|FERNLEY":[39.61,-119.25],
+  "NV|GARDNERVILLE":[38.94,-119.75],
+  "NV|GARDNERVILLE RANCHOS":[38.89,-119.74],
+  "NV|GOLDEN VALLEY":[39.62,-119.83],
+  "NV|GOLDFIELD":[37.71,-117.24],
+  "NV|GROOM LAKE":[37.24,-115.81],
+  "NV|HAWTHORNE":[38.52,-118.62],
+  "NV|HENDERSON":[36.04,-114.98],
+  "NV|INCLINE VILLAGE":[39.25,-119.97],
+  "NV|INDIAN HILLS":[39.09,-119.78],
+  "NV|JACKPOT":[41.98,-114.67],
+  "NV|JOHNSON LANE":[39.05,-119.72],
+  "NV|KINGSBURY":[38.98,-119.91],
+  "NV|LAS VEGAS":[36.17,-115.14],
+  "NV|LAUGHLIN":[35.17,-114.57],
+  "NV|LEMMON VALLEY":[39.64,-119.84],
+  "NV|LOVELOCK":[40.18,-118.47],
+  "NV|MCGILL":[39.4,-114.78],
+  "NV|MERCURY":[36.62,-116.03],
+  "NV|MESQUITE":[36.81,-114.07],
+  "NV|MINDEN":[38.95,-119.77],
+  "NV|MOAPA TOWN":[36.68,-114.59],
+  "NV|MOAPA VALLEY":[36.58,-114.47],
+  "NV|MOGUL":[39.51,-119.93],
+  "NV|NELLIS AIR FORCE BASE":[36.25,-115.06],
+  "NV|NORTH LAS VEGAS":[36.2,-115.12],
+  "NV|PAHRUMP":[36.21,-115.98],
+  "NV|PARADISE":[36.1,-115.15],
+  "NV|PIOCHE":[37.93,-114.45],
+  "NV|RENO":[39.53,-119.81],
+  "NV|SANDY VALLEY":[35.82,-115.63],
+  "NV|SILVER SPRINGS":[39.42,-119.22],
+  "NV|SMITH":[38.8,-119.33],
+  "NV|SMITH VALLEY":[38.78,-119.34],
+  "NV|SPANISH SPRINGS":[39.65,-119.71],
+  "NV|SPARKS":[39.53,-119.75],
+  "NV|SPRING CREEK":[40.73,-115.59],
+  "NV|SPRING VALLEY":[36.11,-115.24],
+  "NV|STAGECOACH":[39.37,-119.37],
+  "NV|SUMMERLIN SOUTH":[36.12,-115.33],
+  "NV|SUN VALLEY":[39.6,-119.78],
+  "NV|SUNRISE MANOR":[36.21,-115.07],
+  "NV|TONOPAH":[38.07,-117.23],
+  "NV|TOPAZ RANCH ESTATES":[38.74,-119.5],
+  "NV|VERDI":[39.52,-119.99],
+  "NV|VIRGINIA CITY":[39.31,-119.65],
+  "NV|WELLS":[41.11,-114.96],
+  "NV|WEST WENDOVER":[40.74,-114.07],
+  "NV|WHITNEY":[36.1,-115.04],
+  "NV|WINCHESTER":[36.13,-115.12],
+  "NV|WINNEMUCCA":[40.97,-117.74],
+  "NV|YERINGTON":[38.99,-119.16],
+  "OR|AGATE BEACH":[44.68,-124.06],
+  "OR|ALBANY":[44.64,-123.11],
+  "OR|ALOHA":[45.49,-122.87],
+  "OR|ALTAMONT":[42.21,-121.74],
+  "OR|AMITY":[45.12,-123.21],
+  "OR|ASHLAND":[42.19,-122.71],
+  "OR|ASTORIA":[46.19,-123.83],
+  "OR|ATHENA":[45.81,-118.49],
+  "OR|AUMSVILLE":[44.84,-122.87],
+  "OR|AURORA":[45.25,-122.77],
+  "OR|BAKER CITY":[44.77,-117.83],
+  "OR|BANDON":[43.12,-124.41],
+  "OR|BANKS":[45.62,-123.11],
+  "OR|BARVIEW":[43.35,-124.31],
+  "OR|BAY CITY":[45.52,-123.89],
+  "OR|BEAVERCREEK":[45.29,-122.54],
+  "OR|BEAVERTON":[45.49,-122.8],
+  "OR|BEND":[44.06,-121.32],
+  "OR|BETHANY":[45.56,-122.87],
+  "OR|BOARDMAN":[45.84,-119.7],
+  "OR|BROOKINGS":[42.05,-124.28],
+  "OR|BROWNSVILLE":[44.39,-122.98],
+  "OR|BUNKER HILL":[43.36,-124.2],
+  "OR|BURNS":[43.59,-119.05],
+  "OR|CANBY":[45.26,-122.69],
+  "OR|CANNON BEACH":[45.89,-123.96],
+  "OR|CANYON CITY":[44.39,-118.95],
+  "OR|CANYONVILLE":[42.93,-123.28],
+  "OR|CARLTON":[45.29,-123.18],
+  "OR|CASCADE LOCKS":[45.67,-121.89],
+  "OR|CAVE JUNCTION":[42.16,-123.65],
+  "OR|CEDAR HILLS":[45.5,-122.8],
+  "OR|CEDAR MILL":[45.52,-122.81],
+  "OR|CENTRAL POINT":[42.38,-122.92],
+  "OR|CHENOWETH":[45.63,-121.24],
+  "OR|CLACKAMAS":[45.41,-122.57],
+  "OR|CLATSKANIE":[46.1,-123.21],
+  "OR|COBURG":[44.14,-123.07],
+  "OR|COLUMBIA CITY":[45.89,-122.81],
+  "OR|CONDON":[45.23,-120.19],
+  "OR|COOS BAY":[43.37,-124.22],
+  "OR|COQUILLE":[43.18,-124.19],
+  "OR|CORNELIUS":[45.52,-123.06],
+  "OR|CORVALLIS":[44.56,-123.26],
+  "OR|COTTAGE GROVE":[43.8,-123.06],
+  "OR|CRESWELL":[43.92,-123.02],
+  "OR|CULP CREEK":[43.7,-122.85],
+  "OR|CULVER":[44.53,-121.21],
+  "OR|DALLAS":[44.92,-123.32],
+  "OR|DALLESPORT / THE DALLES":[45.62,-121.17],
+  "OR|DAMASCUS":[45.42,-122.46],
+  "OR|DAYTON":[45.22,-123.08],
+  "OR|DEPOE BAY":[44.81,-124.06],
+  "OR|DESCHUTES RIVER WOODS":[43.99,-121.36],
+  "OR|DONALD":[45.22,-122.84],
+  "OR|DRAIN":[43.66,-123.32],
+  "OR|DUNDEE":[45.28,-123.01],
+  "OR|DUNES CITY":[43.88,-124.12],
+  "OR|DURHAM":[45.4,-122.75],
+  "OR|EAGLE POINT":[42.47,-122.8],
+  "OR|ELGIN":[45.56,-117.92],
+  "OR|ENTERPRISE":[45.43,-117.28],
+  "OR|ESTACADA":[45.29,-122.33],
+  "OR|EUGENE":[44.05,-123.09],
+  "OR|FAIRVIEW":[45.54,-122.43],
+  "OR|FLORENCE":[43.98,-124.1],
+  "OR|FOREST GROVE":[45.52,-123.11],
+  "OR|FOSSIL":[45,-120.22],
+  "OR|FOUR CORNERS":[44.93,-122.98],
+  "OR|FRUITDALE":[42.42,-123.31],
+  "OR|GARDEN HOME-WHITFORD":[45.46,-122.76],
+  "OR|GEARHART":[46.02,-123.91],
+  "OR|GERVAIS":[45.11,-122.9],
+  "OR|GLADSTONE":[45.38,-122.59],
+  "OR|GLIDE":[43.3,-123.1],
+  "OR|GOLD BEACH":[42.41,-124.42],
+  "OR|GOLD HILL":[42.43,-123.05],
+  "OR|GRAND RONDE":[45.06,-123.61],
+  "OR|GRANTS PASS":[42.44,-123.33],
+  "OR|GREEN":[43.16,-123.37],
+  "OR|GRESHAM":[45.5,-122.43],
+  "OR|HAPPY VALLEY":[45.45,-122.53],
+  "OR|HARBOR":[42.05,-124.27],
+  "OR|HARRISBURG":[44.27,-123.17],
+  "OR|HAYESVILLE":[44.99,-122.98],
+  "OR|HEPPNER":[45.35,-119.56],
+  "OR|HERMISTON":[45.84,-119.29],
+  "OR|HILLSBORO":[45.52,-122.99],
+  "OR|HINES":[43.56,-119.08],
+  "OR|HOOD RIVER":[45.71,-121.52],
+  "OR|HUBBARD":[45.18,-122.81],
+  "OR|INDEPENDENCE":[44.85,-123.19],
+  "OR|IRRIGON":[45.9,-119.49],
+  "OR|ISLAND CITY":[45.34,-118.04],
+  "OR|JACKSONVILLE":[42.31,-122.97],
+  "OR|JEFFERSON":[44.72,-123.01],
+  "OR|JENNINGS LODGE":[45.39,-122.61],
+  "OR|JOHN DAY":[44.42,-118.95],
+  "OR|JOSEPH":[45.35,-117.23],
+  "OR|JUNCTION CITY":[44.22,-123.21],
+  "OR|KEIZER":[44.99,-123.03],
+  "OR|KENTON":[45.58,-122.68],
+  "OR|KING CITY":[45.39,-122.82],
+  "OR|KLAMATH FALLS":[42.22,-121.78],
+  "OR|LA GRANDE":[45.32,-118.09],
+  "OR|LA PINE":[43.67,-121.5],
+  "OR|LAFAYETTE":[45.24,-123.11],
+  "OR|LAKE OSWEGO":[45.42,-122.67],
+  "OR|LAKESIDE":[43.58,-124.18],
+  "OR|LAKEVIEW":[42.19,-120.35],
+  "OR|LEBANON":[44.54,-122.91],
+  "OR|LENTS":[45.48,-122.57],
+  "OR|LINCOLN BEACH":[44.85,-124.05],
+  "OR|LINCOLN CITY":[44.96,-124.02],
+  "OR|LOWELL":[43.92,-122.78],
+  "OR|LYONS":[44.77,-122.62],
+  "OR|MADRAS":[44.63,-121.13],
+  "OR|MC MINNVILLE":[45.19,-123.14],
+  "OR|MCMINNVILLE":[45.21,-123.2],
+  "OR|MEDFORD":[42.33,-122.88],
+  "OR|MERLIN":[42.52,-123.42],
+  "OR|METZGER":[45.45,-122.76],
+  "OR|MILL CITY":[44.75,-122.48],
+  "OR|MILLERSBURG":[44.68,-123.06],
+  "OR|MILTON-FREEWATER":[45.93,-118.39],
+  "OR|MILWAUKIE":[45.45,-122.64],
+  "OR|MISSION":[45.67,-118.68],
+  "OR|MOLALLA":[45.15,-122.58],
+  "OR|MONMOUTH":[44.85,-123.23],
+  "OR|MORO":[45.48,-120.73],
+  "OR|MOUNT ANGEL":[45.07,-122.8],
+  "OR|MOUNT HOOD VILLAGE":[45.36,-121.98],
+  "OR|MULINO":[45.22,-122.58],
+  "OR|MYRTLE CREEK":[43.02,-123.29],
+  "OR|MYRTLE POINT":[43.06,-124.14],
+  "OR|NEW HOPE":[42.36,-123.37],
+  "OR|NEWBERG":[45.3,-122.97],
+  "OR|NEWPORT":[44.64,-124.05],
+  "OR|NORTH BEND":[43.41,-124.22],
+  "OR|NORTH PLAINS":[45.6,-122.99],
+  "OR|NORTH PORTLAND":[45.61,-122.7],
+  "OR|NYSSA":[43.88,-116.99],
+  "OR|OAK GROVE":[45.42,-122.64],
+  "OR|OAK HILLS":[45.54,-122.84],
+  "OR|OAKRIDGE":[43.75,-122.46],
+  "OR|OATFIELD":[45.41,-122.6],
+  "OR|ODELL":[45.63,-121.54],
+  "OR|ONTARIO":[44.03,-116.96],
+  "OR|OREGON":[44.02,-117.01],
+  "OR|OREGON CITY":[45.36,-122.61],
+  "OR|PACIFIC CITY":[45.2,-123.96],
+  "OR|PENDLETON":[45.67,-118.79],
+  "OR|PHILOMATH":[44.54,-123.37],
+  "OR|PHOENIX":[42.28,-122.82],
+  "OR|PILOT ROCK":[45.48,-118.83],
+  "OR|PORT ORFORD":[42.75,-124.5],
+  "OR|PORTLAND":[45.52,-122.68],
+  "OR|PRINEVILLE":[44.3,-120.83],
+  "OR|RAINIER":[46.09,-122.94],
+  "OR|RALEIGH HILLS":[45.48,-122.76],
+  "OR|REDMOND":[44.27,-121.17],
+  "OR|REDWOOD":[42.42,-123.39],
+  "OR|REEDSPORT":[43.7,-124.1],
+  "OR|RIDDLE":[42.95,-123.36],
+  "OR|ROCKAWAY BEACH":[45.61,-123.94],
+  "OR|ROCKCREEK":[45.55,-122.88],
+  "OR|ROGUE RIVER":[42.44,-123.17],
+  "OR|ROSE LODGE":[45.01,-123.88],
+  "OR|ROSEBURG":[43.22,-123.34],
+  "OR|ROSEBURG NORTH":[43.27,-123.35],
+  "OR|SAINT HELENS":[45.86,-122.81],
+  "OR|SALEM":[44.94,-123.04],
+  "OR|SANDY":[45.4,-122.26],
+  "OR|SCAPPOOSE":[45.75,-122.88],
+  "OR|SEASIDE":[45.99,-123.92],
+  "OR|SHADY COVE":[42.61,-122.81],
+  "OR|SHERIDAN":[45.1,-123.39],
+  "OR|SHERWOOD":[45.36,-122.84],
+  "OR|SILETZ":[44.72,-123.92],
+  "OR|SILVERTON":[45.01,-122.78],
+  "OR|SISTERS":[44.29,-121.55],
+  "OR|SOUTH LEBANON":[44.51,-122.9],
+  "OR|SPRINGFIELD":[44.05,-123.02],
+  "OR|STAFFORD":[45.38,-122.7],
+  "OR|STANFIELD":[45.78,-119.22],
+  "OR|STAYTON":[44.8,-122.79],
+  "OR|SUBLIMITY":[44.83,-122.79],
+  "OR|SUNRIVER":[43.88,-121.44],
+  "OR|SUTHERLIN":[43.39,-123.31],
+  "OR|SWEET HOME":[44.4,-122.74],
+  "OR|TALENT":[42.25,-122.79],
+  "OR|TANGENT":[44.54,-123.11],
+  "OR|TERREBONNE":[44.35,-121.18],
+  "OR|THE DALLES":[45.59,-121.18],
+  "OR|THREE RIVERS":[43.82,-121.47],
+  "OR|TIGARD":[45.43,-122.77],
+  "OR|TILLAMOOK":[45.46,-123.85],
+  "OR|TOLEDO":[44.62,-123.94],
+  "OR|TRI-CITY":[42.98,-123.31],
+  "OR|TROUTDALE":[45.54,-122.39],
+  "OR|TUALATIN":[45.38,-122.76],
+  "OR|TURNER":[44.84,-122.95],
+  "OR|UMATILLA":[45.92,-119.34],
+  "OR|UNION":[45.21,-117.87],
+  "OR|VALE":[43.98,-117.24],
+  "OR|VENETA":[44.05,-123.35],
+  "OR|VERNONIA":[45.86,-123.19],
+  "OR|WALDPORT":[44.43,-124.07],
+  "OR|WARM SPRINGS":[44.76,-121.27],
+  "OR|WARREN":[45.82,-122.85],
+  "OR|WARRENTON":[46.17,-123.92],
+  "OR|WEST HAVEN":[45.52,-122.77],
+  "OR|WEST HAVEN-SYLVAN":[45.52,-122.77],
+  "OR|WEST LINN":[45.37,-122.61],
+  "OR|WEST SLOPE":[45.5,-122.76],
+  "OR|WHITE CITY":[42.44,-122.83],
+  "OR|WILLAMINA":[45.08,-123.49],
+  "OR|WILLIAMS":[42.22,-123.27],
+  "OR|WILSONVILLE":[45.3,-122.77],
+  "OR|WINSTON":[43.12,-123.41],
+  "OR|WOOD VILLAGE":[45.53,-122.42],
+  "OR|WOODBURN":[45.14,-122.86],
+  "OR|YAMHILL":[45.34,-123.19],
+  "OR|YONCALLA":[43.6,-123.28],
+  "SD|ABERDEEN":[45.46,-98.49],
+  "SD|ALEXANDRIA":[43.65,-97.78],
+  "SD|ARMOUR":[43.32,-98.35],
+  "SD|BALTIC":[43.76,-96.74],
+  "SD|BELLE FOURCHE":[44.67,-103.85],
+  "SD|BERESFORD":[43.08,-96.77],
+  "SD|BISON":[45.52,-102.46],
+  "SD|BLACKHAWK":[44.15,-103.31],
+  "SD|BOX ELDER":[44.11,-103.07],
+  "SD|BRANDON":[43.59,-96.57],
+  "SD|BRITTON":[45.79,-97.75],
+  "SD|BROOKINGS":[44.31,-96.8],
+  "SD|BUFFALO":[45.58,-103.55],
+  "SD|BURKE":[43.18,-99.29],
+  "SD|CANTON":[43.3,-96.59],
+  "SD|CHAMBERLAIN":[43.81,-99.33],
+  "SD|CLARK":[44.88,-97.73],
+  "SD|CLEAR LAKE":[44.75,-96.68],
+  "SD|COLONIAL PINE HILLS":[44.01,-103.32],
+  "SD|CROOKS":[43.66,-96.81],
+  "SD|CUSTER":[43.77,-103.6],
+  "SD|DAKOTA DUNES":[42.49,-96.49],
+  "SD|DE SMET":[44.39,-97.55],
+  "SD|DEADWOOD":[44.38,-103.73],
+  "SD|DELL RAPIDS":[43.83,-96.71],
+  "SD|DUPREE":[45.05,-101.6],
+  "SD|EAGLE BUTTE":[45,-101.23],
+  "SD|ELK POINT":[42.68,-96.68],
+  "SD|ELLSWORTH AIR FORCE BASE":[44.14,-103.08],
+  "SD|FAULKTON":[45.03,-99.12],
+  "SD|FLANDREAU":[44.05,-96.6],
+  "SD|FORT PIERRE":[44.35,-100.37],
+  "SD|FORT THOMPSON":[44.07,-99.44],
+  "SD|FREEMAN":[43.35,-97.44],
+  "SD|GARRETSON":[43.72,-96.5],
+  "SD|GETTYSBURG":[45.01,-99.96],
+  "SD|GREGORY":[43.23,-99.43],
+  "SD|GROTON":[45.45,-98.1],
+  "SD|HARRISBURG":[43.43,-96.7],
+  "SD|HARTFORD":[43.62,-96.94],
+  "SD|HAYTI":[44.66,-97.21],
+  "SD|HIGHMORE":[44.52,-99.44],
+  "SD|HOT SPRINGS":[43.43,-103.47],
+  "SD|HOWARD":[44.01,-97.53],
+  "SD|HURON":[44.36,-98.21],
+  "SD|IPSWICH":[45.44,-99.03],
+  "SD|KADOKA":[43.83,-101.51],
+  "SD|KENNEBEC":[43.9,-99.86],
+  "SD|LAKE ANDES":[43.16,-98.54],
+  "SD|LEAD":[44.35,-103.77],
+  "SD|LEMMON":[45.94,-102.16],
+  "SD|LENNOX":[43.35,-96.89],
+  "SD|LEOLA":[45.72,-98.94],
+  "SD|MADISON":[44.01,-97.11],
+  "SD|MARTIN":[43.17,-101.73],
+  "SD|MCINTOSH":[45.92,-101.35],
+  "SD|MILBANK":[45.22,-96.64],
+  "SD|MILLER":[44.52,-98.99],
+  "SD|MISSION":[43.31,-100.66],
+  "SD|MITCHELL":[43.71,-98.03],
+  "SD|MOBRIDGE":[45.54,-100.43],
+  "SD|MOUND CITY":[45.73,-100.07],
+  "SD|MURDO":[43.89,-100.71],
+  "SD|NORTH EAGLE BUTTE":[45,-101.23],
+  "SD|NORTH SIOUX CITY":[42.53,-96.48],
+  "SD|NORTH SPEARFISH":[44.51,-103.89],
+  "SD|OGLALA":[43.19,-102.74],
+  "SD|OLIVET":[43.24,-97.68],
+  "SD|ONIDA":[44.71,-100.06],
+  "SD|PARKER":[43.4,-97.14],
+  "SD|PARKSTON":[43.4,-97.98],
+  "SD|PHILIP":[44.04,-101.67],
+  "SD|PIERRE":[44.37,-100.35],
+  "SD|PINE RIDGE":[43.03,-102.56],
+  "SD|PLANKINTON":[43.72,-98.49],
+  "SD|PLATTE":[43.39,-98.84],
+  "SD|PORCUPINE":[43.24,-102.33],
+  "SD|RAPID CITY":[44.08,-103.23],
+  "SD|RAPID VALLEY":[44.06,-103.15],
+  "SD|REDFIELD":[44.88,-98.52],
+  "SD|ROSEBUD":[43.23,-100.85],
+  "SD|SALEM":[43.72,-97.39],
+  "SD|SELBY":[45.51,-100.03],
+  "SD|SIOUX FALLS":[43.54,-96.73],
+  "SD|SISSETON":[45.66,-97.05],
+  "SD|SPEARFISH":[44.49,-103.86],
+  "SD|SPRINGFIELD":[42.85,-97.9],
+  "SD|STURGIS":[44.41,-103.51],
+  "SD|SUMMERSET":[44.19,-103.34],
+  "SD|TEA":[43.45,-96.84],
+  "SD|TIMBER LAKE":[45.43,-101.07],
+  "SD|TYNDALL":[42.99,-97.86],
+  "SD|VERMILLION":[42.78,-96.93],
+  "SD|VOLGA":[44.32,-96.93],
+  "SD|WAGNER":[43.08,-98.29],
+  "SD|WATERTOWN":[44.9,-97.12],
+  "SD|WEBSTER":[45.33,-97.52],
+  "SD|WESSINGTON SPRINGS":[44.08,-98.57],
+  "SD|WHITE RIVER":[43.57,-100.75],
+  "SD|WINNER":[43.38,-99.86],
+  "SD|WOONSOCKET":[44.05,-98.28],
+  "SD|YANKTON":[42.87,-97.4],
+  "UT|ALPINE":[40.45,-111.78],
+  "UT|AMERICAN FORK":[40.38,-111.8],
+  "UT|AURORA":[38.92,-111.93],
+  "UT|BALLARD":[40.29,-109.94],
+  "UT|BEAVER":[38.28,-112.64],
+  "UT|BENJAMIN":[40.1,-111.73],
+  "UT|BENSON":[41.79,-111.93],
+  "UT|BLANDING":[37.62,-109.48],
+  "UT|BLUFFDALE":[40.49,-111.94],
+  "UT|BOUNTIFUL":[40.89,-111.88],
+  "UT|BRIGHAM CITY":[41.51,-112.02],
+  "UT|BRYCE CANYON":[37.71,-112.14],
+  "UT|CANYON RIM":[40.71,-111.82],
+  "UT|CARBONVILLE":[39.62,-110.83],
+  "UT|CASTLE DALE":[39.21,-111.02],
+  "UT|CEDAR CITY":[37.68,-113.06],
+  "UT|CEDAR HILLS":[40.41,-111.76],
+  "UT|CENTERFIELD":[39.13,-111.82],
+  "UT|CENTERVILLE":[40.92,-111.87],
+  "UT|CLEARFIELD":[41.11,-112.03],
+  "UT|CLINTON":[41.14,-112.05],
+  "UT|COALVILLE":[40.92,-111.4],
+  "UT|COTTONWOOD HEIGHTS":[40.62,-111.81],
+  "UT|DANIEL":[40.47,-111.41],
+  "UT|DELTA":[39.35,-112.58],
+  "UT|DRAPER":[40.52,-111.86],
+  "UT|DUCHESNE":[40.16,-110.4],
+  "UT|EAGLE MOUNTAIN":[40.31,-112.01],
+  "UT|EAST CARBON CITY":[39.55,-110.41],
+  "UT|EAST MILLCREEK":[40.7,-111.81],
+  "UT|ELK RIDGE":[40.01,-111.68],
+  "UT|ELWOOD":[41.69,-112.14],
+  "UT|ENOCH":[37.77,-113.02],
+  "UT|ENTERPRISE":[37.57,-113.72],
+  "UT|EPHRAIM":[39.36,-111.59],
+  "UT|ERDA":[40.61,-112.3],
+  "UT|FAIRVIEW":[39.63,-111.44],
+  "UT|FARMINGTON":[40.98,-111.89],
+  "UT|FARR WEST":[41.3,-112.03],
+  "UT|FERRON":[39.09,-111.13],
+  "UT|FILLMORE":[38.97,-112.32],
+  "UT|FOUNTAIN GREEN":[39.63,-111.64],
+  "UT|FRANCIS":[40.61,-111.28],
+  "UT|FRUIT HEIGHTS":[41.03,-111.9],
+  "UT|GARLAND":[41.74,-112.16],
+  "UT|GENOLA":[40,-111.84],
+  "UT|GRANITE":[40.57,-111.81],
+  "UT|GRANTSVILLE":[40.6,-112.46],
+  "UT|GUNNISON":[39.16,-111.82],
+  "UT|HARRISVILLE":[41.28,-111.99],
+  "UT|HEBER CITY":[40.51,-111.41],
+  "UT|HELPER":[39.68,-110.85],
+  "UT|HERRIMAN":[40.51,-112.03],
+  "UT|HIGHLAND":[40.43,-111.79],
+  "UT|HILDALE":[37,-112.97],
+  "UT|HILL AIR FORCE BASE":[41.11,-111.98],
+  "UT|HOLLADAY":[40.67,-111.82],
+  "UT|HONEYVILLE":[41.64,-112.08],
+  "UT|HOOPER":[41.16,-112.12],
+  "UT|HUNTINGTON":[39.33,-110.96],
+  "UT|HURRICANE":[37.18,-113.29],
+  "UT|HYDE PARK":[41.8,-111.82],
+  "UT|HYRUM":[41.63,-111.85],
+  "UT|IVINS":[37.17,-113.68],
+  "UT|JUNCTION":[38.24,-112.22],
+  "UT|KAMAS":[40.64,-111.28],
+  "UT|KANAB":[37.05,-112.53],
+  "UT|KAYSVILLE":[41.04,-111.94],
+  "UT|KEARNS":[40.66,-112],
+  "UT|LAVERKIN":[37.2,-113.27],
+  "UT|LAYTON":[41.06,-111.97],
+  "UT|LEHI":[40.39,-111.85],
+  "UT|LEWISTON":[41.98,-111.86],
+  "UT|LIBERTY":[41.33,-111.86],
+  "UT|LINDON":[40.34,-111.72],
+  "UT|LITTLE COTTONWOOD CREEK VALLEY":[40.6,-111.83],
+  "UT|LOA":[38.4,-111.64],
+  "UT|LOGAN":[41.74,-111.83],
+  "UT|MAESER":[40.48,-109.59],
+  "UT|MAGNA":[40.71,-112.1],
+  "UT|MANILA":[40.99,-109.72],
+  "UT|MANTI":[39.27,-111.64],
+  "UT|MAPLETON":[40.13,-111.58],
+  "UT|MARRIOTT-SLATERVILLE":[41.25,-112.03],
+  "UT|MENDON":[41.71,-111.98],
+  "UT|MIDVALE":[40.61,-111.9],
+  "UT|MIDWAY":[40.51,-111.47],
+  "UT|MILFORD":[38.4,-113.01],
+  "UT|MILLCREEK":[40.69,-111.88],
+  "UT|MILLVILLE":[41.68,-111.82],
+  "UT|MOAB":[38.57,-109.55],
+  "UT|MONA":[39.82,-111.86],
+  "UT|MONROE":[38.63,-112.12],
+  "UT|MONTICELLO":[37.87,-109.34],
+  "UT|MORGAN":[41.04,-111.68],
+  "UT|MORONI":[39.52,-111.59],
+  "UT|MOUNT OLYMPUS":[40.69,-111.79],
+  "UT|MOUNT PLEASANT":[39.55,-111.46],
+  "UT|MOUNTAIN GREEN":[41.14,-111.79],
+  "UT|MURRAY":[40.67,-111.89],
+  "UT|NAPLES":[40.43,-109.5],
+  "UT|NEPHI":[39.71,-111.84],
+  "UT|NIBLEY":[41.67,-111.83],
+  "UT|NORTH LOGAN":[41.77,-111.8],
+  "UT|NORTH OGDEN":[41.31,-111.96],
+  "UT|NORTH SALT LAKE":[40.85,-111.91],
+  "UT|OAKLEY":[40.71,-111.3],
+  "UT|OGDEN":[41.22,-111.97],
+  "UT|OQUIRRH":[40.63,-112.03],
+  "UT|ORANGEVILLE":[39.23,-111.05],
+  "UT|OREM":[40.3,-111.69],
+  "UT|PANGUITCH":[37.82,-112.44],
+  "UT|PARK CITY":[40.65,-111.5],
+  "UT|PAROWAN":[37.84,-112.83],
+  "UT|PAYSON":[40.04,-111.73],
+  "UT|PERRY":[41.46,-112.03],
+  "UT|PLAIN CITY":[41.3,-112.09],
+  "UT|PLEASANT GROVE":[40.36,-111.74],
+  "UT|PLEASANT VIEW":[41.32,-111.99],
+  "UT|PRICE":[39.6,-110.81],
+  "UT|PROVIDENCE":[41.71,-111.82],
+  "UT|PROVO":[40.23,-111.66],
+  "UT|RANDOLPH":[41.67,-111.18],
+  "UT|RICHFIELD":[38.77,-112.08],
+  "UT|RICHMOND":[41.92,-111.81],
+  "UT|RIVER HEIGHTS":[41.72,-111.82],
+  "UT|RIVERDALE":[41.18,-112],
+  "UT|RIVERTON":[40.52,-111.94],
+  "UT|ROOSEVELT":[40.3,-109.99],
+  "UT|ROY":[41.16,-112.03],
+  "UT|SAINT GEORGE":[37.1,-113.58],
+  "UT|SALEM":[40.05,-111.67],
+  "UT|SALINA":[38.96,-111.86],
+  "UT|SALT LAKE CITY":[40.76,-111.89],
+  "UT|SANDY":[40.59,-111.88],
+  "UT|SANDY HILLS":[40.58,-111.85],
+  "UT|SANTA CLARA":[37.13,-113.65],
+  "UT|SANTAQUIN":[39.98,-111.79],
+  "UT|SARATOGA SPRINGS":[40.35,-111.9],
+  "UT|SILVER SUMMIT":[40.74,-111.49],
+  "UT|SMITHFIELD":[41.84,-111.83],
+  "UT|SNYDERVILLE":[40.69,-111.54],
+  "UT|SOUTH JORDAN":[40.56,-111.93],
+  "UT|SOUTH JORDAN HEIGHTS":[40.56,-111.95],
+  "UT|SOUTH OGDEN":[41.19,-111.97],
+  "UT|SOUTH SALT LAKE":[40.72,-111.89],
+  "UT|SOUTH WEBER":[41.13,-111.93],
+  "UT|SOUTH WILLARD":[41.36,-112.04],
+  "UT|SPANISH FORK":[40.11,-111.65],
+  "UT|SPRING CITY":[39.48,-111.5],
+  "UT|SPRING GLEN":[39.66,-110.85],
+  "UT|SPRINGVILLE":[40.17,-111.61],
+  "UT|ST GEORGE":[37.04,-113.51],
+  "UT|STANSBURY PARK":[40.64,-112.3],
+  "UT|SUMMIT PARK":[40.75,-111.61],
+  "UT|SUNSET":[41.14,-112.03],
+  "UT|SYRACUSE":[41.09,-112.06],
+  "UT|TAYLORSVILLE":[40.67,-111.94],
+  "UT|TOOELE":[40.53,-112.3],
+  "UT|TOQUERVILLE":[37.25,-113.28],
+  "UT|TREMONTON":[41.71,-112.17],
+  "UT|UINTAH":[41.14,-111.92],
+  "UT|VERNAL":[40.46,-109.53],
+  "UT|VINEYARD":[40.3,-111.75],
+  "UT|WASHINGTON":[37.13,-113.51],
+  "UT|WASHINGTON TERRACE":[41.17,-111.98],
+  "UT|WELLINGTON":[39.54,-110.74],
+  "UT|WELLSVILLE":[41.64,-111.93],
+  "UT|WENDOVER":[40.74,-114.04],
+  "UT|WEST BOUNTIFUL":[40.89,-111.9],
+  "UT|WEST HAVEN":[41.2,-112.05],
+  "UT|WEST JORDAN":[40.61,-111.94],
+  "UT|WEST MOUNTAIN":[40.06,-111.79],
+  "UT|WEST POINT":[41.12,-112.08],
+  "UT|WEST VALLEY CITY":[40.69,-112],
+  "UT|WHITE CITY":[40.57,-111.86],
+  "UT|WILLARD":[41.41,-112.04],
+  "UT|WOLF CREEK":[41.33,-111.83],
+  "UT|WOODLAND HILLS":[40.02,-111.65],
+  "UT|WOODS CROSS":[40.87,-111.89],
+  "WA|ABERDEEN":[46.98,-123.82],
+  "WA|AHTANUM":[46.56,-120.62],
+  "WA|AIRWAY HEIGHTS":[47.64,-117.59],
+  "WA|ALDERTON":[47.17,-122.23],
+  "WA|ALDERWOOD MANOR":[47.81,-122.26],
+  "WA|ALGONA":[47.28,-122.25],
+  "WA|ALLYN":[47.39,-122.83],
+  "WA|AMBOY":[45.91,-122.45],
+  "WA|AMES LAKE":[47.63,-121.97],
+  "WA|ANACORTES":[48.51,-122.61],
+  "WA|ARLINGTON":[48.2,-122.13],
+  "WA|ARLINGTON HEIGHTS":[48.2,-122.06],
+  "WA|ARTONDALE":[47.3,-122.62],
+  "WA|ASOTIN":[46.34,-117.05],
+  "WA|AUBURN":[47.31,-122.23],
+  "WA|AULT FIELD":[48.34,-122.67],
+  "WA|BAINBRIDGE ISLAND":[47.63,-122.52],
+  "WA|BANGOR TRIDENT BASE":[47.72,-122.71],
+  "WA|BARBERTON":[45.69,-122.6],
+  "WA|BASIN CITY":[46.59,-119.15],
+  "WA|BATTLE GROUND":[45.78,-122.53],
+  "WA|BELFAIR":[47.45,-122.83],
+  "WA|BELLEVUE":[47.61,-122.2],
+  "WA|BELLINGHAM":[48.76,-122.49],
+  "WA|BENTON CITY":[46.26,-119.49],
+  "WA|BETHEL":[47.49,-122.63],
+  "WA|BIG LAKE":[48.4,-122.24],
+  "WA|BIRCH BAY":[48.92,-122.74],
+  "WA|BLACK DIAMOND":[47.31,-122],
+  "WA|BLAINE":[48.99,-122.75],
+  "WA|BONNEY LAKE":[47.18,-122.19],
+  "WA|BOTHELL":[47.76,-122.21],
+  "WA|BOTHELL EAST":[47.81,-122.18],
+  "WA|BOTHELL WEST":[47.81,-122.24],
+  "WA|BOULEVARD PARK":[47.51,-122.32],
+  "WA|BREMERTON":[47.57,-122.63],
+  "WA|BREWSTER":[48.1,-119.78],
+  "WA|BRIDGEPORT":[48.01,-119.67],
+  "WA|BRIER":[47.78,-122.27],
+  "WA|BROWNS POINT":[47.3,-122.44],
+  "WA|BRUSH PRAIRIE":[45.73,-122.55],
+  "WA|BRYANT":[48.24,-122.16],
+  "WA|BRYN MAWR-SKYWAY":[47.49,-122.24],
+  "WA|BUCKLEY":[47.16,-122.03],
+  "WA|BUNK FOSS":[47.96,-122.09],
+  "WA|BURBANK":[46.2,-119.01],
+  "WA|BURIEN":[47.47,-122.35],
+  "WA|BURLEY":[47.42,-122.63],
+  "WA|BURLINGTON":[48.48,-122.33],
+  "WA|CAMANO":[48.17,-122.53],
+  "WA|CAMAS":[45.59,-122.4],
+  "WA|CANTERWOOD":[47.38,-122.59],
+  "WA|CARNATION":[47.65,-121.91],
+  "WA|CARSON":[45.73,-121.82],
+  "WA|CASCADE VALLEY":[47.13,-119.33],
+  "WA|CASHMERE":[47.52,-120.47],
+  "WA|CASTLE ROCK":[46.28,-122.91],
+  "WA|CATHCART":[47.85,-122.1],
+  "WA|CATHLAMET":[46.2,-123.38],
+  "WA|CENTRAL PARK":[46.97,-123.69],
+  "WA|CENTRALIA":[46.72,-122.95],
+  "WA|CHEHALIS":[46.66,-122.96],
+  "WA|CHELAN":[47.84,-120.02],
+  "WA|CHENEY":[47.49,-117.58],
+  "WA|CHEWELAH":[48.28,-117.72],
+  "WA|CHICO":[47.61,-122.71],
+  "WA|CITY OF SAMMAMISH":[47.6,-122.04],
+  "WA|CLARKSTON":[46.42,-117.05],
+  "WA|CLARKSTON HEIGHTS-VINELAND":[46.39,-117.08],
+  "WA|CLE ELUM":[47.2,-120.94],
+  "WA|CLEAR LAKE":[48.46,-122.23],
+  "WA|CLEARVIEW":[47.83,-122.13],
+  "WA|CLYDE HILL":[47.63,-122.22],
+  "WA|COLFAX":[46.88,-117.36],
+  "WA|COLLEGE PLACE":[46.05,-118.39],
+  "WA|COLUMBIA CITY":[47.56,-122.28],
+  "WA|COLVILLE":[48.55,-117.91],
+  "WA|CONNELL":[46.66,-118.86],
+  "WA|COSMOPOLIS":[46.96,-123.77],
+  "WA|COTTAGE LAKE":[47.74,-122.08],
+  "WA|COULEE DAM":[47.97,-118.98],
+  "WA|COUNTRY HOMES":[47.75,-117.4],
+  "WA|COUPEVILLE":[48.22,-122.69],
+  "WA|COVINGTON":[47.36,-122.12],
+  "WA|CROCKER":[47.08,-122.1],
+  "WA|DALLESPORT":[45.62,-121.18],
+  "WA|DARRINGTON":[48.26,-121.6],
+  "WA|DAVENPORT":[47.65,-118.15],
+  "WA|DAYTON":[46.32,-117.97],
+  "WA|DEER PARK":[47.95,-117.48],
+  "WA|DES MOINES":[47.4,-122.32],
+  "WA|DESERT AIRE":[46.68,-119.92],
+  "WA|DISHMAN":[47.66,-117.28],
+  "WA|DOLLAR CORNER":[45.78,-122.6],
+  "WA|DUPONT":[47.1,-122.63],
+  "WA|DUVALL":[47.74,-121.99],
+  "WA|EAST HILL-MERIDIAN":[47.41,-122.17],
+  "WA|EAST PORT ORCHARD":[47.52,-122.62],
+  "WA|EAST RENTON HIGHLANDS":[47.48,-122.11],
+  "WA|EAST WENATCHEE":[47.42,-120.29],
+  "WA|EAST WENATCHEE BENCH":[47.43,-120.28],
+  "WA|EASTGATE":[47.57,-122.15],
+  "WA|EASTMONT":[47.9,-122.18],
+  "WA|EATONVILLE":[46.87,-122.27],
+  "WA|EDGEWOOD":[47.25,-122.29],
+  "WA|EDMONDS":[47.81,-122.38],
+  "WA|ELECTRIC CITY":[47.93,-119.04],
+  "WA|ELK PLAIN":[47.05,-122.4],
+  "WA|ELLENSBURG":[47,-120.55],
+  "WA|ELMA":[47,-123.41],
+  "WA|ENETAI":[47.58,-122.6],
+  "WA|ENTIAT":[47.68,-120.21],
+  "WA|ENUMCLAW":[47.2,-121.99],
+  "WA|EPHRATA":[47.32,-119.55],
+  "WA|ERLANDS POINT-KITSAP LAKE":[47.6,-122.7],
+  "WA|ESPERANCE":[47.79,-122.36],
+  "WA|EVERETT":[47.98,-122.2],
+  "WA|EVERSON":[48.92,-122.34],
+  "WA|FAIRCHILD AIR FORCE BASE":[47.62,-117.65],
+  "WA|FAIRWOOD":[47.45,-122.16],
+  "WA|FALL CITY":[47.57,-121.89],
+  "WA|FEDERAL WAY":[47.32,-122.31],
+  "WA|FELIDA":[45.71,-122.71],
+  "WA|FERN PRAIRIE":[45.64,-122.4],
+  "WA|FERNDALE":[48.85,-122.59],
+  "WA|FIFE":[47.24,-122.36],
+  "WA|FIFE HEIGHTS":[47.26,-122.35],
+  "WA|FINLEY":[46.15,-119.03],
+  "WA|FIRCREST":[47.24,-122.52],
+  "WA|FIVE CORNERS":[45.68,-122.58],
+  "WA|FOBES HILL":[47.95,-122.12],
+  "WA|FORDS PRAIRIE":[46.74,-122.99],
+  "WA|FORKS":[47.95,-124.39],
+  "WA|FORT LEWIS/TACOMA":[47.08,-122.58],
+  "WA|FOX ISLAND":[47.25,-122.63],
+  "WA|FREDERICKSON":[47.1,-122.36],
+  "WA|FREELAND":[48.01,-122.53],
+  "WA|FRIDAY HARBOR":[48.53,-123.02],
+  "WA|GARRETT":[46.05,-118.4],
+  "WA|GENEVA":[48.75,-122.4],
+  "WA|GIG HARBOR":[47.33,-122.58],
+  "WA|GLEED":[46.66,-120.61],
+  "WA|GOLD BAR":[47.86,-121.7],
+  "WA|GOLDENDALE":[45.82,-120.82],
+  "WA|GRAHAM":[47.05,-122.29],
+  "WA|GRAND COULEE":[47.94,-119],
+  "WA|GRAND MOUND":[46.79,-123.01],
+  "WA|GRANDVIEW":[46.25,-119.9],
+  "WA|GRANGER":[46.34,-120.19],
+  "WA|GRANITE FALLS":[47.89,-120.21],
+  "WA|GREENWOOD":[47.69,-122.35],
+  "WA|HANSVILLE":[47.92,-122.55],
+  "WA|HAZEL DELL":[45.67,-122.66],
+  "WA|HIGHLAND":[46.13,-119.11],
+  "WA|HOBART":[47.42,-121.97],
+  "WA|HOCKINSON":[45.74,-122.49],
+  "WA|HOME":[47.27,-122.76],
+  "WA|HOQUIAM":[46.98,-123.89],
+  "WA|INDIANOLA":[47.75,-122.53],
+  "WA|INGLEWOOD-FINN HILL":[47.72,-122.23],
+  "WA|ISSAQUAH":[47.53,-122.03],
+  "WA|JOINT BASE LEWIS MCCHORD":[47.11,-122.58],
+  "WA|KALAMA":[46.01,-122.84],
+  "WA|KELSO":[46.15,-122.91],
+  "WA|KENMORE":[47.76,-122.24],
+  "WA|KENNEWICK":[46.21,-119.14],
+  "WA|KENT":[47.38,-122.23],
+  "WA|KETTLE FALLS":[48.61,-118.06],
+  "WA|KEY CENTER":[47.34,-122.75],
+  "WA|KINGSGATE":[47.73,-122.18],
+  "WA|KINGSTON":[47.8,-122.5],
+  "WA|KIRKLAND":[47.68,-122.21],
+  "WA|KITTITAS":[46.98,-120.42],
+  "WA|KLAHANIE":[47.57,-122.01],
+  "WA|LA CENTER":[45.86,-122.67],
+  "WA|LACEY":[47.03,-122.82],
+  "WA|LAKE FOREST PARK":[47.76,-122.28],
+  "WA|LAKE MARCEL-STILLWATER":[47.69,-121.92],
+  "WA|LAKE MORTON-BERRYDALE":[47.33,-122.1],
+  "WA|LAKE SHORE":[45.69,-122.69],
+  "WA|LAKE STEVENS":[48.02,-122.06],
+  "WA|LAKE STICKNEY":[47.88,-122.26],
+  "WA|LAKELAND NORTH":[47.33,-122.28],
+  "WA|LAKELAND SOUTH":[47.28,-122.28],
+  "WA|LAKEWOOD":[47.17,-122.52],
+  "WA|LANGLEY":[48.04,-122.41],
+  "WA|LARCH WAY":[47.84,-122.25],
+  "WA|LEA HILL":[47.33,-122.18],
+  "WA|LEAVENWORTH":[47.6,-120.66],
+  "WA|LEWISVILLE":[45.81,-122.52],
+  "WA|LIBERTY LAKE":[47.68,-117.12],
+  "WA|LOCHSLOY":[48.05,-122.03],
+  "WA|LOFALL":[47.81,-122.66],
+  "WA|LONG BEACH":[46.35,-124.05],
+  "WA|LONGBRANCH":[47.21,-122.76],
+  "WA|LONGVIEW":[46.14,-122.94],
+  "WA|LONGVIEW HEIGHTS":[46.18,-122.96],
+  "WA|LYNDEN":[48.95,-122.45],
+  "WA|LYNNWOOD":[47.82,-122.32],
+  "WA|MABTON":[46.21,-120],
+  "WA|MACHIAS":[47.98,-122.05],
+  "WA|MALTBY":[47.81,-122.11],
+  "WA|MANCHESTER":[47.56,-122.55],
+  "WA|MANSON":[47.88,-120.16],
+  "WA|MAPLE HEIGHTS-LAKE DESIRE":[47.44,-122.1],
+  "WA|MAPLE VALLEY":[47.39,-122.05],
+  "WA|MAPLEWOOD":[47.4,-122.56],
+  "WA|MARIETTA":[48.79,-122.58],
+  "WA|MARIETTA-ALDERWOOD":[48.79,-122.55],
+  "WA|MARTHA LAKE":[47.85,-122.24],
+  "WA|MARYSVILLE":[48.05,-122.18],
+  "WA|MATTAWA":[46.74,-119.9],
+  "WA|MCCHORD AIR FORCE BASE":[47.13,-122.49],
+  "WA|MCCLEARY":[47.05,-123.27],
+  "WA|MCMILLIN":[47.14,-122.24],
+  "WA|MEAD":[47.77,-117.35],
+  "WA|MEADOW GLADE":[45.76,-122.56],
+  "WA|MEADOWDALE":[47.86,-122.31],
+  "WA|MEDICAL LAKE":[47.57,-117.68],
+  "WA|MEDINA":[47.62,-122.23],
+  "WA|MERCER ISLAND":[47.57,-122.22],
+  "WA|MIDLAND":[47.17,-122.4],
+  "WA|MILL CREEK":[47.86,-122.2],
+  "WA|MILL CREEK EAST":[47.84,-122.19],
+  "WA|MILL PLAIN":[45.64,-122.49],
+  "WA|MILLWOOD":[47.68,-117.28],
+  "WA|MILTON":[47.25,-122.31],
+  "WA|MINNEHAHA":[45.66,-122.63],
+  "WA|MIRRORMONT":[47.46,-122],
+  "WA|MONROE":[47.86,-121.97],
+  "WA|MONROE NORTH":[47.88,-121.99],
+  "WA|MONTESANO":[46.98,-123.6],
+  "WA|MORTON":[46.56,-122.28],
+  "WA|MOSES LAKE":[47.13,-119.28],
+  "WA|MOSES LAKE NORTH":[47.19,-119.32],
+  "WA|MOUNT VERNON":[48.42,-122.33],
+  "WA|MOUNT VISTA":[45.73,-122.63],
+  "WA|MOUNTLAKE TERRACE":[47.79,-122.31],
+  "WA|MUKILTEO":[47.94,-122.3],
+  "WA|NAPAVINE":[46.57,-122.91],
+  "WA|NAVY YARD CITY":[47.55,-122.66],
+  "WA|NEWCASTLE":[47.54,-122.16],
+  "WA|NEWPORT":[47.57,-122.18],
+  "WA|NOOKSACK":[48.93,-122.32],
+  "WA|NORMANDY PARK":[47.44,-122.34],
+  "WA|NORTH BEND":[47.5,-121.79],
+  "WA|NORTH CREEK":[47.82,-122.18],
+  "WA|NORTH FORT LEWIS":[47.12,-122.59],
+  "WA|NORTH PUYALLUP":[47.21,-122.28],
+  "WA|NORTH YELM":[46.96,-122.6],
+  "WA|OAK HARBOR":[48.29,-122.64],
+  "WA|OCEAN PARK":[46.49,-124.05],
+  "WA|OCEAN SHORES":[46.97,-124.16],
+  "WA|OKANOGAN":[48.36,-119.58],
+  "WA|OLYMPIA":[47.04,-122.9],
+  "WA|OMAK":[48.41,-119.53],
+  "WA|OPPORTUNITY":[47.65,-117.24],
+  "WA|ORCHARDS":[45.67,-122.56],
+  "WA|OROVILLE":[48.94,-119.44],
+  "WA|ORTING":[47.1,-122.2],
+  "WA|OTHELLO":[46.83,-119.18],
+  "WA|OTIS ORCHARDS-EAST FARMS":[47.71,-117.08],
+  "WA|PACIFIC":[47.26,-122.25],
+  "WA|PALOUSE":[46.91,-117.08],
+  "WA|PARKLAND":[47.16,-122.43],
+  "WA|PARKWOOD":[47.53,-122.61],
+  "WA|PASCO":[46.24,-119.1],
+  "WA|PEACEFUL VALLEY":[48.94,-122.15],
+  "WA|PICNIC POINT":[47.88,-122.33],
+  "WA|PICNIC POINT-NORTH LYNNWOOD":[47.86,-122.29],
+  "WA|POINT ROBERTS":[48.99,-123.08],
+  "WA|POMEROY":[46.47,-117.6],
+  "WA|PORT ANGELES":[48.12,-123.43],
+  "WA|PORT ANGELES EAST":[48.11,-123.37],
+  "WA|PORT HADLOCK-IRONDALE":[48.03,-122.79],
+  "WA|PORT LUDLOW":[47.93,-122.68],
+  "WA|PORT ORCHARD":[47.54,-122.64],
+  "WA|PORT TOWNSEND":[48.12,-122.76],
+  "WA|POULSBO":[47.74,-122.65],
+  "WA|PRAIRIE HEIGHTS":[47.15,-122.11],
+  "WA|PRAIRIE RIDGE":[47.14,-122.15],
+  "WA|PROSSER":[46.21,-119.77],
+  "WA|PULLMAN":[46.73,-117.18],
+  "WA|PULLMAN/MOSCOW":[46.74,-117.11],
+  "WA|PURDY":[47.39,-122.63],
+  "WA|PUYALLUP":[47.19,-122.29],
+  "WA|QUINCY":[47.23,-119.85],
+  "WA|RAINIER":[46.89,-122.69],
+  "WA|RAVENSDALE":[47.35,-121.98],
+  "WA|RAYMOND":[46.69,-123.73],
+  "WA|REDMOND":[47.67,-122.12],
+  "WA|RENTON":[47.48,-122.22],
+  "WA|REPUBLIC":[48.65,-118.74],
+  "WA|RICHLAND":[46.29,-119.28],
+  "WA|RIDGEFIELD":[45.82,-122.74],
+  "WA|RITZVILLE":[47.13,-118.38],
+  "WA|RIVERBEND":[47.47,-121.75],
+  "WA|RIVERTON":[47.48,-122.29],
+  "WA|ROCHESTER":[46.82,-123.1],
+  "WA|ROCKY POINT":[47.59,-122.67],
+  "WA|ROSEDALE":[47.33,-122.65],
+  "WA|ROYAL CITY":[46.9,-119.63],
+  "WA|SALMON CREEK":[45.71,-122.65],
+  "WA|SAMMAMISH":[47.64,-122.08],
+  "WA|SEABECK":[47.64,-122.83],
+  "WA|SEATAC":[47.45,-122.29],
+  "WA|SEATTLE":[47.61,-122.33],
+  "WA|SEDRO-WOOLLEY":[48.5,-122.24],
+  "WA|SELAH":[46.65,-120.53],
+  "WA|SEQUIM":[48.08,-123.1],
+  "WA|SHELTON":[47.22,-123.1],
+  "WA|SHORELINE":[47.76,-122.34],
+  "WA|SILVER FIRS":[47.87,-122.16],
+  "WA|SILVERDALE":[47.64,-122.69],
+  "WA|SISCO HEIGHTS":[48.12,-122.1],
+  "WA|SMOKEY POINT":[48.15,-122.18],
+  "WA|SNOHOMISH":[47.91,-122.1],
+  "WA|SNOQUALMIE":[47.53,-121.83],
+  "WA|SOAP LAKE":[47.39,-119.49],
+  "WA|SOUTH BEND":[46.66,-123.8],
+  "WA|SOUTH HILL":[47.14,-122.27],
+  "WA|SOUTH WENATCHEE":[47.39,-120.29],
+  "WA|SOUTHWORTH":[47.51,-122.5],
+  "WA|SPANAWAY":[47.1,-122.43],
+  "WA|SPOKANE":[47.66,-117.43],
+  "WA|SPOKANE VALLEY":[47.67,-117.24],
+  "WA|STANWOOD":[48.24,-122.37],
+  "WA|STEILACOOM":[47.17,-122.6],
+  "WA|STEVENSON":[45.7,-121.88],
+  "WA|SUDDEN VALLEY":[48.72,-122.35],
+  "WA|SULTAN":[47.86,-121.82],
+  "WA|SUMAS":[49,-122.26],
+  "WA|SUMMIT":[47.16,-122.36],
+  "WA|SUMMIT VIEW":[47.14,-122.35],
+  "WA|SUMNER":[47.2,-122.24],
+  "WA|SUNNYSIDE":[46.32,-120.01],
+  "WA|SUNNYSLOPE":[47.47,-120.34],
+  "WA|SUQUAMISH":[47.73,-122.55],
+  "WA|TACOMA":[47.25,-122.44],
+  "WA|TANGLEWILDE":[47.05,-122.78],
+  "WA|TANGLEWILDE-THOMPSON PLACE":[47.05,-122.78],
+  "WA|TANNER":[47.48,-121.75],
+  "WA|TENINO":[46.86,-122.85],
+  "WA|TERRACE HEIGHTS":[46.61,-120.44],
+  "WA|THREE LAKES":[47.94,-122.01],
+  "WA|TIETON":[46.7,-120.76],
+  "WA|TONASKET":[48.71,-119.44],
+  "WA|TOPPENISH":[46.38,-120.31],
+  "WA|TOWN AND COUNTRY":[47.73,-117.42],
+  "WA|TRACYTON":[47.61,-122.66],
+  "WA|TRENTWOOD":[47.7,-117.21],
+  "WA|TRI-CITIES":[46.25,-119.2],
+  "WA|TUKWILA":[47.47,-122.26],
+  "WA|TULALIP":[48.07,-122.29],
+  "WA|TULALIP BAY":[48.04,-122.31],
+  "WA|TUMWATER":[47.01,-122.91],
+  "WA|UNION GAP":[46.56,-120.48],
+  "WA|UNION HILL-NOVELTY HILL":[47.68,-122.03],
+  "WA|UNIVERSITY PLACE":[47.24,-122.55],
+  "WA|VANCOUVER":[45.64,-122.66],
+  "WA|VASHON":[47.45,-122.46],
+  "WA|VENERSBORG":[45.77,-122.42],
+  "WA|VERADALE":[47.65,-117.21],
+  "WA|WAITSBURG":[46.27,-118.15],
+  "WA|WALLA WALLA":[46.06,-118.34],
+  "WA|WALLA WALLA EAST":[46.05,-118.3],
+  "WA|WALLER":[47.2,-122.37],
+  "WA|WALNUT GROVE":[45.67,-122.6],
+  "WA|WAPATO":[46.45,-120.42],
+  "WA|WARDEN":[46.97,-119.04],
+  "WA|WARM BEACH":[48.17,-122.36],
+  "WA|WASHOUGAL":[45.58,-122.35],
+  "WA|WATERVILLE":[47.65,-120.07],
+  "WA|WAUNA":[47.38,-122.64],
+  "WA|WENATCHEE":[47.42,-120.31],
+  "WA|WEST CLARKSTON-HIGHLAND":[46.4,-117.06],
+  "WA|WEST LAKE SAMMAMISH":[47.58,-122.1],
+  "WA|WEST LAKE STEVENS":[47.99,-122.1],
+  "WA|WEST LONGVIEW":[46.17,-123],
+  "WA|WEST PASCO":[46.25,-119.18],
+  "WA|WEST RICHLAND":[46.3,-119.36],
+  "WA|WEST SIDE HIGHWAY":[46.18,-122.92],
+  "WA|WEST VALLEY":[46.59,-120.61],
+  "WA|WEST WENATCHEE":[47.44,-120.35],
+  "WA|WESTPORT":[46.89,-124.1],
+  "WA|WHITE CENTER":[47.52,-122.35],
+  "WA|WHITE SALMON":[45.73,-121.49],
+  "WA|WILBURTON":[47.6,-122.18],
+  "WA|WILDERNESS RIM":[47.45,-121.77],
+  "WA|WINLOCK":[46.49,-122.94],
+  "WA|WOLLOCHET":[47.27,-122.58],
+  "WA|WOODINVILLE":[47.75,-122.16],
+  "WA|WOODLAND":[45.9,-122.74],
+  "WA|WOODS CREEK":[47.88,-121.9],
+  "WA|WOODWAY":[47.8,-122.38],
+  "WA|YACOLT":[45.87,-122.41],
+  "WA|YAKIMA":[46.6,-120.51],
+  "WA|YARROW POINT":[47.65,-122.22],
+  "WA|YELM":[46.94,-122.61],
+  "WA|ZILLAH":[46.4,-120.26],
+  "WY|AFTON":[42.72,-110.93],
+  "WY|ANTELOPE VALLEY-CRESTVIEW":[44.22,-105.47],
+  "WY|ARAPAHOE":[42.96,-108.49],
+  "WY|BAR NUNN":[42.91,-106.34],
+  "WY|BASIN":[44.38,-108.04],
+  "WY|BIG PINEY":[42.59,-110.11],
+  "WY|BUFFALO":[44.35,-106.7],
+  "WY|CASPER":[42.87,-106.31],
+  "WY|CHEYENNE":[41.14,-104.82],
+  "WY|CODY":[44.53,-109.06],
+  "WY|DOUGLAS":[42.76,-105.38],
+  "WY|ETHETE":[43.02,-108.77],
+  "WY|EVANSTON":[41.27,-110.96],
+  "WY|EVANSVILLE":[42.86,-106.27],
+  "WY|FORT WASHAKIE":[43.01,-108.88],
+  "WY|FOX FARM-COLLEGE":[41.11,-104.79],
+  "WY|GILLETTE":[44.29,-105.5],
+  "WY|GLENROCK":[42.86,-105.87],
+  "WY|GREEN RIVER":[41.53,-109.47],
+  "WY|GREYBULL":[44.49,-108.06],
+  "WY|GUERNSEY":[42.27,-104.74],
+  "WY|HOBACK":[43.28,-110.78],
+  "WY|JACKSON":[43.48,-110.76],
+  "WY|KEMMERER":[41.79,-110.54],
+  "WY|LANDER":[42.83,-108.73],
+  "WY|LARAMIE":[41.31,-105.59],
+  "WY|LOVELL":[44.84,-108.39],
+  "WY|LUSK":[42.76,-104.45],
+  "WY|LYMAN":[41.33,-110.29],
+  "WY|MARBLETON":[42.55,-110.11],
+  "WY|MILLS":[42.84,-106.37],
+  "WY|MOORCROFT":[44.26,-104.95],
+  "WY|MOOSE WILSON ROAD":[43.53,-110.84],
+  "WY|MOUNTAIN VIEW":[41.27,-110.34],
+  "WY|NEWCASTLE":[43.85,-104.2],
+  "WY|NORTH ROCK SPRINGS":[41.64,-109.27],
+  "WY|PINE BLUFFS":[41.18,-104.07],
+  "WY|PINEDALE":[42.87,-109.86],
+  "WY|POWELL":[44.75,-108.76],
+  "WY|RAFTER J RANCH":[43.43,-110.8],
+  "WY|RANCHETTES":[41.22,-104.79],
+  "WY|RAWLINS":[41.79,-107.24],
+  "WY|RIVERTON":[43.02,-108.38],
+  "WY|ROCK SPRINGS":[41.59,-109.2],
+  "WY|SARATOGA":[41.45,-106.81],
+  "WY|SHERIDAN":[44.8,-106.96],
+  "WY|SLEEPY HOLLOW":[44.23,-105.43],
+  "WY|SOUTH GREELEY":[41.1,-104.81],
+  "WY|SOUTH PARK":[43.42,-110.79],
+  "WY|STAR VALLEY RANCH":[42.97,-110.96],
+  "WY|SUNDANCE":[44.41,-104.38],
+  "WY|THERMOPOLIS":[43.65,-108.21],
+  "WY|TORRINGTON":[42.06,-104.18],
+  "WY|UPTON":[44.1,-104.63],
+  "WY|WHEATLAND":[42.05,-104.95],
+  "WY|WILSON":[43.5,-110.88],
+  "WY|WORLAND":[44.02,-107.96],
+  "WY|WRIGHT":[43.75,-105.49],
+};
+
+// Postal code -> [lat, lon] area-weighted centroid
+const STATE_CENTROIDS = {
+  "AK":[64.2,-152.58],
+  "AL":[32.79,-86.83],
+  "AR":[34.9,-92.44],
+  "AS":[-14.28,-170.41],
+  "AZ":[34.29,-111.66],
+  "CA":[37.25,-119.61],
+  "CO":[39,-105.55],
+  "CT":[41.62,-72.73],
+  "DC":[38.9,-77.02],
+  "DE":[38.99,-75.5],
+  "FL":[28.62,-82.5],
+  "GA":[32.65,-83.45],
+  "GU":[13.44,144.77],
+  "HI":[20.25,-156.35],
+  "IA":[42.07,-93.5],
+  "ID":[44.39,-114.66],
+  "IL":[40.07,-89.2],
+  "IN":[39.91,-86.28],
+  "KS":[38.48,-98.38],
+  "KY":[37.53,-85.29],
+  "LA":[31.05,-91.97],
+  "MA":[42.25,-71.8],
+  "MD":[39.03,-76.77],
+  "ME":[45.36,-69.22],
+  "MI":[44.35,-85.44],
+  "MN":[46.32,-94.31],
+  "MO":[38.37,-92.48],
+  "MP":[15.68,145.62],
+  "MS":[32.75,-89.66],
+  "MT":[47.03,-109.64],
+  "NC":[35.54,-79.36],
+  "ND":[47.45,-100.47],
+  "NE":[41.53,-99.81],
+  "NH":[43.69,-71.58],
+  "NJ":[40.18,-74.66],
+  "NM":[34.42,-106.11],
+  "NV":[39.36,-116.66],
+  "NY":[42.94,-75.5],
+  "OH":[40.29,-82.79],
+  "OK":[35.58,-97.51],
+  "OR":[43.94,-120.56],
+  "PA":[40.87,-77.8],
+  "PR":[18.22,-66.46],
+  "RI":[41.68,-71.55],
+  "SC":[33.91,-80.9],
+  "SD":[44.44,-100.23],
+  "TN":[35.84,-86.34],
+  "TX":[31.48,-99.35],
+  "UT":[39.32,-111.68],
+  "VA":[37.52,-78.81],
+  "VI":[18.01,-64.82],
+  "VT":[44.07,-72.66],
+  "WA":[47.38,-120.45],
+  "WI":[44.64,-90.01],
+  "WV":[38.64,-80.62],
+  "WY":[43,-107.55],
+};
+
+// Simplified state/territory outlines plus Canada and Mexico, as flat [lon, lat, lon, lat, …] rings
+const MAP_OUTLINES = [
+  [-88.2,35,-85.61,34.98,-85.19,32.87,-84.89,32.26,-85.14,31.84,-85,31,-87.6,31,-87.37,30.44,-87.52,30.28,-87.77,30.26,-88.01,30.68,-88.14,30.32,-88.4,30.37,-88.47,31.89,-88.1,34.89,-88.2,35],
+  [-153.42,58.06,-153.17,58.09,-152.67,58.56,-152.51,58.43,-151.99,58.35,-152.08,58.15,-152.6,58.18,-152.98,57.98,-153.42,58.06],
+  [-154.78,57.37,-154.23,57.66,-153.98,57.65,-153.45,57.96,-152.47,57.96,-152.34,57.42,-152.74,57.51,-152.71,57.28,-152.98,57.34,-153.97,56.75,-153.81,57.16,-154.3,56.85,-154.78,57.37],
+  [-160.25,54.93,-160.06,55.2,-159.87,55.09,-160.25,54.93],
+  [-167.44,60.21,-166.92,60.2,-166.15,60.44,-165.68,60.29,-165.58,59.91,-166.19,59.75,-167.33,60.07,-167.44,60.21],
+  [-167.85,53.32,-167.36,53.42,-166.89,53.72,-167.14,53.83,-166.65,54.01,-166.12,53.86,-166.75,53.44,-167.13,53.43,-167.62,53.25,-167.85,53.32],
+  [-168.13,65.66,-166.53,66.14,-165.19,66.47,-164.4,66.58,-163.75,66.55,-163.92,66.19,-163.77,66.06,-162.75,66.09,-161.84,66.02,-161.55,66.24,-160.99,66.23,-161.52,66.4,-161.91,66.34,-161.88,66.51,-162.63,66.86,-162.32,66.94,-162.07,66.65,-161.57,66.44,-161.33,66.48,-161.88,66.72,-161.81,67.05,-162.5,66.98,-163.75,67.13,-164.01,67.54,-165.31,68.02,-166.69,68.34,-166.23,68.58,-166.22,68.88,-165.33,68.86,-164.25,68.93,-163.24,69.31,-163.01,69.81,-162.34,70.19,-161.88,70.33,-161.29,70.3,-160.81,70.38,-159.65,70.79,-158.03,70.83,-157.5,70.95,-156.81,71.29,-155.57,71.17,-155.98,70.96,-155.64,70.82,-155.03,71.15,-154.61,71.03,-154.57,70.83,-154.17,70.77,-153.89,70.89,-153.24,70.92,-152.22,70.82,-152.42,70.61,-151.7,70.55,-151.88,70.43,-151.15,70.38,-150.52,70.48,-150.36,70.41,-149.46,70.52,-147.68,70.2,-145.86,70.17,-144.95,69.96,-143.25,70.15,-141.43,69.7,-141,69.65,-141,60.31,-140.47,60.31,-139.99,60.19,-139.7,60.34,-139.09,60.36,-139.2,60.09,-137.6,59.24,-137.45,58.91,-136.58,59.17,-136.35,59.6,-135.48,59.8,-135.03,59.56,-134.96,59.28,-134.7,59.25,-134.25,58.86,-133.84,58.73,-133.38,58.43,-133.18,58.15,-132.05,57.05,-132.13,56.87,-131.84,56.6,-130.1,56.12,-130.15,55.77,-129.98,55.28,-130.7,54.72,-130.95,54.83,-131.09,55.19,-131.84,55.46,-131.69,55.89,-131.97,55.5,-132.71,56.11,-132.34,56.34,-132.56,56.76,-132.99,57.03,-133.52,57.18,-133.47,57.36,-133.71,57.79,-134.15,58.2,-134.63,58.25,-135.15,58.85,-135.4,59.29,-135.06,58.19,-135.43,58.4,-135.91,58.38,-136.09,58.82,-136.25,58.75,-136.04,58.38,-136.6,58.21,-137.68,58.62,-138.29,59.05,-139.86,59.54,-139.59,59.61,-139.63,59.87,-140.31,59.69,-140.89,59.74,-141.6,59.96,-142.91,60.09,-144.19,60,-144.31,60.16,-144.91,60.22,-144.83,60.44,-145.25,60.31,-145.73,60.47,-146.69,60.28,-146.46,60.47,-145.8,60.59,-146.47,60.68,-147.06,61.12,-147.38,60.88,-147.5,61.07,-147.73,60.82,-148.15,60.82,-147.77,61.18,-148.17,61.07,-148.37,60.77,-148.11,60.74,-147.94,60.44,-148.13,60.24,-147.82,60.06,-148.25,59.93,-149.31,59.97,-149.42,60.12,-149.63,59.73,-150.35,59.42,-150.32,59.59,-151,59.22,-151.59,59.16,-151.98,59.25,-151.89,59.42,-151.28,59.59,-151.87,59.78,-151.42,60.21,-151.27,60.54,-151.41,60.72,-150.38,61.04,-150,60.86,-149.74,61.02,-149.98,61.24,-150.66,61.3,-151.17,61.05,-151.48,61.01,-152.31,60.51,-152.23,60.39,-153.05,59.69,-153.48,59.64,-154.12,59.37,-154.26,59.14,-153.4,58.97,-153.4,58.74,-153.9,58.6,-154.21,58.14,-154.99,58.01,-155.54,57.79,-155.73,57.55,-156.04,57.56,-156.55,57.29,-156.33,57.18,-156.56,56.98,-156.91,56.97,-157.2,56.77,-157.38,56.86,-158.49,56.34,-158.12,56.23,-158.51,55.98,-159.81,55.86,-160.54,55.47,-160.87,55.53,-161.51,55.36,-161.36,55.62,-161.61,55.61,-161.96,55.11,-163.03,54.94,-163.59,54.61,-164.23,54.59,-164.84,54.42,-164.92,54.61,-164.43,54.93,-162.88,55.18,-162.26,55.69,-161.81,55.89,-160.83,56.03,-160.79,55.89,-160.22,55.83,-160.59,55.98,-160.36,56.28,-159.83,56.54,-158.96,56.85,-158.67,56.8,-158.39,57.24,-157.68,57.56,-157.45,58.51,-157.08,58.71,-157.12,58.87,-158.14,58.62,-158.57,58.8,-158.86,58.7,-158.7,58.48,-159.05,58.42,-159.73,58.93,-159.91,58.78,-160.32,59.07,-161.75,58.55,-161.94,58.66,-161.78,58.97,-162.06,59.27,-161.7,59.49,-162.37,60.17,-162.5,60,-163.66,59.8,-164.12,59.84,-164.19,60.02,-164.7,60.3,-165.42,60.55,-164.97,60.72,-165.17,60.94,-164.95,61.03,-166.15,61.51,-165.81,61.67,-166.09,61.82,-165.64,61.85,-165.67,62.14,-164.84,62.69,-164.63,63.1,-164.04,63.26,-163.31,63.04,-163.05,63.06,-162.27,63.49,-161.14,63.5,-160.77,63.77,-160.97,64.24,-161.37,64.54,-161.01,64.5,-160.78,64.72,-161.19,64.92,-162.54,64.53,-164.42,64.55,-165.02,64.43,-166.24,64.58,-166.64,65.11,-166.48,65.33,-167.4,65.4,-168.13,65.66],
+  [-169.05,52.86,-168.34,53.48,-168.01,53.57,-167.84,53.39,-168.5,53.04,-169.05,52.86],
+  [-171.84,63.55,-171.61,63.68,-170.91,63.57,-170.49,63.7,-169.55,63.37,-168.68,63.3,-168.86,63.15,-169.38,63.15,-169.64,62.94,-170.36,63.29,-171.1,63.42,-171.46,63.31,-171.84,63.55],
+  [-174.05,52.13,-172.96,52.09,-173.48,52.03,-174.05,52.13],
+  [-175.33,52.03,-174.3,52.21,-174.74,52.01,-175.33,52.03],
+  [-176.99,51.63,-176.77,51.97,-176.29,51.87,-176.99,51.63],
+  [-177.7,51.71,-177.04,51.9,-177.14,51.71,-177.7,51.71],
+  [-187.54,52.93,-186.89,52.99,-186.57,52.83,-187.19,52.79,-187.54,52.93],
+  [-131.65,55.04,-131.55,55.28,-131.39,55.01,-131.65,55.04],
+  [-133.79,55.46,-133.41,55.57,-133.42,55.39,-133.79,55.46],
+  [-133.82,55.96,-133.58,56.35,-133.16,56.32,-132.14,55.46,-132.52,55.58,-131.98,55.18,-132.03,54.7,-132.75,55,-133.12,55.25,-132.67,54.67,-133.16,54.96,-133.08,55.41,-133.7,55.78,-133.82,55.96],
+  [-134.41,56.85,-133.87,56.85,-133.89,57.1,-133.1,57.01,-132.54,56.58,-133.66,56.45,-133.96,56.09,-134.26,56.12,-134.41,56.85],
+  [-134.96,58.4,-134.56,58.2,-134.18,58.16,-133.9,57.69,-134.21,57.9,-133.86,57.46,-134.5,57.03,-134.65,57.23,-134.46,57.39,-134.96,58.4],
+  [-135.7,57.36,-135.42,57.56,-134.85,57.41,-134.63,56.73,-134.67,56.17,-135.32,56.75,-135.51,56.78,-135.36,57.24,-135.7,57.36],
+  [-135.85,57.24,-135.54,57.21,-135.86,57,-135.85,57.24],
+  [-136.57,57.93,-136.56,58.08,-135.79,58.29,-134.97,58.05,-134.82,57.5,-135.09,57.47,-135.57,57.67,-135.71,57.37,-136.23,57.6,-136.57,57.93],
+  [-147.93,59.78,-147.1,60.38,-146.95,60.26,-147.5,59.93,-147.93,59.78],
+  [-147.95,60.24,-147.57,60.58,-147.76,60.16,-147.95,60.24],
+  [-114.72,32.72,-114.53,32.76,-114.73,33.41,-114.5,33.7,-114.44,34.09,-114.13,34.26,-114.63,35,-114.76,36.09,-114.05,36.19,-114.05,37,-109.04,37,-109.05,31.33,-111.08,31.33,-114.81,32.49,-114.72,32.72],
+  [-109.05,41,-104.05,41,-102.05,41,-102.05,40,-102.04,36.99,-103,37,-109.04,37,-109.05,41],
+  [-81.81,24.57,-81.44,24.81,-81.24,24.67,-81.81,24.57],
+  [-85,31,-84.86,30.71,-82.21,30.57,-82.04,30.37,-81.95,30.83,-81.44,30.71,-81.26,29.81,-80.94,29.11,-80.57,28.59,-80.57,28.1,-80.09,27.02,-80.04,26.59,-80.15,25.7,-80.44,25.19,-81.08,25.12,-81.29,25.69,-81.69,25.85,-81.87,26.38,-82.25,26.76,-82.7,27.5,-82.39,27.84,-82.85,27.86,-82.86,28.22,-82.67,28.44,-82.69,28.91,-83.4,29.52,-83.64,29.89,-84.27,30.1,-85.05,29.59,-85.35,29.66,-85.36,29.9,-85.92,30.24,-86.63,30.4,-87.52,30.28,-87.37,30.44,-87.6,31,-85,31],
+  [-85.61,34.98,-84.32,34.99,-83.11,35,-83.34,34.68,-82.88,34.48,-82.56,33.94,-81.91,33.44,-81.49,33.01,-81.11,32.11,-80.89,32.03,-81.13,31.72,-81.44,30.71,-81.95,30.83,-82.04,30.37,-82.21,30.57,-84.86,30.71,-85,31,-85.14,31.84,-84.89,32.26,-85.19,32.87,-85.61,34.98],
+  [-87.52,41.71,-87.22,41.62,-86.82,41.76,-84.81,41.76,-84.81,41.7,-84.82,39.11,-84.81,38.79,-85.45,38.71,-85.42,38.54,-85.83,38.28,-85.92,38.03,-86.79,37.99,-87.13,37.78,-87.6,37.97,-88.03,37.8,-88.1,37.9,-87.49,38.74,-87.64,39.17,-87.53,39.35,-87.52,41.71],
+  [-102.05,40,-95.31,40,-94.88,39.83,-95.1,39.53,-94.61,39.12,-94.62,37,-102.04,36.99,-102.05,40],
+  [-70.7,43.06,-70.99,43.38,-71.08,45.31,-70.86,45.23,-70.72,45.52,-70.26,45.89,-70.21,46.33,-70,46.69,-69.23,47.46,-68.9,47.18,-68.23,47.35,-67.79,47.07,-67.8,45.68,-67.45,45.6,-67.49,45.28,-67.16,45.16,-66.98,44.81,-67.59,44.45,-67.77,44.55,-68.05,44.33,-68.52,44.26,-68.6,44.01,-68.81,44.5,-69.22,43.92,-69.93,43.78,-70.35,43.54,-70.7,43.06],
+  [-73.26,42.75,-72.46,42.73,-71.29,42.7,-70.82,42.87,-70.6,42.66,-70.99,42.41,-70.64,42.09,-70.54,41.82,-69.93,41.69,-70.66,41.54,-70.63,41.71,-71.12,41.5,-71.2,41.68,-71.22,41.71,-71.38,42.02,-71.8,42.01,-73.49,42.05,-73.26,42.75],
+  [-97.23,49,-95.15,49,-95.15,49.38,-94.82,49.29,-94.64,48.74,-93.83,48.63,-93.79,48.52,-92.99,48.62,-91.72,48.2,-91.57,48.04,-90.89,48.25,-90.76,48.1,-90.13,48.11,-89.58,48,-90.54,47.7,-91.13,47.4,-92.09,46.79,-92.01,46.71,-92.29,46.66,-92.29,46.07,-92.71,45.89,-92.89,45.58,-92.76,45.29,-92.81,44.77,-92.54,44.57,-91.92,44.33,-91.88,44.2,-91.28,43.84,-91.22,43.5,-96.45,43.5,-96.45,45.3,-96.86,45.61,-96.56,45.94,-96.6,46.33,-96.8,46.66,-96.86,47.61,-97.13,48.14,-97.1,48.69,-97.23,49],
+  [-75.56,39.63,-75.51,39.69,-75.42,39.8,-74.72,40.15,-75.2,40.69,-75.14,40.97,-74.7,41.36,-73.91,41,-74.05,40.69,-74.07,40.66,-74.26,40.5,-73.97,40.37,-74.1,39.76,-74.34,39.43,-74.97,38.94,-74.89,39.16,-75.54,39.46,-75.56,39.61,-75.56,39.63],
+  [-81.68,36.59,-80.29,36.54,-75.87,36.55,-75.92,36.24,-76.67,35.94,-75.81,35.96,-75.78,35.58,-76.14,35.33,-77.02,35.52,-76.47,35.26,-76.76,34.92,-76.44,35.06,-76.29,34.94,-76.54,34.59,-77.03,34.66,-77.56,34.42,-77.96,33.85,-78.54,33.85,-79.67,34.8,-80.8,34.82,-81.04,35.15,-82.29,35.2,-83.11,35,-84.32,34.99,-84.29,35.22,-83.77,35.56,-83.49,35.57,-82.21,36.16,-82.03,36.13,-81.68,36.59],
+  [-104.05,49,-97.23,49,-97.1,48.69,-97.13,48.14,-96.86,47.61,-96.8,46.66,-96.6,46.33,-96.56,45.94,-104.04,45.95,-104.05,49],
+  [-103,37,-102.04,36.99,-94.62,37,-94.62,36.5,-94.43,35.39,-94.49,33.64,-95.23,33.96,-96.15,33.84,-96.32,33.69,-96.91,33.95,-97.16,33.73,-98.36,34.16,-98.49,34.06,-99.21,34.34,-99.71,34.39,-100,34.56,-100,36.5,-103,36.5,-103,37],
+  [-80.52,41.98,-79.76,42.27,-79.76,42,-75.36,42,-75.08,41.61,-74.7,41.36,-75.14,40.97,-75.2,40.69,-74.72,40.15,-75.42,39.8,-75.79,39.72,-79.48,39.72,-80.52,39.72,-80.52,40.64,-80.52,41.98],
+  [-104.06,45,-104.04,45.95,-96.56,45.94,-96.86,45.61,-96.45,45.3,-96.45,43.5,-96.63,42.71,-96.45,42.49,-97.31,42.87,-98.02,42.76,-98.5,43,-104.05,43,-104.06,45],
+  [-103,36.5,-100,36.5,-100,34.56,-99.71,34.39,-99.21,34.34,-98.49,34.06,-98.36,34.16,-97.16,33.73,-96.91,33.95,-96.32,33.69,-96.15,33.84,-95.23,33.96,-94.49,33.64,-94.05,33.55,-94.04,33.02,-94.04,31.99,-93.53,31.18,-93.55,30.82,-93.77,30.33,-93.7,30.07,-93.84,29.69,-94.78,29.38,-94.69,29.76,-95.01,29.66,-94.73,29.33,-95.38,28.87,-96.22,28.49,-97,27.91,-96.92,28.09,-96.44,28.34,-96.79,28.38,-97.41,27.32,-97.41,26.48,-97.15,25.95,-97.37,25.84,-97.8,26.06,-98.2,26.06,-99.11,26.43,-99.45,27.02,-99.48,27.49,-99.88,27.8,-100.29,28.28,-100.67,29.1,-101.48,29.78,-102.3,29.88,-102.65,29.73,-102.89,29.21,-103.12,28.99,-104.15,29.38,-104.51,29.64,-104.71,30.24,-105.01,30.69,-105.4,30.86,-106.53,31.78,-106.62,32,-103.07,32,-103.04,36.5,-103,36.5],
+  [-104.06,45,-104.05,43,-104.05,41,-109.05,41,-111.05,41,-111.05,42,-111.05,44.47,-111.05,45,-104.06,45],
+  [-73.49,42.05,-71.8,42.01,-71.86,41.32,-72.9,41.24,-73.66,40.98,-73.55,41.3,-73.49,42.05],
+  [-95.76,40.59,-94.59,40.57,-91.73,40.61,-91.42,40.38,-91.49,40.04,-91.37,39.73,-90.72,39.23,-90.66,38.93,-90.11,38.85,-90.36,38.21,-89.52,37.69,-89.52,37.29,-89.13,36.98,-89.16,36.67,-89.42,36.5,-89.49,36.5,-89.54,36.5,-89.73,36,-90.38,36,-90.08,36.27,-90.15,36.5,-94.62,36.5,-94.62,37,-94.61,39.12,-95.1,39.53,-94.88,39.83,-95.31,40,-95.76,40.59],
+  [-82.6,38.42,-82.32,38.45,-82.03,39.03,-81.89,38.87,-81.47,39.4,-81.21,39.39,-80.83,39.71,-80.52,40.64,-80.52,39.72,-79.48,39.72,-79.49,39.21,-78.78,39.62,-78.47,39.52,-78.18,39.7,-77.72,39.32,-77.83,39.13,-78.35,39.47,-78.4,39.17,-78.87,38.76,-79,38.85,-79.31,38.41,-79.65,38.59,-79.69,38.43,-80.29,37.69,-80.3,37.51,-81.22,37.24,-81.68,37.2,-81.97,37.54,-82.29,37.67,-82.64,38.14,-82.6,38.42],
+  [-91.42,40.38,-91.12,40.67,-90.95,41.1,-91.04,41.42,-90.34,41.59,-90.16,42.12,-90.64,42.51,-87.8,42.49,-87.84,42.3,-87.52,41.71,-87.53,39.35,-87.64,39.17,-87.49,38.74,-88.1,37.9,-88.03,37.8,-88.08,37.47,-88.48,37.39,-88.46,37.07,-88.92,37.22,-89.13,36.98,-89.52,37.29,-89.52,37.69,-90.36,38.21,-90.11,38.85,-90.66,38.93,-90.72,39.23,-91.37,39.73,-91.49,40.04,-91.42,40.38],
+  [-109.04,37,-103,37,-103,36.5,-103.04,36.5,-103.07,32,-106.62,32,-106.53,31.78,-108.21,31.78,-108.21,31.33,-109.05,31.33,-109.04,37],
+  [-94.62,36.5,-90.15,36.5,-90.08,36.27,-90.38,36,-89.73,36,-89.66,35.89,-90.17,35.42,-90.06,35.14,-90.31,35,-90.51,34.8,-90.57,34.43,-91.09,33.96,-90.99,33.79,-91.17,33,-94.04,33.02,-94.05,33.55,-94.49,33.64,-94.43,35.39,-94.62,36.5],
+  [-124.21,42,-120,42,-120,41.99,-120,39,-117.83,37.47,-116.25,36.28,-114.63,35,-114.13,34.26,-114.44,34.09,-114.5,33.7,-114.73,33.41,-114.53,32.76,-114.72,32.72,-117.12,32.53,-117.5,33.33,-118.18,33.76,-118.41,33.74,-118.54,34.04,-119.22,34.15,-119.56,34.41,-120.47,34.45,-120.65,34.58,-120.63,35.12,-121.25,35.66,-121.94,36.48,-121.79,36.8,-122.4,37.2,-122.52,37.78,-122.09,37.45,-122.43,37.96,-122.53,37.82,-123.01,38,-122.97,38.25,-123.74,38.95,-123.85,39.83,-124.36,40.26,-124.41,40.44,-124.18,40.84,-124.06,41.44,-124.21,42],
+  [-75.79,39.72,-75.42,39.8,-75.51,39.69,-75.59,39.46,-75.4,39.07,-75.1,38.8,-75.05,38.45,-75.69,38.46,-75.79,39.72],
+  [-156.06,19.74,-155.82,20.03,-155.87,20.27,-155.28,20.02,-154.81,19.52,-155.52,19.13,-155.67,18.92,-155.89,19.04,-156.06,19.74],
+  [-156.7,20.92,-156.32,20.95,-156,20.8,-156.44,20.6,-156.7,20.92],
+  [-157.31,21.1,-157.26,21.22,-156.71,21.16,-157.31,21.1],
+  [-158.28,21.58,-157.97,21.71,-157.65,21.3,-158.11,21.3,-158.28,21.58],
+  [-159.79,22.03,-159.58,22.22,-159.29,22.11,-159.6,21.89,-159.79,22.03],
+  [-96.45,43.5,-91.22,43.5,-91.06,42.74,-90.64,42.51,-90.16,42.12,-90.34,41.59,-91.04,41.42,-90.95,41.1,-91.12,40.67,-91.42,40.38,-91.73,40.61,-94.59,40.57,-95.76,40.59,-95.93,41.46,-96.45,42.49,-96.63,42.71,-96.45,43.5],
+  [-89.13,36.98,-88.92,37.22,-88.46,37.07,-88.48,37.39,-88.08,37.47,-88.03,37.8,-87.6,37.97,-87.13,37.78,-86.79,37.99,-85.92,38.03,-85.83,38.28,-85.42,38.54,-85.45,38.71,-84.81,38.79,-84.82,39.11,-84.44,39.11,-84.21,38.81,-83.31,38.6,-82.89,38.76,-82.6,38.42,-82.64,38.14,-82.29,37.67,-81.97,37.54,-82.72,37.12,-83.14,36.74,-83.68,36.6,-86.59,36.65,-87.85,36.63,-88.05,36.5,-89.42,36.5,-89.16,36.67,-89.13,36.98],
+  [-79.48,39.72,-75.79,39.72,-75.69,38.46,-75.05,38.45,-75.24,38.03,-75.67,37.95,-75.89,37.92,-75.85,38.21,-76.17,38.24,-76.34,38.49,-76.03,38.57,-76.38,38.85,-76.18,39.32,-76.44,39.2,-76.52,38.54,-76.44,38.16,-76.8,38.24,-77.13,38.64,-77.04,38.79,-77.12,38.93,-77.72,39.32,-78.18,39.7,-78.47,39.52,-78.78,39.62,-79.49,39.21,-79.48,39.72],
+  [-86.82,41.76,-86.62,41.89,-86.26,42.44,-86.23,43.02,-86.54,43.66,-86.51,44.05,-86.27,44.35,-86.26,44.69,-85.62,45.19,-85.6,44.77,-85.39,44.93,-85.37,45.27,-84.92,45.39,-85.12,45.57,-84.77,45.79,-84.06,45.49,-83.5,45.36,-83.27,45.02,-83.33,44.34,-83.96,43.75,-83.68,43.59,-83.26,43.97,-82.91,44.07,-82.64,43.85,-82.42,43.01,-82.52,42.61,-82.82,42.63,-83.19,42.01,-83.45,41.73,-84.81,41.7,-84.81,41.76,-86.82,41.76],
+  [-89.25,47.88,-88.66,48.14,-88.67,48.01,-89.25,47.88],
+  [-90.42,46.57,-89.79,46.82,-89.44,46.84,-88.18,47.46,-87.71,47.4,-88.23,47.2,-88.24,46.93,-87.67,46.84,-87.39,46.52,-86.59,46.46,-86.14,46.67,-84.95,46.77,-85.03,46.48,-84.59,46.41,-84.22,46.53,-84.07,46.1,-83.58,46.09,-83.56,45.91,-84.38,45.93,-84.66,46.05,-84.83,45.87,-85.51,46.09,-85.66,45.97,-86.2,45.96,-87.02,45.84,-87.59,45.1,-87.85,45.34,-87.78,45.67,-88.1,45.92,-90.12,46.34,-90.35,46.54,-90.42,46.57],
+  [-91.17,33,-90.99,33.79,-91.09,33.96,-90.57,34.43,-90.51,34.8,-90.31,35,-88.2,35,-88.1,34.89,-88.47,31.89,-88.4,30.37,-88.89,30.39,-89.53,30.18,-89.85,30.66,-89.75,31,-91.64,31,-91.52,31.52,-90.91,32.34,-91.11,32.48,-91.17,33],
+  [-116.05,49,-104.05,49,-104.04,45.95,-104.06,45,-111.05,45,-111.05,44.47,-111.39,44.76,-111.47,44.54,-112.29,44.57,-112.39,44.45,-113,44.45,-113.13,44.77,-113.46,44.87,-113.45,45.06,-113.99,45.7,-114.35,45.46,-114.57,45.77,-114.32,46.61,-114.95,46.86,-115.33,47.26,-115.72,47.42,-115.72,47.7,-116.05,47.98,-116.05,49],
+  [-71.5,45.01,-71.38,45.24,-71.08,45.31,-70.99,43.38,-70.7,43.06,-70.82,42.87,-71.29,42.7,-72.46,42.73,-72.38,43.57,-72.03,44.09,-72.03,44.32,-71.58,44.5,-71.5,45.01],
+  [-79.76,42.27,-78.85,42.78,-79.07,43.26,-78.49,43.37,-76.95,43.27,-76.24,43.53,-76.14,43.93,-76.31,44.2,-75.91,44.37,-75.31,44.84,-74.83,45.02,-73.34,45.01,-73.29,44.44,-73.44,44.04,-73.25,43.55,-73.26,42.75,-73.49,42.05,-73.55,41.3,-73.66,40.98,-72.64,40.98,-72.36,41.14,-72.1,40.99,-73.21,40.63,-73.94,40.54,-74.05,40.69,-73.91,41,-74.7,41.36,-75.08,41.61,-75.36,42,-79.76,42,-79.76,42.27],
+  [-84.81,41.7,-83.45,41.73,-82.48,41.38,-81.74,41.49,-81.01,41.85,-80.52,41.98,-80.52,40.64,-80.83,39.71,-81.21,39.39,-81.47,39.4,-81.89,38.87,-82.03,39.03,-82.32,38.45,-82.6,38.42,-82.89,38.76,-83.31,38.6,-84.21,38.81,-84.44,39.11,-84.82,39.11,-84.81,41.7],
+  [-123.55,46.26,-123.11,46.19,-122.81,45.96,-122.76,45.66,-122.27,45.54,-121.53,45.73,-121.18,45.61,-120.56,45.74,-119.13,45.93,-118.99,46,-116.92,46,-116.46,45.6,-117.22,44.29,-116.9,44.18,-117.03,43.81,-117.03,42,-120,42,-120,41.99,-120,42,-124.21,42,-124.55,42.84,-124.2,43.67,-123.98,45.15,-123.9,46.17,-123.55,46.26],
+  [-89.73,36,-89.54,36.5,-89.49,36.5,-89.42,36.5,-88.05,36.5,-87.85,36.63,-86.59,36.65,-83.68,36.6,-81.68,36.59,-82.03,36.13,-82.21,36.16,-83.49,35.57,-83.77,35.56,-84.29,35.22,-84.32,34.99,-85.61,34.98,-88.2,35,-90.31,35,-90.06,35.14,-90.17,35.42,-89.66,35.89,-89.73,36],
+  [-114.04,41.99,-111.05,42,-111.05,41,-109.05,41,-109.04,37,-114.05,37,-114.04,41.99],
+  [-75.67,37.95,-75.24,38.03,-75.56,37.74,-75.83,37.17,-76.03,37.26,-75.67,37.95],
+  [-81.97,37.54,-81.68,37.2,-81.22,37.24,-80.3,37.51,-80.29,37.69,-79.69,38.43,-79.65,38.59,-79.31,38.41,-79,38.85,-78.87,38.76,-78.4,39.17,-78.35,39.47,-77.83,39.13,-77.72,39.32,-77.12,38.93,-77.04,38.79,-77.13,38.64,-77.27,38.33,-76.62,38.15,-76.24,37.89,-76.41,37.4,-76.27,37.08,-76.48,36.9,-75.99,36.92,-75.87,36.55,-80.29,36.54,-81.68,36.59,-83.68,36.6,-83.14,36.74,-82.72,37.12,-81.97,37.54],
+  [-123.2,48.6,-122.74,48.66,-122.8,48.43,-123.2,48.6],
+  [-117.03,49,-117.04,46.41,-116.92,46,-118.99,46,-119.13,45.93,-120.56,45.74,-121.18,45.61,-121.53,45.73,-122.27,45.54,-122.76,45.66,-122.81,45.96,-123.11,46.19,-123.55,46.26,-124.08,46.27,-123.83,46.72,-124.09,46.75,-124.49,47.82,-124.73,48.16,-124.65,48.39,-123.98,48.16,-123.04,48.08,-122.76,48.14,-122.48,47.75,-122.6,47.22,-122.33,47.35,-122.39,47.81,-122.23,48.03,-122.49,48.75,-122.76,49,-117.03,49],
+  [-92.01,46.71,-91.51,46.76,-90.97,46.94,-90.42,46.57,-90.35,46.54,-90.12,46.34,-88.1,45.92,-87.78,45.67,-87.85,45.34,-87.59,45.1,-87.98,44.72,-87.97,44.53,-87.4,44.9,-87.06,45.29,-87.05,45.09,-87.47,44.55,-87.52,44.18,-87.91,43.24,-87.8,42.49,-90.64,42.51,-91.06,42.74,-91.22,43.5,-91.28,43.84,-91.88,44.2,-91.92,44.33,-92.54,44.57,-92.81,44.77,-92.76,45.29,-92.89,45.58,-92.71,45.89,-92.29,46.07,-92.29,46.66,-92.01,46.71],
+  [-215.38,13.45,-215.04,13.6,-215.34,13.27,-215.38,13.45],
+  [-104.05,43,-98.5,43,-98.02,42.76,-97.31,42.87,-96.45,42.49,-95.93,41.46,-95.76,40.59,-95.31,40,-102.05,40,-102.05,41,-104.05,41,-104.05,43],
+  [-83.11,35,-82.29,35.2,-81.04,35.15,-80.8,34.82,-79.67,34.8,-78.54,33.85,-79.09,33.48,-79.36,33.01,-80,32.61,-80.48,32.46,-80.46,32.33,-80.89,32.03,-81.11,32.11,-81.49,33.01,-81.91,33.44,-82.56,33.94,-82.88,34.48,-83.34,34.68,-83.11,35],
+  [-67.27,18.37,-67.14,18.51,-65.99,18.46,-65.63,18.35,-65.83,18.02,-67.21,17.95,-67.27,18.37],
+  [-116.92,46,-117.04,46.41,-117.03,49,-116.05,49,-116.05,47.98,-115.72,47.7,-115.72,47.42,-115.33,47.26,-114.95,46.86,-114.32,46.61,-114.57,45.77,-114.35,45.46,-113.99,45.7,-113.45,45.06,-113.46,44.87,-113.13,44.77,-113,44.45,-112.39,44.45,-112.29,44.57,-111.47,44.54,-111.39,44.76,-111.05,44.47,-111.05,42,-114.04,41.99,-117.03,42,-117.03,43.81,-116.9,44.18,-117.22,44.29,-116.46,45.6,-116.92,46],
+  [-120,41.99,-120,42,-117.03,42,-114.04,41.99,-114.05,37,-114.05,36.19,-114.76,36.09,-114.63,35,-116.25,36.28,-117.83,37.47,-120,39,-120,41.99],
+  [-73.34,45.01,-71.5,45.01,-71.58,44.5,-72.03,44.32,-72.03,44.09,-72.38,43.57,-72.46,42.73,-73.26,42.75,-73.25,43.55,-73.44,44.04,-73.29,44.44,-73.34,45.01],
+  [-94.04,33.02,-91.17,33,-91.11,32.48,-90.91,32.34,-91.52,31.52,-91.64,31,-89.75,31,-89.85,30.66,-89.53,30.18,-89.82,30.04,-89.66,29.86,-89.48,30.08,-89.43,29.66,-89.67,29.64,-89.51,29.39,-89.2,29.35,-89.14,28.99,-89.84,29.32,-90.22,29.09,-90.43,29.35,-90.81,29.04,-91.34,29.3,-91.62,29.74,-91.89,29.84,-92.32,29.53,-93.18,29.77,-93.84,29.69,-93.7,30.07,-93.77,30.33,-93.55,30.82,-93.53,31.18,-94.04,31.99,-94.04,33.02],
+  [-71.86,41.32,-71.8,42.01,-71.38,42.02,-71.22,41.71,-71.39,41.78,-71.48,41.37,-71.86,41.32],
+  [-117.13,32.53,-114.72,32.72,-114.84,32.51,-111.04,31.33,-108.22,31.33,-108.21,31.78,-106.45,31.77,-104.98,30.65,-104.5,29.68,-103.26,29,-102.27,29.87,-101.57,29.81,-100.66,29.07,-100.3,28.33,-99.51,27.55,-99.11,26.45,-97.36,25.87,-97.15,25.96,-97.67,24.39,-97.86,22.62,-97.64,21.6,-97.12,20.62,-96.46,19.87,-95.82,18.75,-95.18,18.7,-94.55,18.17,-91.98,18.72,-90.74,19.35,-90.35,21.01,-89.82,21.28,-88.13,21.62,-86.82,21.42,-86.86,20.88,-87.69,19.64,-87.43,19.58,-87.85,18.27,-88.3,18.47,-89.16,17.82,-90.99,17.82,-91.41,17.26,-90.42,16.39,-90.45,16.07,-91.74,16.07,-92.19,15.32,-92.23,14.54,-93.92,16.05,-94.9,16.42,-95.46,15.98,-96.51,15.65,-97.75,15.97,-98.76,16.53,-100.85,17.2,-101.85,17.92,-103.44,18.33,-103.91,18.83,-104.94,19.31,-105.67,20.38,-105.21,21.49,-105.79,22.63,-107.08,24.02,-107.95,24.62,-108.04,25.04,-109.2,25.59,-109.2,26.3,-110.48,27.32,-110.53,27.86,-111.12,27.97,-112.16,29.02,-113.11,30.79,-113.05,31.18,-114.93,31.9,-114.55,30.02,-112.87,28.42,-112.73,27.83,-111.57,26.71,-111.29,25.79,-110.68,24.79,-109.42,23.48,-109.92,22.89,-110.36,23.61,-112.07,24.84,-112.38,26.21,-113.15,26.95,-113.6,26.72,-115.04,27.84,-114.18,28.01,-114.14,28.6,-115.67,29.76,-116.06,30.8,-117.13,32.53],
+  [-132.66,54.13,-131.67,54.14,-132.01,53.26,-132.85,53.51,-133.05,54.16,-132.66,54.13],
+  [-131.75,53.2,-131.22,52.15,-132.55,53.14,-131.75,53.2],
+  [-127.2,50.64,-125.48,50.32,-124.64,49.43,-123.99,49.22,-123.59,48.33,-125.12,48.76,-127.25,50.14,-127.86,50.13,-128.35,50.74,-127.2,50.64],
+  [-130.02,55.89,-130.1,56.11,-131.58,56.6,-133.82,58.71,-134.95,59.29,-135.47,59.79,-136.32,59.6,-136.58,59.15,-137.44,58.9,-137.59,59.23,-139.19,60.08,-141,60.3,-141,69.65,-139.18,69.52,-136.72,68.89,-135.88,68.92,-135.69,69.31,-133.88,69.51,-133.16,69.43,-130.5,70.14,-129.65,70,-131.86,69.55,-131.01,69.43,-129.11,69.88,-128.97,69.71,-127.68,70.26,-127.14,70.24,-126.61,69.73,-125.39,69.35,-125.2,69.83,-124.44,70.11,-124.48,69.43,-123.61,69.38,-123.03,69.81,-120.96,69.66,-120.29,69.42,-118.09,69.04,-116.06,68.84,-115.63,68.97,-113.96,68.4,-115.43,67.9,-113.68,67.7,-110.99,67.79,-110.1,67.99,-108.59,67.59,-107.91,67.16,-108.5,67.09,-107.71,66.74,-107.16,66.88,-107.97,67.73,-107.8,68.04,-106.43,68.2,-105.78,68.53,-108.72,68.3,-108.31,68.61,-106.16,68.92,-105.43,68.46,-104.19,68.03,-103.47,68.11,-102.69,67.81,-101.56,67.69,-100.46,67.84,-99.03,67.72,-98.11,67.9,-98.65,68.36,-97.27,68.45,-96.72,68.06,-95.97,68.25,-96.37,67.51,-95.26,67.26,-95.65,67.74,-93.64,68.63,-94.56,68.91,-94.27,69.45,-96.05,69.83,-96.54,70.33,-95.88,70.55,-96.55,70.81,-96.41,71.27,-94.56,71.98,-92.95,71.26,-92.98,70.85,-92.39,70.65,-91.98,70.04,-92.89,69.67,-90.55,69.5,-91.24,69.29,-90.47,68.86,-90.2,68.26,-89.67,69.02,-89.06,69.27,-88.04,68.81,-87.85,68.27,-88.35,68.29,-88.2,67.77,-87.27,67.18,-86.54,67.52,-85.52,68.77,-84.86,69.07,-85.39,69.23,-85.42,69.85,-82.37,69.64,-82.76,69.49,-81.33,69.12,-81.96,68.88,-81.28,68.66,-82.55,68.45,-81.27,67.46,-81.44,67.09,-83.52,66.37,-84.54,66.97,-83.83,66.29,-84.48,66.18,-85.6,66.57,-86.63,66.53,-86.04,66.02,-87.29,65.35,-87.97,65.35,-89.75,65.94,-91.01,65.97,-89.79,65.74,-88.97,65.35,-87.03,65.2,-88.11,64.18,-88.82,63.99,-90.17,63.98,-90.24,63.64,-91.84,63.7,-90.75,63.35,-90.87,62.95,-92.36,62.82,-91.96,62.64,-92.53,62.17,-93.58,61.94,-93.31,61.77,-94.09,61.3,-94.79,59.95,-94.72,58.9,-93.28,58.76,-92.44,57.27,-92.72,56.93,-91.11,57.24,-88.95,56.85,-87.56,56.06,-85.83,55.66,-85.06,55.29,-82.58,55.15,-82.14,53.82,-82.26,52.96,-81.55,52.24,-80.66,51.76,-80.48,51.31,-79.71,51.12,-78.49,52.25,-79.24,54.1,-79.67,54.7,-77.89,55.24,-76.65,56.11,-76.65,57.38,-77.16,58.02,-78.51,58.68,-77.31,60.04,-78.18,60.82,-77.51,61.56,-78.07,62.36,-77.37,62.57,-74.64,62.21,-73.76,62.47,-72.63,62.05,-71.42,61.16,-69.47,61.01,-69.81,59.94,-69.4,59.34,-69.53,58.87,-68.41,58.78,-67.57,58.21,-65.61,59.11,-65.41,59.8,-64.71,60.34,-61.9,57.86,-62.46,57.46,-61.33,57.01,-61.45,56,-60.34,55.79,-60.62,55.06,-59.76,55.31,-58.78,54.84,-57.96,54.88,-57.4,54.57,-58.63,54.05,-59.82,53.83,-60.33,53.27,-58.19,54.23,-57.42,54.16,-57.16,53.76,-56.11,53.59,-55.8,53.21,-55.69,52.14,-56.98,51.46,-58.44,51.31,-60.08,50.25,-62.71,50.3,-66.49,50.21,-67.37,49.35,-68.93,48.83,-69.91,47.83,-71.27,46.8,-72.98,46.21,-73.98,45.35,-74.71,45,-75.18,44.9,-76.46,44.06,-76.82,43.63,-78.72,43.62,-79.17,43.47,-78.91,42.91,-80.25,42.37,-81.28,42.21,-82.44,41.68,-83.14,41.98,-82.55,42.62,-82.14,43.57,-82.55,45.35,-84.56,46.46,-84.88,46.9,-88.38,48.3,-89.27,48.02,-90.84,48.2,-91.52,48.06,-93,48.61,-94.62,48.74,-94.86,49.3,-95.16,48.99,-122.79,48.99,-123.34,49.46,-123.89,49.49,-124.78,50.02,-125.06,50.51,-126.45,50.55,-126.52,51.06,-127.06,50.87,-127.71,51.15,-127.79,52.29,-128.1,51.79,-128.36,52.83,-129.11,53.64,-128.54,53.42,-128.7,53.92,-129.56,53.25,-130.33,53.72,-130.04,54.13,-130.43,54.42,-129.56,55.46,-130.02,55.89],
+  [-109.82,78.65,-109.39,78.34,-111.43,78.29,-113.15,78.41,-110.41,78.76,-109.82,78.65],
+  [-110.46,78.1,-109.77,77.96,-110.86,77.83,-110.2,77.53,-111.95,77.34,-113.17,77.53,-113.22,77.9,-110.46,78.1],
+  [-115.55,77.36,-116.29,77.1,-116.22,76.61,-117.15,76.3,-118.02,76.45,-117.78,76.78,-119.52,76.34,-119.91,75.86,-121.02,76.02,-122.4,75.94,-122.37,76.4,-121.61,76.44,-119.09,77.3,-115.55,77.36],
+  [-108.29,76.06,-108.02,75.8,-106.4,76.06,-105.48,75.75,-105.86,75.19,-107.15,74.93,-108.83,75.07,-111.73,74.5,-113.02,74.4,-114.38,74.67,-111.03,75.23,-113.71,75.07,-114.01,75.43,-114.45,75.09,-115.73,74.97,-117.5,75.2,-116.61,76.07,-115.58,76.44,-114.19,76.45,-113.82,76.21,-112.7,76.2,-111.05,75.55,-109.09,75.51,-109.45,76.02,-110.29,76.33,-109.34,76.76,-108.47,76.74,-108.29,76.06],
+  [-114.52,72.59,-113.5,72.69,-113.21,72.98,-111.27,72.71,-111.89,72.36,-110.21,72.66,-110.01,72.98,-108.7,72.5,-108.21,71.75,-107.3,71.9,-108.24,73.11,-108.03,73.35,-105.81,73.01,-104.38,71.58,-104.56,71.13,-103.95,70.76,-103.05,70.65,-100.97,70.03,-100.94,69.72,-102.24,69.84,-102.62,69.55,-103.36,69.69,-103.09,69.21,-101.98,69.41,-101.86,69.02,-102.89,68.82,-105.1,68.92,-106.66,69.44,-107.44,69,-108.95,68.76,-111.31,68.54,-113.13,68.49,-113.69,69.19,-116.54,69.43,-117.14,70.1,-114.59,70.31,-112.64,70.23,-111.63,70.31,-113.76,70.69,-115.99,70.59,-117.59,70.63,-118.38,70.97,-115.89,71.38,-115.59,71.55,-117.72,71.39,-117.74,71.66,-118.87,71.69,-118.48,72.43,-117.25,72.91,-114.64,73.37,-114.16,73.27,-114.52,72.59],
+  [-119.74,74.11,-118.54,74.24,-117.2,74.17,-115.51,73.62,-115.45,73.44,-118.96,72.68,-120.18,72.21,-120.62,71.51,-121.75,71.44,-122.84,71.1,-124.01,71.68,-125.84,71.98,-124.99,72.59,-124.84,73.08,-123.8,73.77,-124.7,74.35,-121.75,74.54,-119.56,74.23,-119.74,74.11],
+  [-69.49,83.02,-66.42,82.93,-68.47,82.65,-64.9,82.9,-63.64,82.81,-63.09,82.56,-61.48,82.47,-62.18,82.04,-64.58,81.73,-66.62,81.62,-68.32,81.26,-65.73,81.49,-65.48,81.29,-68.63,80.68,-70.26,80.23,-71.39,79.76,-73.47,79.76,-73.36,79.5,-75.5,79.41,-76.9,79.51,-74.53,79.05,-78.58,79.08,-77.88,78.94,-76.25,79.01,-74.43,78.72,-74.88,78.54,-76.37,78.52,-75.19,78.33,-75.87,78.01,-78.01,77.95,-78.08,77.52,-78.71,77.34,-81.12,77.27,-78.29,76.98,-78.28,76.57,-80.69,76.18,-81.82,76.52,-85.14,76.3,-86.45,76.58,-86.68,76.38,-89.57,76.49,-89.5,76.83,-88.4,77.1,-86.85,77.17,-88.09,77.72,-87.02,77.89,-85.59,77.46,-85.02,78.31,-86.22,78.08,-85.92,78.34,-87.55,78.18,-86.81,78.77,-85.23,78.9,-83.27,78.77,-82.44,78.9,-83.58,79.05,-85.09,79.61,-86.42,79.84,-86.31,80.32,-83.72,80.23,-81.86,79.72,-81.01,79.69,-82.96,80.28,-76.85,80.88,-78.55,80.92,-78.29,81.17,-81.01,80.66,-84.08,80.56,-86.6,80.66,-85.78,81.04,-87.33,80.67,-88.92,80.81,-88.41,81,-86.48,81.04,-84.94,81.29,-87.27,81.08,-89.62,81.03,-89.95,81.17,-88.48,81.57,-90.31,81.4,-89.84,81.61,-91.68,81.64,-90.49,81.88,-88.57,82.06,-85.31,82.04,-86.58,82.19,-84.9,82.45,-79.43,81.85,-82,82.28,-82.12,82.63,-81.18,82.75,-78.75,82.68,-80.16,82.91,-77.62,82.9,-76.01,82.54,-75.57,82.61,-77.13,83.01,-72.81,83.08,-69.49,83.02],
+  [-95.49,77.79,-93.58,77.77,-93.52,77.47,-95.99,77.48,-95.49,77.79],
+  [-93.54,75.03,-93.55,74.69,-94.7,74.64,-96.6,75.06,-95.67,75.53,-94.43,75.59,-93.54,75.03],
+  [-100,73.95,-99.16,73.73,-97.58,73.89,-97,73.67,-98.44,73,-97.48,72.99,-96.54,72.7,-96.61,71.83,-97.58,71.63,-98.46,71.77,-98.2,71.44,-99.17,71.37,-100.59,72.15,-101.72,72.32,-102.71,72.78,-101.92,73.06,-101.35,72.75,-100.1,72.96,-101.45,73.43,-100.91,73.81,-100,73.95],
+  [-84.92,65.26,-84.61,65.45,-82.05,64.64,-81.68,64.15,-80.83,64.09,-80.3,63.76,-81.05,63.46,-83.58,64.06,-84.63,63.31,-85.5,63.14,-85.81,63.71,-87.18,63.6,-86.25,64.14,-86.37,64.57,-85.96,65.7,-85.55,65.92,-84.92,65.26],
+  [-97.7,76.47,-97.34,75.42,-97.67,75.13,-100.23,75.01,-100.73,75.35,-99.59,75.66,-102.54,75.51,-101.94,75.88,-101.26,75.76,-102.14,76.28,-101.86,76.44,-100.02,75.94,-100.89,76.48,-98.71,76.69,-97.7,76.47],
+  [-103.43,79.32,-102.58,78.88,-101.7,79.08,-99.61,78.58,-99.16,77.86,-100.59,77.89,-101.07,78.19,-102.73,78.37,-104.32,78.27,-105,78.52,-103.77,78.52,-104.15,78.99,-104.82,78.81,-105.54,79.03,-105.39,79.32,-103.43,79.32],
+  [-91.89,81.13,-90.64,80.59,-87.67,80.37,-87.92,80.1,-86.98,79.89,-87.3,79.58,-85.65,79.61,-85.29,79.21,-87.62,78.68,-88.11,78.97,-88.15,78.48,-88.79,78.19,-90.04,78.61,-89.49,78.17,-91.9,78.24,-94.16,78.99,-91.34,79.36,-92.82,79.45,-95.1,79.29,-95.66,79.53,-94.52,79.67,-96,79.7,-96.77,80.14,-94.65,80.05,-96.37,80.29,-95.55,80.37,-96.13,80.69,-93.93,80.56,-95.51,80.84,-95.27,81,-93.41,81.21,-93.33,81.36,-91.89,81.13],
+  [-94.29,76.91,-92.99,76.62,-91.79,76.68,-89.41,76.19,-90.25,76.05,-88.92,75.45,-87.26,75.62,-86.07,75.5,-83.93,75.82,-82.15,75.83,-80.32,75.63,-79.4,74.92,-80.28,74.58,-81.81,74.48,-82.93,74.57,-88.42,74.49,-88.34,74.78,-89.84,74.55,-91.96,74.79,-92.43,75.38,-92.18,75.85,-93.09,76.35,-95.27,76.26,-96.88,76.74,-95.85,77.07,-94.29,76.91],
+  [-96.21,78.53,-94.89,78.34,-95.09,77.99,-96.99,77.81,-98.25,78.43,-98.21,78.8,-96.21,78.53],
+  [-93.17,74.16,-92.22,73.97,-90.36,73.87,-92.12,72.75,-94.21,72.76,-93.56,72.42,-94.04,72.03,-95.19,72.03,-95.55,72.78,-95.63,73.7,-94.82,73.66,-95.12,73.99,-93.17,74.16],
+  [-97.44,69.64,-96.3,69.34,-95.69,68.74,-96.4,68.47,-97.47,68.54,-98.32,68.84,-99.44,68.92,-98.46,69.33,-98.27,69.75,-97.44,69.64],
+  [-61.11,45.94,-60.3,46.31,-59.83,45.96,-61.29,45.57,-61.49,45.94,-60.87,46.8,-60.41,47,-60.58,46.17,-61.11,45.94],
+  [-67.12,45.17,-67.78,45.7,-67.81,47.08,-69.24,47.46,-70.01,46.71,-70.3,45.91,-70.9,45.26,-71.52,45.01,-74.71,45,-73.56,45.42,-73.16,46.01,-71.9,46.63,-70.52,47.03,-68.99,48.28,-67.56,48.86,-66.18,49.21,-64.83,49.19,-64.26,48.92,-64.35,48.42,-65.26,48.02,-66.43,48.07,-65.48,47.69,-64.7,47.73,-65.32,47.1,-64.54,46.24,-62.48,45.62,-61.95,45.87,-61.03,45.29,-63.76,44.49,-64,44.65,-64.86,43.87,-65.74,43.56,-66.1,44.37,-65.66,44.76,-64.33,45.31,-64.91,45.37,-64.32,45.84,-65.89,45.22,-67.12,45.17],
+  [-55.46,51.54,-56.7,50.06,-55.53,50,-56.09,49.45,-54.47,49.53,-53.57,49.14,-54.16,48.79,-54.07,48.42,-53.06,48.66,-53.86,47.8,-52.65,47.55,-53.11,46.66,-54.19,47.86,-55.32,46.91,-55.79,46.87,-54.87,47.57,-55.86,47.53,-55.86,47.82,-56.95,47.57,-59.12,47.57,-59.27,48,-58.33,48.52,-58.71,48.6,-57.3,50.7,-56.75,51.28,-55.46,51.54],
+  [-86.59,71.01,-85.1,71.15,-84.7,71.63,-85.91,71.99,-85.32,72.23,-85.62,72.82,-85.02,73.34,-83.78,73.42,-82.66,73.73,-81.41,73.63,-80.28,72.75,-81.23,72.31,-80.86,71.91,-80.04,72.39,-78.29,72.36,-78.35,72.6,-76.89,72.72,-75.29,72.48,-74.27,72.04,-74.4,71.67,-72.9,71.68,-71.64,71.52,-71.49,71.11,-70.79,71.1,-71.28,70.5,-69.95,70.85,-68.36,70.48,-70.06,70.07,-68.12,70.31,-67.22,69.73,-68.51,69.58,-67.36,69.47,-66.8,69.15,-68.62,69.21,-67.75,69.04,-68.04,68.55,-66.21,68.28,-66.39,67.83,-64.98,68.04,-63.84,67.26,-63.04,67.23,-63.7,66.82,-61.97,67.02,-61.3,66.65,-62.66,65.64,-63.34,65.62,-63.61,64.93,-64.55,65.12,-65.38,65.82,-66.79,66.56,-67.18,66.03,-67.87,65.77,-66.67,64.97,-65.94,64.89,-64.68,64.03,-64.51,63.26,-65.19,63.76,-64.72,62.95,-65.18,62.65,-66.22,63.11,-68.91,63.7,-65.98,62.21,-66.26,61.87,-69.08,62.4,-69.54,62.74,-71.25,63.04,-73.44,64.42,-74.91,64.79,-74.64,64.56,-76.72,64.24,-77.79,64.37,-78.1,64.94,-77.33,65.45,-75.71,65.32,-73.55,65.48,-74.43,66.14,-72.22,67.26,-73.31,68.37,-74.42,68.58,-74.92,68.98,-76.59,68.7,-75.79,69.32,-76.51,69.68,-77.59,69.85,-77.77,70.24,-79.07,70.6,-78.78,70.05,-79.3,69.9,-81.1,70.09,-82.14,69.84,-86.32,70.15,-86.63,70.4,-87.9,70.25,-88.85,70.52,-89.46,71.06,-87.18,70.99,-89.84,71.49,-89.86,72.41,-89.26,73.07,-87.72,73.72,-86.77,73.83,-84.97,73.69,-86.09,73.26,-86.67,72.76,-86.04,71.77,-85.02,71.35,-86.59,71.01],
+  [-61.8,49.09,-63.57,49.4,-64.44,49.83,-62.86,49.71,-61.8,49.09],
+  [-63.81,46.47,-62.16,46.49,-62.88,46,-63.81,46.47],
+  [-82,62.96,-83.02,62.21,-83.9,62.48,-83.38,62.9,-82,62.96],
+  [-79.54,62.41,-79.67,61.64,-80.24,62.15,-79.54,62.41],
+  [-75.67,68.32,-75.15,68.23,-75.13,67.54,-75.78,67.28,-77.01,67.27,-77.31,67.69,-76.74,68.23,-75.67,68.32],
+  [-79.54,73.65,-77.21,73.5,-76.29,73.08,-76.4,72.82,-77.83,72.9,-79.5,72.76,-80.82,73.38,-80.82,73.74,-79.54,73.65],
+  [-80.73,52.75,-82.04,53.05,-81.14,53.21,-80.73,52.75],
+  [-78.94,56.27,-80,55.93,-79.27,56.6,-78.94,56.27],
+  [-89.83,77.27,-91.15,77.39,-90.17,77.59,-89.83,77.27],
+  [-104.56,77.14,-105.22,77.18,-106.07,77.72,-104.54,77.34,-104.56,77.14],
+  [-98.79,79.98,-98.84,79.74,-100,79.88,-99.8,80.14,-98.79,79.98],
+  [-105.29,72.92,-106.92,73.48,-105.51,73.77,-104.65,73.61,-105.29,72.92],
+  [-102.23,76.02,-103.32,75.77,-104.35,76.18,-102.58,76.28,-102.23,76.02],
+  [-104.02,76.58,-103.05,76.45,-104.27,76.33,-104.02,76.58],
+  [-118.33,75.58,-119.39,75.62,-117.75,76.11,-118.33,75.58],
+  [-113.83,77.75,-115.03,77.97,-114.33,78.08,-113.83,77.75],
+  [-73.62,67.78,-74.71,68.07,-73.44,67.97,-73.62,67.78],
+  [-98.27,73.87,-99.42,73.9,-97.7,74.11,-98.27,73.87],
+  [-79.43,69.79,-79.98,69.51,-80.78,69.68,-79.43,69.79],
+  [-104.12,75.04,-104.89,75.15,-104.35,75.43,-104.12,75.04],
+];
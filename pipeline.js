@@ -0,0 +1,1393 @@
+// pipeline.js: CSV load/parse/normalize pipeline (no DOM access).
+// Shared by the page (index.html) and the loader worker (worker.js); needs geo.js loaded first.
+
+// -------------------- CSV parsing (handles quotes/newlines) --------------------
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    const n = text[i + 1];
+
+    if (c === '"' && inQuotes && n === '"') { cur += '"'; i++; continue; }
+    if (c === '"') { inQuotes = !inQuotes; continue; }
+
+    if (c === "," && !inQuotes) { row.push(cur); cur = ""; continue; }
+
+    if ((c === "\n" || c === "\r") && !inQuotes) {
+      if (c === "\r" && n === "\n") i++;
+      row.push(cur); cur = "";
+      if (row.length > 1 || (row.length === 1 && row[0].trim() !== "")) rows.push(row);
+      row = [];
+      continue;
+    }
+    cur += c;
+  }
+
+  if (cur.length || row.length) { row.push(cur); rows.push(row); }
+  return rows;
+}
+
+function norm(s) { return (s ?? "").toString().trim(); }
+
+function getAny(obj, keys) {
+  for (const k of keys) {
+    const v = obj[k];
+    if (v !== undefined && v !== null && norm(v) !== "") return norm(v);
+  }
+  return "";
+}
+
+// -------------------- Text normalization --------------------
+// Some exports were saved as UTF-8, read back as Windows-1252 and saved again, so ’ became â€™.
+// Each such sequence is mapped back to its bytes and decoded as UTF-8; anything that does not
+// decode cleanly is left alone.
+
+const CP1252_BYTES = new Map([
+  [0x20AC, 0x80], [0x201A, 0x82], [0x0192, 0x83], [0x201E, 0x84], [0x2026, 0x85], [0x2020, 0x86],
+  [0x2021, 0x87], [0x02C6, 0x88], [0x2030, 0x89], [0x0160, 0x8A], [0x2039, 0x8B], [0x0152, 0x8C],
+  [0x017D, 0x8E], [0x2018, 0x91], [0x2019, 0x92], [0x201C, 0x93], [0x201D, 0x94], [0x2022, 0x95],
+  [0x2013, 0x96], [0x2014, 0x97], [0x02DC, 0x98], [0x2122, 0x99], [0x0161, 0x9A], [0x203A, 0x9B],
+  [0x0153, 0x9C], [0x017E, 0x9E], [0x0178, 0x9F],
+]);
+
+// A UTF-8 lead byte followed by exactly the continuation bytes it needs, as Windows-1252 text
+const MOJIBAKE_CONT = "[\\u0080-\\u00BF\\u0152\\u0153\\u0160\\u0161\\u0178\\u017D\\u017E\\u0192\\u02C6\\u02DC" +
+  "\\u2013\\u2014\\u2018\\u2019\\u201A\\u201C\\u201D\\u201E\\u2020\\u2021\\u2022\\u2026\\u2030\\u2039\\u203A\\u20AC\\u2122]";
+const MOJIBAKE_RE = new RegExp(`[\\u00C2-\\u00DF]${MOJIBAKE_CONT}|[\\u00E0-\\u00EF]${MOJIBAKE_CONT}{2}|[\\u00F0-\\u00F4]${MOJIBAKE_CONT}{3}`, "g");
+
+const utf8Decoder = new TextDecoder("utf-8", { fatal: true });
+
+function repairMojibake(s) {
+  return s.replace(MOJIBAKE_RE, seq => {
+    const bytes = [...seq].map(ch => {
+      const c = ch.charCodeAt(0);
+      return c <= 0xFF ? c : CP1252_BYTES.get(c);
+    });
+    try {
+      return utf8Decoder.decode(new Uint8Array(bytes));
+    } catch {
+      return seq;
+    }
+  });
+}
+
+// Repairs mis-decoded text (twice-mangled cells take two passes), drops BOMs and zero-width
+// spaces, and puts everything in NFC so search and de-duplication see one spelling.
+// Returns the number of cells whose encoding was repaired.
+function normalizeRowText(obj) {
+  let repaired = 0;
+  for (const k in obj) {
+    const v = obj[k];
+    if (typeof v !== "string" || !/[^\x00-\x7F]/.test(v)) continue;
+
+    let fixed = v;
+    for (let pass = 0; pass < 3; pass++) {
+      const next = repairMojibake(fixed);
+      if (next === fixed) break;
+      fixed = next;
+    }
+    if (fixed !== v) repaired++;
+    obj[k] = fixed.replace(/[\uFEFF\u200B]/g, "").replace(/\u00A0/g, " ").normalize("NFC");
+  }
+  return repaired;
+}
+
+// Like getAny(), but also says which column the value came from
+function pickColumn(obj, keys) {
+  for (const k of keys) {
+    const v = obj[k];
+    if (v !== undefined && v !== null && norm(v) !== "") return { column: k, value: norm(v) };
+  }
+  return { column: "", value: "" };
+}
+
+// -------------------- Validation helpers --------------------
+// These prevent schema pollution (NO/NOT/R33/RWY11/JBU2233/SKW3905) from becoming authoritative.
+
+function isValidCallsign(value) {
+  const t = norm(value).toUpperCase();
+  if (!t) return false;
+  if (!/\d/.test(t)) return false;   // must include a digit
+  if (t.startsWith("RWY") || t.startsWith("GATE")) return false;
+
+  // allow airline + military + ops callsigns:
+  // UAL1871, JBU2233, WSN2, TBIRD05, JOUST97, BLACKJACK01
+  if (!/^[A-Z]{2,10}\d{1,4}[A-Z]?$/.test(t)) return false;
+
+  const bad = new Set([
+    "FAA","FSS","IFR","VFR","CTAF","ALNOT","RNAV","SCT","ZDV","ZAN","ZSE","ZLA","ZMA","ZNY"
+  ]);
+  if (bad.has(t)) return false;
+
+  return true;
+}
+
+function isValidNNumber(value) {
+  const t = norm(value).toUpperCase();
+  if (!t) return false;
+  // Conservative US N-number: N + 1-5 alphanumerics, must not start with 0 after N
+  // (You can tighten further later; this blocks NOT and similar junk.)
+  return /^N[1-9][0-9A-Z]{0,4}$/.test(t);
+}
+
+// NTSB case numbers: office, 2-digit year, investigation/event class, sequence (ANC25LA107)
+function isValidNtsbCaseId(value) {
+  return /^[A-Z]{3}\d{2}[A-Z]{2}\d{3}[A-Z]?$/.test(norm(value).toUpperCase());
+}
+
+function isNtsbUrl(value) {
+  return /^https:\/\/([a-z0-9-]+\.)*ntsb\.gov\//i.test(norm(value));
+}
+
+function isHttpUrl(value) {
+  return /^https?:\/\/\S+$/i.test(norm(value));
+}
+
+function isAirportIdTokenInParens(token, fullText) {
+  const t = token.toUpperCase();
+  if (!/^[A-Z]\d{2,3}$/.test(t)) return false;
+  return new RegExp(`\\(\\s*${t}\\s*\\)`).test(fullText);
+}
+
+function isValidTypeDesignator(value, narrative = "", callsign = "") {
+  const t = norm(value).toUpperCase();
+  const cs = norm(callsign).toUpperCase();
+  const n = norm(narrative).toUpperCase();
+
+  if (!t) return false;
+  if (t === "EXPERIMENTAL") return true;
+  if (cs && t === cs) return false;
+  if (t.startsWith("RWY")) return false;
+  if (isAirportIdTokenInParens(t, n)) return false;
+
+  // ICAO-style: 2–4 chars, begins with a letter (A21N, E75L, B738, TBM7, B350)
+  if (!/^[A-Z][A-Z0-9]{1,3}$/.test(t)) return false;
+
+  // Avoid obvious non-type system tokens (short but common in narratives)
+  const bad = new Set(["FAA","FSS","IFR","VFR","CTAF","ALNOT","RNAV","SCT","ZDV","ZAN","ZSE","ZLA","ZMA","ZNY"]);
+  if (bad.has(t)) return false;
+
+  // Avoid tails as types
+  if (t.startsWith("N")) return false;
+
+  return true;
+}
+
+// -------------------- Extraction helpers --------------------
+
+function looksLikeNNumber(s) {
+  return isValidNNumber(s);
+}
+
+function pickPrimaryTail(field) {
+  const raw = norm(field);
+  if (!raw) return "";
+
+  const parts = raw.split(/[;,\s]+/)
+    .map(p => norm(p).toUpperCase())
+    .filter(Boolean);
+
+  const valid = parts.find(p => isValidNNumber(p));
+  return valid || "";
+}
+
+// Every valid registration in an n_numbers cell ("N330AN; N61657"), in order
+function parseTails(field) {
+  const tails = norm(field).split(/[;,\s]+/)
+    .map(p => norm(p).toUpperCase())
+    .filter(p => isValidNNumber(p));
+  return [...new Set(tails)];
+}
+
+function extractNNumber(text) {
+  const T = norm(text).toUpperCase();
+  if (!T) return "";
+  const m = T.match(/\bN[1-9][0-9A-Z]{0,4}\b/);
+  return m ? m[0] : "";
+}
+
+function extractCallsign(text) {
+  const t = norm(text).toUpperCase();
+  if (!t) return "";
+
+  const patterns = [
+    /,\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\s*,/,      // ", TBIRD05,"
+    /\)\s*,\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\b/,   // "), TBIRD05"
+    /\(\s*([A-Z]{2,10}\d{1,4}[A-Z]?)\s*\)/,    // "(TBIRD05)"
+    /^\(?([A-Z]{2,10}\d{1,4}[A-Z]?)\b/,        // leading token
+  ];
+
+  for (const re of patterns) {
+    const m = t.match(re);
+    if (m && isValidCallsign(m[1])) return m[1];
+  }
+
+  return "";
+}
+
+function extractAircraftDesignator(text, callsign = "") {
+  const U = norm(text).toUpperCase();
+  if (!U) return "";
+
+  // ----- Explicit manufacturer patterns -----
+
+  // CHAMPION 7GCBC
+  let m = U.match(/\bCHAMPION\s+([A-Z0-9-]{2,8})\b/);
+  if (m) return m[1];
+
+  // AMERICAN CHAMPION 8KCAB
+  m = U.match(/\bAMERICAN\s+CHAMPION\s+([A-Z0-9-]{2,8})\b/);
+  if (m) return m[1];
+
+  // BEECH N35
+  m = U.match(/\bBEECH\s+([A-Z0-9-]{2,8})\b/);
+  if (m) return m[1];
+
+  // EXTRA 300
+  m = U.match(/\bEXTRA\s+([A-Z0-9-]{2,8})\b/);
+  if (m) return m[1];
+
+  // Generic ICAO style (C172, PA31, B738, TBM7)
+  m = U.match(/\b([A-Z]{1,3}\d{2,4}[A-Z]?)\b/);
+  if (m) {
+    const candidate = m[1];
+
+    // Reject if looks like airport (1 letter + 2 digits like F70, A11)
+    if (/^[A-Z]\d{2}$/.test(candidate)) return "";
+
+    // Reject runway
+    if (/^RWY\d+/.test(candidate)) return "";
+
+    // Reject callsign duplication
+    if (candidate === callsign) return "";
+
+    return candidate;
+  }
+
+  // Experimental fallback
+  if (U.includes("EXPERIMENTAL")) return "EXPERIMENTAL";
+
+  return "";
+}
+
+function extractFieldFromNarrative(narr, label) {
+  const t = norm(narr);
+  if (!t) return "";
+  const re = new RegExp(`\\b${label}\\s*:\\s*([^\\.,\\n\\r]+)`, "i");
+  const m = t.match(re);
+  return m ? norm(m[1]) : "";
+}
+
+function extract80209FromNarrative(narr) {
+  const t = norm(narr).toLowerCase();
+  if (!t) return "";
+  if (t.includes("faa form 8020-9 was received")) return "Yes";
+  if (t.includes("faa form 8020-9 was not received")) return "No";
+  if (t.includes("form 8020-9 was received")) return "Yes";
+  if (t.includes("form 8020-9 was not received")) return "No";
+  return "";
+}
+
+function extractReportDateFromNarrative(narr) {
+  const t = norm(narr);
+  if (!t) return "";
+  const matches = [...t.matchAll(/\b(\d{1,2}\/\d{1,2}\/\d{4})\s+(\d{3,4})Z\b/g)];
+  if (!matches.length) return "";
+  const last = matches[matches.length - 1];
+  return last ? last[1] : "";
+}
+
+// -------------------- Narrative classification --------------------
+// Phase and event type are inferred from the narrative when their columns are empty, using the
+// declarative rules below. A rule fires when any of its phrases occurs as whole words ("*"
+// matches the rest of a word; a space or hyphen may also be missing) and is not negated by
+// "no", "not", "without"… up to three words earlier in the same sentence. Phrases in `ignore`
+// are blanked out first. Labels are ordered by priority, so a specific cause comes before a
+// generic outcome such as "returned to"; `multiple: false` keeps only the first. A rule is
+// skipped when a label in its `unless` list was already found.
+// `column` is matched against filled columns by evaluateClassification() to score the rules.
+
+const CLASSIFICATION_RULES = {
+  phase: {
+    multiple: false,
+    ignore: ["departed the runway", "departed the taxiway", "return* to the ramp", "taxied to the ramp", "taxied back", "taxied clear", "after landing", "landing gear", "gear-up landing", "emergency landing", "forced landing", "precautionary landing", "landed safely", "landed without incident", "landed with no further incident", "landed uneventfully", "landed normally", "safe landing", "landed without further incident", "off-airport landing", "off-airfield landing", "landed in a field", "landed on a road", "by a tug", "towing the aircraft", "towing it"],
+    rules: [
+      { label: "Taxi", priority: 62, any: ["taxi*", "run-up", "runup"], column: /^(taxi|ground ?\/ ?taxi|departure taxi)/ },
+      { label: "Towing/handling", priority: 61, any: ["pushback", "push back", "tug", "towing", "being towed", "under tow", "tow bar", "towbar"], column: /^(ground handling|ground ?\/ ?tow|towing)/ },
+      { label: "Parked/standing", priority: 15, any: ["parked", "tied down", "tie-down*", "engine start*", "start-up", "preflight"], column: /^(parked|standing|ramp|start|post-?flight|ground ?\/ ?parked)/ },
+      { label: "Takeoff", priority: 50, any: ["takeoff", "take off", "takeoff roll", "departing", "on departure", "after departure", "upon departure", "rotat*", "liftoff", "lift off", "aborted the takeoff", "rejected the takeoff"], column: /^take-?off/ },
+      { label: "Landing", priority: 42, any: ["landing", "landed", "touchdown", "touched down", "flare", "rollout", "landing roll", "touch and go*"], column: /^(landing|touch|off-airport landing)/ },
+      { label: "Approach", priority: 40, any: ["approach", "on final", "go around", "missed approach"], column: /^(approach|arrival ?\/ ?approach)/ },
+      { label: "Climb", priority: 30, any: ["climb*", "initial climb"], column: /^(climb|departure ?\/ ?(initial )?climb)/ },
+      { label: "Descent", priority: 30, any: ["descen*"], column: /^descent/ },
+      { label: "Cruise", priority: 20, any: ["en route", "cruise", "cruising", "in flight", "inflight", "level at", "at altitude", "diverted", "diversion", "nautical miles", "miles offshore", "overflight", "flight level", "while flying", "operating in", "inbound", "transitioning", "survey"], column: /^(en ?route|cruise)/ },
+    ],
+  },
+  eventType: {
+    multiple: true,
+    ignore: ["fire department", "fire truck*", "fire rescue", "fire and rescue", "crash fire rescue", "crash/fire/rescue", "fire crew*", "fire station", "fire fighting", "firefighting", "fire season", "crash site", "smoke jumper*", "returned to the gate", "returned to the ramp", "returned to the hangar", "returned to parking", "medical and fire", "fire to meet", "fire equipment", "fire services", "fire personnel", "departed the runway heading", "declared an emergency for", "eagle river", "black hawk", "blackhawk", "goose bay", "moose pass", "prairie hawk"],
+    rules: [
+      { label: "Mid-air collision", priority: 100, any: ["mid-air", "midair collision", "collided in flight", "collided in the air"], column: /mid-?air/ },
+      { label: "Crash", priority: 90, any: ["crashed", "crash", "impacted terrain", "impacted the ground", "impacted trees", "impacted the water", "wreckage", "collided with terrain", "downed aircraft", "fatal*"], column: /crash|accident|collision with terrain|ditching|water impact/ },
+      { label: "Ditching", priority: 85, any: ["ditched", "ditching", "sank", "submerged", "capsized", "into the water", "into the river", "into the lake"], column: /ditching|in water|into (river|lake)|water impact/ },
+      // Animal names also name places and aircraft (Eagle River, Black Hawk), so outside "bird*"
+      // they only count after "struck" or "hit"
+      { label: "Bird strike", priority: 80, any: ["bird*", "geese", "seagull*", "flock of", "struck a* goose", "struck a* eagle", "struck a* raven", "struck a* hawk", "struck a* gull*", "struck a* duck*", "hit a* goose", "hit a* eagle", "hit a* raven", "hit a* hawk", "hit a* gull*", "hit a* duck*"], column: /bird/ },
+      { label: "Wildlife strike", priority: 80, any: ["wildlife strike", "animal strike", "struck wildlife", "struck an animal", "hit an animal", "struck a* deer", "struck a* moose", "struck a* caribou", "struck a* bear", "struck a* coyote", "hit a* deer", "hit a* moose", "hit a* caribou", "hit a* bear", "hit a* coyote"], column: /wildlife|animal/ },
+      { label: "Power line strike", priority: 80, any: ["power line*", "powerline*", "wire strike", "struck wires", "struck a wire", "struck power*"], column: /power line|wire strike/ },
+      { label: "Lightning strike", priority: 80, any: ["lightning"], column: /lightning/ },
+      { label: "Laser illumination", priority: 80, any: ["laser*"], column: /laser/ },
+      { label: "Gear-up landing", priority: 75, any: ["gear up landing", "gear-up", "landed gear up", "landed with the gear up", "wheels up", "belly landing", "belly landed"], column: /gear-?up|belly/ },
+      { label: "Gear collapse/malfunction", priority: 70, any: ["gear collapse*", "collapsed", "gear failure", "gear failed", "gear malfunction", "unsafe gear", "gear would not", "gear did not", "gear indication"], column: /gear (collapse|failure|malfunction|issue)|landing gear|nose gear/ },
+      { label: "Runway excursion", priority: 70, any: ["excursion", "ran off", "veered off", "veer off", "departed the runway", "departed the side of the runway", "off the side of the runway", "off the end of the runway", "overran", "overrun", "exited the runway"], column: /excursion|overrun|overshoot|ran off/ },
+      { label: "Ground loop", priority: 65, any: ["ground loop*", "groundloop*"], column: /ground loop/ },
+      { label: "Nose-over/flipover", priority: 65, any: ["nose over", "nosed over", "flipped", "flip over", "flipover", "overturn*", "came to rest inverted", "came to rest upside down", "rolled over"], column: /nose-? ?over|flip|overturn|roll-?over|inverted|upset/ },
+      { label: "Prop strike", priority: 60, any: ["prop strike", "propeller strike", "prop struck", "propeller struck", "struck the prop*"], column: /prop strike/ },
+      { label: "Rotor strike", priority: 60, any: ["rotor strike", "tail rotor", "main rotor blade* struck", "rotor blade* struck"], column: /rotor/ },
+      { label: "Tail strike", priority: 60, any: ["tail strike", "tailstrike", "tail struck"], column: /tail strike/ },
+      { label: "Hard landing", priority: 55, any: ["hard landing", "bounced", "bounce*", "firm landing", "porpois*"], column: /hard landing|porpoise/ },
+      { label: "Blown tire", priority: 55, any: ["blown tire", "tire blew", "blew a tire", "blew the tire", "flat tire", "tire failure", "tire burst", "tires blew", "blown main tire"], column: /tire/ },
+      { label: "Cracked windshield", priority: 50, any: ["windshield", "windscreen"], column: /windshield/ },
+      { label: "Engine fire", priority: 50, any: ["engine fire", "fire in the engine", "engine caught fire", "fire warning", "fire light", "fire indication", "fire bell"], column: /engine fire|engine\/tailpipe fire|possible engine fire/ },
+      { label: "Post-crash fire", priority: 48, any: ["post crash fire", "postcrash fire", "post impact fire", "crashed and burned", "burned after", "fire after the crash"], column: /post-?(crash|impact) fire|crash\/fire/ },
+      { label: "Other fire", priority: 45, unless: ["Engine fire", "Post-crash fire"], any: ["fire", "flames", "caught fire", "on fire", "burned"], column: /^(?!.*(engine|crash)).*fire/ },
+      { label: "Smoke/fumes", priority: 45, any: ["smoke", "fumes", "odor", "burning smell", "smell of"], column: /smoke|fumes/ },
+      { label: "Engine failure", priority: 40, any: ["engine failure", "engine failed", "loss of engine power", "lost engine power", "power loss", "loss of power", "lost power", "engine quit", "engine stopped", "engine out", "engine died", "rough running", "ran rough", "running rough"], column: /engine (failure|issue|stall|damage)|power (loss|issue)|loss of (engine )?power|rough running|engine\/power/ },
+      { label: "Turbulence", priority: 40, any: ["turbulence"], column: /turbulence/ },
+      { label: "Wind shear", priority: 40, any: ["wind shear", "windshear", "microburst", "gust*"], column: /wind ?shear|microburst|wind gust|wind \// },
+      { label: "Loss of control", priority: 40, any: ["loss of control", "lost control", "loss of directional control", "lost directional control"], column: /loss of control/ },
+      { label: "Ground collision", priority: 35, any: ["wingtip", "wing tip", "collided with", "struck a parked", "struck the parked", "struck another", "clipped", "struck a hangar", "struck the hangar", "tug", "tow bar", "towbar", "fuel truck", "vehicle", "struck a sign", "struck a light", "struck a fence", "snow berm", "struck a pole", "struck a taxiway"], column: /ground collision|wing(tip)? strike|parked aircraft|vehicle|object strike|sign strike|light strike|snow berm|ground (object |equipment )?strike|towbar|collision \/ ground|cable strike|property strike/ },
+      { label: "Rejected takeoff", priority: 30, any: ["aborted takeoff", "aborted the takeoff", "rejected takeoff", "rejected the takeoff", "aborted its takeoff", "rejected its takeoff"], column: /aborted takeoff|rejected takeoff/ },
+      { label: "Medical emergency", priority: 30, any: ["medical emergency", "became ill", "incapacitat*", "unresponsive"], column: /medical/ },
+      { label: "Door/slide", priority: 30, any: ["door open*", "door separat*", "door came open", "slide deploy*", "evacuation slide", "cargo door"], column: /door|slide/ },
+      { label: "Theft", priority: 30, any: ["stole*", "theft", "unauthorized use", "unauthorized taxi*", "unauthorized flight"], column: /theft/ },
+      { label: "UAS/drone", priority: 30, any: ["drone", "uas", "unmanned"], column: /uas|drone/ },
+      { label: "Forced landing", priority: 20, any: ["forced landing", "off-airport landing", "off airport landing", "landed off airport", "emergency landing", "precautionary landing", "landed on a gravel bar", "landed on a road", "landed in a field"], column: /forced landing|off-airport|off-airfield|emergency landing|precautionary landing|gravel bar/ },
+      { label: "Emergency return", priority: 10, any: ["returned to", "diverted", "diversion"], column: /return|diversion|^emergency$/ },
+    ],
+  },
+};
+
+const NEGATION_RE = /\b(?:no|not|never|without|nor|negative)\b(?:\W+\w+){0,3}\W*$/;
+
+function phrasePattern(phrase) {
+  return phrase.toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, "\\w*")
+    .replace(/[\s-]+/g, "[\\s-]*");
+}
+
+const compiledRules = {};
+
+function classificationRules(field) {
+  if (compiledRules[field]) return compiledRules[field];
+  const set = CLASSIFICATION_RULES[field];
+  const rules = set.rules
+    .map(r => ({ ...r, re: new RegExp(`\\b(?:${r.any.map(phrasePattern).join("|")})(?!\\w)`, "g") }))
+    .sort((a, b) => b.priority - a.priority);
+  const ignore = set.ignore.length ? new RegExp(`\\b(?:${set.ignore.map(phrasePattern).join("|")})(?!\\w)`, "g") : null;
+  return (compiledRules[field] = { multiple: set.multiple, rules, ignore });
+}
+
+// True when "no", "not", "without"… comes at most three words before index, in the same sentence
+function isNegated(text, index) {
+  const sentence = text.slice(0, index).split(/[.;!?]\s/).pop();
+  return NEGATION_RE.test(sentence);
+}
+
+// Labels for a narrative, highest priority first ("phase" or "eventType")
+function classifyNarrative(narr, field) {
+  const { multiple, rules, ignore } = classificationRules(field);
+  let t = norm(narr).toLowerCase();
+  if (!t) return [];
+  if (ignore) t = t.replace(ignore, m => " ".repeat(m.length));
+
+  const labels = [];
+  for (const rule of rules) {
+    if (labels.includes(rule.label) || (rule.unless && rule.unless.some(l => labels.includes(l)))) continue;
+    const hit = [...t.matchAll(rule.re)].some(m => !isNegated(t, m.index));
+    if (!hit) continue;
+    labels.push(rule.label);
+    if (!multiple) break;
+  }
+  return labels;
+}
+
+// Labels a filled column counts as ("ground_collision" reads as "ground collision"). Phase
+// patterns are anchored, so a single-label field is judged on its first part
+// ("Approach / emergency landing" is an approach)
+function columnLabels(value, field) {
+  const { multiple, rules } = classificationRules(field);
+  const text = norm(value).toLowerCase().replace(/_/g, " ");
+  const labels = [];
+  for (const rule of rules) {
+    if (!labels.includes(rule.label) && rule.column.test(text)) labels.push(rule.label);
+  }
+  return multiple ? labels : labels.slice(0, 1);
+}
+
+/**
+ * Scores the rules against rows whose column is filled: rows is [{ narrative, value }].
+ * Rows whose value matches no label's `column` pattern are counted in `skipped`, not scored.
+ * Returns { labels: [{ label, actual, predicted, correct, precision, recall }], overall, scored,
+ * skipped, misses: [{ row, actual, predicted }] }; precision/recall are null with nothing to divide.
+ */
+function evaluateClassification(field, rows) {
+  const { rules } = classificationRules(field);
+  const stats = new Map();
+  for (const r of rules) {
+    if (!stats.has(r.label)) stats.set(r.label, { label: r.label, actual: 0, predicted: 0, correct: 0 });
+  }
+  const misses = [];
+  let scored = 0;
+  let skipped = 0;
+
+  for (const row of rows) {
+    const actual = columnLabels(row.value, field);
+    if (!actual.length) {
+      skipped++;
+      continue;
+    }
+    scored++;
+    const predicted = classifyNarrative(row.narrative, field);
+    for (const l of actual) stats.get(l).actual++;
+    for (const l of predicted) {
+      stats.get(l).predicted++;
+      if (actual.includes(l)) stats.get(l).correct++;
+    }
+    if (actual.some(l => !predicted.includes(l)) || predicted.some(l => !actual.includes(l))) {
+      misses.push({ row, actual, predicted });
+    }
+  }
+
+  const ratio = (a, b) => (b ? a / b : null);
+  const withRates = s => ({ ...s, precision: ratio(s.correct, s.predicted), recall: ratio(s.correct, s.actual) });
+  const labels = [...stats.values()];
+  const overall = withRates(labels.reduce(
+    (o, s) => ({ ...o, actual: o.actual + s.actual, predicted: o.predicted + s.predicted, correct: o.correct + s.correct }),
+    { label: "All labels", actual: 0, predicted: 0, correct: 0 }));
+  return { labels: labels.map(withRates), overall, scored, skipped, misses };
+}
+
+// -------------------- Taxonomy --------------------
+// Two levels over the classification labels: each parent lists its rule labels as children.
+// A raw value maps onto the rule labels its column patterns match; a value no rule matches
+// but a parent's `column` does ("Departure", "mechanical/control issue") maps onto that
+// parent alone. Filters on a parent include every child.
+
+const TAXONOMY = {
+  phase: [
+    { label: "Ground", column: /^ground/, children: ["Parked/standing", "Towing/handling", "Taxi"] },
+    { label: "Departure", column: /^departure/, children: ["Takeoff", "Climb"] },
+    { label: "En route", children: ["Cruise", "Descent"] },
+    { label: "Arrival", column: /^arrival/, children: ["Approach", "Landing"] },
+  ],
+  eventType: [
+    { label: "Accident", column: /accident|weekly summary/, children: ["Crash", "Ditching"] },
+    { label: "Collision or strike", column: /collision|strike|contact|jet blast/, children: ["Mid-air collision", "Ground collision", "Power line strike", "Bird strike", "Wildlife strike", "Lightning strike", "Rotor strike"] },
+    { label: "Fire", column: /fire|burn/, children: ["Engine fire", "Post-crash fire", "Other fire", "Smoke/fumes"] },
+    { label: "Landing", column: /landing|runway/, children: ["Hard landing", "Gear-up landing", "Gear collapse/malfunction", "Runway excursion", "Ground loop", "Nose-over/flipover", "Blown tire", "Tail strike", "Prop strike"] },
+    { label: "Aircraft system", column: /mechanical|component|panel|fod|pressuri|cowling|resonance|gps|hydraulic|electrical|instrument/, children: ["Engine failure", "Door/slide", "Cracked windshield"] },
+    { label: "Weather or control", column: /weather|hail|icing|wind/, children: ["Turbulence", "Wind shear", "Loss of control"] },
+    { label: "Emergency", column: /emergency|divert/, children: ["Forced landing", "Emergency return", "Rejected takeoff", "Medical emergency"] },
+    { label: "Security or other", column: /security|damage|abandon/, children: ["Theft", "Laser illumination", "UAS/drone"] },
+  ],
+};
+
+// Parent of a rule label, or the label itself when it is a parent; "" when not in the taxonomy
+function taxonomyParent(field, label) {
+  const parent = TAXONOMY[field].find(p => p.label === label || p.children.includes(label));
+  return parent ? parent.label : "";
+}
+
+// Taxonomy labels for a row: what its column maps onto, else what the narrative reads as
+function taxonomyLabels(field, value, narrative) {
+  if (value) {
+    const labels = columnLabels(value, field);
+    if (labels.length) return labels;
+    const text = norm(value).toLowerCase().replace(/_/g, " ");
+    const parent = TAXONOMY[field].find(p => p.column && p.column.test(text));
+    if (parent) return [parent.label];
+  }
+  return classifyNarrative(narrative, field);
+}
+
+// -------------------- Severity helpers --------------------
+// Injuries come as "1- Fatal, 1- Serious", "None, 1- Minor", "Fatal" (count unknown,
+// read as at least one) or free text; damage as "Substantial", "Destroyed/Fire", "Unknown, Minor".
+
+const INJURY_KINDS = ["fatal", "serious", "minor", "none", "unknown"];
+
+// extractFieldFromNarrative() stops at the first comma, which truncates multi-part injury lists
+function extractInjuriesFromNarrative(narr) {
+  const m = norm(narr).match(/\bInjuries\s*:\s*(.+?)(?:,?\s*(?:Damage|Update)\s*:|\.\s|\.?$)/i);
+  return m ? norm(m[1]).replace(/,$/, "") : "";
+}
+
+function parseInjuries(value, pob = "") {
+  const counts = { fatal: 0, serious: 0, minor: 0, none: 0, unknown: 0 };
+  const raw = norm(value);
+  if (!raw || /^unknown$/i.test(raw)) return counts;
+
+  for (const part of raw.split(/[,;]/)) {
+    const m = norm(part).match(/^(?:(\d+)\s*-\s*)?(.*)$/);
+    const n = m[1] ? Number(m[1]) : null;
+    const label = norm(m[2]).toLowerCase();
+    const kind = INJURY_KINDS.find(k => label.startsWith(k)) || (label ? "unknown" : "");
+    if (!kind) continue;
+
+    if (n !== null) counts[kind] += n;
+    else if (kind === "none") counts.none += parseInt(pob, 10) || 0;
+    else counts[kind] += 1;
+  }
+  return counts;
+}
+
+// Ranked low to high; "Fire" (extent not reported) sits between Substantial and Destroyed
+const DAMAGE_SCALE = ["Unknown", "None", "Minor", "Substantial", "Fire", "Destroyed"];
+
+function classifyDamage(value) {
+  const parts = norm(value).toLowerCase().split(/[\/,;]+/).map(norm).filter(Boolean);
+  let rank = 0;
+  let fire = false;
+  for (const p of parts) {
+    const idx = DAMAGE_SCALE.findIndex(d => p.startsWith(d.toLowerCase()));
+    if (idx > rank) rank = idx;
+    if (p.includes("fire")) fire = true;
+  }
+  return { damageClass: DAMAGE_SCALE[rank], damageRank: rank, fire };
+}
+
+const SEVERITY_LEVELS = ["Unknown", "None", "Minor", "Substantial", "Serious", "Fatal"];
+
+// One overall level per incident, driven by the worse of injuries and damage
+function severityLevel(counts, damageRank, injuriesKnown) {
+  if (counts.fatal) return 5;
+  if (counts.serious || damageRank === DAMAGE_SCALE.indexOf("Destroyed")) return 4;
+  if (damageRank >= DAMAGE_SCALE.indexOf("Substantial")) return 3;
+  if (counts.minor || damageRank === DAMAGE_SCALE.indexOf("Minor")) return 2;
+  if (injuriesKnown || damageRank === DAMAGE_SCALE.indexOf("None")) return 1;
+  return 0;
+}
+
+// -------------------- Aircraft types --------------------
+// Resolve designator/model strings to an entry in AIRCRAFT_TYPES (types.js): exact code or
+// TYPE_ALIASES, then without a variant suffix (C172S, PA-18-150), then word by word
+// ("N98FK/EPIC", "TUCANO-R (TUCR)", "PIPER-PA32"). Only trailing letters or dashed parts are
+// dropped: a longer code such as B7378 belongs to another member of the family, not B737.
+
+const MIN_TYPE_PREFIX = 4; // shorter stems (C17, M5) would swallow unrelated codes
+
+function typeCodeForKey(key) {
+  if (!key) return "";
+  if (AIRCRAFT_TYPES[key]) return key;
+  return TYPE_ALIASES[key] || "";
+}
+
+// Keys to try for one word, most specific first: "PA-18-150" -> PA18150, PA18, PA;
+// "C172RG" -> C172RG, C172
+function typeKeyCandidates(word) {
+  const parts = word.split("-").map(p => p.replace(/[^A-Z0-9]/g, "")).filter(Boolean);
+  const keys = [];
+  for (let n = parts.length; n >= 1; n--) {
+    const key = parts.slice(0, n).join("");
+    keys.push(key);
+    const stem = key.replace(/(\d)[A-Z]+$/, "$1");
+    if (stem !== key && stem.length >= MIN_TYPE_PREFIX) keys.push(stem);
+  }
+  return keys;
+}
+
+function typeCodeFor(value) {
+  const s = norm(value).toUpperCase();
+  if (!s) return "";
+  const words = s.split(/[\s\/(),;]+/);
+  for (const w of [s, ...words, ...words.flatMap(w => w.split("-"))]) {
+    for (const key of typeKeyCandidates(w)) {
+      const code = typeCodeForKey(key);
+      if (code) return code;
+    }
+  }
+  return "";
+}
+
+// First of the given strings that resolves, as { code, manufacturer, model, name, category,
+// engines, engineType, wake, fleet }, or null
+function resolveAircraftType(...values) {
+  for (const v of values) {
+    const code = typeCodeFor(v);
+    if (!code) continue;
+    const [manufacturer, model, category, engines, engineType, wake, fleet] = AIRCRAFT_TYPES[code];
+    const name = [manufacturer, model].filter(Boolean).join(" ");
+    return { code, manufacturer, model, name, category, engines, engineType, wake, fleet };
+  }
+  return null;
+}
+
+// -------------------- Location helpers --------------------
+// Resolve a row to coordinates from the bundled tables in geo.js: airport first,
+// then the city within its state, then the state centroid.
+
+const STATE_ALIASES = { GUAM: "GU" };
+const AIRPORT_ALIASES = { UKN: "UNK" }; // misspelled Unalakleet in some exports
+
+function cityKeyVariants(city) {
+  // "MURRIETA/TEMECULA", "CHINOOK, ILWACO", "ST. MARY'S", "FT MORGAN"
+  const first = norm(city).toUpperCase().split(/[\/,;]/)[0].trim();
+  if (!first) return [];
+  const plain = first.replace(/\./g, "").replace(/\s+/g, " ");
+  return [...new Set([
+    first,
+    plain,
+    plain.replace(/^ST /, "SAINT "),
+    plain.replace(/^SAINT /, "ST "),
+    plain.replace(/^FT /, "FORT "),
+    plain.replace(/^MT /, "MOUNT "),
+  ])];
+}
+
+// Key of a code in AIRPORTS (and AIRPORT_ZONES), or ""
+function airportKey(code) {
+  const raw = norm(code).toUpperCase();
+  const c = AIRPORT_ALIASES[raw] || raw;
+  if (!c || c === "NONE") return "";
+  if (AIRPORTS[c]) return c;
+  return /^K[A-Z0-9]{3}$/.test(c) && AIRPORTS[c.slice(1)] ? c.slice(1) : "";
+}
+
+function lookupAirport(code) {
+  const key = airportKey(code);
+  return key ? AIRPORTS[key] : null;
+}
+
+function resolveLocation(airport, city, state) {
+  const st = STATE_ALIASES[norm(state).toUpperCase()] || norm(state).toUpperCase();
+
+  const ap = lookupAirport(airport);
+  if (ap) return { lat: ap[0], lon: ap[1], precision: "airport" };
+
+  for (const c of cityKeyVariants(city)) {
+    const hit = CITY_COORDS[`${st}|${c}`];
+    if (hit) return { lat: hit[0], lon: hit[1], precision: "city" };
+  }
+
+  const sc = STATE_CENTROIDS[st];
+  if (sc) return { lat: sc[0], lon: sc[1], precision: "state" };
+  return null;
+}
+
+// -------------------- Time helpers --------------------
+// Local time uses the airport's IANA zone from geo.js, then the state's zone. States that span
+// several zones take the zone of the airports around the city, else their main zone, and
+// either is marked as estimated. With no zone at all, local time is hidden rather than shown
+// in the viewer's zone.
+
+// States that span more than one zone; tzForState gives their main one
+const MULTI_ZONE_STATES = new Set(["AK", "AZ", "FL", "ID", "IN", "KS", "KY", "MI", "ND", "NE", "NV", "OR", "SD", "TN", "TX"]);
+
+function tzForAirport(code) {
+  const key = airportKey(code);
+  return key ? TIME_ZONES[AIRPORT_ZONES[key]] || "" : "";
+}
+
+function tzForState(state) {
+  const s = STATE_ALIASES[norm(state).toUpperCase()] || norm(state).toUpperCase();
+
+  const map = {
+    AK: "America/Anchorage",
+    HI: "Pacific/Honolulu",
+    CA: "America/Los_Angeles",
+    OR: "America/Los_Angeles",
+    WA: "America/Los_Angeles",
+    NV: "America/Los_Angeles",
+    ID: "America/Denver",
+    UT: "America/Denver",
+    WY: "America/Denver",
+    CO: "America/Denver",
+    MT: "America/Denver",
+    AZ: "America/Phoenix",
+    NM: "America/Denver",
+    ND: "America/Chicago",
+    SD: "America/Chicago",
+    NE: "America/Chicago",
+    KS: "America/Chicago",
+    OK: "America/Chicago",
+    TX: "America/Chicago",
+    MN: "America/Chicago",
+    IA: "America/Chicago",
+    MO: "America/Chicago",
+    AR: "America/Chicago",
+    LA: "America/Chicago",
+    WI: "America/Chicago",
+    IL: "America/Chicago",
+    MS: "America/Chicago",
+    AL: "America/Chicago",
+    TN: "America/Chicago",
+    KY: "America/New_York",
+    IN: "America/Indiana/Indianapolis",
+    MI: "America/Detroit",
+    OH: "America/New_York",
+    GA: "America/New_York",
+    FL: "America/New_York",
+    SC: "America/New_York",
+    NC: "America/New_York",
+    VA: "America/New_York",
+    WV: "America/New_York",
+    PA: "America/New_York",
+    NY: "America/New_York",
+    NJ: "America/New_York",
+    DE: "America/New_York",
+    MD: "America/New_York",
+    DC: "America/New_York",
+    CT: "America/New_York",
+    RI: "America/New_York",
+    MA: "America/New_York",
+    VT: "America/New_York",
+    NH: "America/New_York",
+    ME: "America/New_York",
+    PR: "America/Puerto_Rico",
+    VI: "America/St_Thomas",
+    GU: "Pacific/Guam",
+    MP: "Pacific/Saipan",
+    AS: "Pacific/Pago_Pago",
+  };
+
+  return map[s] || "";
+}
+
+// A city only takes the zone of airports this close to it
+const ZONE_NEIGHBOUR_KM = 80;
+const ZONE_GRID_DEG = 1; // cell size of the airport index below
+
+let ZONE_GRID = null; // "latCell|lonCell" -> [[lat, lon, zone], …], built on first use
+
+function zoneGrid() {
+  if (ZONE_GRID) return ZONE_GRID;
+  ZONE_GRID = new Map();
+  for (const [code, idx] of Object.entries(AIRPORT_ZONES)) {
+    const ap = AIRPORTS[code];
+    const zone = TIME_ZONES[idx];
+    if (!ap || !zone) continue;
+    const key = `${Math.floor(ap[0] / ZONE_GRID_DEG)}|${Math.floor(ap[1] / ZONE_GRID_DEG)}`;
+    if (!ZONE_GRID.has(key)) ZONE_GRID.set(key, []);
+    ZONE_GRID.get(key).push([ap[0], ap[1], zone]);
+  }
+  return ZONE_GRID;
+}
+
+// Zone of the airports in geo.js near a point, or "" when there are none or their zones show
+// different clock times at `iso` (Parker, AZ sits between Arizona and California airports;
+// Anchorage and Nome differ in name only)
+function tzNearPoint(lat, lon, iso) {
+  const grid = zoneGrid();
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  const latCells = Math.ceil(ZONE_NEIGHBOUR_KM / (111.2 * ZONE_GRID_DEG));
+  const lonCells = Math.ceil(ZONE_NEIGHBOUR_KM / (111.2 * ZONE_GRID_DEG * Math.max(cosLat, 0.1)));
+  const latCell = Math.floor(lat / ZONE_GRID_DEG);
+  const lonCell = Math.floor(lon / ZONE_GRID_DEG);
+
+  const zones = new Map(); // zone -> distance of its nearest airport
+  for (let i = latCell - latCells; i <= latCell + latCells; i++) {
+    for (let j = lonCell - lonCells; j <= lonCell + lonCells; j++) {
+      for (const [aLat, aLon, zone] of grid.get(`${i}|${j}`) || []) {
+        const km = 111.2 * Math.hypot(aLat - lat, (aLon - lon) * cosLat);
+        if (km > ZONE_NEIGHBOUR_KM) continue;
+        if (!zones.has(zone) || km < zones.get(zone)) zones.set(zone, km);
+      }
+    }
+  }
+  if (zones.size > 1) {
+    const clocks = new Set([...zones.keys()].map(z => formatLocalFromISO(iso, z).split(" ")[0]));
+    if (clocks.size > 1) return "";
+  }
+  return [...zones.entries()].sort((a, b) => a[1] - b[1])[0]?.[0] || "";
+}
+
+// { zone, estimated }: estimated when a state with several zones had no known airport, so the
+// zone came from airports near the city or, failing that, is the state's main zone
+function eventTimeZone(airport, city, state, iso) {
+  const zone = tzForAirport(airport);
+  if (zone) return { zone, estimated: false };
+  const st = STATE_ALIASES[norm(state).toUpperCase()] || norm(state).toUpperCase();
+  if (!MULTI_ZONE_STATES.has(st)) return { zone: tzForState(st), estimated: false };
+
+  const loc = resolveLocation("", city, st);
+  const near = loc && loc.precision === "city" ? tzNearPoint(loc.lat, loc.lon, iso) : "";
+  return { zone: near || tzForState(st), estimated: true };
+}
+
+// Clock time in an IANA zone: { hh, mm, tz, minutes after local midnight } or null
+function localTimeParts(iso, timeZone) {
+  const z = norm(iso);
+  if (!z || !timeZone) return null;
+  const d = new Date(z);
+  if (Number.isNaN(d.getTime())) return null;
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: false,
+    timeZoneName: "short",
+  }).formatToParts(d);
+
+  const hh = parts.find(p => p.type === "hour")?.value ?? "";
+  const mm = parts.find(p => p.type === "minute")?.value ?? "";
+  const tz = parts.find(p => p.type === "timeZoneName")?.value ?? "";
+  if (!hh || !mm) return null;
+  // Some engines format midnight as "24" with hour12: false
+  return { hh, mm, tz, minutes: (Number(hh) % 24) * 60 + Number(mm) };
+}
+
+function formatLocalFromISO(iso, timeZone) {
+  const t = localTimeParts(iso, timeZone);
+  return t ? `${t.hh}:${t.mm} ${t.tz}` : "";
+}
+
+// "M/D/YYYY" -> "YYYY-MM-DD", or ""
+function usDateToIsoDay(s) {
+  const m = norm(s).match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  return m ? `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}` : "";
+}
+
+// event_datetime_z is normally ISO 8601, but some exports wrote "1/26/2026 0505Z" or
+// "2026-08-08T2200:00Z"; those are rebuilt from the date and the Zulu time column.
+function eventInstantISO(iso, date, timeZ) {
+  const z = norm(iso);
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?Z$/.test(z) && !Number.isNaN(Date.parse(z))) return z;
+
+  const isoDay = z.match(/^(\d{4}-\d{2}-\d{2})/);
+  const day = isoDay ? isoDay[1] : usDateToIsoDay(date) || usDateToIsoDay(z);
+  const hhmm = norm(timeZ).match(/^(\d{2}):?(\d{2})Z?$/i) || z.match(/[T ](\d{2}):?(\d{2})/);
+  if (!day || !hhmm || Number(hhmm[1]) > 23 || Number(hhmm[2]) > 59) return "";
+
+  const out = `${day}T${hhmm[1]}:${hhmm[2]}:00Z`;
+  return Number.isNaN(Date.parse(out)) ? "" : out;
+}
+
+// Whole days from the event's (UTC) date to report_date; null when either is missing
+function reportLagDays(eventISO, eventDate, reportDate) {
+  const from = (eventISO && eventISO.slice(0, 10)) || usDateToIsoDay(eventDate);
+  const to = usDateToIsoDay(reportDate);
+  if (!from || !to) return null;
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+// -------------------- Daylight --------------------
+// Sun elevation from the low-precision solar almanac formulas (good to about 0.01° this
+// century), evaluated at the event time and resolved location.
+
+const SUN_HORIZON = -0.833; // sunrise/sunset: upper limb on the horizon, refraction included
+const CIVIL_TWILIGHT = -6;
+
+function solarElevation(date, lat, lon) {
+  const rad = Math.PI / 180;
+  const d = (date.getTime() - Date.UTC(2000, 0, 1, 12)) / 86400000; // days since J2000.0
+  const g = (357.529 + 0.98560028 * d) * rad;
+  const q = 280.459 + 0.98564736 * d;
+  const lambda = (q + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * rad;
+  const eps = (23.439 - 0.00000036 * d) * rad;
+  const ra = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda));
+  const dec = Math.asin(Math.sin(eps) * Math.sin(lambda));
+  const gmst = (280.46061837 + 360.98564736629 * d) * rad;
+  const hourAngle = gmst + lon * rad - ra;
+  const sinAlt = Math.sin(lat * rad) * Math.sin(dec) + Math.cos(lat * rad) * Math.cos(dec) * Math.cos(hourAngle);
+  return Math.asin(sinAlt) / rad;
+}
+
+// "day", "twilight" (civil) or "night"; "" without an event time or a location finer than
+// the state centroid (Alaska alone spans several hours of sun time)
+function daylightAt(iso, loc) {
+  if (!iso || !loc || loc.precision === "state") return "";
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+  const elevation = solarElevation(date, loc.lat, loc.lon);
+  if (elevation > SUN_HORIZON) return "day";
+  return elevation > CIVIL_TWILIGHT ? "twilight" : "night";
+}
+
+// -------------------- Image helpers --------------------
+// A verified aircraft_image_actual_url is often a photo page (jetphotos, flightradar24);
+// only direct image files and Wikimedia Commons files can be shown as thumbnails.
+
+const THUMBNAIL_WIDTH = 320;
+
+function thumbnailUrl(url) {
+  const u = norm(url);
+  if (!isHttpUrl(u)) return "";
+
+  const commons = u.match(/^https?:\/\/commons\.wikimedia\.org\/wiki\/File:([^?#]+)/i);
+  if (commons) return `https://commons.wikimedia.org/wiki/Special:FilePath/${commons[1]}?width=${THUMBNAIL_WIDTH}`;
+
+  return /\.(jpe?g|png|webp|gif)([?#]|$)/i.test(u) ? u : "";
+}
+
+// -------------------- JSON helpers --------------------
+
+function safeParseJsonArray(s) {
+  const raw = norm(s);
+  if (!raw) return [];
+  try {
+    const v = JSON.parse(raw);
+    return Array.isArray(v) ? v : [];
+  } catch {
+    return [];
+  }
+}
+
+// -------------------- Normalize incident objects --------------------
+
+function toIncident(row) {
+  const state = getAny(row, ["state", "State"]);
+
+  const rawNarr = getAny(row, ["raw_narrative"]);
+  const narrFallback = getAny(row, ["narrative", "Narrative", "context_parens", "raw_text"]);
+  const narrative = rawNarr || narrFallback || "No narrative provided.";
+
+  // Where each displayed value came from: "column", "narrative" (read from a labelled part
+  // of the text), "inferred" (keyword heuristics) or "" when nothing was found
+  const provenance = {};
+  const issues = [];   // { kind: "rejected" | "conflict" | "no-date", field, column, value, narrative }
+
+  // Schema fields (sanitized before use)
+  const callsignCol = pickColumn(row, ["callsign_primary", "aircraft_primary", "callsign"]);
+  let callsign = isValidCallsign(callsignCol.value) ? callsignCol.value.toUpperCase() : "";
+  provenance.callsign = callsign ? "column" : "";
+  // aircraft_primary routinely holds the registration instead; that is not an error
+  if (callsignCol.value && !callsign && !isValidNNumber(callsignCol.value) && !/^(none|unknown)$/i.test(callsignCol.value)) {
+    issues.push({ kind: "rejected", field: "callsign", column: callsignCol.column, value: callsignCol.value });
+  }
+  if (!callsign) {
+    callsign = extractCallsign(narrative);
+    if (callsign) provenance.callsign = "narrative";
+  }
+
+  const typeCol = pickColumn(row, ["aircraft_type_designator", "aircraft_type_desi", "aircraft_primary_model"]);
+  let typeDesignator = isValidTypeDesignator(typeCol.value, narrative, callsign) ? typeCol.value.toUpperCase() : "";
+  provenance.type = typeDesignator ? "column" : "";
+  if (typeCol.value && !typeDesignator) {
+    issues.push({ kind: "rejected", field: "type", column: typeCol.column, value: typeCol.value });
+  }
+  if (!typeDesignator) {
+    typeDesignator = extractAircraftDesignator(narrative, callsign);
+    if (typeDesignator) provenance.type = "narrative";
+  }
+
+  // Tail
+  const tailCol = pickColumn(row, ["n_numbers", "tail_number", "tail", "n_number", "registration"]);
+  const tailField = tailCol.value;
+  let tail = pickPrimaryTail(tailField);
+  provenance.tail = tail ? "column" : "";
+  if (tailField && !tail && !isValidCallsign(tailField) && !/^(none|unknown)$/i.test(tailField)) {
+    issues.push({ kind: "rejected", field: "tail", column: tailCol.column, value: tailField });
+  }
+  if (!tail) {
+    tail = extractNNumber(narrative);
+    if (tail) provenance.tail = "narrative";
+  }
+
+  // if "n_numbers" actually contains a callsign-only value, don't lose it
+  if (!callsign && isValidCallsign(tailField)) {
+    callsign = norm(tailField).toUpperCase();
+    provenance.callsign = "column";
+  }
+
+  // Display ID formatting
+  let displayId = "NONE";
+  if (callsign && tail) displayId = `${callsign} (${tail})`;
+  else if (callsign) displayId = callsign;
+  else if (tail) displayId = tail;
+
+  // Model/type for header
+  let model = getAny(row, ["aircraft_primary_model", "aircraft_model", "model", "aircraft_type"]);
+  provenance.model = model ? "column" : provenance.type;
+  if (!model) model = typeDesignator;
+
+  if (!model) {
+    model = extractAircraftDesignator(narrative, callsign);
+    if (model) provenance.model = "narrative";
+  }
+  const acType = resolveAircraftType(typeDesignator, model);
+
+  // Other fields
+  let eventType = getAny(row, ["event_type", "Event type", "type"]);
+  let phase = getAny(row, ["phase", "Phase"]);
+  let reportDate = getAny(row, ["report_date", "Report"]);
+  const pobCol = pickColumn(row, ["pob", "POB"]);
+  const injuriesCol = pickColumn(row, ["injuries", "Injuries"]);
+  const damageCol = pickColumn(row, ["damage", "Damage"]);
+  const form8020Col = pickColumn(row, ["form_8020_9", "8020_9", "8020-9", "faa_form_8020_9"]);
+  let pob = pobCol.value;
+  let injuries = injuriesCol.value;
+  let damage = damageCol.value;
+  let form8020 = form8020Col.value;
+
+  for (const [field, value] of [["eventType", eventType], ["phase", phase], ["reportDate", reportDate],
+    ["pob", pob], ["injuries", injuries], ["damage", damage], ["form8020", form8020]]) {
+    provenance[field] = value ? "column" : "";
+  }
+
+  const narrPob = extractFieldFromNarrative(narrative, "POB");
+  const narrInjuries = extractInjuriesFromNarrative(narrative);
+  const narrDamage = extractFieldFromNarrative(narrative, "Damage");
+  const f8020 = extract80209FromNarrative(narrative);
+
+  // The narrative repeats these values; flag rows where the columns say something else
+  const conflict = (field, col, narrValue, same) => {
+    if (col.value && narrValue && !same(col.value, narrValue)) {
+      issues.push({ kind: "conflict", field, column: col.column, value: col.value, narrative: narrValue });
+    }
+  };
+  conflict("pob", pobCol, narrPob, (a, b) => parseInt(a, 10) === parseInt(b, 10) || !/\d/.test(b));
+  // Injury counts are often left out of one side ("Fatal" vs "4- Fatal"): compare the kinds reported.
+  // An "Unknown" damage on either side is a report made before the damage was assessed.
+  conflict("injuries", injuriesCol, narrInjuries, (a, b) => {
+    const ca = parseInjuries(a);
+    const cb = parseInjuries(b);
+    return ["fatal", "serious", "minor"].every(k => !ca[k] === !cb[k]);
+  });
+  conflict("damage", damageCol, narrDamage, (a, b) => {
+    const ra = classifyDamage(a).damageRank;
+    const rb = classifyDamage(b).damageRank;
+    return ra === rb || !ra || !rb;
+  });
+  conflict("form8020", form8020Col, f8020, (a, b) => /^unknown$/i.test(a) || a.toLowerCase() === b.toLowerCase());
+
+  const fromNarrative = (field, value) => {
+    if (value) provenance[field] = "narrative";
+    return value;
+  };
+  if (!reportDate) reportDate = fromNarrative("reportDate", extractReportDateFromNarrative(narrative));
+  if (!pob) pob = fromNarrative("pob", narrPob);
+  if (!injuries) injuries = fromNarrative("injuries", narrInjuries);
+  if (!damage) damage = fromNarrative("damage", narrDamage);
+  if (!form8020) form8020 = fromNarrative("form8020", f8020);
+
+  const phaseLabels = taxonomyLabels("phase", phase, narrative);
+  const eventLabels = taxonomyLabels("eventType", eventType, narrative);
+  if (!phase && phaseLabels.length) {
+    phase = phaseLabels[0];
+    provenance.phase = "inferred";
+  }
+  // Several labels read like the multi-part event_type values ("Bird strike / Emergency return")
+  if (!eventType && eventLabels.length) {
+    eventType = eventLabels.join(" / ");
+    provenance.eventType = "inferred";
+  }
+
+  const injuryCounts = parseInjuries(injuries, pob);
+  const { damageClass, damageRank, fire } = classifyDamage(damage);
+  const injuriesKnown = INJURY_KINDS.some(k => k !== "unknown" && injuryCounts[k] > 0) ||
+    /^none$/i.test(norm(injuries));
+  const severity = severityLevel(injuryCounts, damageRank, injuriesKnown);
+
+  const city = getAny(row, ["city", "location", "loc_city"]);
+  const airport = getAny(row, ["airport_code", "airport"]);
+
+  const eventDate = getAny(row, ["event_date", "date", "Event date"]);
+  const eventTimeZ = getAny(row, ["event_time_z", "time_z", "Event time z"]);
+  const eventISO = getAny(row, ["event_datetime_z", "datetime_z", "event_datetime", "Event datetime z"]);
+  provenance.eventDate = eventDate || eventISO ? "column" : "";
+  if (!eventDate && !eventISO) issues.push({ kind: "no-date", field: "eventDate", column: "event_date", value: "" });
+
+  const sourcesJson = getAny(row, ["sources_json"]);
+  const mediaJson = getAny(row, ["media_json", "media_jason"]);
+
+  let ntsbCaseId = getAny(row, ["ntsb_case_id"]).toUpperCase();
+  if (!isValidNtsbCaseId(ntsbCaseId)) ntsbCaseId = "";
+  let ntsbPdfUrl = getAny(row, ["ntsb_pdf_url"]);
+  if (!isNtsbUrl(ntsbPdfUrl)) ntsbPdfUrl = "";
+
+  const aircraftImageUrl = getAny(row, ["aircraft_image_url"]);
+  const aircraftImageType = getAny(row, ["aircraft_image_type"]);
+  const imageActualUrl = getAny(row, ["aircraft_image_actual_url"]);
+  const imageGenericUrl = getAny(row, ["aircraft_image_generic_url"]);
+  const imageVerified = /^(yes|true|1)$/i.test(getAny(row, ["aircraft_image_verified"])) && isHttpUrl(imageActualUrl);
+
+  // group_id restarts in every export, so a group is only the same event on the same date.
+  // Some exports left group_size at 1 and listed every registration on each row instead.
+  const groupId = getAny(row, ["group_id"]);
+  const groupSize = parseInt(getAny(row, ["group_size"]), 10) || 1;
+  const allTails = parseTails(tailField);
+  let groupKey = "";
+  if (groupId && groupSize > 1) groupKey = `${groupId}|${eventDate || eventISO}`;
+  else if (allTails.length > 1) groupKey = `${[...allTails].sort().join(";")}|${eventDate || eventISO}`;
+
+  // One entry per registration on this row; only the primary carries callsign and type
+  const aircraft = [{ tail, callsign, type: acType ? acType.name : (model || typeDesignator || "") }];
+  for (const t of allTails) {
+    if (t !== tail) aircraft.push({ tail: t, callsign: "", type: "" });
+  }
+
+  const eventAt = eventInstantISO(eventISO, eventDate, eventTimeZ);
+  const tz = eventTimeZone(airport, city, state, eventAt);
+  const local = localTimeParts(eventAt, tz.zone);
+  const localTime = formatLocalFromISO(eventAt, tz.zone);
+  const localEstimated = Boolean(localTime) && tz.estimated;
+  const loc = resolveLocation(airport, city, state);
+
+  const line2Left = [city || airport || "", state].filter(Boolean).join(", ");
+  const line2Right = [eventDate || "", eventTimeZ || "", localTime ? `${localTime}${localEstimated ? " est." : ""}` : ""].filter(Boolean);
+
+  const line2 = line2Right.length
+    ? `${line2Left} • ${line2Right[0]} (${line2Right.slice(1).join(" / ")})`
+    : (line2Left || "Unknown location • Unknown date");
+
+  const haystack = [
+    displayId, tail, callsign, model, typeDesignator, acType ? acType.name : "",
+    city, state, airport, eventType, phase,
+    reportDate, pob, injuries, damage, form8020,
+    eventDate, eventTimeZ, ntsbCaseId, narrative
+  ].join(" ").toLowerCase();
+
+  return {
+    ...row,
+    _state: state,
+    _tail: displayId,
+    _model: model || "Unknown type",
+    _callsign: callsign || "",
+    _typeDesignator: typeDesignator || "",
+    _typeCode: acType ? acType.code : "",
+    _typeName: acType ? acType.name : "",
+    _category: acType ? acType.category : "",
+    _engineType: acType ? acType.engineType : "",
+    _engineCount: acType && acType.engines ? acType.engines : null,
+    _wakeClass: acType ? acType.wake : "",
+    // Unmanned aircraft are neither airliners nor general aviation
+    _fleet: !acType ? "" : acType.fleet || (acType.category === "unmanned" ? "" : "ga"),
+    _city: city,
+    _airport: airport,
+    _eventType: eventType || "—",
+    _phase: phase || "—",
+    _eventLabels: eventLabels,
+    _phaseLabels: phaseLabels,
+    _reportDate: reportDate || "—",
+    _pob: pob || "Unknown",
+    _injuries: injuries || "Unknown",
+    _damage: damage || "Unknown",
+    _injuryCounts: injuryCounts,
+    _damageClass: damageClass,
+    _damageRank: damageRank,
+    _damageFire: fire,
+    _severity: severity,
+    _severityLabel: SEVERITY_LEVELS[severity],
+    _form8020: form8020 || "Unknown",
+    _eventDate: eventDate || "",
+    _eventTimeZ: eventTimeZ || "",
+    // Unrepairable values are kept as written so the row still counts as dated
+    _eventISO: eventAt || eventISO || "",
+    _localTime: localTime || "",
+    _localTimeEstimated: localEstimated,
+    _timeZone: local ? tz.zone : "",
+    _localMinutes: local ? local.minutes : null,
+    _daylight: daylightAt(eventAt, loc),
+    _reportLagDays: reportLagDays(eventAt, eventDate, reportDate),
+    _lat: loc ? loc.lat : null,
+    _lon: loc ? loc.lon : null,
+    _geoPrecision: loc ? loc.precision : "",
+    _provenance: provenance,
+    _issues: issues,
+    _ntsbCaseId: ntsbCaseId,
+    _ntsbPdfUrl: ntsbPdfUrl,
+    _groupKey: groupKey,
+    _groupSize: groupSize,
+    _aircraft: aircraft,
+    _line2: line2,
+    _narrative: narrative,
+    _haystack: haystack,
+    _sources: safeParseJsonArray(sourcesJson),
+    _media: safeParseJsonArray(mediaJson),
+    _aircraftImageUrl: aircraftImageUrl || "",
+    _aircraftImageType: (aircraftImageType || "").toLowerCase(),
+    _imageVerified: imageVerified,
+    _imageActualUrl: isHttpUrl(imageActualUrl) ? imageActualUrl : "",
+    _imageGenericUrl: isHttpUrl(imageGenericUrl) ? imageGenericUrl : "",
+    _thumbnailUrl: imageVerified ? thumbnailUrl(imageActualUrl) : "",
+  };
+}
+
+// -------------------- Shard loading --------------------
+// data/manifest.json lists every shard in priority order (current export first).
+// Older shards repeat most rows, so rows are reconciled and de-duplicated here.
+
+const MANIFEST_URL = "./data/manifest.json";
+
+// Bump when toIncident() output changes; cached incidents from another version are discarded
+const PIPELINE_VERSION = 8;
+
+// sw.js marks responses it had to serve from its cache because the network failed
+const OFFLINE_HEADER = "X-Served-From";
+
+// Older exports wrote these as floats ("2.0"); store them as plain integers.
+const INTEGER_COLUMNS = ["group_id", "group_size", "pob", "sources_found", "media_found"];
+
+async function fetchManifest(baseUrl) {
+  const url = new URL(MANIFEST_URL, baseUrl).toString();
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`Unable to load manifest (${res.status} ${res.statusText}) at ${url}`);
+
+  const manifest = await res.json();
+  const shards = Array.isArray(manifest.shards) ? manifest.shards.map(norm).filter(Boolean) : [];
+  if (!shards.length) throw new Error("Manifest lists no shards");
+  return { version: norm(manifest.version), shards, offline: res.headers.get(OFFLINE_HEADER) === "offline-cache" };
+}
+
+function rowsToObjects(rows) {
+  if (!rows.length) return [];
+  const headers = rows[0].map(h => norm(h).replace(/\uFEFF/g, ""));
+  return rows.slice(1).map(r => {
+    const obj = {};
+    headers.forEach((h, i) => { if (h) obj[h] = r[i] ?? ""; });
+    return obj;
+  });
+}
+
+function reconcileRow(obj) {
+  for (const col of INTEGER_COLUMNS) {
+    const v = norm(obj[col]);
+    if (/^-?\d+\.0+$/.test(v)) obj[col] = v.replace(/\.0+$/, "");
+  }
+  return obj;
+}
+
+async function fetchShardText(name, baseUrl) {
+  const url = new URL(`./data/${name}`, baseUrl).toString();
+  try {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+    return { name, ok: true, text: await res.text(), error: "" };
+  } catch (e) {
+    return { name, ok: false, text: "", error: e.message || String(e) };
+  }
+}
+
+// The same event keeps its timestamp and narrative across exports; enrichment columns drift.
+function dedupeKey(obj) {
+  const when = getAny(obj, ["event_datetime_z", "event_date"]);
+  const narr = getAny(obj, ["raw_narrative", "narrative", "context_parens"]).toLowerCase().replace(/\s+/g, " ");
+  if (narr) return `${when}|${narr}`;
+  // No narrative: fall back to the registration so distinct bare rows do not collapse
+  return `${when}|${getAny(obj, ["n_numbers", "aircraft_primary"]).toUpperCase()}`;
+}
+
+// Stable short ID for deep links and local annotations (53-bit cyrb53 hash of the dedupe key)
+function incidentId(key) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < key.length; i++) {
+    const ch = key.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+// Later duplicates only fill blank columns; returns true when anything changed.
+function fillBlankColumns(target, obj) {
+  let changed = false;
+  for (const k in obj) {
+    if (norm(target[k]) === "" && norm(obj[k]) !== "") {
+      target[k] = obj[k];
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+function isRealIncident(it) {
+  const hasNarr = norm(it._narrative) && it._narrative !== "No narrative provided.";
+  const hasId = norm(it._callsign) || norm(it._tail) && it._tail !== "NONE";
+  const hasDate = norm(it._eventISO) || norm(it._eventDate);
+  return hasNarr || hasId || hasDate;
+}
+
+/**
+ * Fetches every shard in parallel, then parses, merges and normalizes them in manifest
+ * order so the first listed shard always wins. Incidents are handed to onBatch as they
+ * become ready; an incident whose row was later filled in from a duplicate is sent again
+ * with the same _seq and replaces the earlier copy. _id is derived from the row as first
+ * seen, so it stays the same across visits as long as the shards do.
+ */
+async function loadIncidents(baseUrl, { onManifest, onShard, onBatch, batchSize = 200 } = {}) {
+  const manifest = await fetchManifest(baseUrl);
+  if (onManifest) onManifest(manifest);
+
+  const pending = manifest.shards.map(name => fetchShardText(name, baseUrl));
+  const byKey = new Map();
+  let duplicates = 0;
+  let repairedCells = 0;
+  let loaded = 0;
+
+  const normalize = (entry) => {
+    const it = toIncident(entry.row);
+    it._seq = entry.seq;
+    it._id = entry.id;
+    return isRealIncident(it) ? it : null;
+  };
+
+  for (const p of pending) {
+    const shard = await p;
+    if (!shard.ok) {
+      if (onShard) onShard({ name: shard.name, ok: false, rowCount: 0, unique: 0, repaired: 0, error: shard.error });
+      continue;
+    }
+
+    const objects = rowsToObjects(parseCsv(shard.text).filter(r => r.length > 1));
+    let batch = new Map();
+    let unique = 0;
+    let repaired = 0;
+
+    const flush = () => {
+      if (batch.size && onBatch) onBatch([...batch.values()]);
+      batch = new Map();
+    };
+
+    for (const obj of objects) {
+      repaired += normalizeRowText(obj);
+      reconcileRow(obj);
+      const key = dedupeKey(obj);
+      const prev = byKey.get(key);
+
+      if (prev) {
+        duplicates++;
+        if (!fillBlankColumns(prev.row, obj)) continue;
+        const it = normalize(prev);
+        if (it) batch.set(prev.seq, it);
+      } else {
+        obj._shard = shard.name;
+        const entry = { seq: byKey.size, id: incidentId(key), row: obj };
+        byKey.set(key, entry);
+        unique++;
+        const it = normalize(entry);
+        if (it) batch.set(entry.seq, it);
+      }
+
+      if (batch.size >= batchSize) flush();
+    }
+
+    flush();
+    loaded++;
+    repairedCells += repaired;
+    if (onShard) onShard({ name: shard.name, ok: true, rowCount: objects.length, unique, repaired, error: "" });
+
+    // Give the event loop a turn between shards (matters on the main-thread fallback)
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    version: manifest.version,
+    offline: manifest.offline,
+    shardCount: manifest.shards.length,
+    loadedShards: loaded,
+    uniqueRows: byKey.size,
+    duplicates,
+    repairedCells,
+  };
+}
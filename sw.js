@@ -0,0 +1,96 @@
+// sw.js: offline support for the app shell and the raw data shards.
+// Shell files are served from cache and refreshed in the background; data files go to the
+// network first and fall back to the cache. The normalized incidents themselves are kept
+// in IndexedDB by app.js ("Offline cache"), so this only matters for the first render of
+// a new data version and for the loader's fetches while offline.
+
+// Bump SHELL_CACHE when files are added to or removed from SHELL_FILES
+const SHELL_CACHE = "shell-v2";
+const DATA_CACHE = "data-v1";
+const SHELL_FILES = ["./", "./index.html", "./styles.css", "./geo.js", "./types.js", "./pipeline.js", "./xlsx.js", "./app.js", "./worker.js"];
+const MANIFEST_URL = "./data/manifest.json";
+
+// Must match OFFLINE_HEADER in pipeline.js
+const OFFLINE_HEADER = "X-Served-From";
+
+// Caches the manifest and every shard it lists, so the first visit is enough to work offline
+async function precacheData() {
+  const res = await fetch(MANIFEST_URL, { cache: "no-store" });
+  if (!res.ok) return;
+  const manifest = await res.clone().json();
+  const cache = await caches.open(DATA_CACHE);
+  await cache.put(MANIFEST_URL, res);
+  const shards = Array.isArray(manifest.shards) ? manifest.shards : [];
+  await Promise.all(shards.map(name => cache.add(new Request(`./data/${name}`, { cache: "no-store" }))));
+}
+
+self.addEventListener("install", (e) => {
+  e.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES.map(url => new Request(url, { cache: "no-store" })));
+    // Data is also cached as the page loads it, so a failure here is not fatal
+    await precacheData().catch(err => console.warn("Data precache failed", err));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    for (const name of await caches.keys()) {
+      if (!keep.includes(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Query strings only carry filters (?state=AK…), so every URL maps to one cache entry
+function cacheKey(request) {
+  const url = new URL(request.url);
+  url.search = "";
+  url.hash = "";
+  return url.toString();
+}
+
+async function staleWhileRevalidate(e, cacheName) {
+  const cache = await caches.open(cacheName);
+  const key = e.request.mode === "navigate" ? new URL("./index.html", self.location).toString() : cacheKey(e.request);
+  const cached = await cache.match(key);
+  const update = fetch(e.request).then((res) => {
+    if (res.ok) return cache.put(key, res.clone()).then(() => res);
+    return res;
+  });
+
+  if (!cached) return update;
+  e.waitUntil(update.catch(() => {}));
+  return cached;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const key = cacheKey(request);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(key, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (!cached) throw err;
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, "offline-cache");
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+self.addEventListener("fetch", (e) => {
+  const request = e.request;
+  if (request.method !== "GET") return;
+
+  // Photos, NTSB and search links are other origins; leave them to the browser
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  const scope = new URL(self.registration.scope);
+  if (url.pathname.startsWith(`${scope.pathname}data/`)) e.respondWith(networkFirst(request, DATA_CACHE));
+  else e.respondWith(staleWhileRevalidate(e, SHELL_CACHE));
+});
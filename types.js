@@ -0,0 +1,326 @@
+// types.js: bundled aircraft type reference for the type designators seen in the exports (no network).
+// Hand-maintained from ICAO Doc 8643 (Aircraft Type Designators); wake classes are ICAO's
+// L (light, up to 7 t), M (medium), H (heavy) and J (super). A few entries are not ICAO codes:
+// family codes the exports use (B747, B777) and generic ones for aircraft Doc 8643 has no
+// single designator for (BALL, GLID, GYRO, HELI, PARA, UAV, ULAC).
+
+// Code -> [manufacturer, model, category, engine count, engine type, wake class, fleet]
+// category: airplane | helicopter | gyroplane | glider | balloon | ultralight | paraglider | unmanned
+// engine type: piston | turboprop | turboshaft | jet | "" (none or unknown)
+// fleet: "airliner" for transport types flown under Part 121, "military", or "" (general aviation)
+const AIRCRAFT_TYPES = {
+  // Airliners
+  "A306":["Airbus","A300-600","airplane",2,"jet","H","airliner"],
+  "A319":["Airbus","A319","airplane",2,"jet","M","airliner"],
+  "A320":["Airbus","A320","airplane",2,"jet","M","airliner"],
+  "A321":["Airbus","A321","airplane",2,"jet","M","airliner"],
+  "A20N":["Airbus","A320neo","airplane",2,"jet","M","airliner"],
+  "A21N":["Airbus","A321neo","airplane",2,"jet","M","airliner"],
+  "A333":["Airbus","A330-300","airplane",2,"jet","H","airliner"],
+  "A359":["Airbus","A350-900","airplane",2,"jet","H","airliner"],
+  "A35K":["Airbus","A350-1000","airplane",2,"jet","H","airliner"],
+  "A388":["Airbus","A380-800","airplane",4,"jet","J","airliner"],
+  "B732":["Boeing","737-200","airplane",2,"jet","M","airliner"],
+  "B734":["Boeing","737-400","airplane",2,"jet","M","airliner"],
+  "B737":["Boeing","737-700","airplane",2,"jet","M","airliner"],
+  "B738":["Boeing","737-800","airplane",2,"jet","M","airliner"],
+  "B739":["Boeing","737-900","airplane",2,"jet","M","airliner"],
+  "B38M":["Boeing","737 MAX 8","airplane",2,"jet","M","airliner"],
+  "B39M":["Boeing","737 MAX 9","airplane",2,"jet","M","airliner"],
+  "B744":["Boeing","747-400","airplane",4,"jet","H","airliner"],
+  "B747":["Boeing","747","airplane",4,"jet","H","airliner"],
+  "B748":["Boeing","747-8","airplane",4,"jet","H","airliner"],
+  "BLCF":["Boeing","747 Dreamlifter","airplane",4,"jet","H","airliner"],
+  "B762":["Boeing","767-200","airplane",2,"jet","H","airliner"],
+  "B777":["Boeing","777","airplane",2,"jet","H","airliner"],
+  "B77L":["Boeing","777-200LR/F","airplane",2,"jet","H","airliner"],
+  "B77W":["Boeing","777-300ER","airplane",2,"jet","H","airliner"],
+  "B788":["Boeing","787-8","airplane",2,"jet","H","airliner"],
+  "B789":["Boeing","787-9","airplane",2,"jet","H","airliner"],
+  "BCS1":["Airbus","A220-100","airplane",2,"jet","M","airliner"],
+  "BCS3":["Airbus","A220-300","airplane",2,"jet","M","airliner"],
+  "CRJ2":["Bombardier","CRJ200","airplane",2,"jet","M","airliner"],
+  "CRJ7":["Bombardier","CRJ700","airplane",2,"jet","M","airliner"],
+  "E135":["Embraer","ERJ 135","airplane",2,"jet","M","airliner"],
+  "E75L":["Embraer","E175","airplane",2,"jet","M","airliner"],
+  "SB20":["Saab","2000","airplane",2,"turboprop","M","airliner"],
+
+  // Business jets
+  "ASTR":["IAI","Astra","airplane",2,"jet","M",""],
+  "C560":["Cessna","Citation V","airplane",2,"jet","M",""],
+  "C56X":["Cessna","Citation Excel","airplane",2,"jet","M",""],
+  "C680":["Cessna","Citation Sovereign","airplane",2,"jet","M",""],
+  "C750":["Cessna","Citation X","airplane",2,"jet","M",""],
+  "CL35":["Bombardier","Challenger 350","airplane",2,"jet","M",""],
+  "E55P":["Embraer","Phenom 300","airplane",2,"jet","M",""],
+  "EA50":["Eclipse","500","airplane",2,"jet","L",""],
+  "GALX":["IAI","Galaxy (Gulfstream G200)","airplane",2,"jet","M",""],
+  "GL5T":["Bombardier","Global 5000","airplane",2,"jet","M",""],
+  "GLF4":["Gulfstream","IV","airplane",2,"jet","M",""],
+  "GLF5":["Gulfstream","V","airplane",2,"jet","M",""],
+  "GLF6":["Gulfstream","G650","airplane",2,"jet","M",""],
+  "HA4T":["Hawker","4000","airplane",2,"jet","M",""],
+  "HDJT":["Honda","HondaJet","airplane",2,"jet","L",""],
+  "LJ35":["Learjet","35","airplane",2,"jet","L",""],
+  "LJ45":["Learjet","45","airplane",2,"jet","M",""],
+  "LJ60":["Learjet","60","airplane",2,"jet","M",""],
+  "SF50":["Cirrus","Vision Jet","airplane",1,"jet","L",""],
+
+  // Turboprops
+  "AT4T":["Air Tractor","AT-400","airplane",1,"turboprop","L",""],
+  "AT5T":["Air Tractor","AT-502","airplane",1,"turboprop","L",""],
+  "B350":["Beechcraft","King Air 350","airplane",2,"turboprop","L",""],
+  "BE20":["Beechcraft","King Air 200","airplane",2,"turboprop","L",""],
+  "BE99":["Beechcraft","99 Airliner","airplane",2,"turboprop","L",""],
+  "BE9L":["Beechcraft","King Air 90","airplane",2,"turboprop","L",""],
+  "C208":["Cessna","208 Caravan","airplane",1,"turboprop","L",""],
+  "C441":["Cessna","441 Conquest II","airplane",2,"turboprop","L",""],
+  "DHC6":["de Havilland Canada","DHC-6 Twin Otter","airplane",2,"turboprop","L",""],
+  "EPIC":["Epic","E1000","airplane",1,"turboprop","L",""],
+  "EVOL":["Lancair","Evolution","airplane",1,"turboprop","L",""],
+  "KODI":["Kodiak","100","airplane",1,"turboprop","L",""],
+  "PC12":["Pilatus","PC-12","airplane",1,"turboprop","L",""],
+  "SW4":["Fairchild Swearingen","Metro","airplane",2,"turboprop","M",""],
+  "TBM7":["Socata","TBM 700","airplane",1,"turboprop","L",""],
+
+  // Piston twins
+  "BE55":["Beechcraft","Baron 55","airplane",2,"piston","L",""],
+  "BE58":["Beechcraft","Baron 58","airplane",2,"piston","L",""],
+  "BE76":["Beechcraft","Duchess","airplane",2,"piston","L",""],
+  "C310":["Cessna","310","airplane",2,"piston","L",""],
+  "C337":["Cessna","337 Skymaster","airplane",2,"piston","L",""],
+  "C421":["Cessna","421 Golden Eagle","airplane",2,"piston","L",""],
+  "C46":["Curtiss","C-46 Commando","airplane",2,"piston","M",""],
+  "DA42":["Diamond","DA42 Twin Star","airplane",2,"piston","L",""],
+  "DC3":["Douglas","DC-3","airplane",2,"piston","M",""],
+  "PA23":["Piper","PA-23 Apache","airplane",2,"piston","L",""],
+  "PA27":["Piper","PA-27 Aztec","airplane",2,"piston","L",""],
+  "PA30":["Piper","PA-30 Twin Comanche","airplane",2,"piston","L",""],
+  "PA31":["Piper","PA-31 Navajo","airplane",2,"piston","L",""],
+  "PA34":["Piper","PA-34 Seneca","airplane",2,"piston","L",""],
+  "PA44":["Piper","PA-44 Seminole","airplane",2,"piston","L",""],
+
+  // Piston singles
+  "AA5":["Grumman American","AA-5 Traveler/Tiger","airplane",1,"piston","L",""],
+  "BE35":["Beechcraft","Bonanza 35","airplane",1,"piston","L",""],
+  "BE36":["Beechcraft","Bonanza 36","airplane",1,"piston","L",""],
+  "B36T":["Beechcraft","Turbo Bonanza 36","airplane",1,"piston","L",""],
+  "BL8":["American Champion","Decathlon/Scout","airplane",1,"piston","L",""],
+  "C120":["Cessna","120","airplane",1,"piston","L",""],
+  "C140":["Cessna","140","airplane",1,"piston","L",""],
+  "C150":["Cessna","150","airplane",1,"piston","L",""],
+  "C152":["Cessna","152","airplane",1,"piston","L",""],
+  "C162":["Cessna","162 Skycatcher","airplane",1,"piston","L",""],
+  "C170":["Cessna","170","airplane",1,"piston","L",""],
+  "C172":["Cessna","172 Skyhawk","airplane",1,"piston","L",""],
+  "C177":["Cessna","177 Cardinal","airplane",1,"piston","L",""],
+  "C180":["Cessna","180 Skywagon","airplane",1,"piston","L",""],
+  "C182":["Cessna","182 Skylane","airplane",1,"piston","L",""],
+  "C185":["Cessna","185 Skywagon","airplane",1,"piston","L",""],
+  "C195":["Cessna","195","airplane",1,"piston","L",""],
+  "C206":["Cessna","206 Stationair","airplane",1,"piston","L",""],
+  "T206":["Cessna","T206 Turbo Stationair","airplane",1,"piston","L",""],
+  "C210":["Cessna","210 Centurion","airplane",1,"piston","L",""],
+  "P210":["Cessna","P210 Pressurized Centurion","airplane",1,"piston","L",""],
+  "CH7A":["Champion","7 Champ","airplane",1,"piston","L",""],
+  "CH7B":["American Champion","Citabria","airplane",1,"piston","L",""],
+  "COL4":["Cessna","400 Corvalis (Columbia)","airplane",1,"piston","L",""],
+  "COUR":["Helio","Courier","airplane",1,"piston","L",""],
+  "DA20":["Diamond","DA20","airplane",1,"piston","L",""],
+  "DA40":["Diamond","DA40 Diamond Star","airplane",1,"piston","L",""],
+  "DHC2":["de Havilland Canada","DHC-2 Beaver","airplane",1,"piston","L",""],
+  "DHC3":["de Havilland Canada","DHC-3 Otter","airplane",1,"piston","L",""],
+  "E300":["Extra","300","airplane",1,"piston","L",""],
+  "ERCO":["Ercoupe","415","airplane",1,"piston","L",""],
+  "F260":["SIAI-Marchetti","SF.260","airplane",1,"piston","L",""],
+  "G164":["Grumman","Ag-Cat","airplane",1,"piston","L",""],
+  "GA8":["GippsAero","GA8 Airvan","airplane",1,"piston","L",""],
+  "GC1":["Temco","Swift","airplane",1,"piston","L",""],
+  "J3":["Piper","J-3 Cub","airplane",1,"piston","L",""],
+  "L8":["Luscombe","8 Silvaire","airplane",1,"piston","L",""],
+  "M20P":["Mooney","M20","airplane",1,"piston","L",""],
+  "M4":["Maule","M-4","airplane",1,"piston","L",""],
+  "M5":["Maule","M-5","airplane",1,"piston","L",""],
+  "M7":["Maule","M-7","airplane",1,"piston","L",""],
+  "N3N":["Naval Aircraft Factory","N3N","airplane",1,"piston","L",""],
+  "NAVI":["Navion","Navion","airplane",1,"piston","L",""],
+  "P208":["Tecnam","P2008","airplane",1,"piston","L",""],
+  "P28A":["Piper","PA-28 Cherokee/Warrior/Archer","airplane",1,"piston","L",""],
+  "P28R":["Piper","PA-28R Arrow","airplane",1,"piston","L",""],
+  "P32R":["Piper","PA-32R Saratoga/Lance","airplane",1,"piston","L",""],
+  "PA11":["Piper","PA-11 Cub Special","airplane",1,"piston","L",""],
+  "PA12":["Piper","PA-12 Super Cruiser","airplane",1,"piston","L",""],
+  "PA14":["Piper","PA-14 Family Cruiser","airplane",1,"piston","L",""],
+  "PA18":["Piper","PA-18 Super Cub","airplane",1,"piston","L",""],
+  "PA20":["Piper","PA-20 Pacer","airplane",1,"piston","L",""],
+  "PA22":["Piper","PA-22 Tri-Pacer","airplane",1,"piston","L",""],
+  "PA24":["Piper","PA-24 Comanche","airplane",1,"piston","L",""],
+  "PA32":["Piper","PA-32 Cherokee Six","airplane",1,"piston","L",""],
+  "PA46":["Piper","PA-46 Malibu","airplane",1,"piston","L",""],
+  "S108":["Stinson","108 Voyager","airplane",1,"piston","L",""],
+  "SLG2":["Sling","2","airplane",1,"piston","L",""],
+  "SLG4":["Sling","TSi","airplane",1,"piston","L",""],
+  "SR20":["Cirrus","SR20","airplane",1,"piston","L",""],
+  "SR22":["Cirrus","SR22","airplane",1,"piston","L",""],
+  "ST75":["Boeing","Stearman","airplane",1,"piston","L",""],
+  "SU26":["Sukhoi","Su-26","airplane",1,"piston","L",""],
+  "TUCR":["Flying Legends","Tucano Replica","airplane",1,"piston","L",""],
+  "WILG":["PZL","104 Wilga","airplane",1,"piston","L",""],
+
+  // Light sport and amateur-built
+  "AVID":["Avid","Flyer","airplane",1,"piston","L",""],
+  "CCX":["CubCrafters","Carbon Cub","airplane",1,"piston","L",""],
+  "CH70":["Zenith","STOL CH 701","airplane",1,"piston","L",""],
+  "CH75":["Zenith","STOL CH 750","airplane",1,"piston","L",""],
+  "KFOX":["Kitfox","Kitfox","airplane",1,"piston","L",""],
+  "LGEZ":["Rutan","Long-EZ","airplane",1,"piston","L",""],
+  "ONEX":["Sonex","Onex","airplane",1,"piston","L",""],
+  "RV12":["Van's","RV-12","airplane",1,"piston","L",""],
+  "RV3":["Van's","RV-3","airplane",1,"piston","L",""],
+  "RV4":["Van's","RV-4","airplane",1,"piston","L",""],
+  "RV7":["Van's","RV-7","airplane",1,"piston","L",""],
+  "RV8":["Van's","RV-8","airplane",1,"piston","L",""],
+  "VL3":["JMB","VL-3","airplane",1,"piston","L",""],
+
+  // Helicopters
+  "AS50":["Airbus Helicopters","AS350 Ecureuil","helicopter",1,"turboshaft","L",""],
+  "B206":["Bell","206 JetRanger","helicopter",1,"turboshaft","L",""],
+  "B212":["Bell","212","helicopter",2,"turboshaft","L",""],
+  "B407":["Bell","407","helicopter",1,"turboshaft","L",""],
+  "EC30":["Airbus Helicopters","EC130","helicopter",1,"turboshaft","L",""],
+  "EC35":["Airbus Helicopters","EC135","helicopter",2,"turboshaft","L",""],
+  "EN28":["Enstrom","F-28","helicopter",1,"piston","L",""],
+  "EXEC":["RotorWay","Exec","helicopter",1,"piston","L",""],
+  "H269":["Hughes/Schweizer","269","helicopter",1,"piston","L",""],
+  "H500":["Hughes/MD","500","helicopter",1,"turboshaft","L",""],
+  "R22":["Robinson","R22","helicopter",1,"piston","L",""],
+  "R44":["Robinson","R44","helicopter",1,"piston","L",""],
+  "S64":["Sikorsky","S-64 Skycrane","helicopter",2,"turboshaft","M",""],
+  "UH1":["Bell","UH-1 Iroquois","helicopter",1,"turboshaft","L",""],
+
+  // Military
+  "C17":["Boeing","C-17 Globemaster III","airplane",4,"jet","H","military"],
+  "F16":["General Dynamics","F-16 Fighting Falcon","airplane",1,"jet","M","military"],
+  "H139":["Boeing/Leonardo","MH-139 Grey Wolf","helicopter",2,"turboshaft","M","military"],
+  "H60":["Sikorsky","H-60 Black Hawk","helicopter",2,"turboshaft","M","military"],
+
+  // Gliders
+  "L13":["Let","L-13 Blanik","glider",0,"","L",""],
+  "PW6":["PZL","PW-6","glider",0,"","L",""],
+
+  // Generic
+  "BALL":["","Balloon","balloon",0,"","L",""],
+  "GLID":["","Glider","glider",0,"","L",""],
+  "GYRO":["","Gyroplane","gyroplane",1,"piston","L",""],
+  "HELI":["","Helicopter","helicopter",0,"","L",""],
+  "PARA":["","Powered paraglider","paraglider",1,"piston","L",""],
+  "UAV":["","Unmanned aircraft","unmanned",0,"","L",""],
+  "ULAC":["","Ultralight","ultralight",1,"piston","L",""],
+};
+
+// Other spellings in the exports -> AIRCRAFT_TYPES code. Keys are upper case with everything
+// but letters and digits removed; variants that only add a letter suffix (C172S) or a dashed
+// part (PA-18-150) need no entry, but anything else that extends a code (B737M, PA-23-250)
+// does, since a bare prefix match would pick the wrong member of the family.
+const TYPE_ALIASES = {
+  "415D":"ERCO",
+  "65A901":"BE9L",
+  "737MAX8":"B38M",
+  "737MAX9":"B39M",
+  "7AC":"CH7A",
+  "7ECA":"CH7B",
+  "7GCB":"CH7B",
+  "7GCBC":"CH7B",
+  "8GCBC":"BL8",
+  "8KCAB":"BL8",
+  "A200CT":"BE20",
+  "A350":"A359",
+  "A36":"BE36",
+  "AA5B":"AA5",
+  "ALONA2":"ERCO",
+  "AR1GYRO":"GYRO",
+  "AS350":"AS50",
+  "ASH31M":"GLID",
+  "ASW27":"GLID",
+  "AT402":"AT4T",
+  "AT502B":"AT5T",
+  "AUTOGYRO":"GYRO",
+  "B737800":"B738",
+  "B737M":"B38M",
+  "B737MAX":"B38M",
+  "B737MAX8":"B38M",
+  "B737MAX9":"B39M",
+  "BB100Z":"BALL",
+  "BELLANCA7GCBC":"CH7B",
+  "CALIDUS":"GYRO",
+  "CCX1865":"CCX",
+  "CCX2000":"CCX",
+  "CH54":"S64",
+  "CH701":"CH70",
+  "CHAMPION7GCBC":"CH7B",
+  "CHAMPION8KCAB":"BL8",
+  "CITATION560X":"C56X",
+  "DG800B":"GLID",
+  "E100":"EPIC",
+  "E1000":"EPIC",
+  "E175":"E75L",
+  "EA300":"E300",
+  "EC130":"EC30",
+  "EC135":"EC35",
+  "ECLIPSE":"EA50",
+  "EVOLUTION":"EVOL",
+  "EXTRA300":"E300",
+  "F28C":"EN28",
+  "FIREJET":"UAV",
+  "GC1B":"GC1",
+  "H295":"COUR",
+  "H369":"H500",
+  "HELO":"HELI",
+  "HUGHES269A":"H269",
+  "HUGHES369D":"H500",
+  "HUGHES500":"H500",
+  "INTEGRATOR":"UAV",
+  "KINGAIR350":"B350",
+  "KITFOX":"KFOX",
+  "KOLBFIREFLY":"ULAC",
+  "KUBICEKM26":"BALL",
+  "LC41550FG":"COL4",
+  "LONGEZ":"LGEZ",
+  "LUSCOMBE8A":"L8",
+  "M20":"M20P",
+  "M20F":"M20P",
+  "M20J":"M20P",
+  "MAULEM7":"M7",
+  "MD500":"H500",
+  "N35":"BE35",
+  "N3N3":"N3N",
+  "NAVIONB":"NAVI",
+  "PA23250":"PA27",
+  "PA28":"P28A",
+  "PA28A":"P28A",
+  "PA28R":"P28R",
+  "PA32R":"P32R",
+  "PARAGLIDER":"PARA",
+  "POWEREDPARAGLIDER":"PARA",
+  "PT13D":"ST75",
+  "PT17":"ST75",
+  "PWRDPARAGLIDER":"PARA",
+  "PZL104":"WILG",
+  "QUICKSILVER":"ULAC",
+  "ROTORWAY":"EXEC",
+  "RV7A":"RV7",
+  "RV8A":"RV8",
+  "SCANEAGLE":"UAV",
+  "SCHWEIZER269C":"H269",
+  "SF260B":"F260",
+  "SLING":"SLG4",
+  "SLINGTSI":"SLG4",
+  "STINSON108":"S108",
+  "SUPERCUB":"PA18",
+  "T41B":"C172",
+  "UAS":"UAV",
+  "ULTRALIGHT":"ULAC",
+  "UNMANNEDAIRCRAFTSYSTEM":"UAV",
+  "UNREGISTERPARAGLIDER":"PARA",
+  "VANSRV4":"RV4",
+};
@@ -0,0 +1,20 @@
+// worker.js: runs the shard load/parse/normalize pipeline off the main thread.
+// Protocol: receives { type: "load", baseUrl }, posts manifest/shard/batch/done/failed messages.
+
+importScripts("./geo.js", "./types.js", "./pipeline.js");
+
+self.addEventListener("message", async (e) => {
+  const msg = e.data || {};
+  if (msg.type !== "load") return;
+
+  try {
+    const summary = await loadIncidents(msg.baseUrl, {
+      onManifest: manifest => self.postMessage({ type: "manifest", manifest }),
+      onShard: shard => self.postMessage({ type: "shard", shard }),
+      onBatch: incidents => self.postMessage({ type: "batch", incidents }),
+    });
+    self.postMessage({ type: "done", summary });
+  } catch (err) {
+    self.postMessage({ type: "failed", message: err.message || String(err) });
+  }
+});